@@ -7,9 +7,10 @@ console.log('Starting separate builds...\n');
 console.log('=== Building QR version ===');
 // Modify index.js for QR
 const indexPath = './src/index.js';
+const RENDER_LINE = 'root.render(isQrMode ? <QrApp /> : isEmployeeMode ? <EmployeeApp /> : <App />);';
 const originalIndex = fs.readFileSync(indexPath, 'utf8');
 const qrIndex = originalIndex.replace(
-  'root.render(isQrMode ? <QrApp /> : <App />);',
+  RENDER_LINE,
   'root.render(<QrApp />);'
 );
 fs.writeFileSync(indexPath, qrIndex);
@@ -19,10 +20,23 @@ execSync('npm run build', { stdio: 'inherit' });
 fs.renameSync('build', 'build-qr');
 console.log('✓ QR build complete\n');
 
+// Build Employee portal version
+console.log('=== Building Employee portal version ===');
+const employeeIndex = originalIndex.replace(
+  RENDER_LINE,
+  'root.render(<EmployeeApp />);'
+);
+fs.writeFileSync(indexPath, employeeIndex);
+
+// Build
+execSync('npm run build', { stdio: 'inherit' });
+fs.renameSync('build', 'build-employee');
+console.log('✓ Employee portal build complete\n');
+
 // Build Admin version
 console.log('=== Building Admin version ===');
 const adminIndex = originalIndex.replace(
-  'root.render(isQrMode ? <QrApp /> : <App />);',
+  RENDER_LINE,
   'root.render(<App />);'
 );
 fs.writeFileSync(indexPath, adminIndex);
@@ -35,4 +49,4 @@ console.log('✓ Admin build complete\n');
 // Restore original
 fs.writeFileSync(indexPath, originalIndex);
 console.log('✓ Original index.js restored');
-console.log('\nBoth builds complete!');
+console.log('\nAll builds complete!');
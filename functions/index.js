@@ -18,6 +18,7 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -215,10 +216,14 @@ exports.sendScheduleNotification = functions.firestore
         return null;
       }
       
+      // Publications list a whole week; reminders are about one shift
+      const isPublication = notification.notificationType === 'schedule_published';
+      const tag = isPublication ? `schedule_${notification.eventDate}` : `shift_${notification.shiftId}`;
+
       // Prepare FCM message with schedule details
       const message = {
         notification: {
-          title: 'Shift Reminder',
+          title: isPublication ? 'Schedule Published' : 'Shift Reminder',
           body: notification.scheduleMessage || 'Your shift is starting soon',
         },
         data: {
@@ -238,7 +243,7 @@ exports.sendScheduleNotification = functions.firestore
           notification: {
             sound: 'default',
             channelId: 'schedule_notifications',
-            tag: `shift_${notification.shiftId}` // Prevents duplicate notifications
+            tag: tag // Prevents duplicate notifications
           }
         },
         apns: {
@@ -246,7 +251,7 @@ exports.sendScheduleNotification = functions.firestore
             aps: {
               sound: 'default',
               badge: 1,
-              threadId: `shift_${notification.shiftId}` // Groups related notifications
+              threadId: tag // Groups related notifications
             }
           }
         }
@@ -289,93 +294,330 @@ exports.sendScheduleNotification = functions.firestore
  */
 
 /**
- * Validate QR Token on Check-In/Check-Out Timestamp Updates
- * 
- * Triggers when checkInTimestamp or checkOutTimestamp fields are updated
- * in user schedule documents. Validates that the update includes a valid
- * QR token that matches the current time window.
- * 
- * If validation fails, the write is allowed to proceed (to maintain compatibility
- * with the existing app), but a rejection notification is sent to the user.
- * If validation succeeds, a success notification is sent.
- * 
- * This provides security monitoring while allowing the trusted app to function.
+ * Punch (callable)
+ *
+ * The only way to record check-in, check-out and break punches. The QR token is
+ * validated first, then the shift is updated in a transaction with the server
+ * time, so an invalid token rejects the punch. The Firestore rules deny client
+ * writes that set checkInTimestamp / checkOutTimestamp.
+ *
+ * Required data:
+ * - scheduleId: UserSchedule document id
+ * - action: 'check_in' | 'check_out' | 'break_start' | 'break_end'
+ * - token: QR token value
+ * - userId: (optional) owner of the shift, admins only; defaults to the caller
+ * - timeZone: (optional) IANA zone of the device, used for the local end date of overnight check-outs
+ *   and for the punch rounding; stored on the shift as punchTimeZone
+ * - position: (optional) { latitude, longitude, accuracy } of the device, for check-in / check-out
+ *
+ * Check-in and check-out positions are stored on the shift (checkInPosition / checkOutPosition).
+ * When the shift's location (or, for a shift without one, the QR display's location) has a geofence
+ * (src/shared/geofence.js), a punch outside of it, or without a position, is rejected or recorded
+ * with geofenceFlagged depending on the location's mode.
+ * Admins punching for an employee are not checked: the position is the admin's device.
+ *
+ * The check-out records totalHoursDay, autoBreakMinutes and mealBreakMissed, computed with
+ * SystemSettings/PunchRules and BreakRules (src/shared/punchRules.js), in the same transaction.
+ * A shift checked in before this callable existed (HH:mm checkedInTime only) gets its
+ * checkInTimestamp from that time, on eventDate in the shift's zone, when it is checked out.
+ *
+ * Returns: { success: true, action: string, timestamp: number, geofence: { status, distanceMeters, flagged } | null }
  */
-exports.validateTimestampUpdate = functions.firestore
-  .document('users/{userId}/UserSchedule/{scheduleId}')
-  .onUpdate(async (change, context) => {
+const PUNCH_ACTIONS = ['check_in', 'check_out', 'break_start', 'break_end'];
+const LEGACY_CHECK_IN_TIME = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+function toLocalDateStr(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timeZone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+exports.punch = functions
+  .runWith({ secrets: ['QR_TOKEN_SECRET'] })
+  .https.onCall(async (data, context) => {
     try {
-      const before = change.before.data();
-      const after = change.after.data();
-      const userId = context.params.userId;
-      const scheduleId = context.params.scheduleId;
+      if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to punch');
+      }
 
-      const checkInChanged = before.checkInTimestamp !== after.checkInTimestamp &&
-                            after.checkInTimestamp !== undefined;
-      const checkOutChanged = before.checkOutTimestamp !== after.checkOutTimestamp &&
-                             after.checkOutTimestamp !== undefined;
+      const { scheduleId, action, token, timeZone, position } = data || {};
+      const userId = (data && data.userId) || context.auth.uid;
+      const callerIsAdmin = context.auth.token.role === 'admin';
 
-      if (!checkInChanged && !checkOutChanged) {
-        return null;
+      if (userId !== context.auth.uid && !callerIsAdmin) {
+        throw new functions.https.HttpsError('permission-denied', 'You can only punch your own shifts');
+      }
+      if (!scheduleId || !PUNCH_ACTIONS.includes(action)) {
+        throw new functions.https.HttpsError('invalid-argument', 'A shift and a valid punch action are required');
+      }
+      if (timeZone) {
+        try {
+          toLocalDateStr(new Date(), timeZone);
+        } catch {
+          throw new functions.https.HttpsError('invalid-argument', `Unknown time zone: ${timeZone}`);
+        }
       }
 
-      console.log(`[Token Validator] Timestamp update detected for user ${userId}, schedule ${scheduleId}`);
+      const db = admin.firestore();
+      const shiftRef = db.collection('users').doc(userId).collection('UserSchedule').doc(scheduleId);
+      const shiftSnap = await shiftRef.get();
+      if (!shiftSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Shift not found');
+      }
 
-      const qrTokenValue = after.qrTokenUsed || null;
+      // Shifts of a location can only be punched with the QR display of that location
+      const punchType = action === 'check_out' ? 'check-out' : (action === 'check_in' ? 'check-in' : null);
+      const validationResult = await validateQRTokenServer(token, shiftSnap.data().locationId);
+      if (!validationResult.isValid) {
+        console.log(`[Punch] Rejected ${action} for user ${userId}: ${validationResult.message}`);
+        if (punchType) {
+          await sendTimestampValidationNotification(userId, scheduleId, false, punchType, validationResult.message);
+        }
+        throw new functions.https.HttpsError('failed-precondition', `QR validation failed: ${validationResult.message}`);
+      }
 
-      if (!qrTokenValue) {
-        console.log(`[Token Validator] No QR token provided in update - potential unauthorized access`);
-        
-        await sendTimestampValidationNotification(
-          userId,
-          scheduleId,
-          false,
-          checkInChanged ? 'check-in' : 'check-out',
-          'No QR token provided for validation'
-        );
-        
-        return null;
+      let punchPosition = null;
+      let geofence = null;
+      if (punchType) {
+        const { normalizePosition, evaluateGeofence, describeGeofenceResult } = await import('./shared/geofence.js');
+        const devicePosition = normalizePosition(position);
+        // A shift without a location is checked against the location of the QR display that was scanned
+        const locationId = shiftSnap.data().locationId || validationResult.locationId;
+        if (userId === context.auth.uid && locationId) {
+          const locationSnap = await db.collection('Locations').doc(locationId).get();
+          geofence = evaluateGeofence(devicePosition, locationSnap.exists ? locationSnap.data() : null);
+          geofence.message = describeGeofenceResult(geofence);
+        }
+        if (geofence && geofence.rejected) {
+          console.log(`[Punch] Rejected ${action} for user ${userId}: ${geofence.message}`);
+          await sendTimestampValidationNotification(userId, scheduleId, false, punchType, geofence.message);
+          throw new functions.https.HttpsError('failed-precondition', `Geofence check failed: ${geofence.message}`);
+        }
+        if (devicePosition || (geofence && geofence.status !== 'disabled')) {
+          punchPosition = {
+            ...(devicePosition || { latitude: null, longitude: null, accuracy: null }),
+            distanceMeters: geofence ? geofence.distanceMeters : null,
+            radiusMeters: geofence ? geofence.radiusMeters : null,
+            geofenceStatus: geofence ? geofence.status : 'disabled'
+          };
+        }
       }
 
-      const validationResult = await validateQRTokenServer(qrTokenValue);
+      // Worked hours are recorded with the check-out, under the rounding and break rules
+      let workedHoursRules = null;
+      if (action === 'check_out') {
+        const { normalizePunchRules, computePunchedShiftHours, zonedDateTime } = await import('./shared/punchRules.js');
+        const { normalizeBreakRules } = await import('./shared/breakRules.js');
+        const [punchRulesSnap, breakRulesSnap] = await Promise.all([
+          db.collection('SystemSettings').doc('PunchRules').get(),
+          db.collection('SystemSettings').doc('BreakRules').get()
+        ]);
+        workedHoursRules = {
+          computePunchedShiftHours,
+          zonedDateTime,
+          punchRules: normalizePunchRules(punchRulesSnap.exists ? punchRulesSnap.data() : null),
+          breakRules: normalizeBreakRules(breakRulesSnap.exists ? breakRulesSnap.data() : null)
+        };
+      }
 
-      if (!validationResult.isValid) {
-        console.log(`[Token Validator] Invalid token used: ${validationResult.message}`);
-        
-        await sendTimestampValidationNotification(
+      // One use of a token per employee and punch action: a screenshot cannot be replayed
+      const tokenUseRef = db.collection('QrTokenUses')
+        .doc(`${validationResult.signature.slice(0, 32)}_${userId}_${action}`);
+
+      const timestamp = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(shiftRef);
+        if (!snap.exists) {
+          throw new functions.https.HttpsError('not-found', 'Shift not found');
+        }
+        const tokenUseSnap = await tx.get(tokenUseRef);
+        if (tokenUseSnap.exists) {
+          throw new functions.https.HttpsError('failed-precondition', 'This QR code was already used for this punch. Scan the current code.');
+        }
+        const shift = snap.data();
+        const lockSnap = await tx.get(db.collection('PayPeriodLocks').doc(shift.eventDate));
+        if (lockSnap.exists) {
+          throw new functions.https.HttpsError('failed-precondition', 'This shift is in a locked pay period');
+        }
+
+        const now = admin.firestore.Timestamp.now();
+        const hasIn = Boolean(shift.checkInTimestamp || shift.checkedInTime);
+        const hasOut = Boolean(shift.checkOutTimestamp || shift.checkedOutTime);
+        const breaks = Array.isArray(shift.breaks) ? [...shift.breaks] : [];
+        const openBreakIndex = breaks.findIndex(b => b.start && !b.end);
+        const patch = { qrTokenUsed: token };
+
+        if (action === 'check_in') {
+          // Admins may re-stamp a check-in to correct it; employees punch once
+          if (hasOut || (hasIn && !callerIsAdmin)) {
+            throw new functions.https.HttpsError('failed-precondition', 'This shift is already checked in');
+          }
+          patch.checkInTimestamp = now;
+          patch.checkedInTime = admin.firestore.FieldValue.delete();
+          if (punchPosition) patch.checkInPosition = punchPosition;
+          if (timeZone) patch.punchTimeZone = timeZone;
+          patch.status = 'in_progress';
+        } else if (action === 'check_out') {
+          if (!hasIn) {
+            throw new functions.https.HttpsError('failed-precondition', 'A check-in is required before check-out');
+          }
+          if (hasOut && !callerIsAdmin) {
+            throw new functions.https.HttpsError('failed-precondition', 'This shift is already checked out');
+          }
+          // The scheduled times are wall-clock times of the shift's zone: the check-in device's when known
+          const shiftZone = shift.punchTimeZone || timeZone;
+          let checkIn = shift.checkInTimestamp ? shift.checkInTimestamp.toDate() : null;
+          // Shifts checked in before the punch callable only have an HH:mm checkedInTime on eventDate:
+          // it becomes their checkInTimestamp so they can still be checked out
+          if (!checkIn) {
+            if (!LEGACY_CHECK_IN_TIME.test(shift.checkedInTime)) {
+              throw new functions.https.HttpsError('failed-precondition',
+                `The check-in time "${shift.checkedInTime}" cannot be read. An admin must correct it before check-out.`);
+            }
+            checkIn = workedHoursRules.zonedDateTime(shift.eventDate, shift.checkedInTime, shiftZone);
+            patch.checkInTimestamp = admin.firestore.Timestamp.fromDate(checkIn);
+            patch.checkedInTime = admin.firestore.FieldValue.delete();
+          }
+          if (now.toMillis() <= checkIn.getTime()) {
+            throw new functions.https.HttpsError('failed-precondition', 'Check-out must be after the check-in');
+          }
+          // A running break ends with the shift
+          if (openBreakIndex !== -1) {
+            breaks[openBreakIndex] = { ...breaks[openBreakIndex], end: now };
+            patch.breaks = breaks;
+          }
+          const checkInDateStr = toLocalDateStr(checkIn, timeZone);
+          const checkOutDateStr = toLocalDateStr(now.toDate(), timeZone);
+          patch.checkOutTimestamp = now;
+          patch.checkedOutTime = admin.firestore.FieldValue.delete();
+          if (punchPosition) patch.checkOutPosition = punchPosition;
+          patch.overnight = checkOutDateStr !== checkInDateStr;
+          patch.endDate = patch.overnight ? checkOutDateStr : admin.firestore.FieldValue.delete();
+          patch.status = 'completed';
+          if (shiftZone) patch.punchTimeZone = shiftZone;
+          const worked = workedHoursRules.computePunchedShiftHours({
+            shift: { ...shift, breaks },
+            checkIn,
+            checkOut: now.toDate(),
+            punchRules: workedHoursRules.punchRules,
+            breakRules: workedHoursRules.breakRules,
+            timeZone: shiftZone
+          });
+          patch.totalHoursDay = worked.totalHoursDay;
+          patch.autoBreakMinutes = worked.autoBreakMinutes;
+          patch.mealBreakMissed = worked.mealBreakMissed;
+        } else {
+          if (!hasIn || hasOut) {
+            throw new functions.https.HttpsError('failed-precondition', 'Breaks can only be punched between check-in and check-out');
+          }
+          if (action === 'break_start') {
+            if (openBreakIndex !== -1) {
+              throw new functions.https.HttpsError('failed-precondition', 'A break is already running');
+            }
+            breaks.push({ start: now, end: null, paid: false });
+          } else {
+            if (openBreakIndex === -1) {
+              throw new functions.https.HttpsError('failed-precondition', 'No break is running');
+            }
+            breaks[openBreakIndex] = { ...breaks[openBreakIndex], end: now };
+          }
+          patch.breaks = breaks;
+        }
+        // Stays set once a punch of the shift was flagged, until an admin reviews it
+        if (geofence && geofence.flagged) {
+          patch.geofenceFlagged = true;
+        }
+
+        tx.update(shiftRef, patch);
+        // expiresAt lets a Firestore TTL policy clean up the used tokens
+        tx.set(tokenUseRef, {
           userId,
           scheduleId,
-          false,
-          checkInChanged ? 'check-in' : 'check-out',
-          validationResult.message
-        );
-        
-        return null;
-      }
+          action,
+          kioskId: validationResult.kioskId,
+          usedAt: now,
+          expiresAt: admin.firestore.Timestamp.fromMillis(validationResult.validUntilMs)
+        });
+        return now;
+      });
 
-      console.log(`[Token Validator] Valid token used for timestamp update`);
-      
-      await sendTimestampValidationNotification(
-        userId,
-        scheduleId,
-        true,
-        checkInChanged ? 'check-in' : 'check-out',
-        'Timestamp recorded successfully'
-      );
+      console.log(`[Punch] ${action} recorded for user ${userId}, schedule ${scheduleId}`);
+      if (punchType) {
+        const flagged = Boolean(geofence && geofence.flagged);
+        await sendTimestampValidationNotification(userId, scheduleId, true, punchType,
+          flagged ? geofence.message : 'Timestamp recorded successfully', flagged);
+      }
 
-      return null;
+      return {
+        success: true,
+        action,
+        timestamp: timestamp.toMillis(),
+        geofence: geofence
+          ? { status: geofence.status, distanceMeters: geofence.distanceMeters, flagged: geofence.flagged }
+          : null
+      };
 
     } catch (error) {
-      console.error('[Token Validator] Error in timestamp validation:', error);
-      return null;
+      if (error instanceof functions.https.HttpsError) {
+        throw error;
+      }
+      console.error('[Punch] Error recording punch:', error);
+      throw new functions.https.HttpsError('internal', `Failed to record punch: ${error.message}`);
     }
   });
 
+/**
+ * Signed QR punch tokens
+ *
+ * Format: v1.<kioskId>.<issuedAtMs>.<HMAC-SHA256 of "v1.<kioskId>.<issuedAtMs>", base64url>
+ * The secret never leaves the functions (firebase functions:secrets:set QR_TOKEN_SECRET).
+ * A token is valid for one rotation plus the grace window of SystemSettings/PunchRules
+ * (qrGraceSeconds), so the previous code still works right after the display rotates.
+ */
+const QR_TOKEN_ROTATION_MS = 60 * 1000;
+const DEFAULT_QR_GRACE_SECONDS = 30;
+const QR_CLOCK_SKEW_MS = 5 * 1000;
+
+function signQrPayload(payload) {
+  const secret = process.env.QR_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('QR_TOKEN_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createQrToken(kioskId, issuedAtMs) {
+  const payload = `v1.${kioskId}.${issuedAtMs}`;
+  return `${payload}.${signQrPayload(payload)}`;
+}
+
+function parseQrToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 4 || parts[0] !== 'v1' || !parts[1] || !/^\d+$/.test(parts[2])) {
+    return null;
+  }
+  return {
+    payload: parts.slice(0, 3).join('.'),
+    kioskId: parts[1],
+    issuedAtMs: Number(parts[2]),
+    signature: parts[3]
+  };
+}
+
+async function loadQrGraceSeconds() {
+  const snap = await admin.firestore().collection('SystemSettings').doc('PunchRules').get();
+  const grace = snap.exists ? Number(snap.data().qrGraceSeconds) : NaN;
+  return Number.isFinite(grace) && grace >= 0 ? grace : DEFAULT_QR_GRACE_SECONDS;
+}
+
 /**
  * Server-side QR token validation
- * Fetches the latest token and validates against provided token
+ * Checks the signature and the validity window of a signed token, that its kiosk is
+ * still active and, for a shift with a locationId, that the kiosk is at that location
  */
-async function validateQRTokenServer(providedToken) {
+async function validateQRTokenServer(providedToken, expectedLocationId) {
   try {
     if (!providedToken || typeof providedToken !== 'string') {
       return {
@@ -385,36 +627,37 @@ async function validateQRTokenServer(providedToken) {
       };
     }
 
-    const tokenSnapshot = await admin.firestore()
-      .collection('qrTokens')
-      .orderBy('issuedAt', 'desc')
-      .limit(1)
-      .get();
-
-    if (tokenSnapshot.empty) {
+    const parsed = parseQrToken(providedToken);
+    if (!parsed) {
       return {
         isValid: false,
-        message: 'No active QR token found in system',
-        code: 'NO_ACTIVE_TOKEN'
+        message: 'Unrecognized QR code',
+        code: 'MALFORMED_TOKEN'
       };
     }
 
-    const tokenDoc = tokenSnapshot.docs[0];
-    const tokenData = tokenDoc.data();
-
-    if (tokenData.value !== providedToken) {
+    const expected = Buffer.from(signQrPayload(parsed.payload));
+    const actual = Buffer.from(parsed.signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
       return {
         isValid: false,
-        message: 'Invalid or expired token',
+        message: 'Invalid token',
         code: 'TOKEN_MISMATCH'
       };
     }
 
-    const now = new Date();
-    const expiresAt = tokenData.expiresAt ? tokenData.expiresAt.toDate() : null;
-    const issuedAt = tokenData.issuedAt ? tokenData.issuedAt.toDate() : null;
+    const now = Date.now();
+    const graceSeconds = await loadQrGraceSeconds();
 
-    if (expiresAt && now > expiresAt) {
+    if (parsed.issuedAtMs > now + QR_CLOCK_SKEW_MS) {
+      return {
+        isValid: false,
+        message: 'Token not yet valid',
+        code: 'TOKEN_NOT_VALID_YET'
+      };
+    }
+
+    if (now > parsed.issuedAtMs + QR_TOKEN_ROTATION_MS + graceSeconds * 1000) {
       return {
         isValid: false,
         message: 'Token has expired',
@@ -422,18 +665,34 @@ async function validateQRTokenServer(providedToken) {
       };
     }
 
-    if (issuedAt && now < issuedAt) {
+    // Codes of a revoked kiosk stop working right away
+    const kioskDoc = await admin.firestore().collection('Kiosks').doc(parsed.kioskId).get();
+    if (!kioskDoc.exists || kioskDoc.data().active !== true) {
       return {
         isValid: false,
-        message: 'Token not yet valid',
-        code: 'TOKEN_NOT_VALID_YET'
+        message: 'This QR display is no longer authorized',
+        code: 'KIOSK_REVOKED'
+      };
+    }
+
+    const kioskLocationId = kioskDoc.data().locationId || null;
+    if (expectedLocationId && kioskLocationId !== expectedLocationId) {
+      return {
+        isValid: false,
+        message: 'This QR code belongs to another location',
+        code: 'WRONG_LOCATION'
       };
     }
 
     return {
       isValid: true,
       message: 'Token validation successful',
-      code: 'VALID'
+      code: 'VALID',
+      kioskId: parsed.kioskId,
+      locationId: kioskLocationId,
+      issuedAtMs: parsed.issuedAtMs,
+      signature: parsed.signature,
+      validUntilMs: parsed.issuedAtMs + QR_TOKEN_ROTATION_MS + graceSeconds * 1000
     };
 
   } catch (error) {
@@ -446,10 +705,257 @@ async function validateQRTokenServer(providedToken) {
   }
 }
 
+/**
+ * Issue QR Token (callable)
+ *
+ * Signs a new punch token for the calling kiosk and stores it in
+ * qrTokens/{kioskId} (with the kiosk's locationId), where admins can read the current code.
+ * Only paired kiosks (role 'kiosk' with an active Kiosks document) can issue tokens.
+ *
+ * Returns: { value: string, issuedAt: number, expiresAt: number } (ms)
+ */
+exports.issueQrToken = functions
+  .runWith({ secrets: ['QR_TOKEN_SECRET'] })
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to issue QR tokens');
+    }
+    if (context.auth.token.role !== 'kiosk') {
+      throw new functions.https.HttpsError('permission-denied', 'Only a paired QR display can issue tokens');
+    }
+
+    try {
+      const kioskId = context.auth.uid;
+      const kioskRef = admin.firestore().collection('Kiosks').doc(kioskId);
+      const kioskDoc = await kioskRef.get();
+      if (!kioskDoc.exists || kioskDoc.data().active !== true) {
+        throw new functions.https.HttpsError('permission-denied', 'This QR display has been revoked');
+      }
+
+      const issuedAt = Date.now();
+      const expiresAt = issuedAt + QR_TOKEN_ROTATION_MS;
+      const value = createQrToken(kioskId, issuedAt);
+
+      await admin.firestore().collection('qrTokens').doc(kioskId).set({
+        value,
+        kioskId,
+        locationId: kioskDoc.data().locationId || null,
+        issuedAt: admin.firestore.Timestamp.fromMillis(issuedAt),
+        expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt)
+      });
+      await kioskRef.update({ lastSeenAt: admin.firestore.FieldValue.serverTimestamp() });
+
+      return { value, issuedAt, expiresAt };
+    } catch (error) {
+      if (error instanceof functions.https.HttpsError) {
+        throw error;
+      }
+      console.error('[QR] Error issuing token:', error);
+      throw new functions.https.HttpsError('internal', `Failed to issue QR token: ${error.message}`);
+    }
+  });
+
+/**
+ * Kiosk pairing
+ *
+ * QR displays run under their own account with the 'kiosk' role instead of an admin login.
+ * An admin creates a one-time pairing code (KioskPairingCodes/{code}) from the Devices page;
+ * the display redeems it with pairKiosk, which creates the kiosk account and its
+ * Kiosks/{uid} document and returns a custom token to sign in with.
+ */
+const KIOSK_PAIRING_CODE_TTL_MS = 15 * 60 * 1000;
+const KIOSK_PAIRING_CODE_LENGTH = 8;
+// No 0/O or 1/I so the code can be typed from the screen
+const KIOSK_PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function createPairingCode() {
+  let code = '';
+  for (let i = 0; i < KIOSK_PAIRING_CODE_LENGTH; i++) {
+    code += KIOSK_PAIRING_ALPHABET[crypto.randomInt(KIOSK_PAIRING_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Create Kiosk Pairing Code (callable, admin only)
+ *
+ * Required data:
+ * - name: Display name of the kiosk (e.g. "Front entrance")
+ * - locationId: (optional) Locations document id; the kiosk's codes only punch shifts of that location
+ *
+ * Returns: { code: string, expiresAt: number } (ms)
+ */
+exports.createKioskPairingCode = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to pair kiosks');
+  }
+  if (context.auth.token.role !== 'admin') {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can pair kiosks');
+  }
+
+  const name = data && typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    throw new functions.https.HttpsError('invalid-argument', 'Kiosk name is required');
+  }
+  const locationId = data && typeof data.locationId === 'string' ? data.locationId : null;
+
+  try {
+    if (locationId) {
+      const locationDoc = await admin.firestore().collection('Locations').doc(locationId).get();
+      if (!locationDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Location not found');
+      }
+    }
+
+    const code = createPairingCode();
+    const expiresAt = Date.now() + KIOSK_PAIRING_CODE_TTL_MS;
+
+    await admin.firestore().collection('KioskPairingCodes').doc(code).set({
+      name,
+      locationId,
+      createdBy: context.auth.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt)
+    });
+
+    console.log(`[Kiosk] Pairing code created for "${name}" by ${context.auth.uid}`);
+    return { code, expiresAt };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('[Kiosk] Error creating pairing code:', error);
+    throw new functions.https.HttpsError('internal', `Failed to create pairing code: ${error.message}`);
+  }
+});
+
+/**
+ * Pair Kiosk (callable, no sign-in required)
+ *
+ * Redeems a pairing code: creates the kiosk account with the 'kiosk' role and its
+ * Kiosks/{uid} document. The code can only be used once.
+ *
+ * Required data:
+ * - code: Pairing code shown on the Devices page
+ *
+ * Returns: { customToken: string, kioskId: string, name: string }
+ */
+exports.pairKiosk = functions.https.onCall(async (data) => {
+  const code = data && typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+  if (!code) {
+    throw new functions.https.HttpsError('invalid-argument', 'Pairing code is required');
+  }
+
+  try {
+    const codeRef = admin.firestore().collection('KioskPairingCodes').doc(code);
+
+    // Delete the code in a transaction so two displays cannot redeem it
+    const pairing = await admin.firestore().runTransaction(async (tx) => {
+      const codeDoc = await tx.get(codeRef);
+      if (!codeDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Invalid pairing code');
+      }
+      tx.delete(codeRef);
+      return codeDoc.data();
+    });
+
+    if (pairing.expiresAt.toMillis() < Date.now()) {
+      throw new functions.https.HttpsError('deadline-exceeded', 'This pairing code has expired. Create a new one.');
+    }
+
+    const userRecord = await admin.auth().createUser({ displayName: pairing.name });
+    await admin.auth().setCustomUserClaims(userRecord.uid, {
+      role: 'kiosk',
+      pairedAt: Date.now()
+    });
+
+    await admin.firestore().collection('Kiosks').doc(userRecord.uid).set({
+      name: pairing.name,
+      locationId: pairing.locationId || null,
+      active: true,
+      pairedAt: admin.firestore.FieldValue.serverTimestamp(),
+      pairedBy: pairing.createdBy
+    });
+
+    const customToken = await admin.auth().createCustomToken(userRecord.uid);
+
+    console.log(`[Kiosk] Kiosk "${pairing.name}" paired with UID: ${userRecord.uid}`);
+    return { customToken, kioskId: userRecord.uid, name: pairing.name };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('[Kiosk] Error pairing kiosk:', error);
+    throw new functions.https.HttpsError('internal', `Failed to pair kiosk: ${error.message}`);
+  }
+});
+
+/**
+ * Revoke Kiosk (callable, admin only)
+ *
+ * Disables the kiosk account, signs it out and deactivates its Kiosks document;
+ * the codes it already displayed are rejected by the punch function from then on.
+ *
+ * Required data:
+ * - kioskId: UID of the kiosk
+ *
+ * Returns: { success: true, kioskId: string }
+ */
+exports.revokeKiosk = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to revoke kiosks');
+  }
+  if (context.auth.token.role !== 'admin') {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can revoke kiosks');
+  }
+
+  const kioskId = data && data.kioskId;
+  if (!kioskId || typeof kioskId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Kiosk ID (kioskId) is required');
+  }
+
+  try {
+    const kioskRef = admin.firestore().collection('Kiosks').doc(kioskId);
+    const kioskDoc = await kioskRef.get();
+    if (!kioskDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Kiosk not found');
+    }
+
+    await kioskRef.update({
+      active: false,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedBy: context.auth.uid
+    });
+    await admin.firestore().collection('qrTokens').doc(kioskId).delete();
+
+    try {
+      await admin.auth().updateUser(kioskId, { disabled: true });
+      await admin.auth().revokeRefreshTokens(kioskId);
+    } catch (authError) {
+      // Account already deleted from Authentication: the Kiosks document is enough
+      if (authError.code !== 'auth/user-not-found') {
+        throw authError;
+      }
+    }
+
+    console.log(`[Kiosk] Kiosk ${kioskId} revoked by ${context.auth.uid}`);
+    return { success: true, kioskId };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('[Kiosk] Error revoking kiosk:', error);
+    throw new functions.https.HttpsError('internal', `Failed to revoke kiosk: ${error.message}`);
+  }
+});
+
 /**
  * Sends validation notification to user
+ * A recorded punch flagged by the geofence (geofenceFlagged) mentions the reason in its message.
  */
-async function sendTimestampValidationNotification(userId, scheduleId, success, type, message) {
+async function sendTimestampValidationNotification(userId, scheduleId, success, type, message, geofenceFlagged = false) {
   try {
     const userDoc = await admin.firestore()
       .collection('users')
@@ -462,15 +968,19 @@ async function sendTimestampValidationNotification(userId, scheduleId, success,
     }
 
     const userData = userDoc.data();
+    const label = type === 'check-in' ? 'Check-in' : 'Check-out';
     const notificationMessage = success
-      ? `${type === 'check-in' ? 'Check-in' : 'Check-out'} recorded successfully with valid QR code`
-      : `${type === 'check-in' ? 'Check-in' : 'Check-out'} attempt rejected: ${message}`;
+      ? (geofenceFlagged
+        ? `${label} recorded with valid QR code but flagged: ${message}`
+        : `${label} recorded successfully with valid QR code`)
+      : `${label} attempt rejected: ${message}`;
 
     const notificationData = {
       privateMessage: notificationMessage,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       type: 'timestamp_validation',
       validationSuccess: success,
+      geofenceFlagged,
       timestampType: type,
       scheduleId: scheduleId,
       read: false
@@ -488,12 +998,13 @@ async function sendTimestampValidationNotification(userId, scheduleId, success,
     if (fcmToken) {
       const fcmMessage = {
         notification: {
-          title: success ? 'Timestamp Validated' : 'Validation Failed',
+          title: success ? (geofenceFlagged ? 'Timestamp Flagged' : 'Timestamp Validated') : 'Validation Failed',
           body: notificationMessage,
         },
         data: {
           type: 'timestamp_validation',
           validationSuccess: String(success),
+          geofenceFlagged: String(geofenceFlagged),
           timestampType: type,
           scheduleId: scheduleId,
           timestamp: Date.now().toString()
@@ -525,6 +1036,388 @@ async function sendTimestampValidationNotification(userId, scheduleId, success,
   }
 }
 
+/**
+ * Recompute Weekly Earnings on Schedule Writes
+ *
+ * Triggers on every create/update/delete of a user schedule document and
+ * rebuilds the RecordEarnings documents (one per day) for the affected week(s).
+ * Overtime is cumulative over the Monday-Sunday week, so the whole week is
+ * recalculated each time.
+ *
+ * This is the only writer of RecordEarnings; the web app reads it.
+ */
+exports.recomputeWeeklyEarnings = functions.firestore
+  .document('users/{userId}/UserSchedule/{scheduleId}')
+  .onWrite(async (change, context) => {
+    try {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+      const userId = context.params.userId;
+
+      // Ignore writes that cannot change earnings (notes, QR token, etc.)
+      // A location change alone still moves the hours between RecordEarnings.locationHours keys
+      if (before && after &&
+          before.eventDate === after.eventDate &&
+          before.duration === after.duration &&
+          before.totalHoursDay === after.totalHoursDay &&
+          before.locationId === after.locationId) {
+        return null;
+      }
+
+      const { collectWeekStarts } = await import('./shared/overtimeEngine.js');
+      const weekStarts = collectWeekStarts([before, after].map(data => data && data.eventDate));
+
+      await syncWeeklyEarningsForUser(userId, weekStarts);
+
+      return null;
+
+    } catch (error) {
+      console.error('[Earnings] Error recomputing weekly earnings:', error);
+      return null;
+    }
+  });
+
+/**
+ * Recompute Earnings on Wage Changes
+ *
+ * Triggers when a WageHistory entry is written. Every week containing a shift
+ * on or after the entry's effectiveFrom date is recalculated with the new rate.
+ */
+exports.recomputeEarningsOnWageChange = functions.firestore
+  .document('users/{userId}/WageHistory/{historyId}')
+  .onWrite(async (change, context) => {
+    try {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+      const userId = context.params.userId;
+
+      const dates = [before, after]
+        .map(data => data && data.effectiveFrom)
+        .filter(d => typeof d === 'string')
+        .sort();
+
+      if (dates.length === 0) {
+        return null;
+      }
+
+      const schedulesSnap = await admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('UserSchedule')
+        .where('eventDate', '>=', dates[0])
+        .get();
+
+      const { collectWeekStarts } = await import('./shared/overtimeEngine.js');
+      const weekStarts = collectWeekStarts(schedulesSnap.docs.map(docSnap => docSnap.data().eventDate));
+
+      console.log(`[Earnings] Wage change for user ${userId}, recomputing ${weekStarts.length} week(s)`);
+
+      await syncWeeklyEarningsForUser(userId, weekStarts);
+
+      return null;
+
+    } catch (error) {
+      console.error('[Earnings] Error recomputing earnings after wage change:', error);
+      return null;
+    }
+  });
+
+/**
+ * Recompute Earnings on Overtime Rule Changes
+ *
+ * Triggers when SystemSettings/OvertimeRules is written from the admin
+ * Overtime Settings card. Only the current and future weeks are recalculated;
+ * past weeks keep the rules that applied when they were recorded.
+ * Users are read page by page and recomputed a few at a time (see forEachUser).
+ */
+exports.recomputeEarningsOnOvertimeRulesChange = functions
+  .runWith({ timeoutSeconds: 540 })
+  .firestore
+  .document('SystemSettings/OvertimeRules')
+  .onWrite(async () => {
+    try {
+      const { getWeekStartStr } = await import('./shared/dateStrings.js');
+      const { collectWeekStarts } = await import('./shared/overtimeEngine.js');
+      const currentWeekStart = getWeekStartStr(new Date().toISOString().slice(0, 10));
+
+      await forEachUser(async (userDoc) => {
+        const schedulesSnap = await userDoc.ref
+          .collection('UserSchedule')
+          .where('eventDate', '>=', currentWeekStart)
+          .get();
+
+        const weekStarts = collectWeekStarts(schedulesSnap.docs.map(docSnap => docSnap.data().eventDate));
+        await syncWeeklyEarningsForUser(userDoc.id, weekStarts);
+      });
+
+      console.log(`[Earnings] Overtime rules changed, recomputed weeks from ${currentWeekStart}`);
+      return null;
+
+    } catch (error) {
+      console.error('[Earnings] Error recomputing earnings after overtime rules change:', error);
+      return null;
+    }
+  });
+
+/**
+ * Recompute Earnings on Holiday Changes
+ *
+ * Triggers when SystemSettings/Holidays is written from the admin Holidays card.
+ * Only the weeks containing an added, removed or re-rated holiday are recalculated.
+ */
+exports.recomputeEarningsOnHolidaysChange = functions
+  .runWith({ timeoutSeconds: 540 })
+  .firestore
+  .document('SystemSettings/Holidays')
+  .onWrite(async (change) => {
+    try {
+      const beforeDates = (change.before.exists && change.before.data().dates) || {};
+      const afterDates = (change.after.exists && change.after.data().dates) || {};
+
+      const changedDates = [...new Set([...Object.keys(beforeDates), ...Object.keys(afterDates)])]
+        .filter(date => JSON.stringify(beforeDates[date] || null) !== JSON.stringify(afterDates[date] || null));
+
+      if (changedDates.length === 0) {
+        return null;
+      }
+
+      const { addDaysStr } = await import('./shared/dateStrings.js');
+      const { collectWeekStarts } = await import('./shared/overtimeEngine.js');
+      const weekStarts = collectWeekStarts(changedDates);
+
+      await forEachUser(async (userDoc) => {
+        const workedWeeks = [];
+        for (const weekStartStr of weekStarts) {
+          const weekShifts = await userDoc.ref
+            .collection('UserSchedule')
+            .where('eventDate', '>=', weekStartStr)
+            .where('eventDate', '<=', addDaysStr(weekStartStr, 6))
+            .limit(1)
+            .get();
+
+          if (!weekShifts.empty) {
+            workedWeeks.push(weekStartStr);
+          }
+        }
+        await syncWeeklyEarningsForUser(userDoc.id, workedWeeks);
+      });
+
+      console.log(`[Earnings] Holidays changed, recomputed ${weekStarts.length} week(s)`);
+      return null;
+
+    } catch (error) {
+      console.error('[Earnings] Error recomputing earnings after holidays change:', error);
+      return null;
+    }
+  });
+
+/**
+ * Sync Pay Period Locks
+ *
+ * Triggers when a PayPeriods document is written from the Payroll page.
+ * Locked and paid periods get one PayPeriodLocks/{date} marker per day, which
+ * the Firestore rules and syncWeeklyEarningsForUser check before changing
+ * shifts or earnings. Reopening a period removes its markers.
+ */
+exports.syncPayPeriodLocks = functions.firestore
+  .document('PayPeriods/{periodId}')
+  .onWrite(async (change, context) => {
+    try {
+      const { isLockedStatus, listPeriodDates } = await import('./shared/payPeriods.js');
+      const periodId = context.params.periodId;
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+
+      const db = admin.firestore();
+      const batch = db.batch();
+
+      // Remove markers of dates no longer covered (reopened period or changed bounds)
+      if (before && before.start && before.end) {
+        const keep = after && isLockedStatus(after.status) ? new Set(listPeriodDates(after)) : new Set();
+        const staleRefs = listPeriodDates(before)
+          .filter(date => !keep.has(date))
+          .map(date => db.collection('PayPeriodLocks').doc(date));
+        const staleSnaps = staleRefs.length > 0 ? await db.getAll(...staleRefs) : [];
+        staleSnaps
+          .filter(snap => snap.exists && snap.data().periodId === periodId)
+          .forEach(snap => batch.delete(snap.ref));
+      }
+
+      if (after && isLockedStatus(after.status) && after.start && after.end) {
+        listPeriodDates(after).forEach(date => {
+          batch.set(db.collection('PayPeriodLocks').doc(date), {
+            periodId,
+            status: after.status,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+      }
+
+      await batch.commit();
+      console.log(`[PayPeriods] Locks synced for period ${periodId} (${after ? after.status : 'deleted'})`);
+      return null;
+
+    } catch (error) {
+      console.error('[PayPeriods] Error syncing pay period locks:', error);
+      return null;
+    }
+  });
+
+const USERS_PAGE_SIZE = 200;
+const USERS_CONCURRENCY = 10;
+
+/**
+ * Runs a task for every user document, one page of users at a time and at most
+ * USERS_CONCURRENCY users in parallel, so company-wide recomputes fit in the function timeout.
+ * A failing user is logged (under `label`) and does not stop the others.
+ */
+async function forEachUser(task, label = 'Earnings') {
+  const db = admin.firestore();
+  let lastDoc = null;
+
+  for (;;) {
+    let pageQuery = db.collection('users')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(USERS_PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+    const page = await pageQuery.get();
+    if (page.empty) return;
+
+    const queue = [...page.docs];
+    const workers = Array.from({ length: Math.min(USERS_CONCURRENCY, queue.length) }, async () => {
+      while (queue.length > 0) {
+        const userDoc = queue.shift();
+        try {
+          await task(userDoc);
+        } catch (error) {
+          console.error(`[${label}] Error processing user ${userDoc.id}:`, error);
+        }
+      }
+    });
+    await Promise.all(workers);
+
+    if (page.size < USERS_PAGE_SIZE) return;
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+}
+
+/**
+ * Rebuilds the RecordEarnings documents of the given Monday-Sunday weeks for one user.
+ * The loop and the calculation live in the shared overtime engine (src/shared/overtimeEngine.js,
+ * recomputeEarningsWeeks), which also drives the projection shown in the web app.
+ */
+async function syncWeeklyEarningsForUser(userId, weekStarts) {
+  if (!weekStarts || weekStarts.length === 0) return;
+
+  const { recomputeEarningsWeeks } = await import('./shared/overtimeEngine.js');
+  const { addDaysStr } = await import('./shared/dateStrings.js');
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    console.log(`[Earnings] User document not found: ${userId}`);
+    return;
+  }
+
+  const [historySnap, rulesDoc, holidaysDoc] = await Promise.all([
+    userRef
+      .collection('WageHistory')
+      .orderBy('effectiveFrom', 'asc')
+      .get(),
+    db.collection('SystemSettings').doc('OvertimeRules').get(),
+    db.collection('SystemSettings').doc('Holidays').get()
+  ]);
+
+  const history = historySnap.docs.map(d => ({
+    rate: typeof d.data().rate === 'number' ? d.data().rate : null,
+    effectiveFrom: d.data().effectiveFrom,
+  })).filter(e => e.rate != null && typeof e.effectiveFrom === 'string');
+
+  const lockedCount = await recomputeEarningsWeeks({
+    weekStarts,
+    rules: rulesDoc.exists ? rulesDoc.data() : null,
+    history,
+    fallbackRate: parseFloat(userDoc.data().hourlyWage),
+    holidays: holidaysDoc.exists ? holidaysDoc.data().dates : null,
+    loadWeek: async (weekStartStr) => {
+      // Days in a locked or paid pay period keep their recorded earnings
+      const weekDates = [0, 1, 2, 3, 4, 5, 6].map(i => addDaysStr(weekStartStr, i));
+      const [schedulesSnap, lockSnaps] = await Promise.all([
+        userRef
+          .collection('UserSchedule')
+          .where('eventDate', '>=', weekStartStr)
+          .where('eventDate', '<=', weekDates[6])
+          .orderBy('eventDate')
+          .get(),
+        db.getAll(...weekDates.map(date => db.collection('PayPeriodLocks').doc(date)))
+      ]);
+      return {
+        shifts: schedulesSnap.docs.map(d => d.data()),
+        lockedDates: lockSnaps.filter(snap => snap.exists).map(snap => snap.id)
+      };
+    },
+    saveWeek: async (weekStartStr, records) => {
+      const batch = db.batch();
+      records.forEach(record => {
+        // mergeFields replaces each field whole, so locationHours loses the locations no longer worked
+        batch.set(userRef.collection('RecordEarnings').doc(record.date), {
+          ...record,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { mergeFields: [...Object.keys(record), 'updatedAt'] });
+      });
+      await batch.commit();
+    }
+  });
+
+  console.log(`[Earnings] Recomputed ${weekStarts.length} week(s) for user ${userId}` +
+    (lockedCount > 0 ? ` (${lockedCount} locked day(s) skipped)` : ''));
+}
+
+const LEGACY_SHIFTS_BATCH_SIZE = 450;
+
+/**
+ * Publish Legacy Shifts
+ *
+ * HTTP callable function, run once by an admin after deploying the draft shift rules.
+ * Employees list their schedule with where('published', '==', true), which cannot match
+ * shifts written before drafts existed (no `published` field); this stamps them as published.
+ * The earnings trigger ignores the write (no time fields change).
+ *
+ * Returns: { success: true, updated: number }
+ */
+exports.publishLegacyShifts = functions
+  .runWith({ timeoutSeconds: 540 })
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to publish shifts');
+    }
+    if (context.auth.token.role !== 'admin') {
+      throw new functions.https.HttpsError('permission-denied', 'Only admins can publish shifts');
+    }
+
+    const db = admin.firestore();
+    let updated = 0;
+
+    await forEachUser(async (userDoc) => {
+      const schedulesSnap = await userDoc.ref.collection('UserSchedule').get();
+      const legacy = schedulesSnap.docs.filter(d => d.get('published') === undefined);
+
+      for (let i = 0; i < legacy.length; i += LEGACY_SHIFTS_BATCH_SIZE) {
+        const batch = db.batch();
+        legacy.slice(i, i + LEGACY_SHIFTS_BATCH_SIZE).forEach(d => batch.update(d.ref, { published: true }));
+        await batch.commit();
+      }
+      updated += legacy.length;
+    }, 'Drafts');
+
+    console.log(`[Drafts] Marked ${updated} legacy shift(s) as published`);
+    return { success: true, updated };
+  });
+
 /**
  * Create Admin User
  * 
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Shared Modules Sync Tool
+ *
+ * Copies the framework-free modules in src/shared into functions/shared so the
+ * web app and Cloud Functions run exactly the same calculation code.
+ * The copies are ES modules; functions/index.js loads them with import().
+ *
+ * Runs automatically as the functions predeploy step (see firebase.json).
+ */
+
+const sourceDir = path.join(__dirname, '..', 'src', 'shared');
+const targetDir = path.join(__dirname, '..', 'functions', 'shared');
+
+function main() {
+  console.log('\nSyncing shared modules into functions/shared...');
+
+  if (!fs.existsSync(sourceDir)) {
+    console.error('Error: src/shared not found!');
+    process.exit(1);
+  }
+
+  fs.rmSync(targetDir, { recursive: true, force: true });
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const files = fs.readdirSync(sourceDir)
+    .filter(name => name.endsWith('.js') && !name.endsWith('.test.js'));
+
+  files.forEach(name => {
+    fs.copyFileSync(path.join(sourceDir, name), path.join(targetDir, name));
+    console.log(`  - ${name}`);
+  });
+
+  // Mark the folder as ESM so Node accepts the `export` syntax
+  fs.writeFileSync(
+    path.join(targetDir, 'package.json'),
+    JSON.stringify({ type: 'module' }, null, 2) + '\n',
+    'utf8'
+  );
+
+  console.log(`Synced ${files.length} module(s).\n`);
+}
+
+main();
@@ -2,6 +2,7 @@ import './App.css';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
+import 'react-big-calendar/lib/addons/dragAndDrop/styles.css';
 
 import { BrowserRouter, Route, Routes, Navigate } from 'react-router-dom';
 
@@ -9,6 +10,11 @@ import CreateUserPage from './pages/CreateUserPage';
 import AddSchedule from './components/AddSchdule';
 import UserSchedule from './components/UserSchedule';
 import EditProfilePage from './pages/EditProfilePage';
+import PayrollPage from './pages/PayrollPage';
+import TimeOffPage from './pages/TimeOffPage';
+import ShiftRequestsPage from './pages/ShiftRequestsPage';
+import CoveragePage from './pages/CoveragePage';
+import DevicesPage from './pages/DevicesPage';
 import LoginPage from './pages/LoginPage';
 import ProtectedRoute from './components/ProtectedRoute';
 
@@ -42,6 +48,21 @@ function App() {
                     {/* Individual user schedule page */}
                     <Route path="/userschedule" element={<UserSchedule />} />
                     
+                    {/* Payroll summary and export per pay period */}
+                    <Route path="/payroll" element={<PayrollPage />} />
+
+                    {/* Time-off review queue */}
+                    <Route path="/timeoff" element={<TimeOffPage />} />
+
+                    {/* Open shift claims and swap requests */}
+                    <Route path="/shiftrequests" element={<ShiftRequestsPage />} />
+
+                    {/* Staffing requirements and weekly coverage report */}
+                    <Route path="/coverage" element={<CoveragePage />} />
+
+                    {/* Paired QR displays (kiosks) */}
+                    <Route path="/devices" element={<DevicesPage />} />
+
                     {/* Edit profile page (no nav link; direct route only) */}
                     <Route path="/editprofile/:userId" element={<EditProfilePage />} />
                   </Routes>
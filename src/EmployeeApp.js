@@ -0,0 +1,44 @@
+import React from 'react';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { ToastContainer } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import './App.css';
+
+import EmployeePortalPage from './pages/EmployeePortalPage';
+import EmployeeLoginPage from './pages/EmployeeLoginPage';
+import EmployeeRoute from './components/EmployeeRoute';
+
+/**
+ * EmployeeApp Component
+ * 
+ * Standalone app for the employee self-service portal (npm run start:employee).
+ * Any signed-in employee can view their own schedule, earnings, wage history
+ * and notifications, and request time off. Everything else is read-only.
+ */
+const EmployeeApp = () => (
+  <div className="App">
+    <BrowserRouter>
+      <Routes>
+        {/* Public route: Login */}
+        <Route path="/login" element={<EmployeeLoginPage />} />
+        
+        {/* Protected route: Portal */}
+        <Route
+          path="/"
+          element={
+            <EmployeeRoute>
+              <EmployeePortalPage />
+            </EmployeeRoute>
+          }
+        />
+        
+        {/* Redirect all other routes to home */}
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+
+      <ToastContainer position="top-right" />
+    </BrowserRouter>
+  </div>
+);
+
+export default EmployeeApp;
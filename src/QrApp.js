@@ -2,30 +2,30 @@ import React from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 
 import QrDisplayPage from './pages/QrDisplayPage';
-import LoginPage from './pages/LoginPage';
-import ProtectedRoute from './components/ProtectedRoute';
+import KioskPairingPage from './pages/KioskPairingPage';
+import KioskRoute from './components/KioskRoute';
 
 /**
  * QrApp Component
  * 
  * Standalone app for QR Display mode (npm run start:qr).
- * Requires admin authentication to prevent unauthorized access.
- * Only authenticated admins can display the QR code.
+ * Runs under a dedicated kiosk account paired from the admin Devices page,
+ * never with admin credentials. A kiosk can only issue QR tokens.
  */
 const QrApp = () => (
   <div className="qr-app">
     <BrowserRouter>
       <Routes>
-        {/* Public route: Login */}
-        <Route path="/login" element={<LoginPage />} />
+        {/* Public route: Pairing */}
+        <Route path="/pair" element={<KioskPairingPage />} />
         
-        {/* Protected route: QR Display */}
+        {/* Kiosk route: QR Display */}
         <Route
           path="/"
           element={
-            <ProtectedRoute>
+            <KioskRoute>
               <QrDisplayPage />
-            </ProtectedRoute>
+            </KioskRoute>
           }
         />
         
@@ -6,11 +6,13 @@ import {
     addDoc,
     doc,
     setDoc,
+    writeBatch,
     Timestamp
 } from 'firebase/firestore';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { Calendar, momentLocalizer } from 'react-big-calendar';
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop';
 import moment from 'moment';
 import { 
     format, 
@@ -21,15 +23,43 @@ import {
 } from 'date-fns';
 import { 
     parseDate,
-    parseDateTime
+    parseDateTime,
+    buildShiftDocument,
+    resolveShiftEnd,
+    validateShiftPlacement
 } from '../utils/scheduleUtils';
 import useUsersData from '../hooks/useUsersData';
 import useAllSchedules from '../hooks/useAllSchedules';
 import useScheduleValidation from '../hooks/useScheduleValidation';
+import useHolidays from '../hooks/useHolidays';
+import useShiftTemplates from '../hooks/useShiftTemplates';
+import useTimeOffRequests from '../hooks/useTimeOffRequests';
+import useStaffingRequirements from '../hooks/useStaffingRequirements';
+import useLabourForecast from '../hooks/useLabourForecast';
+import useLabourBudget from '../hooks/useLabourBudget';
+import useLocations from '../hooks/useLocations';
+import { getHolidayCalendarProps, HOLIDAY_COLOR } from '../utils/holidayCalendarHelpers';
+import { isDateLocked, LOCKED_PERIOD_MESSAGE } from '../utils/payPeriodLocks';
+import { moveShiftFromCalendar, isShiftDraggable } from '../utils/shiftMoveHelpers';
+import { buildTimeOffBackgroundEvents, findTimeOffConflict, getShiftDates, TIME_OFF_COLOR } from '../utils/timeOffHelpers';
+import { checkShiftAvailability, summarizeAvailability } from '../utils/availabilityHelpers';
+import { findStaffingGaps, buildStaffingGapEvents, STAFFING_COLORS } from '../utils/coverageHelpers';
+import { isShiftPublished } from '../utils/scheduleDraftHelpers';
+import { writeShiftRemoval } from '../utils/schedulePublishing';
+import { checkLabourBudget } from '../utils/labourForecast';
+import { getWeekStartStr } from '../shared/dateStrings';
+import { filterEventsByLocation, getLocationName } from '../utils/locationHelpers';
 import GeneralNotificationModal from './GeneralNotificationModal';
 import PrivateNotificationModal from './PrivateNotificationModal';
+import RecurringScheduleModal from './RecurringScheduleModal';
+import CopyWeekModal from './CopyWeekModal';
+import AutoScheduleModal from './AutoScheduleModal';
+import PublishWeekModal from './PublishWeekModal';
+import ScheduleTimeline from './ScheduleTimeline';
+import LabourForecastCard from './LabourForecastCard';
 
 const localizer = momentLocalizer(moment);
+const DnDCalendar = withDragAndDrop(Calendar);
 
 
 /* -----------------------------------------------------------
@@ -42,12 +72,61 @@ function AddSchedule() {
 
     // Use custom hooks for data loading
     const { colUsersData, loading } = useUsersData();
-    const { calendarEvents, userDailySchedules, weeklyStats } = useAllSchedules(colUsersData);
+    const { locations } = useLocations();
+    const [locationFilter, setLocationFilter] = useState('');
+    const { calendarEvents, userDailySchedules, weeklyStats } = useAllSchedules(colUsersData, locationFilter);
+    // Calendar and timeline show the selected location; overlap checks keep using every shift
+    const locationEvents = useMemo(
+        () => filterEventsByLocation(calendarEvents, locationFilter),
+        [calendarEvents, locationFilter]
+    );
+
+    // One lane per active employee (drop a shift on a lane to reassign it)
+    const employeeLanes = useMemo(
+        () => colUsersData
+            .filter(user => user.isActive !== false)
+            .map(user => ({ id: user.id, title: `${user.firstName} ${user.lastName}` })),
+        [colUsersData]
+    );
+
+    const laneCalendarEvents = useMemo(
+        () => locationEvents.map(event => ({ ...event, resourceId: event.userId })),
+        [locationEvents]
+    );
 
     const [selectedUser, setSelectedUser] = useState(null)
     const [currentView, setCurrentView] = useState('lista');
+    const [showEmployeeLanes, setShowEmployeeLanes] = useState(false)
     const [filterField, setFilterField] = useState('both'); // first | last | both
     const [filterText, setFilterText] = useState('');
+    const [availableFilter, setAvailableFilter] = useState({ date: '', startHour: '', endHour: '' });
+
+    const { holidays } = useHolidays();
+    const { templates, saveTemplate, deleteTemplate } = useShiftTemplates();
+    const holidayCalendarProps = useMemo(() => getHolidayCalendarProps(holidays), [holidays]);
+    const { requestsByUser: timeOffByUser } = useTimeOffRequests(colUsersData);
+    const timeOffEvents = useMemo(
+        () => buildTimeOffBackgroundEvents(timeOffByUser, colUsersData),
+        [timeOffByUser, colUsersData]
+    );
+
+    // Under- and over-staffed blocks for the weeks the calendar can show around its current date
+    const { requirements: staffingRequirements } = useStaffingRequirements();
+    const [calendarDate, setCalendarDate] = useState(new Date());
+    const staffingGapEvents = useMemo(() => {
+        if (staffingRequirements.length === 0) return [];
+        const first = moment(calendarDate).startOf('month').startOf('week');
+        return buildStaffingGapEvents(findStaffingGaps({
+            requirements: staffingRequirements,
+            userDailySchedules,
+            users: colUsersData.filter(user => user.isActive !== false),
+            dates: Array.from({ length: 42 }, (_, i) => first.clone().add(i, 'days').format('YYYY-MM-DD'))
+        }));
+    }, [staffingRequirements, userDailySchedules, colUsersData, calendarDate]);
+    const calendarBackgroundEvents = useMemo(
+        () => [...timeOffEvents, ...staffingGapEvents],
+        [timeOffEvents, staffingGapEvents]
+    );
 
     const activeUsersCount = useMemo(
         () => colUsersData.filter(user => user.isActive !== false).length,
@@ -59,16 +138,26 @@ function AddSchedule() {
     const [startHour, setStartHour] = useState('')
     const [endHour, setEndHour] = useState('')
     const [eventDescription, setEventDescription] = useState('')
+    const [shiftLocationId, setShiftLocationId] = useState('')
     const [selectedUserId, setSelectedUserId] = useState('')
     const [selectedUserName, setSelectedUserName] = useState('')
     const [visibilitySchdForm, setVisibilitySchdForm] = useState(false)
     const [isSubmitting, setIsSubmitting] = useState(false)
     const [endsNextDay, setEndsNextDay] = useState(false) // Overnight flag
+    const [selectedTemplateId, setSelectedTemplateId] = useState('')
+    const [availabilityOverride, setAvailabilityOverride] = useState(false)
+    const [availabilityOverrideReason, setAvailabilityOverrideReason] = useState('')
 
     // Notification modal states
     const [generalNotificationVisible, setGeneralNotificationVisible] = useState(false)
     const [privateNotificationVisible, setPrivateNotificationVisible] = useState(false)
     const [selectedEmployeeForNotification, setSelectedEmployeeForNotification] = useState(null)
+    const [recurringScheduleVisible, setRecurringScheduleVisible] = useState(false)
+    const [copyWeekVisible, setCopyWeekVisible] = useState(false)
+    const [autoScheduleVisible, setAutoScheduleVisible] = useState(false)
+    const [publishWeekVisible, setPublishWeekVisible] = useState(false)
+    const [lastCopy, setLastCopy] = useState(null) // { copyId, shifts: [{ userId, shiftId }] }
+    const [isUndoingCopy, setIsUndoingCopy] = useState(false)
 
     // Use custom hook for validation
     const validationResult = useScheduleValidation(
@@ -77,9 +166,32 @@ function AddSchedule() {
         endHour, 
         selectedUserId, 
         userDailySchedules, 
-        endsNextDay
+        endsNextDay,
+        timeOffByUser
     );
 
+    // Standing weekly availability of the selected employee (warning only; admins can override)
+    const availabilityCheck = useMemo(() => {
+        const user = colUsersData.find(u => u.id === selectedUserId);
+        return checkShiftAvailability(user?.availability, { eventDate, startHour, endHour, endsNextDay });
+    }, [colUsersData, selectedUserId, eventDate, startHour, endHour, endsNextDay]);
+
+    // Projected labour cost and the weekly budget
+    const { forecastWeek, forecastLoading } = useLabourForecast(colUsersData, calendarEvents, holidays);
+    const labourBudget = useLabourBudget();
+
+    // Warning only: the new shift would push its week over the weekly budget
+    const budgetWarning = useMemo(() => {
+        if (!selectedUserId || !eventDate || !startHour || !endHour || labourBudget.weeklyBudget <= 0) return null;
+        const weekStart = getWeekStartStr(eventDate);
+        const { duration } = resolveShiftEnd(eventDate, startHour, endHour, endsNextDay);
+        return checkLabourBudget({
+            before: forecastWeek(weekStart),
+            after: forecastWeek(weekStart, { userId: selectedUserId, eventDate, duration }),
+            weeklyBudget: labourBudget.weeklyBudget
+        });
+    }, [forecastWeek, labourBudget.weeklyBudget, selectedUserId, eventDate, startHour, endHour, endsNextDay]);
+
     // Listing filter
     const [showInactive, setShowInactive] = useState(false)
 
@@ -133,6 +245,21 @@ function AddSchedule() {
         return filtered;
     }, [colUsersData, showInactive, filterField, filterText]);
 
+    // "Who is available" filter: weekly availability, approved time off and existing shifts
+    const isAvailableFilterActive = Boolean(availableFilter.date && availableFilter.startHour && availableFilter.endHour);
+    const listedUsers = useMemo(() => {
+        if (!isAvailableFilterActive) return filteredUsers;
+        const { date, startHour: fromHour, endHour: toHour } = availableFilter;
+        const shift = { eventDate: date, startHour: fromHour, endHour: toHour, endsNextDay: toHour <= fromHour };
+
+        return filteredUsers.filter(user => {
+            if (!checkShiftAvailability(user.availability, shift).isAvailable) return false;
+            if (findTimeOffConflict(timeOffByUser[user.id], getShiftDates(date, shift.endsNextDay))) return false;
+            const daily = userDailySchedules[user.id] || {};
+            return validateShiftPlacement(shift, (d) => (daily[d] ? daily[d].shifts : []), null).isValid;
+        });
+    }, [filteredUsers, isAvailableFilterActive, availableFilter, timeOffByUser, userDailySchedules]);
+
     // Dynamic title based on filter
     const listTitle = useMemo(() => {
         const filterLabelMap = {
@@ -213,6 +340,17 @@ function AddSchedule() {
             return false;
         }
 
+        if (!availabilityCheck.isAvailable) {
+            if (!availabilityOverride) {
+                toast.error(`${availabilityCheck.message}. Tick "Schedule anyway" to override`, { position: 'top-right', autoClose: 5000 });
+                return false;
+            }
+            if (!availabilityOverrideReason.trim()) {
+                toast.error('A reason is required to override availability', { position: 'top-right' });
+                return false;
+            }
+        }
+
         const userDailyData = userDailySchedules[selectedUserId];
         const existingShiftsForDate = userDailyData && userDailyData[eventDate]
             ? userDailyData[eventDate].shifts
@@ -232,6 +370,7 @@ function AddSchedule() {
         setSelectedUserId(userId)
         setSelectedUserName(userName)
         setVisibilitySchdForm(true)
+        setShiftLocationId(locationFilter)
         
         if (!eventDate) {
             setEventDate(format(new Date(), 'yyyy-MM-dd'));
@@ -246,8 +385,22 @@ function AddSchedule() {
         setStartHour('')
         setEndHour('')
         setEventDescription('')
+        setShiftLocationId('')
         setIsSubmitting(false)
         setEndsNextDay(false)
+        setSelectedTemplateId('')
+        setAvailabilityOverride(false)
+        setAvailabilityOverrideReason('')
+    }
+
+    function applyShiftTemplate(templateId) {
+        setSelectedTemplateId(templateId)
+        const template = templates.find(t => t.id === templateId)
+        if (!template) return
+        setStartHour(template.startHour)
+        setEndHour(template.endHour)
+        setEndsNextDay(Boolean(template.endsNextDay))
+        setEventDescription(template.eventDescription || template.name)
     }
 
     async function addSchedule(e) {
@@ -260,39 +413,23 @@ function AddSchedule() {
         setIsSubmitting(true);
 
         try {
-            const start = parseDateTime(eventDate, startHour);
-            let computedEndDateStr = eventDate;
-            let end = parseDateTime(eventDate, endHour);
-
-            if (endsNextDay || end <= start) {
-                if (!endsNextDay && end <= start) {
-                    throw new Error('Invalid end time without overnight flag');
-                }
-                computedEndDateStr = format(addDays(parseDate(eventDate), 1), 'yyyy-MM-dd');
-                end = parseDateTime(computedEndDateStr, endHour);
+            if (await isDateLocked(eventDate)) {
+                toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+                return;
             }
 
-            const durationMinutes = differenceInMinutes(end, start);
-            const duration = Number((durationMinutes / 60).toFixed(2));
-            const isWeekendShift = isWeekend(start);
-
             const documentData = {
-                eventDate: eventDate,
-                eventDescription: eventDescription.trim(),
-                startHour: startHour,
-                endHour: endHour,
-                duration: duration,
-                isWeekend: isWeekendShift,
-                shiftType: isWeekendShift ? 'overtime' : 'regular',
-                overnight: endsNextDay || (computedEndDateStr !== eventDate),
-                checkedInTime: '',
-                checkedOutTime: '',
-                totalHoursDay: null,
-                createdAt: Timestamp.now(),
-                status: 'scheduled'
+                ...buildShiftDocument({ eventDate, startHour, endHour, endsNextDay, eventDescription, locationId: shiftLocationId, holidays }),
+                createdAt: Timestamp.now()
+            };
+            if (selectedTemplateId) {
+                documentData.templateId = selectedTemplateId;
             }
-            if (endsNextDay || computedEndDateStr !== eventDate) {
-                documentData.endDate = computedEndDateStr;
+            if (!availabilityCheck.isAvailable) {
+                documentData.availabilityOverride = {
+                    reason: availabilityOverrideReason.trim(),
+                    message: availabilityCheck.message
+                };
             }
 
             await AddSchdForADateInFirestore(selectedUserId, documentData);
@@ -326,6 +463,34 @@ function AddSchedule() {
             });
     }
 
+    // Deletes every shift created by the last copy week action
+    async function undoLastCopy() {
+        if (!lastCopy) return;
+        if (!window.confirm(`Undo the last copy and delete its ${lastCopy.shifts.length} shift(s)?`)) return;
+
+        setIsUndoingCopy(true);
+        try {
+            for (let i = 0; i < lastCopy.shifts.length; i += 450) {
+                const batch = writeBatch(dbFirestore);
+                lastCopy.shifts.slice(i, i + 450).forEach(({ userId, shiftId }) => {
+                    // Copies published since then leave a tombstone for the next publication
+                    const copied = Object.values(userDailySchedules[userId] || {})
+                        .flatMap(day => day.shifts)
+                        .find(shift => shift.id === shiftId);
+                    writeShiftRemoval(batch, userId, copied || { id: shiftId, published: false });
+                });
+                await batch.commit();
+            }
+            toast.success('Copy undone', { position: 'top-right' });
+            setLastCopy(null);
+        } catch (error) {
+            console.error('Error undoing copy:', error);
+            toast.error(`Error undoing copy: ${error.message}`, { position: 'top-right' });
+        } finally {
+            setIsUndoingCopy(false);
+        }
+    }
+
     function navigateScheduleUser(user) {
         navigate('/userschedule', { 
             state: { 
@@ -343,9 +508,11 @@ function AddSchedule() {
         }
     };
 
-    const handleSelectSlot = ({ start }) => {
-        if (selectedUser) {
-            if (selectedUser.isActive === false) {
+    const handleSelectSlot = ({ start, resourceId }) => {
+        // In employee lanes the lane decides who the shift is for
+        const slotUser = (resourceId && colUsersData.find(u => u.id === resourceId)) || selectedUser;
+        if (slotUser) {
+            if (slotUser.isActive === false) {
                 toast.error('This user is inactive. Activate the user to create new shifts.', { position: 'top-right' });
                 return;
             }
@@ -355,23 +522,85 @@ function AddSchedule() {
             setEventDate(dateStr);
             setStartHour(timeStr);
             setEndHour(format(addHours(start, 4), 'HH:mm')); // Default 4-hour shift
-            makeSchdFormVisible(selectedUser.id, `${selectedUser.firstName} ${selectedUser.lastName}`);
+            makeSchdFormVisible(slotUser.id, `${slotUser.firstName} ${slotUser.lastName}`);
         } else {
             toast.info('Please select a user first to create a schedule', { position: 'top-right' });
         }
     };
 
+    // Move, resize or reassign a shift with the calendar drag-and-drop addon
+    const handleEventMove = async ({ event, start, end, resourceId }) => {
+        const toUserId = resourceId || event.userId;
+        const targetUser = colUsersData.find(u => u.id === toUserId);
+        if (!targetUser || targetUser.isActive === false) {
+            toast.error('This user is inactive. Activate the user to assign shifts.', { position: 'top-right' });
+            return;
+        }
+
+        try {
+            const result = await moveShiftFromCalendar({
+                shift: { id: event.id, ...event.resource },
+                event,
+                start,
+                end,
+                fromUserId: event.userId,
+                toUserId,
+                targetDailySchedules: userDailySchedules[toUserId],
+                holidays,
+                timeOffRequests: timeOffByUser[toUserId],
+                availability: targetUser.availability
+            });
+            if (result.success) {
+                toast.success(result.message, { position: 'top-right', autoClose: 2000 });
+                if (result.warning) {
+                    toast.warning(result.warning, { position: 'top-right', autoClose: 5000 });
+                }
+            } else {
+                toast.error(result.message, { position: 'top-right', autoClose: 5000 });
+            }
+        } catch (error) {
+            console.error('Error moving shift:', error);
+            toast.error(`Error moving shift: ${error.message}`, { position: 'top-right' });
+        }
+    };
+
     const eventStyleGetter = (event) => {
+        // Approved time off is drawn as a shaded background block
+        if (event.isTimeOff) {
+            return {
+                style: {
+                    backgroundColor: TIME_OFF_COLOR,
+                    opacity: 0.35,
+                    color: '#1f2937',
+                    border: '0'
+                }
+            };
+        }
+
+        // Staffing gaps against SystemSettings/StaffingRequirements
+        if (event.isStaffingGap) {
+            return {
+                style: {
+                    backgroundColor: STAFFING_COLORS[event.staffingStatus],
+                    opacity: 0.25,
+                    color: '#1f2937',
+                    border: '0'
+                }
+            };
+        }
+
         const shiftType = event.resource?.shiftType || 'regular';
         const shiftConfig = shiftTypes.find(type => type.value === shiftType);
+        // Drafts are not visible to employees until their week is published
+        const isDraft = !isShiftPublished(event.resource);
         
         return {
             style: {
                 backgroundColor: shiftConfig?.color || '#2563eb',
                 borderRadius: '4px',
-                opacity: 0.9,
+                opacity: isDraft ? 0.55 : 0.9,
                 color: 'white',
-                border: '0',
+                border: isDraft ? '2px dashed #1f2937' : '0',
                 display: 'block'
             }
         };
@@ -414,6 +643,19 @@ function AddSchedule() {
                         <p className="card-subtitle">Manage employee schedules and time tracking</p>
                     </div>
                     <div className="flex gap-2">
+                        {locations.length > 0 && (
+                            <select
+                                value={locationFilter}
+                                onChange={(e) => setLocationFilter(e.target.value)}
+                                className="form-select"
+                                aria-label="Location"
+                            >
+                                <option value="">All locations</option>
+                                {locations.map(location => (
+                                    <option key={location.id} value={location.id}>{location.name}</option>
+                                ))}
+                            </select>
+                        )}
                         <button 
                             onClick={() => setCurrentView('lista')}
                             className={`btn ${currentView === 'lista' ? 'btn-primary' : 'btn-secondary'}`}
@@ -426,6 +668,12 @@ function AddSchedule() {
                         >
                              Calendar View
                         </button>
+                        <button 
+                            onClick={() => setCurrentView('timeline')}
+                            className={`btn ${currentView === 'timeline' ? 'btn-primary' : 'btn-secondary'}`}
+                        >
+                             Timeline View
+                        </button>
                     </div>
                 </div>
             </div>
@@ -460,6 +708,12 @@ function AddSchedule() {
                 </div>
             )}
 
+            <LabourForecastCard
+                forecastWeek={forecastWeek}
+                forecastLoading={forecastLoading}
+                {...labourBudget}
+            />
+
             {currentView === 'calendario' && (
                 <div className="animate-slide-in">
                     {/* Calendar Legend */}
@@ -475,9 +729,85 @@ function AddSchedule() {
                                     <span>{type.label}</span>
                                 </div>
                             ))}
+                            <div className="legend-item">
+                                <div
+                                    className="legend-color"
+                                    style={{ backgroundColor: HOLIDAY_COLOR }}
+                                ></div>
+                                <span>Holiday</span>
+                            </div>
+                            <div className="legend-item">
+                                <div
+                                    className="legend-color"
+                                    style={{ border: '2px dashed #1f2937', opacity: 0.55 }}
+                                ></div>
+                                <span>Draft (not published)</span>
+                            </div>
+                            {staffingRequirements.length > 0 && (
+                                <>
+                                    <div className="legend-item">
+                                        <div
+                                            className="legend-color"
+                                            style={{ backgroundColor: STAFFING_COLORS.under }}
+                                        ></div>
+                                        <span>Under-staffed</span>
+                                    </div>
+                                    <div className="legend-item">
+                                        <div
+                                            className="legend-color"
+                                            style={{ backgroundColor: STAFFING_COLORS.over }}
+                                        ></div>
+                                        <span>Over-staffed</span>
+                                    </div>
+                                </>
+                            )}
                         </div>
                     </div>
 
+                    {/* Copy Week */}
+                    <div className="flex items-center gap-2 mb-4">
+                        <button
+                            onClick={() => setCopyWeekVisible(true)}
+                            className="btn btn-primary btn-sm"
+                            title="Copy the shifts of a week into the following weeks"
+                        >
+                            Copy Week
+                        </button>
+                        <button
+                            onClick={() => setAutoScheduleVisible(true)}
+                            className="btn btn-primary btn-sm"
+                            title="Propose shifts for the staffing gaps of a week"
+                        >
+                            Generate Draft
+                        </button>
+                        <button
+                            onClick={() => setPublishWeekVisible(true)}
+                            className="btn btn-success btn-sm"
+                            title="Make the draft shifts of a week visible to employees and notify them"
+                        >
+                            Publish Week
+                        </button>
+                        {lastCopy && (
+                            <button
+                                onClick={undoLastCopy}
+                                className="btn btn-secondary btn-sm"
+                                disabled={isUndoingCopy}
+                                title="Delete every shift created by the last copy"
+                            >
+                                {isUndoingCopy ? 'Undoing...' : `Undo Copy (${lastCopy.shifts.length} shift${lastCopy.shifts.length !== 1 ? 's' : ''})`}
+                            </button>
+                        )}
+                        <label className="flex items-center gap-2 text-sm text-gray-700 ml-2">
+                            <input
+                                type="checkbox"
+                                className="form-checkbox"
+                                checked={showEmployeeLanes}
+                                onChange={(e) => setShowEmployeeLanes(e.target.checked)}
+                            />
+                            Employee lanes (drag a shift onto another employee)
+                        </label>
+                    </div>
+
                     {/* User Selection for Calendar */}
                     <div className="card mb-4">
                         <div className="form-group">
@@ -505,18 +835,30 @@ function AddSchedule() {
 
                     {/* Calendar Component */}
                     <div className="card">
-                        <Calendar
+                        <DnDCalendar
                             localizer={localizer}
-                            events={calendarEvents}
+                            events={showEmployeeLanes ? laneCalendarEvents : locationEvents}
+                            resources={showEmployeeLanes ? employeeLanes : undefined}
+                            resourceIdAccessor="id"
+                            resourceTitleAccessor="title"
+                            backgroundEvents={calendarBackgroundEvents}
                             startAccessor="start"
                             endAccessor="end"
                             style={{ height: 600 }}
                             onSelectEvent={handleSelectEvent}
                             onSelectSlot={handleSelectSlot}
                             selectable
+                            resizable
+                            draggableAccessor={(event) => isShiftDraggable(event.resource)}
+                            onEventDrop={handleEventMove}
+                            onEventResize={handleEventMove}
                             eventPropGetter={eventStyleGetter}
+                            dayPropGetter={holidayCalendarProps.dayPropGetter}
+                            components={holidayCalendarProps.components}
                             views={['month', 'week', 'day', 'agenda']}
                             defaultView="week"
+                            date={calendarDate}
+                            onNavigate={setCalendarDate}
                             step={15}
                             timeslots={4}
                             min={new Date(0, 0, 0, 0, 0, 0)}      // 00:00
@@ -532,6 +874,22 @@ function AddSchedule() {
                 </div>
             )}
 
+            {currentView === 'timeline' && (
+                <ScheduleTimeline
+                    users={colUsersData.filter(u => u.isActive !== false)}
+                    calendarEvents={locationEvents}
+                    timeOffEvents={timeOffEvents}
+                    userDailySchedules={userDailySchedules}
+                    staffingRequirements={staffingRequirements}
+                    shiftTypes={shiftTypes}
+                    eventStyleGetter={eventStyleGetter}
+                    holidayCalendarProps={holidayCalendarProps}
+                    onSelectEvent={handleSelectEvent}
+                    onSelectSlot={handleSelectSlot}
+                    onEventMove={handleEventMove}
+                />
+            )}
+
             {currentView === 'lista' && (
                 <div className="animate-slide-in">
                     {/* Users List */}
@@ -544,8 +902,8 @@ function AddSchedule() {
                         </div>
                         
                         {(() => {
-                            const usersToShow = filteredUsers;
-                            return usersToShow.length === 0 ? (
+                            const usersToShow = listedUsers;
+                            return usersToShow.length === 0 && !isAvailableFilterActive ? (
                             <div className="text-center py-8">
                                 <p className="text-gray-500 mb-4">No employees found</p>
                                 <button 
@@ -557,7 +915,7 @@ function AddSchedule() {
                             </div>
                         ) : (
                             <div className="table-container">
-                                <div className="flex items-center justify-between mb-3 gap-3">
+                                <div className="flex items-center justify-between mb-3 gap-3" style={{ flexWrap: 'wrap' }}>
                                     <div className="flex items-center gap-2">
                                         <label className="text-base font-semibold">Filter employees by: </label>
                                         <select
@@ -579,7 +937,46 @@ function AddSchedule() {
                                             style={{ width: '300px' }}
                                         />
                                     </div>
+                                    <div className="flex items-center gap-2">
+                                        <label className="text-base font-semibold">Available on: </label>
+                                        <input
+                                            type="date"
+                                            className="form-input"
+                                            value={availableFilter.date}
+                                            onChange={(e) => setAvailableFilter(prev => ({ ...prev, date: e.target.value }))}
+                                            style={{ width: '160px' }}
+                                        />
+                                        <input
+                                            type="time"
+                                            className="form-input"
+                                            value={availableFilter.startHour}
+                                            onChange={(e) => setAvailableFilter(prev => ({ ...prev, startHour: e.target.value }))}
+                                            title="From"
+                                        />
+                                        <input
+                                            type="time"
+                                            className="form-input"
+                                            value={availableFilter.endHour}
+                                            onChange={(e) => setAvailableFilter(prev => ({ ...prev, endHour: e.target.value }))}
+                                            title="To"
+                                        />
+                                        {(availableFilter.date || availableFilter.startHour || availableFilter.endHour) && (
+                                            <button
+                                                onClick={() => setAvailableFilter({ date: '', startHour: '', endHour: '' })}
+                                                className="btn btn-secondary btn-sm"
+                                            >
+                                                Clear
+                                            </button>
+                                        )}
+                                    </div>
                                     <div className="flex items-center gap-3">
+                                        <button
+                                            onClick={() => setRecurringScheduleVisible(true)}
+                                            className="btn btn-primary btn-sm"
+                                            title="Generate recurring shifts from a template"
+                                        >
+                                            Recurring Schedule
+                                        </button>
                                         <button
                                             onClick={openGeneralNotificationModal}
                                             className="btn btn-sm"
@@ -612,6 +1009,11 @@ function AddSchedule() {
                                         </tr>
                                     </thead>
                                     <tbody>
+                                        {usersToShow.length === 0 && (
+                                            <tr>
+                                                <td colSpan={6} className="text-gray-500">No employees available at this time</td>
+                                            </tr>
+                                        )}
                                         {usersToShow.map((user) => {
                                             const stats = weeklyStats[user.id] || { weeklyHours: 0, totalShifts: 0, upcomingShifts: 0 };
                                             const dailyData = userDailySchedules[user.id] || {};
@@ -643,6 +1045,11 @@ function AddSchedule() {
                                                         {user.isActive === false && (
                                                             <span className="ml-2 px-2 py-1 bg-red-100 text-red-800 rounded text-sm">Inactive</span>
                                                         )}
+                                                        {summarizeAvailability(user.availability) && (
+                                                            <div className="text-xs text-gray-500 mt-1">
+                                                                Availability: {summarizeAvailability(user.availability)}
+                                                            </div>
+                                                        )}
                                                     </td>
                                                     <td>
                                                         <span className="font-semibold text-green-600">
@@ -762,6 +1169,46 @@ function AddSchedule() {
                         </div>
 
                         <form onSubmit={addSchedule} className="space-y-4">
+                            {templates.length > 0 && (
+                                <div className="form-group">
+                                    <label className="form-label">
+                                         Shift Template
+                                    </label>
+                                    <select
+                                        value={selectedTemplateId}
+                                        onChange={(e) => applyShiftTemplate(e.target.value)}
+                                        className="form-select"
+                                        disabled={isSubmitting}
+                                    >
+                                        <option value="">Custom shift</option>
+                                        {templates.map(t => (
+                                            <option key={t.id} value={t.id}>
+                                                {t.name} ({t.startHour}-{t.endHour}{t.endsNextDay ? ' +1' : ''})
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            {locations.length > 0 && (
+                                <div className="form-group">
+                                    <label className="form-label">
+                                         Location
+                                    </label>
+                                    <select
+                                        value={shiftLocationId}
+                                        onChange={(e) => setShiftLocationId(e.target.value)}
+                                        className="form-select"
+                                        disabled={isSubmitting}
+                                    >
+                                        <option value="">No location</option>
+                                        {locations.map(location => (
+                                            <option key={location.id} value={location.id}>{location.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
                             <div className="form-group">
                                 <label className="form-label">
                                      Event Date *
@@ -784,7 +1231,7 @@ function AddSchedule() {
                                     </label>
                                     <select
                                         value={startHour}
-                                        onChange={(e) => setStartHour(e.target.value)}
+                                        onChange={(e) => { setSelectedTemplateId(''); setStartHour(e.target.value); }}
                                         className="form-select"
                                         required
                                         disabled={isSubmitting}
@@ -802,7 +1249,7 @@ function AddSchedule() {
                                     </label>
                                     <select
                                         value={endHour}
-                                        onChange={(e) => setEndHour(e.target.value)}
+                                        onChange={(e) => { setSelectedTemplateId(''); setEndHour(e.target.value); }}
                                         className="form-select"
                                         required
                                         disabled={isSubmitting}
@@ -821,7 +1268,7 @@ function AddSchedule() {
                                     type="checkbox"
                                     className="form-checkbox"
                                     checked={endsNextDay}
-                                    onChange={(e) => setEndsNextDay(e.target.checked)}
+                                    onChange={(e) => { setSelectedTemplateId(''); setEndsNextDay(e.target.checked); }}
                                     disabled={isSubmitting}
                                 />
                                 <label htmlFor="endsNextDay" className="form-label !mb-0">
@@ -901,6 +1348,7 @@ function AddSchedule() {
                                                                 {existingShiftsForDate.map((shift, index) => (
                                                                     <div key={shift.id || index} className="text-xs text-gray-600">
                                                                          {shift.startHour} - {shift.endHour}: {shift.eventDescription}
+                                                                        {getLocationName(locations, shift.locationId) && ` (${getLocationName(locations, shift.locationId)})`}
                                                                     </div>
                                                                 ))}
                                                             </div>
@@ -915,6 +1363,42 @@ function AddSchedule() {
                                 </div>
                             )}
 
+                            {!availabilityCheck.isAvailable && (
+                                <div className="form-group p-3 rounded bg-yellow-100">
+                                    <div className="text-sm font-medium text-yellow-800">
+                                        {availabilityCheck.message}
+                                    </div>
+                                    <label className="flex items-center gap-2 text-sm text-gray-700 mt-2">
+                                        <input
+                                            type="checkbox"
+                                            className="form-checkbox"
+                                            checked={availabilityOverride}
+                                            onChange={(e) => setAvailabilityOverride(e.target.checked)}
+                                            disabled={isSubmitting}
+                                        />
+                                        Schedule anyway (admin override)
+                                    </label>
+                                    {availabilityOverride && (
+                                        <input
+                                            type="text"
+                                            className="form-input mt-2"
+                                            value={availabilityOverrideReason}
+                                            onChange={(e) => setAvailabilityOverrideReason(e.target.value)}
+                                            placeholder="Reason for the override (required)"
+                                            disabled={isSubmitting}
+                                        />
+                                    )}
+                                </div>
+                            )}
+
+                            {budgetWarning && (
+                                <div className="form-group p-3 rounded bg-yellow-100">
+                                    <div className="text-sm font-medium text-yellow-800">
+                                        {budgetWarning.message}
+                                    </div>
+                                </div>
+                            )}
+
                             <div className="form-group">
                                 <label className="form-label">
                                      Event Description *
@@ -975,6 +1459,61 @@ function AddSchedule() {
                 </div>
             )}
 
+            {/* Recurring Schedule Modal */}
+            <RecurringScheduleModal
+                isVisible={recurringScheduleVisible}
+                onClose={() => setRecurringScheduleVisible(false)}
+                users={colUsersData.filter(u => u.isActive !== false)}
+                userDailySchedules={userDailySchedules}
+                timeSlots={timeSlots}
+                templates={templates}
+                saveTemplate={saveTemplate}
+                deleteTemplate={deleteTemplate}
+                timeOffByUser={timeOffByUser}
+                holidays={holidays}
+                forecastWeek={forecastWeek}
+                weeklyBudget={labourBudget.weeklyBudget}
+                locations={locations}
+                defaultLocationId={locationFilter}
+            />
+
+            {/* Copy Week Modal */}
+            <CopyWeekModal
+                isVisible={copyWeekVisible}
+                onClose={() => setCopyWeekVisible(false)}
+                onCopied={setLastCopy}
+                users={colUsersData.filter(u => u.isActive !== false)}
+                userDailySchedules={userDailySchedules}
+                timeOffByUser={timeOffByUser}
+                holidays={holidays}
+                forecastWeek={forecastWeek}
+                weeklyBudget={labourBudget.weeklyBudget}
+            />
+
+            {/* Auto-schedule Modal */}
+            <AutoScheduleModal
+                isVisible={autoScheduleVisible}
+                onClose={() => setAutoScheduleVisible(false)}
+                users={colUsersData.filter(u => u.isActive !== false)}
+                userDailySchedules={userDailySchedules}
+                templates={templates}
+                requirements={staffingRequirements}
+                timeOffByUser={timeOffByUser}
+                holidays={holidays}
+                forecastWeek={forecastWeek}
+                weeklyBudget={labourBudget.weeklyBudget}
+                locations={locations}
+                defaultLocationId={locationFilter}
+            />
+
+            {/* Publish Week Modal */}
+            <PublishWeekModal
+                isVisible={publishWeekVisible}
+                onClose={() => setPublishWeekVisible(false)}
+                users={colUsersData}
+                userDailySchedules={userDailySchedules}
+            />
+
             {/* General Notification Modal */}
             <GeneralNotificationModal 
                 isVisible={generalNotificationVisible}
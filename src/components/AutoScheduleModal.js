@@ -0,0 +1,276 @@
+import { useState, useEffect, useMemo } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, getDoc, writeBatch, Timestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { buildShiftDocument } from '../utils/scheduleUtils';
+import { generateDraftSchedule } from '../utils/autoScheduler';
+import { listLockedDates } from '../utils/payPeriodLocks';
+import { checkPlanBudget } from '../utils/labourForecast';
+import { normalizeOvertimeRules } from '../shared/overtimeEngine';
+import { addDaysStr, getWeekStartStr } from '../shared/dateStrings';
+import LabourBudgetWarnings from './LabourBudgetWarnings';
+
+// Firestore accepts up to 500 writes per batch
+const BATCH_SIZE = 450;
+
+/**
+ * Modal to generate a draft schedule for one week from the staffing requirements
+ * The draft is only a preview: the admin unticks what they do not want and saves the rest
+ * as draft shifts in one batch, to be published with the rest of the week.
+ */
+function AutoScheduleModal({ isVisible, onClose, users, userDailySchedules, templates, requirements, timeOffByUser, holidays, forecastWeek, weeklyBudget, locations, defaultLocationId }) {
+    const [weekStart, setWeekStart] = useState(() => getWeekStartStr(addDaysStr(format(new Date(), 'yyyy-MM-dd'), 7)));
+    const [draft, setDraft] = useState(null);
+    const [excludedIds, setExcludedIds] = useState([]);
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [locationId, setLocationId] = useState('');
+
+    // Drafts start at the location shown on the calendar
+    useEffect(() => {
+        if (isVisible) setLocationId(defaultLocationId || '');
+    }, [isVisible, defaultLocationId]);
+
+    // Any change to the inputs invalidates the draft
+    useEffect(() => {
+        setDraft(null);
+        setExcludedIds([]);
+    }, [weekStart, userDailySchedules, requirements]);
+
+    const selectedShifts = useMemo(
+        () => (draft ? draft.shifts.filter(shift => !excludedIds.includes(shift.id)) : []),
+        [draft, excludedIds]
+    );
+    const selectedCost = selectedShifts.reduce((sum, shift) => sum + shift.cost, 0);
+    const budgetWarnings = useMemo(
+        () => checkPlanBudget({ plannedShifts: selectedShifts, forecastWeek, weeklyBudget }),
+        [selectedShifts, forecastWeek, weeklyBudget]
+    );
+
+    const toggleShift = (shiftId) => {
+        setExcludedIds(prev => prev.includes(shiftId) ? prev.filter(id => id !== shiftId) : [...prev, shiftId]);
+    };
+
+    const handleGenerate = async () => {
+        if (requirements.length === 0) {
+            toast.error('Add staffing requirements on the Coverage page first', { position: 'top-right' });
+            return;
+        }
+
+        setIsGenerating(true);
+        try {
+            const rulesSnap = await getDoc(doc(dbFirestore, 'SystemSettings', 'OvertimeRules'));
+            const lockedDates = await listLockedDates(Array.from({ length: 7 }, (_, i) => addDaysStr(weekStart, i)));
+            const nextDraft = generateDraftSchedule({
+                weekStart,
+                requirements,
+                users,
+                userDailySchedules,
+                templates,
+                timeOffByUser,
+                overtimeRules: normalizeOvertimeRules(rulesSnap.exists() ? rulesSnap.data() : null),
+                lockedDates
+            });
+            if (nextDraft.shifts.length === 0 && nextDraft.unfilled.length === 0) {
+                toast.info('Every requirement is already covered this week', { position: 'top-right' });
+            }
+            setDraft(nextDraft);
+            setExcludedIds([]);
+        } catch (error) {
+            console.error('Error generating draft schedule:', error);
+            toast.error(`Error generating draft: ${error.message}`, { position: 'top-right' });
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const handleSave = async () => {
+        if (selectedShifts.length === 0) return;
+        setIsSaving(true);
+        try {
+            const autoScheduleId = `auto_${Date.now()}`;
+            for (let i = 0; i < selectedShifts.length; i += BATCH_SIZE) {
+                const batch = writeBatch(dbFirestore);
+                selectedShifts.slice(i, i + BATCH_SIZE).forEach(shift => {
+                    const shiftRef = doc(collection(dbFirestore, 'users', shift.userId, 'UserSchedule'));
+                    const documentData = {
+                        ...buildShiftDocument({
+                            eventDate: shift.eventDate,
+                            startHour: shift.startHour,
+                            endHour: shift.endHour,
+                            endsNextDay: false,
+                            eventDescription: shift.eventDescription,
+                            locationId,
+                            holidays
+                        }),
+                        autoScheduleId,
+                        createdAt: Timestamp.now()
+                    };
+                    if (shift.templateId) documentData.templateId = shift.templateId;
+                    batch.set(shiftRef, documentData);
+                });
+                await batch.commit();
+            }
+            toast.success(`${selectedShifts.length} draft shift${selectedShifts.length !== 1 ? 's' : ''} added`, { position: 'top-right' });
+            handleClose(true);
+        } catch (error) {
+            console.error('Error saving draft schedule:', error);
+            toast.error(`Error saving draft: ${error.message}`, { position: 'top-right' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleClose = (force = false) => {
+        if (isSaving && !force) return;
+        setDraft(null);
+        setExcludedIds([]);
+        onClose();
+    };
+
+    if (!isVisible) return null;
+
+    const busy = isGenerating || isSaving;
+
+    return (
+        <div className="modal-overlay" onClick={() => handleClose()}>
+            <div className="modal recurrence-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div>
+                        <h2 className="modal-title">Generate Draft Schedule</h2>
+                        <p className="text-sm text-gray-500 mt-1">
+                            Fills the staffing gaps of a week with the cheapest available employees, within overtime limits
+                        </p>
+                    </div>
+                    <button onClick={() => handleClose()} className="modal-close" disabled={isSaving}>
+
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="autoScheduleWeek">Week (any day, Monday-Sunday)</label>
+                        <input
+                            id="autoScheduleWeek"
+                            type="date"
+                            value={weekStart}
+                            onChange={(e) => e.target.value && setWeekStart(getWeekStartStr(e.target.value))}
+                            className="form-input"
+                            disabled={busy}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                            {weekStart} to {addDaysStr(weekStart, 6)}
+                        </p>
+                    </div>
+
+                    {locations && locations.length > 0 && (
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="autoScheduleLocation">Location of the new shifts</label>
+                            <select
+                                id="autoScheduleLocation"
+                                value={locationId}
+                                onChange={(e) => setLocationId(e.target.value)}
+                                className="form-select"
+                                disabled={busy}
+                            >
+                                <option value="">No location</option>
+                                {locations.map(location => (
+                                    <option key={location.id} value={location.id}>{location.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Draft review */}
+                    {draft && (
+                        <div className="border-t pt-4">
+                            <div className="font-medium mb-2">
+                                {selectedShifts.length} of {draft.shifts.length} shift{draft.shifts.length !== 1 ? 's' : ''} selected,
+                                projected cost ${selectedCost.toFixed(2)}
+                            </div>
+                            {draft.shifts.length > 0 && (
+                                <div className="recurrence-preview table-container">
+                                    <table className="table">
+                                        <thead>
+                                            <tr>
+                                                <th></th>
+                                                <th>Date</th>
+                                                <th>Time</th>
+                                                <th>Employee</th>
+                                                <th>Shift</th>
+                                                <th>Cost</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {draft.shifts.map(shift => (
+                                                <tr key={shift.id}>
+                                                    <td>
+                                                        <input
+                                                            type="checkbox"
+                                                            className="form-checkbox"
+                                                            checked={!excludedIds.includes(shift.id)}
+                                                            onChange={() => toggleShift(shift.id)}
+                                                            disabled={busy}
+                                                        />
+                                                    </td>
+                                                    <td>{shift.eventDate}</td>
+                                                    <td>{shift.startHour} - {shift.endHour}</td>
+                                                    <td>
+                                                        <div>{shift.userName}</div>
+                                                        <div className="text-xs text-gray-500">{shift.category}</div>
+                                                    </td>
+                                                    <td>{shift.eventDescription}</td>
+                                                    <td>${shift.cost.toFixed(2)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                            {draft.unfilled.length > 0 && (
+                                <div className="mt-4">
+                                    <div className="font-medium text-red-700 mb-2">
+                                        Still under-staffed (no eligible employee)
+                                    </div>
+                                    <ul className="text-sm text-red-700">
+                                        {draft.unfilled.map(gap => (
+                                            <li key={`${gap.date}_${gap.category}_${gap.start}`}>
+                                                {gap.date} {gap.start} - {gap.end}: {gap.missing} more {gap.category}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                            <LabourBudgetWarnings warnings={budgetWarnings} />
+                        </div>
+                    )}
+
+                    <div className="flex gap-4 pt-4 border-t">
+                        <button type="button" className="btn btn-primary flex-1" onClick={handleGenerate} disabled={busy}>
+                            {isGenerating ? 'Generating...' : draft ? 'Regenerate' : 'Generate Draft'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-success flex-1"
+                            onClick={handleSave}
+                            disabled={busy || selectedShifts.length === 0}
+                        >
+                            {isSaving ? (
+                                <>
+                                    <span className="spinner"></span>
+                                    Saving...
+                                </>
+                            ) : `Add ${selectedShifts.length} Draft Shift${selectedShifts.length !== 1 ? 's' : ''}`}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={() => handleClose()} disabled={isSaving}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AutoScheduleModal;
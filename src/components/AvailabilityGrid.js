@@ -0,0 +1,83 @@
+import { WEEKDAY_OPTIONS } from '../utils/shiftRecurrence';
+import { createDefaultAvailability } from '../utils/availabilityHelpers';
+
+/**
+ * Weekly availability editor: one row per weekday with an available toggle and a time window.
+ * `value` null means no restrictions (available at any time).
+ */
+function AvailabilityGrid({ value, onChange, disabled }) {
+    const restricted = Boolean(value);
+
+    const updateDay = (day, patch) => {
+        onChange({ ...value, [day]: { ...value[day], ...patch } });
+    };
+
+    return (
+        <div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-2">
+                <input
+                    type="checkbox"
+                    className="form-checkbox"
+                    checked={restricted}
+                    disabled={disabled}
+                    onChange={(e) => onChange(e.target.checked ? createDefaultAvailability() : null)}
+                />
+                Restrict availability (otherwise available at any time)
+            </label>
+
+            {restricted && (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Day</th>
+                                <th>Available</th>
+                                <th>From</th>
+                                <th>To</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {WEEKDAY_OPTIONS.map(({ value: day, label }) => {
+                                const entry = value[day];
+                                return (
+                                    <tr key={day}>
+                                        <td className="font-semibold">{label}</td>
+                                        <td>
+                                            <input
+                                                type="checkbox"
+                                                className="form-checkbox"
+                                                checked={entry.available}
+                                                disabled={disabled}
+                                                onChange={(e) => updateDay(day, { available: e.target.checked })}
+                                            />
+                                        </td>
+                                        <td>
+                                            <input
+                                                type="time"
+                                                className="form-input"
+                                                value={entry.start}
+                                                disabled={disabled || !entry.available}
+                                                onChange={(e) => updateDay(day, { start: e.target.value })}
+                                            />
+                                        </td>
+                                        <td>
+                                            <input
+                                                type="time"
+                                                className="form-input"
+                                                value={entry.end}
+                                                disabled={disabled || !entry.available}
+                                                onChange={(e) => updateDay(day, { end: e.target.value })}
+                                            />
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default AvailabilityGrid;
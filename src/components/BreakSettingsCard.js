@@ -0,0 +1,116 @@
+import useBreakRules from '../hooks/useBreakRules';
+
+function BreakSettingsCard() {
+  // Load/save of SystemSettings/BreakRules lives in the hook
+  const {
+    autoDeductAfter,
+    setAutoDeductAfter,
+    autoDeductMinutes,
+    setAutoDeductMinutes,
+    mealRequiredAfter,
+    setMealRequiredAfter,
+    mealMinutes,
+    setMealMinutes,
+    breakLoading,
+    breakSaving,
+    saveBreakRules
+  } = useBreakRules();
+
+  const disabled = breakSaving || breakLoading;
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h2 className="card-title"> Breaks & Meal Periods</h2>
+        <p className="card-subtitle">
+          Unpaid breaks are subtracted from worked hours; shifts are re-checked as they sync
+        </p>
+      </div>
+
+      <form onSubmit={saveBreakRules} className="grid md:grid-cols-2 gap-4">
+        {/* Auto-deduct threshold */}
+        <div className="form-group">
+          <label className="form-label">Auto-Deduct Meal After (h)</label>
+          <input
+            type="number"
+            min="0"
+            max="24"
+            step="0.25"
+            value={autoDeductAfter}
+            onChange={(e) => setAutoDeductAfter(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Example: 6. Longer shifts without enough punched break time get it deducted. 0 = disabled.
+          </p>
+        </div>
+
+        {/* Auto-deduct length */}
+        <div className="form-group">
+          <label className="form-label">Auto-Deducted Break (min)</label>
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={autoDeductMinutes}
+            onChange={(e) => setAutoDeductMinutes(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Unpaid break time a long shift must have (punched breaks count towards it)
+          </p>
+        </div>
+
+        {/* Meal break required threshold */}
+        <div className="form-group">
+          <label className="form-label">Meal Break Required After (h)</label>
+          <input
+            type="number"
+            min="0"
+            max="24"
+            step="0.25"
+            value={mealRequiredAfter}
+            onChange={(e) => setMealRequiredAfter(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Example: 5. Longer shifts without a meal break are flagged. 0 = disabled.
+          </p>
+        </div>
+
+        {/* Minimum meal break */}
+        <div className="form-group">
+          <label className="form-label">Minimum Meal Break (min)</label>
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={mealMinutes}
+            onChange={(e) => setMealMinutes(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            One uninterrupted break of at least this long counts as the meal break
+          </p>
+        </div>
+
+        {/* Save button */}
+        <div className="md:col-span-2 flex flex-wrap gap-2 mt-2">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={disabled}
+          >
+            {breakSaving ? 'Saving...' : ' Save Break Rules'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default BreakSettingsCard;
@@ -0,0 +1,303 @@
+import { useState, useEffect, useMemo } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, writeBatch, Timestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { buildShiftDocument } from '../utils/scheduleUtils';
+import { planWeekCopy } from '../utils/shiftRecurrence';
+import { listLockedDates } from '../utils/payPeriodLocks';
+import { checkPlanBudget } from '../utils/labourForecast';
+import { addDaysStr, getWeekStartStr } from '../shared/dateStrings';
+import LabourBudgetWarnings from './LabourBudgetWarnings';
+
+// Firestore accepts up to 500 writes per batch
+const BATCH_SIZE = 450;
+
+// Number of weeks offered as copy targets after the source week
+const TARGET_WEEK_OPTIONS = 8;
+
+/**
+ * Modal to copy every shift of a source week into one or more following weeks
+ * Overlaps are listed in a preview; only the valid copies are written.
+ * onCopied receives { copyId, shifts: [{ userId, shiftId }] } so the caller can undo the copy,
+ * also when a batch fails after others were committed.
+ */
+function CopyWeekModal({ isVisible, onClose, onCopied, users, userDailySchedules, timeOffByUser, holidays, forecastWeek, weeklyBudget }) {
+    const [sourceWeekStart, setSourceWeekStart] = useState(() => getWeekStartStr(format(new Date(), 'yyyy-MM-dd')));
+    const [targetWeekStarts, setTargetWeekStarts] = useState([]);
+    const [copyAllUsers, setCopyAllUsers] = useState(true);
+    const [selectedUserIds, setSelectedUserIds] = useState([]);
+
+    const [plan, setPlan] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [isCopying, setIsCopying] = useState(false);
+
+    const targetWeekOptions = useMemo(
+        () => Array.from({ length: TARGET_WEEK_OPTIONS }, (_, i) => addDaysStr(sourceWeekStart, (i + 1) * 7)),
+        [sourceWeekStart]
+    );
+
+    // Default target: the week right after the source week
+    useEffect(() => {
+        setTargetWeekStarts([addDaysStr(sourceWeekStart, 7)]);
+    }, [sourceWeekStart]);
+
+    // Any change to the inputs invalidates the preview
+    useEffect(() => {
+        setPlan(null);
+    }, [sourceWeekStart, targetWeekStarts, copyAllUsers, selectedUserIds, userDailySchedules]);
+
+    const usersById = useMemo(
+        () => Object.fromEntries((users || []).map(u => [u.id, u])),
+        [users]
+    );
+
+    const validItems = useMemo(() => (plan || []).filter(item => item.isValid), [plan]);
+    const conflictItems = useMemo(() => (plan || []).filter(item => !item.isValid), [plan]);
+    const budgetWarnings = useMemo(
+        () => checkPlanBudget({ plannedShifts: validItems, forecastWeek, weeklyBudget }),
+        [validItems, forecastWeek, weeklyBudget]
+    );
+
+    const toggleTargetWeek = (weekStart) => {
+        setTargetWeekStarts(prev => prev.includes(weekStart)
+            ? prev.filter(w => w !== weekStart)
+            : [...prev, weekStart].sort());
+    };
+
+    const toggleUser = (userId) => {
+        setSelectedUserIds(prev => prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]);
+    };
+
+    const handlePreview = async () => {
+        const userIds = copyAllUsers ? users.map(u => u.id) : selectedUserIds;
+        if (targetWeekStarts.length === 0) {
+            toast.error('Please select at least one target week', { position: 'top-right' });
+            return;
+        }
+        if (userIds.length === 0) {
+            toast.error('Please select at least one employee', { position: 'top-right' });
+            return;
+        }
+
+        setIsPreviewing(true);
+        try {
+            const targetDates = targetWeekStarts.flatMap(weekStart =>
+                Array.from({ length: 8 }, (_, i) => addDaysStr(weekStart, i))
+            );
+            const lockedDates = await listLockedDates(targetDates);
+            const nextPlan = planWeekCopy({
+                sourceWeekStart, targetWeekStarts, userIds, userDailySchedules, lockedDates, timeOffByUser
+            });
+            if (nextPlan.length === 0) {
+                toast.warning('No shifts found in the source week', { position: 'top-right' });
+            }
+            setPlan(nextPlan);
+        } catch (error) {
+            toast.error(error.message, { position: 'top-right' });
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        if (validItems.length === 0) return;
+        setIsCopying(true);
+        const copyId = `copy_${Date.now()}`;
+        const created = [];
+        try {
+            for (let i = 0; i < validItems.length; i += BATCH_SIZE) {
+                const batch = writeBatch(dbFirestore);
+                const chunk = [];
+                validItems.slice(i, i + BATCH_SIZE).forEach(item => {
+                    const shiftRef = doc(collection(dbFirestore, 'users', item.userId, 'UserSchedule'));
+                    const documentData = {
+                        ...buildShiftDocument({
+                            eventDate: item.eventDate,
+                            startHour: item.startHour,
+                            endHour: item.endHour,
+                            endsNextDay: item.endsNextDay,
+                            eventDescription: item.sourceShift.eventDescription || '',
+                            shiftType: item.sourceShift.shiftType,
+                            holidays
+                        }),
+                        copyId,
+                        copiedFromShiftId: item.sourceShift.id,
+                        createdAt: Timestamp.now()
+                    };
+                    if (item.sourceShift.templateId) documentData.templateId = item.sourceShift.templateId;
+                    if (item.sourceShift.locationId) documentData.locationId = item.sourceShift.locationId;
+                    batch.set(shiftRef, documentData);
+                    chunk.push({ userId: item.userId, shiftId: shiftRef.id });
+                });
+                await batch.commit();
+                created.push(...chunk);
+            }
+            toast.success(`${created.length} shift${created.length !== 1 ? 's' : ''} copied`, { position: 'top-right' });
+            onCopied({ copyId, shifts: created });
+            handleClose(true);
+        } catch (error) {
+            console.error('Error copying week:', error);
+            toast.error(`Error copying week: ${error.message}`, { position: 'top-right' });
+            // Batches committed before the failure stay written: report them so the copy can be undone
+            if (created.length > 0) {
+                toast.warning(`${created.length} shift${created.length !== 1 ? 's were' : ' was'} copied before the error`, { position: 'top-right' });
+                onCopied({ copyId, shifts: created });
+                handleClose(true);
+            }
+        } finally {
+            setIsCopying(false);
+        }
+    };
+
+    const handleClose = (force = false) => {
+        if (isCopying && !force) return;
+        setPlan(null);
+        onClose();
+    };
+
+    if (!isVisible) return null;
+
+    const busy = isPreviewing || isCopying;
+
+    return (
+        <div className="modal-overlay" onClick={() => handleClose()}>
+            <div className="modal recurrence-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div>
+                        <h2 className="modal-title">Copy Week</h2>
+                        <p className="text-sm text-gray-500 mt-1">
+                            Clone every shift of a week into the following weeks
+                        </p>
+                    </div>
+                    <button onClick={() => handleClose()} className="modal-close" disabled={isCopying}>
+
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="copySource">Source Week (any day, Monday-Sunday)</label>
+                        <input
+                            id="copySource"
+                            type="date"
+                            value={sourceWeekStart}
+                            onChange={(e) => e.target.value && setSourceWeekStart(getWeekStartStr(e.target.value))}
+                            className="form-input"
+                            disabled={busy}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                            {sourceWeekStart} to {addDaysStr(sourceWeekStart, 6)}
+                        </p>
+                    </div>
+
+                    <div>
+                        <span className="form-label">Target Weeks *</span>
+                        <div className="grid md:grid-cols-3 gap-2">
+                            {targetWeekOptions.map(weekStart => (
+                                <label key={weekStart} className="flex items-center gap-2 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        className="form-checkbox"
+                                        checked={targetWeekStarts.includes(weekStart)}
+                                        onChange={() => toggleTargetWeek(weekStart)}
+                                        disabled={busy}
+                                    />
+                                    {weekStart} to {addDaysStr(weekStart, 6)}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="border-t pt-4">
+                        <label className="flex items-center gap-2 text-sm mb-2">
+                            <input
+                                type="checkbox"
+                                className="form-checkbox"
+                                checked={copyAllUsers}
+                                onChange={(e) => setCopyAllUsers(e.target.checked)}
+                                disabled={busy}
+                            />
+                            All active employees ({users.length})
+                        </label>
+                        {!copyAllUsers && (
+                            <div className="grid md:grid-cols-3 gap-2">
+                                {users.map(user => (
+                                    <label key={user.id} className="flex items-center gap-2 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            className="form-checkbox"
+                                            checked={selectedUserIds.includes(user.id)}
+                                            onChange={() => toggleUser(user.id)}
+                                            disabled={busy}
+                                        />
+                                        {user.firstName} {user.lastName} ({user.category})
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Preview */}
+                    {plan && plan.length > 0 && (
+                        <div className="border-t pt-4">
+                            <div className="font-medium mb-2">
+                                {validItems.length} shift{validItems.length !== 1 ? 's' : ''} to copy, {conflictItems.length} skipped
+                            </div>
+                            {conflictItems.length > 0 && (
+                                <div className="recurrence-preview table-container">
+                                    <table className="table">
+                                        <thead>
+                                            <tr>
+                                                <th>Employee</th>
+                                                <th>Shift to copy</th>
+                                                <th>Conflict</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {conflictItems.map(item => (
+                                                <tr key={`${item.userId}_${item.sourceShift.id}_${item.eventDate}`}>
+                                                    <td>{usersById[item.userId]?.firstName} {usersById[item.userId]?.lastName}</td>
+                                                    <td>
+                                                        <div>{item.eventDate} {item.startHour} - {item.endHour}</div>
+                                                        <div className="text-xs text-gray-500">{item.sourceShift.eventDescription}</div>
+                                                    </td>
+                                                    <td className="text-red-700 text-sm">{item.message}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                            <LabourBudgetWarnings warnings={budgetWarnings} />
+                        </div>
+                    )}
+
+                    <div className="flex gap-4 pt-4 border-t">
+                        <button type="button" className="btn btn-primary flex-1" onClick={handlePreview} disabled={busy}>
+                            {isPreviewing ? 'Checking...' : 'Preview'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-success flex-1"
+                            onClick={handleCopy}
+                            disabled={busy || validItems.length === 0}
+                        >
+                            {isCopying ? (
+                                <>
+                                    <span className="spinner"></span>
+                                    Copying...
+                                </>
+                            ) : `Copy ${validItems.length} Shift${validItems.length !== 1 ? 's' : ''}`}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={() => handleClose()} disabled={isCopying}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default CopyWeekModal;
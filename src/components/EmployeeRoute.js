@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { onAuthStateChanged } from 'firebase/auth';
+import { doc, getDoc } from 'firebase/firestore';
+import { authFirebase, dbFirestore } from '../connections/ConnFirebaseServices';
+
+/**
+ * EmployeeRoute Component
+ *
+ * Wraps employee portal routes. Lets in any signed-in user that has an
+ * employee profile (users/{uid}); the owner-scoped Firestore rules limit
+ * what that user can read.
+ *
+ * Usage:
+ * <Route path="/" element={<EmployeeRoute><EmployeePortalPage /></EmployeeRoute>} />
+ */
+function EmployeeRoute({ children }) {
+  const [loading, setLoading] = useState(true);
+  const [isEmployee, setIsEmployee] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(authFirebase, async (user) => {
+      if (user) {
+        try {
+          // Employees are the users with a profile document
+          const userDoc = await getDoc(doc(dbFirestore, 'users', user.uid));
+          if (userDoc.exists()) {
+            setIsEmployee(true);
+          } else {
+            console.warn('User authenticated but has no employee profile:', user.email);
+            setIsEmployee(false);
+          }
+        } catch (error) {
+          console.error('Error checking employee profile:', error);
+          setIsEmployee(false);
+        }
+      } else {
+        setIsEmployee(false);
+      }
+
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading...
+      </div>
+    );
+  }
+
+  if (!isEmployee) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return children;
+}
+
+export default EmployeeRoute;
@@ -0,0 +1,211 @@
+import { useState, useMemo } from 'react';
+import useHolidays from '../hooks/useHolidays';
+import { DEFAULT_HOLIDAY_MULTIPLIER } from '../shared/holidays';
+
+function HolidaySettingsCard() {
+  const {
+    holidays,
+    holidaysLoading,
+    saveHoliday,
+    removeHoliday,
+    importProvincialHolidays,
+    provinces
+  } = useHolidays();
+
+  const [year, setYear] = useState(String(new Date().getFullYear()));
+  const [province, setProvince] = useState(provinces[0]?.code || '');
+  const [importMultiplier, setImportMultiplier] = useState(String(DEFAULT_HOLIDAY_MULTIPLIER));
+  const [working, setWorking] = useState(false);
+
+  // New / edited holiday form
+  const [holidayDate, setHolidayDate] = useState('');
+  const [holidayName, setHolidayName] = useState('');
+  const [holidayMultiplier, setHolidayMultiplier] = useState(String(DEFAULT_HOLIDAY_MULTIPLIER));
+
+  // Holidays of the selected year, sorted by date
+  const yearHolidays = useMemo(
+    () => Object.keys(holidays)
+      .filter(dateStr => dateStr.startsWith(`${year}-`))
+      .sort()
+      .map(dateStr => ({ date: dateStr, ...holidays[dateStr] })),
+    [holidays, year]
+  );
+
+  const handleImport = async () => {
+    setWorking(true);
+    await importProvincialHolidays(province, year, importMultiplier);
+    setWorking(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    const saved = await saveHoliday(holidayDate, holidayName, holidayMultiplier);
+    setWorking(false);
+    if (saved) {
+      setHolidayDate('');
+      setHolidayName('');
+      setHolidayMultiplier(String(DEFAULT_HOLIDAY_MULTIPLIER));
+    }
+  };
+
+  const editHoliday = (holiday) => {
+    setHolidayDate(holiday.date);
+    setHolidayName(holiday.name || '');
+    setHolidayMultiplier(String(holiday.multiplier ?? DEFAULT_HOLIDAY_MULTIPLIER));
+  };
+
+  const handleRemove = async (dateStr) => {
+    if (!window.confirm(`Remove the holiday on ${dateStr}?`)) return;
+    setWorking(true);
+    await removeHoliday(dateStr);
+    setWorking(false);
+  };
+
+  const disabled = working || holidaysLoading;
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h2 className="card-title"> Statutory Holidays</h2>
+        <p className="card-subtitle">
+          Hours worked on a holiday are paid at the holiday multiplier
+        </p>
+      </div>
+
+      {/* Yearly import of the bundled provincial list */}
+      <div className="grid md:grid-cols-4 gap-4">
+        <div className="form-group">
+          <label className="form-label">Year</label>
+          <input
+            type="number"
+            min="2000"
+            max="2100"
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Province</label>
+          <select
+            value={province}
+            onChange={(e) => setProvince(e.target.value)}
+            className="form-select"
+            disabled={disabled}
+          >
+            {provinces.map(p => (
+              <option key={p.code} value={p.code}>{p.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Multiplier</label>
+          <input
+            type="number"
+            min="1"
+            step="0.25"
+            value={importMultiplier}
+            onChange={(e) => setImportMultiplier(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group flex items-end">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={handleImport}
+            disabled={disabled}
+          >
+            Import Provincial List
+          </button>
+        </div>
+      </div>
+
+      {/* Holidays of the selected year */}
+      <div className="table-container mt-4">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Holiday</th>
+              <th>Multiplier</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {holidaysLoading ? (
+              <tr><td colSpan={4}>Loading...</td></tr>
+            ) : yearHolidays.length === 0 ? (
+              <tr><td colSpan={4} className="text-gray-500">No holidays for {year}</td></tr>
+            ) : yearHolidays.map(holiday => (
+              <tr key={holiday.date}>
+                <td>{holiday.date}</td>
+                <td>{holiday.name}</td>
+                <td>{holiday.multiplier}x</td>
+                <td>
+                  <div className="flex gap-2">
+                    <button type="button" className="btn btn-info btn-sm" onClick={() => editHoliday(holiday)} disabled={disabled}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRemove(holiday.date)} disabled={disabled}>
+                      Remove
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Add or edit a single holiday */}
+      <form onSubmit={handleSave} className="grid md:grid-cols-4 gap-4 mt-4">
+        <div className="form-group">
+          <label className="form-label">Date *</label>
+          <input
+            type="date"
+            value={holidayDate}
+            onChange={(e) => setHolidayDate(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Name *</label>
+          <input
+            type="text"
+            value={holidayName}
+            onChange={(e) => setHolidayName(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Multiplier *</label>
+          <input
+            type="number"
+            min="1"
+            step="0.25"
+            value={holidayMultiplier}
+            onChange={(e) => setHolidayMultiplier(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            1.5 = pays 1.5x the day's earnings
+          </p>
+        </div>
+        <div className="form-group flex items-end">
+          <button type="submit" className="btn btn-primary" disabled={disabled}>
+            {working ? 'Saving...' : ' Save Holiday'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default HolidaySettingsCard;
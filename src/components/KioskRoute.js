@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { onAuthStateChanged } from 'firebase/auth';
+import { authFirebase } from '../connections/ConnFirebaseServices';
+
+/**
+ * KioskRoute Component
+ *
+ * Wraps the QR display. Only lets in a paired kiosk account ('kiosk' role in
+ * custom claims, set by the pairKiosk Cloud Function); anyone else is sent to
+ * the pairing page. Admin accounts are not accepted on the display.
+ *
+ * Usage:
+ * <Route path="/" element={<KioskRoute><QrDisplayPage /></KioskRoute>} />
+ */
+function KioskRoute({ children }) {
+  const [loading, setLoading] = useState(true);
+  const [isKiosk, setIsKiosk] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(authFirebase, async (user) => {
+      if (user) {
+        try {
+          const idTokenResult = await user.getIdTokenResult();
+          if (idTokenResult.claims.role === 'kiosk') {
+            setIsKiosk(true);
+          } else {
+            console.warn('User authenticated but not a kiosk:', user.uid);
+            setIsKiosk(false);
+          }
+        } catch (error) {
+          console.error('Error checking kiosk role:', error);
+          setIsKiosk(false);
+        }
+      } else {
+        setIsKiosk(false);
+      }
+
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading...
+      </div>
+    );
+  }
+
+  if (!isKiosk) {
+    return <Navigate to="/pair" replace />;
+  }
+
+  return children;
+}
+
+export default KioskRoute;
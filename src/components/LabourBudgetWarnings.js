@@ -0,0 +1,20 @@
+/**
+ * Weekly budget warnings for a batch of planned shifts (checkPlanBudget), shown in the
+ * previews of the recurring schedule, copy week and auto-schedule modals.
+ * Warning only: the shifts can still be created.
+ */
+function LabourBudgetWarnings({ warnings }) {
+    if (!warnings || warnings.length === 0) return null;
+
+    return (
+        <div className="form-group p-3 rounded bg-yellow-100 mt-4">
+            {warnings.map(warning => (
+                <div key={warning.message} className="text-sm font-medium text-yellow-800">
+                    {warning.message}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default LabourBudgetWarnings;
@@ -0,0 +1,158 @@
+import { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import { parseDate } from '../utils/scheduleUtils';
+import { addDaysStr, getWeekStartStr } from '../shared/dateStrings';
+
+/**
+ * Projected labour cost of the scheduled shifts of a week, per day and per employee,
+ * against the configurable weekly budget.
+ * forecastWeek comes from useLabourForecast; the budget props from useLabourBudget.
+ */
+function LabourForecastCard({ forecastWeek, forecastLoading, weeklyBudget, budgetLoading, saveWeeklyBudget }) {
+    const [weekStart, setWeekStart] = useState(() => getWeekStartStr(format(new Date(), 'yyyy-MM-dd')));
+    const [budgetInput, setBudgetInput] = useState('');
+    const [savingBudget, setSavingBudget] = useState(false);
+
+    useEffect(() => {
+        setBudgetInput(weeklyBudget > 0 ? String(weeklyBudget) : '');
+    }, [weeklyBudget]);
+
+    const forecast = useMemo(() => forecastWeek(weekStart), [forecastWeek, weekStart]);
+    const overBudget = weeklyBudget > 0 && forecast.totalCost > weeklyBudget;
+
+    const handleSaveBudget = async (e) => {
+        e.preventDefault();
+        setSavingBudget(true);
+        await saveWeeklyBudget(budgetInput);
+        setSavingBudget(false);
+    };
+
+    return (
+        <div className="card mb-4">
+            <div className="card-header">
+                <h2 className="card-title">Labour Cost Forecast</h2>
+                <p className="card-subtitle">
+                    Scheduled hours at each employee's rate, with projected overtime and holiday pay
+                </p>
+            </div>
+
+            <div className="flex justify-between items-center mb-4 gap-3">
+                <div className="flex items-center gap-2">
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setWeekStart(addDaysStr(weekStart, -7))}>
+                        Previous
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => setWeekStart(getWeekStartStr(format(new Date(), 'yyyy-MM-dd')))}
+                    >
+                        Current
+                    </button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setWeekStart(addDaysStr(weekStart, 7))}>
+                        Next
+                    </button>
+                    <span className="font-semibold ml-2">
+                        {weekStart} to {addDaysStr(weekStart, 6)}
+                    </span>
+                </div>
+                <form onSubmit={handleSaveBudget} className="flex items-center gap-2">
+                    <label className="form-label mb-0" htmlFor="weeklyBudget">Weekly budget ($)</label>
+                    <input
+                        id="weeklyBudget"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={budgetInput}
+                        onChange={(e) => setBudgetInput(e.target.value)}
+                        className="form-input"
+                        placeholder="No budget"
+                        disabled={savingBudget || budgetLoading}
+                    />
+                    <button type="submit" className="btn btn-primary btn-sm" disabled={savingBudget || budgetLoading}>
+                        {savingBudget ? 'Saving...' : 'Save'}
+                    </button>
+                </form>
+            </div>
+
+            <div className="stats-grid mb-4">
+                <div className={`stat-card ${overBudget ? 'warning' : ''}`}>
+                    <div className="stat-value">${forecast.totalCost.toFixed(2)}</div>
+                    <div className="stat-label">Projected Cost{forecastLoading ? ' (loading wage history...)' : ''}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{forecast.totalHours}h</div>
+                    <div className="stat-label">
+                        Scheduled Hours
+                        {forecast.totalOvertimeHours > 0 && (
+                            <span className="block text-xs mt-1">incl. {forecast.totalOvertimeHours}h projected overtime</span>
+                        )}
+                    </div>
+                </div>
+                <div className={`stat-card ${overBudget ? 'warning' : ''}`}>
+                    <div className="stat-value">
+                        {weeklyBudget > 0 ? `$${Math.abs(weeklyBudget - forecast.totalCost).toFixed(2)}` : '--'}
+                    </div>
+                    <div className="stat-label">
+                        {weeklyBudget > 0
+                            ? (overBudget ? `Over the $${weeklyBudget.toFixed(2)} budget` : `Left of the $${weeklyBudget.toFixed(2)} budget`)
+                            : 'No weekly budget set'}
+                    </div>
+                </div>
+            </div>
+
+            {/* Per day */}
+            <div className="table-container mb-4">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            {forecast.days.map(day => (
+                                <th key={day.date}>{format(parseDate(day.date), 'EEE dd/MM')}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td className="font-medium">Hours</td>
+                            {forecast.days.map(day => <td key={day.date}>{day.hours}h</td>)}
+                        </tr>
+                        <tr>
+                            <td className="font-medium">Cost</td>
+                            {forecast.days.map(day => <td key={day.date}>${day.cost.toFixed(2)}</td>)}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Per employee */}
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>Employee</th>
+                            <th>Scheduled</th>
+                            <th>Projected Overtime</th>
+                            <th>Projected Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {forecast.employees.length === 0 ? (
+                            <tr><td colSpan={4} className="text-gray-500">No shifts scheduled this week</td></tr>
+                        ) : forecast.employees.map(employee => (
+                            <tr key={employee.userId}>
+                                <td>{employee.userName}</td>
+                                <td>{employee.hours}h</td>
+                                <td className={employee.overtimeHours > 0 ? 'text-red-600 font-semibold' : ''}>
+                                    {employee.overtimeHours > 0 ? `${employee.overtimeHours}h` : '--'}
+                                </td>
+                                <td>${employee.cost.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default LabourForecastCard;
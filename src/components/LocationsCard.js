@@ -0,0 +1,209 @@
+import { useState } from 'react';
+import { GEOFENCE_MODES, DEFAULT_GEOFENCE_RADIUS_METERS, normalizeGeofence } from '../shared/geofence';
+
+const EMPTY_LOCATION = { name: '', address: '' };
+
+function toGeofenceForm(location) {
+  return {
+    latitude: location.latitude ?? '',
+    longitude: location.longitude ?? '',
+    geofenceRadiusMeters: location.geofenceRadiusMeters ?? DEFAULT_GEOFENCE_RADIUS_METERS,
+    geofenceMode: location.geofenceMode || 'off',
+  };
+}
+
+function describeGeofence(location) {
+  const fence = normalizeGeofence(location);
+  if (fence.mode === 'off') return 'Off';
+  const mode = GEOFENCE_MODES.find(m => m.value === fence.mode);
+  return `${mode.label} (${fence.radiusMeters} m)`;
+}
+
+/**
+ * Work locations (stores / sites) that shifts and QR displays belong to.
+ * Props come from useLocations.
+ */
+function LocationsCard({ locations, locationsLoading, saveLocation, saveGeofence, deleteLocation }) {
+  const [form, setForm] = useState(EMPTY_LOCATION);
+  const [working, setWorking] = useState(false);
+  const [geofenceEdit, setGeofenceEdit] = useState(null); // { locationId, ...toGeofenceForm() }
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    const saved = await saveLocation(form);
+    setWorking(false);
+    if (saved) {
+      setForm(EMPTY_LOCATION);
+    }
+  };
+
+  const handleSaveGeofence = async (e) => {
+    e.preventDefault();
+    const { locationId, ...geofence } = geofenceEdit;
+    setWorking(true);
+    const saved = await saveGeofence(locationId, geofence);
+    setWorking(false);
+    if (saved) {
+      setGeofenceEdit(null);
+    }
+  };
+
+  const updateGeofenceField = (field) => (e) => {
+    const value = e.target.value;
+    setGeofenceEdit(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleDelete = async (location) => {
+    if (!window.confirm(`Delete "${location.name}"? Its shifts and displays will show without a location.`)) return;
+    setWorking(true);
+    await deleteLocation(location.id);
+    setWorking(false);
+  };
+
+  const disabled = working || locationsLoading;
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h2 className="card-title">Locations</h2>
+        <p className="card-subtitle">
+          Shifts are scheduled at a location and employees punch with the QR display of that location
+        </p>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Address</th>
+              <th>Geofence</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {locationsLoading ? (
+              <tr><td colSpan={4}>Loading...</td></tr>
+            ) : locations.length === 0 ? (
+              <tr><td colSpan={4} className="text-gray-500">No locations</td></tr>
+            ) : locations.map(location => (
+              <tr key={location.id}>
+                <td className="font-semibold">{location.name}</td>
+                <td>{location.address}</td>
+                <td>{describeGeofence(location)}</td>
+                <td className="flex gap-2">
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => setGeofenceEdit({ locationId: location.id, ...toGeofenceForm(location) })}
+                    disabled={disabled}
+                  >
+                    Geofence
+                  </button>
+                  <button type="button" className="btn btn-danger btn-sm" onClick={() => handleDelete(location)} disabled={disabled}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Site coordinates and geofence of one location, checked on check-in / check-out */}
+      {geofenceEdit && (
+        <form onSubmit={handleSaveGeofence} className="mt-4 flex flex-wrap gap-2 items-end">
+          <div className="form-group">
+            <label className="form-label">Latitude</label>
+            <input
+              type="number"
+              step="any"
+              value={geofenceEdit.latitude}
+              onChange={updateGeofenceField('latitude')}
+              className="form-input"
+              placeholder="e.g. 45.5088"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Longitude</label>
+            <input
+              type="number"
+              step="any"
+              value={geofenceEdit.longitude}
+              onChange={updateGeofenceField('longitude')}
+              className="form-input"
+              placeholder="e.g. -73.5542"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Radius (m)</label>
+            <input
+              type="number"
+              min="1"
+              value={geofenceEdit.geofenceRadiusMeters}
+              onChange={updateGeofenceField('geofenceRadiusMeters')}
+              className="form-input"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Punches Outside</label>
+            <select
+              value={geofenceEdit.geofenceMode}
+              onChange={updateGeofenceField('geofenceMode')}
+              className="form-select"
+              disabled={disabled}
+            >
+              {GEOFENCE_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group flex gap-2">
+            <button type="submit" className="btn btn-primary" disabled={disabled}>
+              {working ? 'Saving...' : 'Save Geofence'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setGeofenceEdit(null)} disabled={working}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Add a location */}
+      <form onSubmit={handleSave} className="mt-4 flex flex-wrap gap-2 items-end">
+        <div className="form-group">
+          <label className="form-label">Name *</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            className="form-input"
+            placeholder="e.g. Downtown store"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Address</label>
+          <input
+            type="text"
+            value={form.address}
+            onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <button type="submit" className="btn btn-primary" disabled={disabled}>
+            {working ? 'Saving...' : 'Add Location'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default LocationsCard;
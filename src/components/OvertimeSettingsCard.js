@@ -1,98 +1,29 @@
-import { useState, useEffect } from 'react';
-import { dbFirestore } from '../connections/ConnFirebaseServices';
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
-import { toast } from 'react-toastify';
+import useOvertimeSettings from '../hooks/useOvertimeSettings';
+import { SEVENTH_DAY_OVERTIME_HOURS } from '../shared/overtimeEngine';
 
 function OvertimeSettingsCard() {
-  const [otThreshold, setOtThreshold] = useState('40'); // Weekly regular hours before overtime
-  const [otPercent, setOtPercent] = useState('50');     // Overtime increase (%)
-  const [otUpdatedAt, setOtUpdatedAt] = useState(null);
-  const [otSaving, setOtSaving] = useState(false);
-  const [otLoading, setOtLoading] = useState(true);
-
-  // Load overtime rules when component mounts
-  useEffect(() => {
-    async function loadOvertime() {
-      try {
-        const ref = doc(dbFirestore, 'SystemSettings', 'OvertimeRules');
-        const snap = await getDoc(ref);
-
-        if (snap.exists()) {
-          const data = snap.data();
-
-          const th = parseFloat(data.thresholdHours) || 40;
-          const pct = parseFloat(data.overtimePercent) || 50;
-
-          setOtThreshold(String(th));
-          setOtPercent(String(pct));
-
-          if (data.updatedAt?.toDate) {
-            setOtUpdatedAt(data.updatedAt.toDate());
-          }
-        } else {
-          // Initialize defaults if not present
-          await setDoc(
-            ref,
-            {
-              thresholdHours: 40,
-              overtimePercent: 50,
-              createdAt: serverTimestamp(),
-              updatedAt: serverTimestamp(),
-            },
-            { merge: true }
-          );
-
-          setOtThreshold('40');
-          setOtPercent('50');
-        }
-      } catch (e) {
-        console.error('Error loading overtime settings', e);
-        toast.error('Error loading overtime settings');
-      } finally {
-        setOtLoading(false);
-      }
-    }
-
-    loadOvertime();
-  }, []);
-
-  // Save overtime rule updates
-  const saveOvertime = async (e) => {
-    e.preventDefault();
-
-    const thresholdNum = parseFloat(otThreshold);
-    const percentNum = parseFloat(otPercent);
-
-    if (isNaN(thresholdNum) || thresholdNum <= 0) {
-      toast.error('Please provide a valid Weekly Regular Hours Threshold');
-      return;
-    }
-    if (isNaN(percentNum) || percentNum < 0) {
-      toast.error('Please provide a valid Overtime Increase (%)');
-      return;
-    }
-
-    setOtSaving(true);
-    try {
-      const ref = doc(dbFirestore, 'SystemSettings', 'OvertimeRules');
-      await setDoc(
-        ref,
-        {
-          thresholdHours: thresholdNum,
-          overtimePercent: percentNum,
-          updatedAt: serverTimestamp(),
-        },
-        { merge: true }
-      );
-
-      toast.success('Overtime settings saved');
-    } catch (e) {
-      console.error(e);
-      toast.error('Failed to save overtime settings');
-    } finally {
-      setOtSaving(false);
-    }
-  };
+  // Load/save of SystemSettings/OvertimeRules lives in the hook
+  const {
+    otThreshold,
+    setOtThreshold,
+    otPercent,
+    setOtPercent,
+    otDailyThreshold,
+    setOtDailyThreshold,
+    otDoubleTimeThreshold,
+    setOtDoubleTimeThreshold,
+    otDoubleTimePercent,
+    setOtDoubleTimePercent,
+    otSeventhDay,
+    setOtSeventhDay,
+    otUpdatedAt,
+    otLoading,
+    otSaving,
+    saveOvertime
+  } = useOvertimeSettings();
+
+  // Same cap as splitDayHours: the daily threshold, or 8h when daily overtime is off
+  const seventhDayOvertimeHours = Number(otDailyThreshold) > 0 ? Number(otDailyThreshold) : SEVENTH_DAY_OVERTIME_HOURS;
 
   return (
     <div className="card">
@@ -152,6 +83,74 @@ function OvertimeSettingsCard() {
           </div>
         </div>
 
+        {/* Daily Overtime Threshold */}
+        <div className="form-group">
+          <label className="form-label">Daily Overtime After (h)</label>
+          <input
+            type="number"
+            min="0"
+            max="24"
+            step="0.25"
+            value={otDailyThreshold}
+            onChange={(e) => setOtDailyThreshold(e.target.value)}
+            className="form-input"
+            disabled={otSaving || otLoading}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Example: 8. Hours past this in one day are overtime. 0 = disabled.
+          </p>
+        </div>
+
+        {/* Double Time Threshold */}
+        <div className="form-group">
+          <label className="form-label">Double Time After (h)</label>
+          <input
+            type="number"
+            min="0"
+            max="24"
+            step="0.25"
+            value={otDoubleTimeThreshold}
+            onChange={(e) => setOtDoubleTimeThreshold(e.target.value)}
+            className="form-input"
+            disabled={otSaving || otLoading}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Example: 12. Hours past this in one day are double time. 0 = disabled.
+          </p>
+        </div>
+
+        {/* Double Time Increase % */}
+        <div className="form-group">
+          <label className="form-label">Double Time Increase (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={otDoubleTimePercent}
+            onChange={(e) => setOtDoubleTimePercent(e.target.value)}
+            className="form-input"
+            disabled={otSaving || otLoading}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            100 = pays 2x
+          </p>
+        </div>
+
+        {/* 7th consecutive day premium */}
+        <div className="form-group md:col-span-3 flex items-center gap-2">
+          <input
+            id="otSeventhDay"
+            type="checkbox"
+            className="form-checkbox"
+            checked={otSeventhDay}
+            disabled={otSaving || otLoading}
+            onChange={(e) => setOtSeventhDay(e.target.checked)}
+          />
+          <label htmlFor="otSeventhDay" className="form-label !mb-0">
+            7th consecutive day premium (first {seventhDayOvertimeHours}h overtime, rest double time)
+          </label>
+        </div>
+
         {/* Save button */}
         <div className="md:col-span-3 flex flex-wrap gap-2 mt-2">
           <button
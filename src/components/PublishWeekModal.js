@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { planWeekPublication, isEmployeeAffected, buildPublicationMessage } from '../utils/scheduleDraftHelpers';
+import { loadRemovedShifts, publishWeek } from '../utils/schedulePublishing';
+import { listLockedDates } from '../utils/payPeriodLocks';
+import { addDaysStr, getWeekStartStr } from '../shared/dateStrings';
+
+/**
+ * Modal to publish the draft shifts of one week
+ * The preview lists, per employee, the new, changed and removed shifts; publishing makes them
+ * visible and sends each affected employee a single ScheduleNotification.
+ */
+function PublishWeekModal({ isVisible, onClose, users, userDailySchedules }) {
+    const [weekStart, setWeekStart] = useState(() => getWeekStartStr(format(new Date(), 'yyyy-MM-dd')));
+    const [plan, setPlan] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [isPublishing, setIsPublishing] = useState(false);
+
+    // Any change to the inputs invalidates the preview
+    useEffect(() => {
+        setPlan(null);
+    }, [weekStart, userDailySchedules]);
+
+    const affected = (plan || []).filter(isEmployeeAffected);
+
+    const handlePreview = async () => {
+        setIsPreviewing(true);
+        try {
+            const [removedShiftsByUser, lockedDates] = await Promise.all([
+                loadRemovedShifts(users.map(u => u.id), weekStart),
+                listLockedDates(Array.from({ length: 7 }, (_, i) => addDaysStr(weekStart, i)))
+            ]);
+            const nextPlan = planWeekPublication({ weekStart, users, userDailySchedules, removedShiftsByUser, lockedDates });
+            if (!nextPlan.some(isEmployeeAffected)) {
+                toast.info('Nothing to publish this week', { position: 'top-right' });
+            }
+            setPlan(nextPlan);
+        } catch (error) {
+            console.error('Error previewing publication:', error);
+            toast.error(`Error loading the week: ${error.message}`, { position: 'top-right' });
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const handlePublish = async () => {
+        if (!plan || plan.length === 0) return;
+        setIsPublishing(true);
+        try {
+            const { shifts, notified } = await publishWeek(weekStart, plan);
+            toast.success(
+                `${shifts} shift${shifts !== 1 ? 's' : ''} published, ${notified} employee${notified !== 1 ? 's' : ''} notified`,
+                { position: 'top-right' }
+            );
+            handleClose(true);
+        } catch (error) {
+            console.error('Error publishing week:', error);
+            toast.error(`Error publishing week: ${error.message}`, { position: 'top-right' });
+        } finally {
+            setIsPublishing(false);
+        }
+    };
+
+    const handleClose = (force = false) => {
+        if (isPublishing && !force) return;
+        setPlan(null);
+        onClose();
+    };
+
+    if (!isVisible) return null;
+
+    const busy = isPreviewing || isPublishing;
+
+    return (
+        <div className="modal-overlay" onClick={() => handleClose()}>
+            <div className="modal recurrence-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div>
+                        <h2 className="modal-title">Publish Week</h2>
+                        <p className="text-sm text-gray-500 mt-1">
+                            Draft shifts are only visible to admins until their week is published
+                        </p>
+                    </div>
+                    <button onClick={() => handleClose()} className="modal-close" disabled={isPublishing}>
+
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="publishWeek">Week (any day, Monday-Sunday)</label>
+                        <input
+                            id="publishWeek"
+                            type="date"
+                            value={weekStart}
+                            onChange={(e) => e.target.value && setWeekStart(getWeekStartStr(e.target.value))}
+                            className="form-input"
+                            disabled={busy}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                            {weekStart} to {addDaysStr(weekStart, 6)}
+                        </p>
+                    </div>
+
+                    {/* Preview */}
+                    {plan && (
+                        <div className="border-t pt-4">
+                            <div className="font-medium mb-2">
+                                {affected.length} employee{affected.length !== 1 ? 's' : ''} will be notified
+                            </div>
+                            {affected.length > 0 && (
+                                <div className="recurrence-preview table-container">
+                                    <table className="table">
+                                        <thead>
+                                            <tr>
+                                                <th>Employee</th>
+                                                <th>New</th>
+                                                <th>Changed</th>
+                                                <th>Removed</th>
+                                                <th>Message</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {affected.map(entry => (
+                                                <tr key={entry.userId}>
+                                                    <td>{entry.userName}</td>
+                                                    <td>{entry.newShifts.length}</td>
+                                                    <td>{entry.changedShifts.length}</td>
+                                                    <td>{entry.removedShifts.length}</td>
+                                                    <td className="text-xs" style={{ whiteSpace: 'pre-line' }}>
+                                                        {buildPublicationMessage(weekStart, entry)}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="flex gap-4 pt-4 border-t">
+                        <button type="button" className="btn btn-primary flex-1" onClick={handlePreview} disabled={busy}>
+                            {isPreviewing ? 'Loading...' : 'Preview'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-success flex-1"
+                            onClick={handlePublish}
+                            disabled={busy || !plan || plan.length === 0}
+                        >
+                            {isPublishing ? (
+                                <>
+                                    <span className="spinner"></span>
+                                    Publishing...
+                                </>
+                            ) : 'Publish Week'}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={() => handleClose()} disabled={isPublishing}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PublishWeekModal;
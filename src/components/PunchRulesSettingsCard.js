@@ -0,0 +1,135 @@
+import usePunchRules from '../hooks/usePunchRules';
+import { ROUNDING_OPTIONS } from '../utils/punchRounding';
+
+function PunchRulesSettingsCard() {
+  // Load/save of SystemSettings/PunchRules lives in the hook
+  const {
+    roundingMinutes,
+    setRoundingMinutes,
+    earlyInGrace,
+    setEarlyInGrace,
+    lateOutGrace,
+    setLateOutGrace,
+    clampToScheduledStart,
+    setClampToScheduledStart,
+    qrGrace,
+    setQrGrace,
+    punchLoading,
+    punchSaving,
+    savePunchRules
+  } = usePunchRules();
+
+  const disabled = punchSaving || punchLoading;
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h2 className="card-title"> Punch Rounding</h2>
+        <p className="card-subtitle">
+          Worked hours and earnings use the rounded punches; the raw punches are kept on each shift
+        </p>
+      </div>
+
+      <form onSubmit={savePunchRules} className="grid md:grid-cols-3 gap-4">
+        {/* Rounding step */}
+        <div className="form-group">
+          <label className="form-label">Round Punches To</label>
+          <select
+            value={roundingMinutes}
+            onChange={(e) => setRoundingMinutes(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          >
+            {ROUNDING_OPTIONS.map(option => (
+              <option key={option} value={String(option)}>
+                {option === 0 ? 'No rounding' : `Nearest ${option} min`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Early-in grace */}
+        <div className="form-group">
+          <label className="form-label">Early-In Grace (min)</label>
+          <input
+            type="number"
+            min="0"
+            max="120"
+            step="1"
+            value={earlyInGrace}
+            onChange={(e) => setEarlyInGrace(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Check-ins this early count from the scheduled start. 0 = disabled.
+          </p>
+        </div>
+
+        {/* Late-out grace */}
+        <div className="form-group">
+          <label className="form-label">Late-Out Grace (min)</label>
+          <input
+            type="number"
+            min="0"
+            max="120"
+            step="1"
+            value={lateOutGrace}
+            onChange={(e) => setLateOutGrace(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Check-outs this late count until the scheduled end. 0 = disabled.
+          </p>
+        </div>
+
+        {/* QR code grace */}
+        <div className="form-group">
+          <label className="form-label">QR Code Grace (s)</label>
+          <input
+            type="number"
+            min="0"
+            max="300"
+            step="5"
+            value={qrGrace}
+            onChange={(e) => setQrGrace(e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            The previous code is still accepted this long after the display rotates.
+          </p>
+        </div>
+
+        {/* Clamp to scheduled start */}
+        <div className="form-group md:col-span-2 flex items-center gap-2">
+          <input
+            id="clampToScheduledStart"
+            type="checkbox"
+            className="form-checkbox"
+            checked={clampToScheduledStart}
+            disabled={disabled}
+            onChange={(e) => setClampToScheduledStart(e.target.checked)}
+          />
+          <label htmlFor="clampToScheduledStart" className="form-label !mb-0">
+            Never count time before the scheduled start
+          </label>
+        </div>
+
+        {/* Save button */}
+        <div className="md:col-span-3 flex flex-wrap gap-2 mt-2">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={disabled}
+          >
+            {punchSaving ? 'Saving...' : ' Save Punch Rules'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default PunchRulesSettingsCard;
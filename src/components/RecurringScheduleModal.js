@@ -0,0 +1,529 @@
+import { useState, useEffect, useMemo } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, writeBatch, Timestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { format, addDays } from 'date-fns';
+import { buildShiftDocument } from '../utils/scheduleUtils';
+import { WEEKDAY_OPTIONS, expandRecurrenceDates, planRecurringShifts } from '../utils/shiftRecurrence';
+import { listLockedDates } from '../utils/payPeriodLocks';
+import { checkShiftAvailability } from '../utils/availabilityHelpers';
+import { checkPlanBudget } from '../utils/labourForecast';
+import { addDaysStr } from '../shared/dateStrings';
+import LabourBudgetWarnings from './LabourBudgetWarnings';
+
+// Firestore accepts up to 500 writes per batch
+const BATCH_SIZE = 450;
+
+/**
+ * Modal to generate a recurring weekly schedule for several employees
+ * Shifts come from a template (or custom times); every shift is validated in a preview
+ * and only the valid ones are written, in batches.
+ */
+function RecurringScheduleModal({ isVisible, onClose, users, userDailySchedules, timeSlots, templates, saveTemplate, deleteTemplate, timeOffByUser, holidays, forecastWeek, weeklyBudget, locations, defaultLocationId }) {
+    const today = format(new Date(), 'yyyy-MM-dd');
+
+    const [templateId, setTemplateId] = useState('');
+    const [startHour, setStartHour] = useState('');
+    const [endHour, setEndHour] = useState('');
+    const [endsNextDay, setEndsNextDay] = useState(false);
+    const [eventDescription, setEventDescription] = useState('');
+    const [locationId, setLocationId] = useState('');
+    const [startDate, setStartDate] = useState(today);
+    const [endDate, setEndDate] = useState(format(addDays(new Date(), 27), 'yyyy-MM-dd'));
+    const [daysOfWeek, setDaysOfWeek] = useState([1, 2, 3, 4, 5]);
+    const [exceptions, setExceptions] = useState([]);
+    const [exceptionDate, setExceptionDate] = useState('');
+    const [selectedUserIds, setSelectedUserIds] = useState([]);
+    const [templateName, setTemplateName] = useState('');
+
+    const [plan, setPlan] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [isCommitting, setIsCommitting] = useState(false);
+
+    // New plans start at the location shown on the calendar
+    useEffect(() => {
+        if (isVisible) setLocationId(defaultLocationId || '');
+    }, [isVisible, defaultLocationId]);
+
+    // Any change to the inputs invalidates the preview
+    useEffect(() => {
+        setPlan(null);
+    }, [startHour, endHour, endsNextDay, startDate, endDate, daysOfWeek, exceptions, selectedUserIds, userDailySchedules]);
+
+    const usersById = useMemo(
+        () => Object.fromEntries((users || []).map(u => [u.id, u])),
+        [users]
+    );
+
+    const validItems = useMemo(() => (plan || []).filter(item => item.isValid), [plan]);
+    const conflictItems = useMemo(() => (plan || []).filter(item => !item.isValid), [plan]);
+    // Weekly availability is a warning only: these shifts are still created
+    const availabilityWarnings = useMemo(() => validItems
+        .map(item => ({
+            ...item,
+            availability: checkShiftAvailability(usersById[item.userId]?.availability, {
+                eventDate: item.eventDate,
+                startHour,
+                endHour,
+                endsNextDay
+            })
+        }))
+        .filter(item => !item.availability.isAvailable),
+    [validItems, usersById, startHour, endHour, endsNextDay]);
+    const budgetWarnings = useMemo(
+        () => checkPlanBudget({ plannedShifts: validItems, forecastWeek, weeklyBudget }),
+        [validItems, forecastWeek, weeklyBudget]
+    );
+
+    const applyTemplate = (id) => {
+        setTemplateId(id);
+        const template = templates.find(t => t.id === id);
+        if (!template) return;
+        setStartHour(template.startHour);
+        setEndHour(template.endHour);
+        setEndsNextDay(Boolean(template.endsNextDay));
+        setEventDescription(template.eventDescription || template.name);
+    };
+
+    const toggleDay = (day) => {
+        setDaysOfWeek(prev => prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]);
+    };
+
+    const toggleUser = (userId) => {
+        setSelectedUserIds(prev => prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]);
+    };
+
+    const addException = () => {
+        if (!exceptionDate || exceptions.includes(exceptionDate)) return;
+        setExceptions(prev => [...prev, exceptionDate].sort());
+        setExceptionDate('');
+    };
+
+    const handleSaveTemplate = async () => {
+        const saved = await saveTemplate({ name: templateName, startHour, endHour, endsNextDay, eventDescription });
+        if (saved) setTemplateName('');
+    };
+
+    const handlePreview = async () => {
+        if (!startHour || !endHour || !eventDescription.trim()) {
+            toast.error('Please select a template or fill in times and description', { position: 'top-right' });
+            return;
+        }
+        if (selectedUserIds.length === 0) {
+            toast.error('Please select at least one employee', { position: 'top-right' });
+            return;
+        }
+        if (daysOfWeek.length === 0) {
+            toast.error('Please select at least one day of the week', { position: 'top-right' });
+            return;
+        }
+
+        setIsPreviewing(true);
+        try {
+            const dates = expandRecurrenceDates({ startDate, endDate, daysOfWeek, exceptions });
+            if (dates.length === 0) {
+                toast.warning('No dates match this recurrence', { position: 'top-right' });
+                setPlan([]);
+                return;
+            }
+            const nextDates = endsNextDay ? dates.map(d => addDaysStr(d, 1)) : [];
+            const lockedDates = await listLockedDates([...dates, ...nextDates]);
+            setPlan(planRecurringShifts({
+                userIds: selectedUserIds,
+                dates,
+                startHour,
+                endHour,
+                endsNextDay,
+                userDailySchedules,
+                lockedDates,
+                timeOffByUser
+            }));
+        } catch (error) {
+            toast.error(error.message, { position: 'top-right' });
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const handleCommit = async () => {
+        if (validItems.length === 0) return;
+        setIsCommitting(true);
+        try {
+            const recurrenceId = `rec_${Date.now()}`;
+            for (let i = 0; i < validItems.length; i += BATCH_SIZE) {
+                const batch = writeBatch(dbFirestore);
+                validItems.slice(i, i + BATCH_SIZE).forEach(item => {
+                    const shiftRef = doc(collection(dbFirestore, 'users', item.userId, 'UserSchedule'));
+                    const documentData = {
+                        ...buildShiftDocument({ eventDate: item.eventDate, startHour, endHour, endsNextDay, eventDescription, locationId, holidays }),
+                        recurrenceId,
+                        createdAt: Timestamp.now()
+                    };
+                    if (templateId) documentData.templateId = templateId;
+                    batch.set(shiftRef, documentData);
+                });
+                await batch.commit();
+            }
+            toast.success(`${validItems.length} shift${validItems.length !== 1 ? 's' : ''} created`, { position: 'top-right' });
+            handleClose(true);
+        } catch (error) {
+            console.error('Error creating recurring shifts:', error);
+            toast.error(`Error creating shifts: ${error.message}`, { position: 'top-right' });
+        } finally {
+            setIsCommitting(false);
+        }
+    };
+
+    const handleClose = (force = false) => {
+        if (isCommitting && !force) return;
+        setPlan(null);
+        setSelectedUserIds([]);
+        setExceptions([]);
+        onClose();
+    };
+
+    if (!isVisible) return null;
+
+    const busy = isPreviewing || isCommitting;
+
+    return (
+        <div className="modal-overlay" onClick={() => handleClose()}>
+            <div className="modal recurrence-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div>
+                        <h2 className="modal-title">Recurring Schedule</h2>
+                        <p className="text-sm text-gray-500 mt-1">
+                            Generate weekly shifts from a template for several employees
+                        </p>
+                    </div>
+                    <button onClick={() => handleClose()} className="modal-close" disabled={isCommitting}>
+
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    {/* Shift definition */}
+                    <div className="grid md:grid-cols-3 gap-4">
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recTemplate">Template</label>
+                            <select
+                                id="recTemplate"
+                                value={templateId}
+                                onChange={(e) => applyTemplate(e.target.value)}
+                                className="form-select"
+                                disabled={busy}
+                            >
+                                <option value="">Custom times</option>
+                                {templates.map(t => (
+                                    <option key={t.id} value={t.id}>
+                                        {t.name} ({t.startHour}-{t.endHour}{t.endsNextDay ? ' +1' : ''})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recStart">Start Time *</label>
+                            <select
+                                id="recStart"
+                                value={startHour}
+                                onChange={(e) => { setTemplateId(''); setStartHour(e.target.value); }}
+                                className="form-select"
+                                disabled={busy}
+                            >
+                                <option value="">Select start time</option>
+                                {timeSlots.map(time => (
+                                    <option key={time} value={time}>{time}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recEnd">End Time *</label>
+                            <select
+                                id="recEnd"
+                                value={endHour}
+                                onChange={(e) => { setTemplateId(''); setEndHour(e.target.value); }}
+                                className="form-select"
+                                disabled={busy}
+                            >
+                                <option value="">Select end time</option>
+                                {timeSlots.map(time => (
+                                    <option key={time} value={time}>{time}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="form-group flex items-center gap-2">
+                        <input
+                            id="recEndsNextDay"
+                            type="checkbox"
+                            className="form-checkbox"
+                            checked={endsNextDay}
+                            onChange={(e) => { setTemplateId(''); setEndsNextDay(e.target.checked); }}
+                            disabled={busy}
+                        />
+                        <label htmlFor="recEndsNextDay" className="form-label !mb-0">
+                             Ends Next Day (Overnight Shift)
+                        </label>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="recDescription">Event Description *</label>
+                        <input
+                            id="recDescription"
+                            type="text"
+                            value={eventDescription}
+                            onChange={(e) => setEventDescription(e.target.value)}
+                            className="form-input"
+                            disabled={busy}
+                        />
+                    </div>
+
+                    {locations && locations.length > 0 && (
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recLocation">Location</label>
+                            <select
+                                id="recLocation"
+                                value={locationId}
+                                onChange={(e) => setLocationId(e.target.value)}
+                                className="form-select"
+                                disabled={busy}
+                            >
+                                <option value="">No location</option>
+                                {locations.map(location => (
+                                    <option key={location.id} value={location.id}>{location.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Template management */}
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={templateName}
+                            onChange={(e) => setTemplateName(e.target.value)}
+                            className="form-input"
+                            placeholder='Template name, e.g. "Opening 07:00-15:00"'
+                            disabled={busy}
+                        />
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={handleSaveTemplate} disabled={busy}>
+                            Save as Template
+                        </button>
+                        {templateId && (
+                            <button
+                                type="button"
+                                className="btn btn-danger btn-sm"
+                                onClick={async () => {
+                                    if (!window.confirm('Delete this shift template?')) return;
+                                    await deleteTemplate(templateId);
+                                    setTemplateId('');
+                                }}
+                                disabled={busy}
+                            >
+                                Delete Template
+                            </button>
+                        )}
+                    </div>
+
+                    {/* Recurrence */}
+                    <div className="grid md:grid-cols-3 gap-4 border-t pt-4">
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recFrom">From *</label>
+                            <input
+                                id="recFrom"
+                                type="date"
+                                value={startDate}
+                                min={today}
+                                onChange={(e) => setStartDate(e.target.value)}
+                                className="form-input"
+                                disabled={busy}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recTo">To *</label>
+                            <input
+                                id="recTo"
+                                type="date"
+                                value={endDate}
+                                min={startDate}
+                                onChange={(e) => setEndDate(e.target.value)}
+                                className="form-input"
+                                disabled={busy}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="recException">Skip Date</label>
+                            <div className="flex gap-2">
+                                <input
+                                    id="recException"
+                                    type="date"
+                                    value={exceptionDate}
+                                    min={startDate}
+                                    max={endDate}
+                                    onChange={(e) => setExceptionDate(e.target.value)}
+                                    className="form-input"
+                                    disabled={busy}
+                                />
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={addException} disabled={busy || !exceptionDate}>
+                                    Add
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="flex items-center gap-3">
+                        <span className="form-label !mb-0">Days:</span>
+                        {WEEKDAY_OPTIONS.map(day => (
+                            <label key={day.value} className="flex items-center gap-1 text-sm">
+                                <input
+                                    type="checkbox"
+                                    className="form-checkbox"
+                                    checked={daysOfWeek.includes(day.value)}
+                                    onChange={() => toggleDay(day.value)}
+                                    disabled={busy}
+                                />
+                                {day.label}
+                            </label>
+                        ))}
+                    </div>
+
+                    {exceptions.length > 0 && (
+                        <div className="flex items-center gap-2 text-sm">
+                            <span className="text-gray-600">Skipped:</span>
+                            {exceptions.map(date => (
+                                <button
+                                    key={date}
+                                    type="button"
+                                    className="px-2 py-1 bg-gray-100 rounded text-sm"
+                                    onClick={() => setExceptions(prev => prev.filter(d => d !== date))}
+                                    title="Remove exception"
+                                    disabled={busy}
+                                >
+                                    {date} ×
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Employees */}
+                    <div className="border-t pt-4">
+                        <div className="flex justify-between items-center mb-2">
+                            <span className="form-label !mb-0">Employees * ({selectedUserIds.length} selected)</span>
+                            <div className="flex gap-2">
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setSelectedUserIds(users.map(u => u.id))} disabled={busy}>
+                                    All
+                                </button>
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setSelectedUserIds([])} disabled={busy}>
+                                    None
+                                </button>
+                            </div>
+                        </div>
+                        <div className="grid md:grid-cols-3 gap-2">
+                            {users.map(user => (
+                                <label key={user.id} className="flex items-center gap-2 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        className="form-checkbox"
+                                        checked={selectedUserIds.includes(user.id)}
+                                        onChange={() => toggleUser(user.id)}
+                                        disabled={busy}
+                                    />
+                                    {user.firstName} {user.lastName} ({user.category})
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Preview */}
+                    {plan && (
+                        <div className="border-t pt-4">
+                            <div className="font-medium mb-2">
+                                {validItems.length} shift{validItems.length !== 1 ? 's' : ''} ready, {conflictItems.length} conflict{conflictItems.length !== 1 ? 's' : ''}
+                            </div>
+                            {conflictItems.length > 0 && (
+                                <div className="recurrence-preview table-container">
+                                    <table className="table">
+                                        <thead>
+                                            <tr>
+                                                <th>Employee</th>
+                                                <th>Date</th>
+                                                <th>Conflict</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {conflictItems.map(item => (
+                                                <tr key={`${item.userId}_${item.eventDate}`}>
+                                                    <td>{usersById[item.userId]?.firstName} {usersById[item.userId]?.lastName}</td>
+                                                    <td>{item.eventDate}</td>
+                                                    <td className="text-red-700 text-sm">{item.message}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                            {conflictItems.length > 0 && validItems.length > 0 && (
+                                <p className="text-sm text-gray-500 mt-2">
+                                    Conflicting shifts are skipped; only the valid shifts will be created.
+                                </p>
+                            )}
+                            {availabilityWarnings.length > 0 && (
+                                <div className="mt-4">
+                                    <div className="font-medium mb-2 text-yellow-800">
+                                        {availabilityWarnings.length} shift{availabilityWarnings.length !== 1 ? 's' : ''} outside availability (will still be created)
+                                    </div>
+                                    <div className="recurrence-preview table-container">
+                                        <table className="table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Employee</th>
+                                                    <th>Date</th>
+                                                    <th>Warning</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {availabilityWarnings.map(item => (
+                                                    <tr key={`${item.userId}_${item.eventDate}`}>
+                                                        <td>{usersById[item.userId]?.firstName} {usersById[item.userId]?.lastName}</td>
+                                                        <td>{item.eventDate}</td>
+                                                        <td className="text-yellow-800 text-sm">{item.availability.message}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+                            <LabourBudgetWarnings warnings={budgetWarnings} />
+                        </div>
+                    )}
+
+                    <div className="flex gap-4 pt-4 border-t">
+                        <button type="button" className="btn btn-primary flex-1" onClick={handlePreview} disabled={busy}>
+                            {isPreviewing ? 'Checking...' : 'Preview'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-success flex-1"
+                            onClick={handleCommit}
+                            disabled={busy || validItems.length === 0}
+                        >
+                            {isCommitting ? (
+                                <>
+                                    <span className="spinner"></span>
+                                    Creating...
+                                </>
+                            ) : `Create ${validItems.length} Shift${validItems.length !== 1 ? 's' : ''}`}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={() => handleClose()} disabled={isCommitting}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RecurringScheduleModal;
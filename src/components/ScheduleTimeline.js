@@ -0,0 +1,207 @@
+import { useState, useMemo } from 'react';
+import { Calendar, momentLocalizer } from 'react-big-calendar';
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop';
+import moment from 'moment';
+import { format } from 'date-fns';
+import { isShiftDraggable } from '../utils/shiftMoveHelpers';
+import { computeDailyCoverage, findStaffingGaps, listUserCategories, STAFFING_STATUS } from '../utils/coverageHelpers';
+
+const localizer = momentLocalizer(moment);
+const DnDCalendar = withDragAndDrop(Calendar);
+
+/**
+ * Resource timeline for the scheduler: one lane per employee instead of one stacked grid
+ * Supports a category filter, daily coverage counts with staffing gaps and the same drag-and-drop as the calendar view
+ * (dropping a shift on another lane reassigns it).
+ */
+function ScheduleTimeline({
+    users,
+    calendarEvents,
+    timeOffEvents,
+    userDailySchedules,
+    staffingRequirements,
+    shiftTypes,
+    eventStyleGetter,
+    holidayCalendarProps,
+    onSelectEvent,
+    onSelectSlot,
+    onEventMove
+}) {
+    const [category, setCategory] = useState('');
+    const [view, setView] = useState('day');
+    const [date, setDate] = useState(new Date());
+
+    const categories = useMemo(() => listUserCategories(users), [users]);
+
+    const laneUsers = useMemo(
+        () => users.filter(user => !category || user.category === category),
+        [users, category]
+    );
+
+    const resources = useMemo(
+        () => laneUsers.map(user => ({ id: user.id, title: `${user.firstName} ${user.lastName}` })),
+        [laneUsers]
+    );
+
+    // The lane already names the employee, so events only show the description
+    const laneEvents = useMemo(() => {
+        const laneIds = new Set(laneUsers.map(user => user.id));
+        return calendarEvents
+            .filter(event => laneIds.has(event.userId))
+            .map(event => ({ ...event, title: event.resource?.eventDescription || event.title, resourceId: event.userId }));
+    }, [calendarEvents, laneUsers]);
+
+    const laneTimeOff = useMemo(() => {
+        const laneIds = new Set(laneUsers.map(user => user.id));
+        return (timeOffEvents || []).filter(event => laneIds.has(event.resourceId));
+    }, [timeOffEvents, laneUsers]);
+
+    // Dates on screen, following the localizer's week start
+    const visibleDates = useMemo(() => {
+        if (view === 'day') return [format(date, 'yyyy-MM-dd')];
+        const start = moment(date).startOf('week');
+        return Array.from({ length: 7 }, (_, i) => start.clone().add(i, 'days').format('YYYY-MM-DD'));
+    }, [view, date]);
+
+    const coverage = useMemo(
+        () => computeDailyCoverage({
+            userDailySchedules,
+            userIds: laneUsers.map(user => user.id),
+            dates: visibleDates
+        }),
+        [userDailySchedules, laneUsers, visibleDates]
+    );
+
+    // Requirements of the filtered category compared with everyone in that category
+    const staffingGaps = useMemo(() => {
+        const laneRequirements = (staffingRequirements || [])
+            .filter(requirement => !category || requirement.category === category);
+        if (laneRequirements.length === 0) return {};
+        const gaps = findStaffingGaps({
+            requirements: laneRequirements,
+            userDailySchedules,
+            users,
+            dates: visibleDates
+        });
+        const byDate = {};
+        gaps.forEach(gap => {
+            (byDate[gap.date] = byDate[gap.date] || []).push(gap);
+        });
+        return byDate;
+    }, [staffingRequirements, category, userDailySchedules, users, visibleDates]);
+
+    return (
+        <div className="animate-slide-in">
+            <div className="calendar-legend mb-4">
+                <h3 className="legend-title">Shift Types</h3>
+                <div className="legend-items">
+                    {shiftTypes.map(type => (
+                        <div key={type.value} className="legend-item">
+                            <div className="legend-color" style={{ backgroundColor: type.color }}></div>
+                            <span>{type.label}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="card mb-4">
+                <div className="flex items-center justify-between gap-3">
+                    <div className="flex items-center gap-2">
+                        <label className="text-base font-semibold" htmlFor="timelineCategory">Category: </label>
+                        <select
+                            id="timelineCategory"
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            className="form-select"
+                            style={{ width: '200px' }}
+                        >
+                            <option value="">All categories</option>
+                            {categories.map(cat => (
+                                <option key={cat} value={cat}>{cat}</option>
+                            ))}
+                        </select>
+                        <span className="text-sm text-gray-500">
+                            {laneUsers.length} employee{laneUsers.length !== 1 ? 's' : ''}
+                        </span>
+                    </div>
+                    <span className="text-sm text-gray-500">
+                        Drag a shift onto another employee to reassign it
+                    </span>
+                </div>
+
+                {/* Daily coverage */}
+                <div className="stats-grid mt-4">
+                    {visibleDates.map(dateStr => {
+                        const dayGaps = staffingGaps[dateStr] || [];
+                        const under = dayGaps.filter(gap => gap.status === STAFFING_STATUS.UNDER);
+                        const over = dayGaps.filter(gap => gap.status === STAFFING_STATUS.OVER);
+                        return (
+                            <div
+                                key={dateStr}
+                                className={`stat-card ${coverage[dateStr].employees === 0 || dayGaps.length > 0 ? 'warning' : ''}`}
+                                title={dayGaps.map(gap => `${gap.category} ${gap.start}-${gap.end}: ${gap.scheduled} scheduled`).join('\n')}
+                            >
+                                <div className="stat-value">{coverage[dateStr].employees}</div>
+                                <div className="stat-label">
+                                    {moment(dateStr).format('ddd MMM D')}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                    {coverage[dateStr].shifts} shift{coverage[dateStr].shifts !== 1 ? 's' : ''}, {coverage[dateStr].hours}h
+                                </div>
+                                {under.length > 0 && (
+                                    <div className="text-xs text-red-600">{under.length} under-staffed block{under.length !== 1 ? 's' : ''}</div>
+                                )}
+                                {over.length > 0 && (
+                                    <div className="text-xs text-yellow-800">{over.length} over-staffed block{over.length !== 1 ? 's' : ''}</div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div className="card">
+                {resources.length === 0 ? (
+                    <p className="text-gray-500 text-center py-8">No employees in this category</p>
+                ) : (
+                    <DnDCalendar
+                        localizer={localizer}
+                        events={laneEvents}
+                        backgroundEvents={laneTimeOff}
+                        resources={resources}
+                        resourceIdAccessor="id"
+                        resourceTitleAccessor="title"
+                        startAccessor="start"
+                        endAccessor="end"
+                        style={{ height: 700 }}
+                        view={view}
+                        onView={setView}
+                        date={date}
+                        onNavigate={setDate}
+                        views={['day', 'week']}
+                        onSelectEvent={onSelectEvent}
+                        onSelectSlot={onSelectSlot}
+                        selectable
+                        resizable
+                        draggableAccessor={(event) => isShiftDraggable(event.resource)}
+                        onEventDrop={onEventMove}
+                        onEventResize={onEventMove}
+                        eventPropGetter={eventStyleGetter}
+                        dayPropGetter={holidayCalendarProps.dayPropGetter}
+                        step={30}
+                        timeslots={2}
+                        min={new Date(0, 0, 0, 0, 0, 0)}
+                        max={new Date(0, 0, 0, 23, 59, 0)}
+                        formats={{
+                            timeGutterFormat: 'HH:mm',
+                            eventTimeRangeFormat: ({ start, end }) =>
+                                `${format(start, 'HH:mm')} - ${format(end, 'HH:mm')}`
+                        }}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ScheduleTimeline;
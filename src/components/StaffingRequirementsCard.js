@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { WEEKDAY_OPTIONS } from '../utils/shiftRecurrence';
+import { describeStaffingRequirement } from '../utils/coverageHelpers';
+
+const EMPTY_REQUIREMENT = {
+  category: '',
+  weekdays: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '17:00',
+  minHeadcount: '1',
+  maxHeadcount: ''
+};
+
+/**
+ * Minimum (and optional maximum) headcount per category and time block.
+ * Props come from useStaffingRequirements; `categories` lists the employee categories.
+ */
+function StaffingRequirementsCard({ requirements, requirementsLoading, saveRequirement, removeRequirement, categories }) {
+  const [form, setForm] = useState(EMPTY_REQUIREMENT);
+  const [editingId, setEditingId] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const toggleWeekday = (day) => {
+    setForm(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter(d => d !== day)
+        : [...prev.weekdays, day]
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    const saved = await saveRequirement(form, editingId);
+    setWorking(false);
+    if (saved) {
+      setForm(EMPTY_REQUIREMENT);
+      setEditingId(null);
+    }
+  };
+
+  const editRequirement = (requirement) => {
+    setEditingId(requirement.id);
+    setForm({
+      category: requirement.category,
+      weekdays: requirement.weekdays,
+      start: requirement.start,
+      end: requirement.end,
+      minHeadcount: String(requirement.minHeadcount),
+      maxHeadcount: requirement.maxHeadcount === null ? '' : String(requirement.maxHeadcount)
+    });
+  };
+
+  const handleRemove = async (requirement) => {
+    if (!window.confirm(`Remove "${describeStaffingRequirement(requirement)}"?`)) return;
+    setWorking(true);
+    await removeRequirement(requirement.id);
+    setWorking(false);
+  };
+
+  const disabled = working || requirementsLoading;
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h2 className="card-title">Staffing Requirements</h2>
+        <p className="card-subtitle">
+          Minimum headcount per category and time block. Set a maximum to flag over-staffing too
+        </p>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Days</th>
+              <th>Time</th>
+              <th>Min</th>
+              <th>Max</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {requirementsLoading ? (
+              <tr><td colSpan={6}>Loading...</td></tr>
+            ) : requirements.length === 0 ? (
+              <tr><td colSpan={6} className="text-gray-500">No staffing requirements</td></tr>
+            ) : requirements.map(requirement => (
+              <tr key={requirement.id}>
+                <td>{requirement.category}</td>
+                <td>
+                  {WEEKDAY_OPTIONS
+                    .filter(({ value }) => requirement.weekdays.includes(value))
+                    .map(({ label }) => label)
+                    .join(', ')}
+                </td>
+                <td>{requirement.start} - {requirement.end}</td>
+                <td>{requirement.minHeadcount}</td>
+                <td>{requirement.maxHeadcount ?? '--'}</td>
+                <td>
+                  <div className="flex gap-2">
+                    <button type="button" className="btn btn-info btn-sm" onClick={() => editRequirement(requirement)} disabled={disabled}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRemove(requirement)} disabled={disabled}>
+                      Remove
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Add or edit a requirement */}
+      <form onSubmit={handleSave} className="mt-4">
+        <div className="grid md:grid-cols-4 gap-4">
+          <div className="form-group">
+            <label className="form-label">Category *</label>
+            <select
+              value={form.category}
+              onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+              className="form-select"
+              disabled={disabled}
+            >
+              <option value="">Select a category</option>
+              {categories.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">From *</label>
+            <input
+              type="time"
+              value={form.start}
+              onChange={(e) => setForm(prev => ({ ...prev, start: e.target.value }))}
+              className="form-input"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">To *</label>
+            <input
+              type="time"
+              value={form.end}
+              onChange={(e) => setForm(prev => ({ ...prev, end: e.target.value }))}
+              className="form-input"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Headcount (min / max) *</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={form.minHeadcount}
+                onChange={(e) => setForm(prev => ({ ...prev, minHeadcount: e.target.value }))}
+                className="form-input"
+                disabled={disabled}
+              />
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={form.maxHeadcount}
+                onChange={(e) => setForm(prev => ({ ...prev, maxHeadcount: e.target.value }))}
+                className="form-input"
+                placeholder="No max"
+                disabled={disabled}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex gap-4">
+            {WEEKDAY_OPTIONS.map(({ value, label }) => (
+              <label key={value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="form-checkbox"
+                  checked={form.weekdays.includes(value)}
+                  onChange={() => toggleWeekday(value)}
+                  disabled={disabled}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            {editingId && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => { setEditingId(null); setForm(EMPTY_REQUIREMENT); }}
+                disabled={disabled}
+              >
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={disabled}>
+              {working ? 'Saving...' : editingId ? 'Update Requirement' : 'Add Requirement'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default StaffingRequirementsCard;
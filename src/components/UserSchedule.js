@@ -2,21 +2,31 @@
 
 import { useEffect, useState, useMemo } from 'react';
 import { dbFirestore } from '../connections/ConnFirebaseServices'
-import { collection, onSnapshot, query, orderBy, doc, updateDoc, getDoc, addDoc, deleteDoc, setDoc, serverTimestamp, deleteField, Timestamp } from 'firebase/firestore';
+import { collection, onSnapshot, query, orderBy, where, doc, updateDoc, getDoc, getDocs, addDoc, setDoc, serverTimestamp, deleteField, Timestamp } from 'firebase/firestore';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { toast } from 'react-toastify';
 
 import { syncShiftDerivedFieldsIfNeeded } from '../utils/shiftSyncHelpers';
 import { useWeeklyStats } from '../hooks/useWeeklyStats';
 import { useUserScheduleData } from '../hooks/useUserScheduleData';
-import { useEarningsCalculation } from '../hooks/useEarningsCalculation';
-import { validateTokenForCheckInOut, fetchLatestQRToken } from '../utils/qrTokenValidator';
+import useHolidays from '../hooks/useHolidays';
+import useTimeOffRequests from '../hooks/useTimeOffRequests';
+import useLocations from '../hooks/useLocations';
+import { DEFAULT_OVERTIME_RULES, normalizeOvertimeRules } from '../shared/overtimeEngine';
+import { fetchLatestQRToken } from '../utils/qrTokenValidator';
+import { submitPunch, PUNCH_ACTIONS } from '../utils/punchService';
+import { isDateLocked, LOCKED_PERIOD_MESSAGE } from '../utils/payPeriodLocks';
+import { moveShiftFromCalendar, isShiftDraggable } from '../utils/shiftMoveHelpers';
+import { SHIFT_REQUEST_TYPE, SHIFT_REQUEST_STATUS, buildShiftSnapshot } from '../utils/shiftRequestHelpers';
+import { removeShift } from '../utils/schedulePublishing';
+import { findOpenBreakIndex, resolveBreakTime } from '../utils/breakHelpers';
+import { describePunchPosition, getLocationName } from '../utils/locationHelpers';
+import { findTimeOffConflict, getShiftDates } from '../utils/timeOffHelpers';
+import { checkShiftAvailability } from '../utils/availabilityHelpers';
 
 import {
     format,
     differenceInMinutes,
-    startOfWeek,
-    endOfWeek,
     isPast,
     addDays,
     startOfDay,
@@ -28,10 +38,10 @@ import WeeklyStatsCard from './userSchedule/WeeklyStatsCard';
 import ScheduleList from './userSchedule/ScheduleList';
 import CalendarPanel from './userSchedule/CalendarPanel';
 import PrivateNotificationModal from './PrivateNotificationModal';
-import { syncWeeklyEarningsForUserWeek } from '../utils/earningsHelpers';
 import {
     parseDate,
-    parseDateTime
+    parseDateTime,
+    deriveShiftDateFields
 } from '../utils/scheduleUtils';
 
 
@@ -52,10 +62,13 @@ function UserSchedule() {
     } = useUserScheduleData(userId, navigate, location.state?.userName || 'Employee', location.state?.userCategory || '');
 
     const [recordEarnings, setRecordEarnings] = useState([])
-    const [overtimeSettings, setOvertimeSettings] = useState({ thresholdHours: 40, overtimePercent: 50 })
+    const [overtimeSettings, setOvertimeSettings] = useState({ ...DEFAULT_OVERTIME_RULES })
 
     // Use custom hooks for calculations
-    useEarningsCalculation(userId, userData, groupedSchedules, overtimeSettings);
+    const { holidays } = useHolidays();
+    const timeOffUsers = useMemo(() => (userId ? [{ id: userId }] : []), [userId]);
+    const { requestsByUser: timeOffByUser } = useTimeOffRequests(timeOffUsers);
+    const { locations } = useLocations();
     const weeklyStats = useWeeklyStats(recordEarnings, overtimeSettings);
 
     const [currentView, setCurrentView] = useState('table')
@@ -76,6 +89,9 @@ function UserSchedule() {
     const [createShiftVisible, setCreateShiftVisible] = useState(false)
     const [newShiftData, setNewShiftData] = useState(null)
     const [shiftDescription, setShiftDescription] = useState('')
+    const [shiftLocationId, setShiftLocationId] = useState('')
+    const [breakStartTime, setBreakStartTime] = useState('')
+    const [breakEndTime, setBreakEndTime] = useState('')
     const [privateNotificationVisible, setPrivateNotificationVisible] = useState(false)
 
     // Listener for RecordEarnings
@@ -97,14 +113,10 @@ function UserSchedule() {
                 const ref = doc(dbFirestore, 'SystemSettings', 'OvertimeRules');
                 const snap = await getDoc(ref);
                 if (snap.exists()) {
-                    const data = snap.data();
-                    const thresholdHours = parseFloat(data.thresholdHours) || 40;
-                    const overtimePercent = parseFloat(data.overtimePercent) || 50;
-                    setOvertimeSettings({ thresholdHours, overtimePercent });
+                    setOvertimeSettings(normalizeOvertimeRules(snap.data()));
                 } else {
                     await setDoc(ref, {
-                        thresholdHours: 40,
-                        overtimePercent: 50,
+                        ...DEFAULT_OVERTIME_RULES,
                         createdAt: serverTimestamp(),
                         updatedAt: serverTimestamp()
                     }, { merge: true });
@@ -118,7 +130,7 @@ function UserSchedule() {
 
     // Weekly stats now computed by useWeeklyStats hook
     // User data and schedule now loaded by useUserScheduleData hook  
-    // Earnings calculation now handled by useEarningsCalculation hook
+    // RecordEarnings is recomputed server-side (recomputeWeeklyEarnings); the hook only projects it
 
     // live clock
     useEffect(() => {
@@ -216,6 +228,7 @@ function UserSchedule() {
         setStartHour(reg.startHour || '')
         setEndHour(reg.endHour || '')
         setShiftDescription(reg.eventDescription || '')
+        setShiftLocationId(reg.locationId || '')
         setOvernightEdit(Boolean(reg.overnight || (reg.endDate && reg.endDate !== reg.eventDate) || (reg.endHour <= reg.startHour)))
 
         if (reg.checkedInTime && reg.checkedOutTime) {
@@ -264,22 +277,6 @@ function UserSchedule() {
             }
 
             toast.success(" Checked in successfully!");
-            // Re-sync weekly earnings for the affected week (non-blocking)
-            try {
-                if (userData && userData.hourlyWage) {
-                    const eventDateObj = parseDate(reg.eventDate);
-                    const weekStart = startOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    const weekEnd = endOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    await syncWeeklyEarningsForUserWeek({
-                        userId,
-                        userHourlyWage: parseFloat(userData.hourlyWage) || 0,
-                        weekStartDate: weekStart,
-                        weekEndDate: weekEnd,
-                    });
-                }
-            } catch (e) {
-                console.error('Weekly earnings sync failed (non-blocking):', e);
-            }
         } catch (error) {
             toast.error(" Failed to check in!");
         } finally {
@@ -378,23 +375,6 @@ function UserSchedule() {
 
             toast.success(" Checked out successfully!");
             setEditMenuVisibility(false);
-
-            // Weekly sync to capture worked hours
-            try {
-                if (userData && userData.hourlyWage) {
-                    const eventDateObj = parseDate(reg.eventDate);
-                    const weekStart = startOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    const weekEnd = endOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    await syncWeeklyEarningsForUserWeek({
-                        userId,
-                        userHourlyWage: parseFloat(userData.hourlyWage) || 0,
-                        weekStartDate: weekStart,
-                        weekEndDate: weekEnd,
-                    });
-                }
-            } catch (e) {
-                console.error('Weekly earnings sync failed (non-blocking):', e);
-            }
         } catch (error) {
             toast.error(" Failed to check out!");
         } finally {
@@ -402,6 +382,19 @@ function UserSchedule() {
         }
     }
 
+    // Fetches the current QR token (of the shift's location) and sends the punch to the `punch` Cloud Function (server time)
+    async function punchWithLatestToken(reg, action) {
+        const tokenData = await fetchLatestQRToken(reg.locationId);
+        if (!tokenData || !tokenData.value) {
+            throw new Error("QR token not available. Please scan a valid QR code.");
+        }
+        const result = await submitPunch({ userId, scheduleId: reg.id, action, token: tokenData.value });
+        if (result.geofence && result.geofence.flagged) {
+            toast.warning(" Punch recorded outside the location geofence, it was flagged for review");
+        }
+        return Timestamp.fromMillis(result.timestamp);
+    }
+
     async function checkInTimestampOnly(reg) {
         if (userData && userData.isActive === false) {
             toast.error('This user is inactive. Check-in is disabled.');
@@ -412,36 +405,18 @@ function UserSchedule() {
             return;
         }
 
-        const timestamp = Timestamp.now();
-
         setIsUpdating(true);
         try {
-            const tokenData = await fetchLatestQRToken();
-            
-            if (!tokenData || !tokenData.value) {
-                toast.error("QR token not available. Please scan a valid QR code.");
-                setIsUpdating(false);
-                return;
-            }
-
-            const validation = await validateTokenForCheckInOut(tokenData.value);
-            
-            if (!validation.success) {
-                toast.error(`QR validation failed: ${validation.message}`);
-                setIsUpdating(false);
-                return;
-            }
-
+            const timestamp = await punchWithLatestToken(reg, PUNCH_ACTIONS.CHECK_IN);
             const shiftRef = doc(dbFirestore, 'users', userId, "UserSchedule", reg.id);
-
-            await updateDoc(shiftRef, {
-                checkInTimestamp: timestamp,
-                checkedInTime: deleteField(),
-                eventDescription: shiftDescription || reg.eventDescription,
-                qrTokenUsed: tokenData.value
-            });
+            // The punch only records the time; the description edited in the modal is saved apart
+            const eventDescription = shiftDescription || reg.eventDescription;
+            if (eventDescription && eventDescription !== reg.eventDescription) {
+                await updateDoc(shiftRef, { eventDescription });
+            }
             setEventToEdit(prev => prev && prev.id === reg.id ? {
                 ...prev,
+                eventDescription,
                 checkInTimestamp: timestamp,
                 checkedInTime: null
             } : prev);
@@ -449,32 +424,18 @@ function UserSchedule() {
             try {
                 await syncShiftDerivedFieldsIfNeeded(shiftRef, {
                     ...reg,
+                    eventDescription,
                     checkInTimestamp: timestamp,
-                    checkedInTime: null
+                    checkedInTime: null,
+                    status: 'in_progress'
                 });
             } catch (deriveErr) {
                 console.error('Failed to sync derived fields after timestamp check-in:', deriveErr);
             }
 
             toast.success(" Check-in timestamp updated successfully!");
-
-            try {
-                if (userData && userData.hourlyWage) {
-                    const eventDateObj = parseDate(reg.eventDate);
-                    const weekStart = startOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    const weekEnd = endOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    await syncWeeklyEarningsForUserWeek({
-                        userId,
-                        userHourlyWage: parseFloat(userData.hourlyWage) || 0,
-                        weekStartDate: weekStart,
-                        weekEndDate: weekEnd,
-                    });
-                }
-            } catch (e) {
-                console.error('Weekly earnings sync failed (non-blocking):', e);
-            }
         } catch (error) {
-            toast.error(" Failed to update check-in timestamp!");
+            toast.error(` Failed to update check-in timestamp: ${error.message}`);
         } finally {
             setIsUpdating(false);
         }
@@ -489,92 +450,46 @@ function UserSchedule() {
             toast.error("Please select a valid shift");
             return;
         }
-
-        const hasCheckInReference = reg.checkInTimestamp;
-        if (!hasCheckInReference) {
-            toast.error("A check-in timestamp is required before recording a check-out timestamp");
-            return;
-        }
-
-        const timestamp = Timestamp.now();
-        const checkInTimestamp = reg.checkInTimestamp;
-        const checkInDate = checkInTimestamp
-            ? (typeof checkInTimestamp.toDate === 'function'
-                ? checkInTimestamp.toDate()
-                : (checkInTimestamp instanceof Date ? checkInTimestamp : null))
-            : null;
-        const checkOutDateObj = timestamp.toDate();
-
-        if (checkInDate && checkOutDateObj <= checkInDate) {
-            toast.error("Check-out timestamp must be after the check-in timestamp");
+        if (!reg.checkInTimestamp && !reg.checkedInTime) {
+            toast.error("A check-in is required before recording a check-out timestamp");
             return;
         }
 
-        const isOvernight = checkInDate ? checkOutDateObj.getDate() !== checkInDate.getDate() : false;
-        const effectiveEndDateStr = format(checkOutDateObj, 'yyyy-MM-dd');
-
         setIsUpdating(true);
         try {
-            const tokenData = await fetchLatestQRToken();
-            
-            if (!tokenData || !tokenData.value) {
-                toast.error("QR token not available. Please scan a valid QR code.");
-                setIsUpdating(false);
-                return;
-            }
-
-            const validation = await validateTokenForCheckInOut(tokenData.value);
-            
-            if (!validation.success) {
-                toast.error(`QR validation failed: ${validation.message}`);
-                setIsUpdating(false);
-                return;
-            }
-
+            const timestamp = await punchWithLatestToken(reg, PUNCH_ACTIONS.CHECK_OUT);
             const shiftRef = doc(dbFirestore, 'users', userId, "UserSchedule", reg.id);
-
-            const updatePayload = {
-                checkOutTimestamp: timestamp,
-                checkedOutTime: deleteField(),
-                eventDescription: shiftDescription || reg.eventDescription,
-                overnight: isOvernight,
-                qrTokenUsed: tokenData.value
-            };
-            if (isOvernight) {
-                updatePayload.endDate = effectiveEndDateStr;
-            } else {
-                updatePayload.endDate = deleteField();
+            const eventDescription = shiftDescription || reg.eventDescription;
+            if (eventDescription && eventDescription !== reg.eventDescription) {
+                await updateDoc(shiftRef, { eventDescription });
             }
 
-            await updateDoc(shiftRef, updatePayload);
-            setEventToEdit(prev => {
-                if (!prev || prev.id !== reg.id) return prev;
-                const updated = {
-                    ...prev,
-                    checkOutTimestamp: timestamp,
-                    checkedOutTime: null,
-                    overnight: isOvernight
-                };
-                if (isOvernight) {
-                    updated.endDate = effectiveEndDateStr;
-                } else {
-                    delete updated.endDate;
-                }
-                return updated;
-            });
+            // Same overnight / endDate derivation as the Cloud Function, for the local copy
+            // (a check-in from the older HH:mm flow is stamped by the function on eventDate)
+            const checkInDate = reg.checkInTimestamp
+                ? reg.checkInTimestamp.toDate()
+                : parseDateTime(reg.eventDate, reg.checkedInTime);
+            const checkOutDateObj = timestamp.toDate();
+            const isOvernight = format(checkOutDateObj, 'yyyy-MM-dd') !== format(checkInDate, 'yyyy-MM-dd');
+            const breaks = (reg.breaks || []).map(b => (b.start && !b.end ? { ...b, end: timestamp } : b));
 
             const updatedShift = {
                 ...reg,
+                eventDescription,
+                checkInTimestamp: reg.checkInTimestamp || Timestamp.fromDate(checkInDate),
+                checkedInTime: null,
                 checkOutTimestamp: timestamp,
                 checkedOutTime: null,
-                checkInTimestamp: reg.checkInTimestamp,
-                overnight: isOvernight
+                overnight: isOvernight,
+                breaks,
+                status: 'completed'
             };
             if (isOvernight) {
-                updatedShift.endDate = effectiveEndDateStr;
+                updatedShift.endDate = format(checkOutDateObj, 'yyyy-MM-dd');
             } else if (updatedShift.endDate) {
                 delete updatedShift.endDate;
             }
+            setEventToEdit(prev => prev && prev.id === reg.id ? updatedShift : prev);
 
             try {
                 await syncShiftDerivedFieldsIfNeeded(shiftRef, updatedShift);
@@ -584,24 +499,8 @@ function UserSchedule() {
 
             toast.success(" Check-out timestamp updated successfully!");
             setEditMenuVisibility(false);
-
-            try {
-                if (userData && userData.hourlyWage) {
-                    const eventDateObj = parseDate(reg.eventDate);
-                    const weekStart = startOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    const weekEnd = endOfWeek(eventDateObj, { weekStartsOn: 1 });
-                    await syncWeeklyEarningsForUserWeek({
-                        userId,
-                        userHourlyWage: parseFloat(userData.hourlyWage) || 0,
-                        weekStartDate: weekStart,
-                        weekEndDate: weekEnd,
-                    });
-                }
-            } catch (e) {
-                console.error('Weekly earnings sync failed (non-blocking):', e);
-            }
         } catch (error) {
-            toast.error(" Failed to update check-out timestamp!");
+            toast.error(` Failed to update check-out timestamp: ${error.message}`);
         } finally {
             setIsUpdating(false);
         }
@@ -616,7 +515,10 @@ function UserSchedule() {
         setStartHour('')
         setEndHour('')
         setShiftDescription('')
+        setShiftLocationId('')
         setCheckOutOvernightEdit(false)
+        setBreakStartTime('')
+        setBreakEndTime('')
     }
 
     async function updateDescription(reg) {
@@ -638,6 +540,32 @@ function UserSchedule() {
         }
     }
 
+    // The location decides which QR displays can punch the shift
+    async function updateShiftLocation(reg) {
+        if (!reg || !reg.id) {
+            toast.error("Please select a valid shift");
+            return;
+        }
+        if (await isDateLocked(reg.eventDate)) {
+            toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+            return;
+        }
+
+        setIsUpdating(true);
+        try {
+            await updateDoc(doc(dbFirestore, 'users', userId, "UserSchedule", reg.id), {
+                locationId: shiftLocationId || deleteField()
+            });
+            setEventToEdit(prev => prev && prev.id === reg.id ? { ...prev, locationId: shiftLocationId || undefined } : prev);
+            toast.success(" Location updated successfully!");
+        } catch (error) {
+            toast.error(" Error updating location!");
+            console.error('Error updating shift location:', error);
+        } finally {
+            setIsUpdating(false);
+        }
+    }
+
     async function updateScheduleTimes(reg) {
         if (!reg || !reg.id || !startHour || !endHour) {
             toast.error("Please select valid times");
@@ -685,6 +613,11 @@ function UserSchedule() {
             return;
         }
 
+        if (await isDateLocked(reg.eventDate)) {
+            toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+            return;
+        }
+
         setIsUpdating(true);
         try {
             const shiftRef = doc(dbFirestore, 'users', userId, "UserSchedule", reg.id);
@@ -717,21 +650,6 @@ function UserSchedule() {
                 console.error('Failed to sync derived fields after updating shift times:', deriveErr);
             }
 
-            // Re-sync derived weekly aggregates so scheduled totals reflect the new span
-            try {
-                const eventDateObj = parseDate(reg.eventDate);
-                const weekStart = startOfWeek(eventDateObj, { weekStartsOn: 1 });
-                const weekEnd = endOfWeek(eventDateObj, { weekStartsOn: 1 });
-                const hourlyWage = Number(userData?.hourlyWage) || 0;
-                await syncWeeklyEarningsForUserWeek({
-                    userId,
-                    userHourlyWage: hourlyWage,
-                    weekStartDate: weekStart,
-                    weekEndDate: weekEnd
-                });
-            } catch (syncErr) {
-                console.error('Weekly earnings sync failed after updating shift times:', syncErr);
-            }
             toast.success(" Shift times updated successfully!");
         } catch (error) {
             toast.error(" Error updating shift times!");
@@ -741,6 +659,122 @@ function UserSchedule() {
         }
     }
 
+    // Admin correction of the breaks array, then re-derives totalHoursDay and the meal break flags
+    async function saveBreaks(reg, breaks, successMessage) {
+        setIsUpdating(true);
+        try {
+            const shiftRef = doc(dbFirestore, 'users', userId, "UserSchedule", reg.id);
+            await updateDoc(shiftRef, { breaks });
+            setEventToEdit(prev => prev && prev.id === reg.id ? { ...prev, breaks } : prev);
+
+            try {
+                await syncShiftDerivedFieldsIfNeeded(shiftRef, { ...reg, breaks });
+            } catch (deriveErr) {
+                console.error('Failed to sync derived fields after updating breaks:', deriveErr);
+            }
+
+            toast.success(successMessage);
+            return true;
+        } catch (error) {
+            toast.error(" Failed to update breaks!");
+            console.error('Error updating breaks:', error);
+            return false;
+        } finally {
+            setIsUpdating(false);
+        }
+    }
+
+    // Break punches go through the `punch` Cloud Function like check-in/out timestamps
+    async function toggleBreak(schedule) {
+        if (userData && userData.isActive === false) {
+            toast.error('This user is inactive. Break punches are disabled.');
+            return;
+        }
+        const breaks = [...(schedule.breaks || [])];
+        const openIndex = findOpenBreakIndex(breaks);
+
+        setIsUpdating(true);
+        try {
+            const timestamp = await punchWithLatestToken(
+                schedule,
+                openIndex !== -1 ? PUNCH_ACTIONS.BREAK_END : PUNCH_ACTIONS.BREAK_START
+            );
+            if (openIndex !== -1) {
+                breaks[openIndex] = { ...breaks[openIndex], end: timestamp };
+            } else {
+                breaks.push({ start: timestamp, end: null, paid: false });
+            }
+
+            try {
+                const shiftRef = doc(dbFirestore, 'users', userId, "UserSchedule", schedule.id);
+                await syncShiftDerivedFieldsIfNeeded(shiftRef, { ...schedule, breaks });
+            } catch (deriveErr) {
+                console.error('Failed to sync derived fields after break punch:', deriveErr);
+            }
+
+            toast.success(openIndex !== -1 ? " Break ended" : " Break started");
+        } catch (error) {
+            toast.error(` Failed to record break: ${error.message}`);
+        } finally {
+            setIsUpdating(false);
+        }
+    }
+
+    async function addManualBreak(reg) {
+        const start = resolveBreakTime(reg, breakStartTime);
+        let end = resolveBreakTime(reg, breakEndTime);
+        if (!start || !end) {
+            toast.error("Please select valid break start and end times");
+            return;
+        }
+        if (end <= start) {
+            end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+        }
+        if (differenceInMinutes(end, start) > 12 * 60) {
+            toast.error("A break cannot last more than 12 hours");
+            return;
+        }
+        if (await isDateLocked(reg.eventDate)) {
+            toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+            return;
+        }
+
+        const breaks = [...(reg.breaks || []), { start: Timestamp.fromDate(start), end: Timestamp.fromDate(end), paid: false }]
+            .sort((a, b) => a.start.toMillis() - b.start.toMillis());
+        if (await saveBreaks(reg, breaks, " Break added")) {
+            setBreakStartTime('');
+            setBreakEndTime('');
+        }
+    }
+
+    // The flag stays on the shift until an admin has looked at the recorded positions
+    async function clearGeofenceFlag(reg) {
+        if (await isDateLocked(reg.eventDate)) {
+            toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+            return;
+        }
+        setIsUpdating(true);
+        try {
+            await updateDoc(doc(dbFirestore, 'users', userId, "UserSchedule", reg.id), { geofenceFlagged: false });
+            setEventToEdit(prev => prev && prev.id === reg.id ? { ...prev, geofenceFlagged: false } : prev);
+            toast.success(" Geofence flag cleared");
+        } catch (error) {
+            toast.error(" Failed to clear the geofence flag!");
+            console.error('Error clearing geofence flag:', error);
+        } finally {
+            setIsUpdating(false);
+        }
+    }
+
+    async function removeBreak(reg, index) {
+        if (await isDateLocked(reg.eventDate)) {
+            toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+            return;
+        }
+        const breaks = (reg.breaks || []).filter((_, i) => i !== index);
+        await saveBreaks(reg, breaks, " Break removed");
+    }
+
     const quickCheckIn = (schedule) => {
         const now = new Date();
         const currentTimeStr = format(now, 'HH:mm');
@@ -762,8 +796,13 @@ function UserSchedule() {
 
     const deleteShift = async (schedule) => {
         try {
-            const scheduleRef = doc(dbFirestore, 'users', userId, 'UserSchedule', schedule.id);
-            await deleteDoc(scheduleRef);
+            if (await isDateLocked(schedule.eventDate)) {
+                toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right', autoClose: 5000 });
+                return;
+            }
+
+            // Published shifts leave a tombstone for the next publication of their week
+            await removeShift(userId, schedule);
 
             toast.success('Shift deleted successfully', {
                 position: 'top-right',
@@ -782,12 +821,87 @@ function UserSchedule() {
         }
     };
 
+    // Publish the shift as an open shift; it stays on this schedule until an admin approves a claim
+    const offerOpenShift = async (schedule) => {
+        try {
+            const existing = await getDocs(query(
+                collection(dbFirestore, 'ShiftRequests'),
+                where('shiftId', '==', schedule.id)
+            ));
+            const active = [SHIFT_REQUEST_STATUS.OPEN, SHIFT_REQUEST_STATUS.CLAIMED, SHIFT_REQUEST_STATUS.PENDING];
+            if (existing.docs.some(d => active.includes(d.data().status))) {
+                toast.warning('This shift already has an open request', { position: 'top-right', autoClose: 4000 });
+                return;
+            }
+
+            await addDoc(collection(dbFirestore, 'ShiftRequests'), {
+                type: SHIFT_REQUEST_TYPE.OPEN,
+                ...buildShiftSnapshot(schedule),
+                fromUserId: userId,
+                fromUserName: userName,
+                status: SHIFT_REQUEST_STATUS.OPEN,
+                createdAt: Timestamp.now()
+            });
+
+            toast.success('Shift offered as an open shift', {
+                position: 'top-right',
+                autoClose: 3000
+            });
+
+            setShiftOptionsVisible(false);
+            setSelectedShift(null);
+        } catch (error) {
+            console.error('Error offering open shift:', error);
+            toast.error('Error offering open shift', {
+                position: 'top-right',
+                autoClose: 5000
+            });
+        }
+    };
+
     const editShiftFromCalendar = (schedule) => {
         setShiftOptionsVisible(false);
         setSelectedShift(null);
         editInOutTime(schedule);
     };
 
+    // Handle moving/resizing a shift with the calendar drag-and-drop addon
+    const handleEventMove = async ({ event, start, end }) => {
+        const schedule = scheduleData.find(s => s.id === event.id);
+        if (!schedule || event.resource?.isContinuation) {
+            toast.info('This is an automatic continuation of an overnight shift. Please move the original shift.');
+            return;
+        }
+
+        setIsUpdating(true);
+        try {
+            const result = await moveShiftFromCalendar({
+                shift: schedule,
+                event,
+                start,
+                end,
+                fromUserId: userId,
+                targetDailySchedules: groupedSchedules,
+                holidays,
+                timeOffRequests: timeOffByUser[userId],
+                availability: userData?.availability
+            });
+            if (result.success) {
+                toast.success(result.message, { position: 'top-right', autoClose: 2000 });
+                if (result.warning) {
+                    toast.warning(result.warning, { position: 'top-right', autoClose: 5000 });
+                }
+            } else {
+                toast.error(result.message, { position: 'top-right', autoClose: 5000 });
+            }
+        } catch (error) {
+            console.error('Error moving shift:', error);
+            toast.error('Error moving shift', { position: 'top-right' });
+        } finally {
+            setIsUpdating(false);
+        }
+    };
+
     // Handle creating new shift by dragging on calendar
     const handleSelectSlot = ({ start, end }) => {
         let slotStart = start;
@@ -876,6 +990,23 @@ function UserSchedule() {
         try {
             setIsUpdating(true);
 
+            if (await isDateLocked(newShiftData.eventDate)) {
+                toast.error(LOCKED_PERIOD_MESSAGE, { position: 'top-right' });
+                return;
+            }
+
+            const timeOff = findTimeOffConflict(
+                timeOffByUser[userId],
+                getShiftDates(newShiftData.eventDate, Boolean(newShiftData.overnight))
+            );
+            if (timeOff) {
+                toast.error(`The employee has approved time off from ${timeOff.startDate} to ${timeOff.endDate}`, {
+                    position: 'top-right',
+                    autoClose: 6000
+                });
+                return;
+            }
+
             // Check for overlapping shifts
             const newStartTime = parseDateTime(newShiftData.eventDate, newShiftData.startHour);
             const newEndBaseDate = newShiftData.endDate && newShiftData.endDate !== newShiftData.eventDate
@@ -927,7 +1058,8 @@ function UserSchedule() {
                 duration: plannedHours,
                 overnight: newShiftData.overnight || false,
                 status: 'scheduled',
-                shiftType: 'regular',
+                ...deriveShiftDateFields(newShiftData.eventDate, { holidays }),
+                published: false,
                 createdAt: serverTimestamp()
             };
             if (newShift.overnight) {
@@ -938,26 +1070,21 @@ function UserSchedule() {
             const scheduleCollection = collection(dbFirestore, 'users', userId, 'UserSchedule');
             await addDoc(scheduleCollection, newShift);
 
-            // Re-sync weekly stats so scheduled totals include the new shift
-            try {
-                const eventDateObj = newShiftData.start;
-                const weekStart = startOfWeek(eventDateObj, { weekStartsOn: 1 });
-                const weekEnd = endOfWeek(eventDateObj, { weekStartsOn: 1 });
-                const hourlyWage = Number(userData?.hourlyWage) || 0;
-                await syncWeeklyEarningsForUserWeek({
-                    userId,
-                    userHourlyWage: hourlyWage,
-                    weekStartDate: weekStart,
-                    weekEndDate: weekEnd
-                });
-            } catch (syncErr) {
-                console.error('Weekly earnings sync failed after creating shift:', syncErr);
-            }
-
             toast.success(`Shift created: ${newShiftData.startHour} - ${newShiftData.endHour} on ${format(newShiftData.start, 'dd/MM/yyyy')}`, {
                 position: 'top-right'
             });
 
+            // Weekly availability is a warning only; the shift is kept
+            const availabilityCheck = checkShiftAvailability(userData?.availability, {
+                eventDate: newShift.eventDate,
+                startHour: newShift.startHour,
+                endHour: newShift.endHour,
+                endsNextDay: newShift.overnight
+            });
+            if (!availabilityCheck.isAvailable) {
+                toast.warning(availabilityCheck.message, { position: 'top-right', autoClose: 5000 });
+            }
+
             // Close modal and reset state
             setCreateShiftVisible(false);
             setNewShiftData(null);
@@ -1041,6 +1168,7 @@ function UserSchedule() {
                             scheduleData={scheduleData}
                             quickCheckIn={quickCheckIn}
                             quickCheckOut={quickCheckOut}
+                            toggleBreak={toggleBreak}
                             editInOutTime={editInOutTime}
                             isUpdating={isUpdating}
                         />
@@ -1052,7 +1180,9 @@ function UserSchedule() {
                             eventStyleGetter={eventStyleGetter}
                             handleSelectSlot={handleSelectSlot}
                             handleEventClick={handleEventClick}
+                            handleEventMove={handleEventMove}
                             scheduleData={scheduleData}
+                            holidays={holidays}
                         />
                     )}
                 </>
@@ -1112,6 +1242,12 @@ function UserSchedule() {
                                 <div className="detail-label">Description</div>
                                 <div className="detail-value">{eventToEdit.eventDescription}</div>
                             </div>
+                            {getLocationName(locations, eventToEdit.locationId) && (
+                                <div className="detail-item">
+                                    <div className="detail-label">Location</div>
+                                    <div className="detail-value">{getLocationName(locations, eventToEdit.locationId)}</div>
+                                </div>
+                            )}
                         </div>
 
                         <div className="space-y-4">
@@ -1129,6 +1265,35 @@ function UserSchedule() {
                                 />
                             </div>
 
+                            {locations.length > 0 && (
+                                <div className="flex items-end gap-2">
+                                    <div className="form-group mb-0 flex-1">
+                                        <label className="form-label">
+                                             Location
+                                        </label>
+                                        <select
+                                            value={shiftLocationId}
+                                            onChange={(e) => setShiftLocationId(e.target.value)}
+                                            className="form-select"
+                                            disabled={isUpdating}
+                                        >
+                                            <option value="">No location</option>
+                                            {locations.map(loc => (
+                                                <option key={loc.id} value={loc.id}>{loc.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={() => updateShiftLocation(eventToEdit)}
+                                        className="btn btn-secondary"
+                                        disabled={isUpdating || shiftLocationId === (eventToEdit.locationId || '')}
+                                    >
+                                        Update Location
+                                    </button>
+                                </div>
+                            )}
+
                             <div className="form-group">
                                 <label className="form-label">
                                      Start Time
@@ -1271,6 +1436,119 @@ function UserSchedule() {
                             )}
                         </div>
 
+                        {/* Punch positions recorded by the `punch` Cloud Function */}
+                        {(eventToEdit.checkInPosition || eventToEdit.checkOutPosition) && (
+                            <div className="mt-6 pt-4 border-t">
+                                <div className="flex justify-between items-center mb-2">
+                                    <div className="font-medium"> Punch Location</div>
+                                    {eventToEdit.geofenceFlagged && (
+                                        <span className="px-2 py-1 rounded text-sm font-medium bg-yellow-100 text-yellow-800">
+                                            Outside geofence
+                                        </span>
+                                    )}
+                                </div>
+                                <ul className="text-sm mb-2 space-y-1">
+                                    {[['Check-in', eventToEdit.checkInPosition], ['Check-out', eventToEdit.checkOutPosition]]
+                                        .filter(([, position]) => position)
+                                        .map(([label, position]) => {
+                                            const flagReason = describePunchPosition(position);
+                                            return (
+                                                <li key={label}>
+                                                    <span className="font-semibold">{label}:</span>{' '}
+                                                    {position.latitude != null
+                                                        ? `${position.latitude.toFixed(5)}, ${position.longitude.toFixed(5)}${position.accuracy != null ? ` (±${Math.round(position.accuracy)} m)` : ''}`
+                                                        : 'not shared'}
+                                                    {flagReason ? (
+                                                        <span className="text-yellow-800"> · {flagReason}</span>
+                                                    ) : position.distanceMeters != null && ` · ${position.distanceMeters} m from the site`}
+                                                </li>
+                                            );
+                                        })}
+                                </ul>
+                                {eventToEdit.geofenceFlagged && (
+                                    <button
+                                        type="button"
+                                        onClick={() => clearGeofenceFlag(eventToEdit)}
+                                        className="btn btn-secondary btn-sm"
+                                        disabled={isUpdating}
+                                    >
+                                        Mark as reviewed
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Breaks (unpaid, subtracted from the worked hours) */}
+                        <div className="mt-6 pt-4 border-t">
+                            <div className="flex justify-between items-center mb-2">
+                                <div className="font-medium"> Breaks</div>
+                                {eventToEdit.mealBreakMissed && (
+                                    <span className="px-2 py-1 rounded text-sm font-medium bg-red-100 text-red-800">
+                                        Meal break missed
+                                    </span>
+                                )}
+                            </div>
+                            {(eventToEdit.breaks || []).length === 0 ? (
+                                <p className="text-sm text-gray-500 mb-2">No breaks recorded</p>
+                            ) : (
+                                <ul className="text-sm mb-2 space-y-1">
+                                    {eventToEdit.breaks.map((b, i) => (
+                                        <li key={i} className="flex items-center gap-2">
+                                            <span className="font-mono">
+                                                {b.start?.toDate ? format(b.start.toDate(), 'HH:mm') : '--'}
+                                                {' - '}
+                                                {b.end?.toDate ? format(b.end.toDate(), 'HH:mm') : 'running'}
+                                            </span>
+                                            {b.paid && <span className="text-xs text-gray-500">(paid)</span>}
+                                            <button
+                                                type="button"
+                                                onClick={() => removeBreak(eventToEdit, i)}
+                                                className="btn btn-danger btn-sm"
+                                                disabled={isUpdating}
+                                            >
+                                                Remove
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {Number(eventToEdit.autoBreakMinutes) > 0 && (
+                                <p className="text-xs text-gray-500 mb-2">
+                                    {eventToEdit.autoBreakMinutes} min auto-deducted as unpaid meal break
+                                </p>
+                            )}
+                            <div className="flex items-end gap-2">
+                                <div className="form-group mb-0">
+                                    <label className="form-label">Break Start</label>
+                                    <input
+                                        type='time'
+                                        value={breakStartTime}
+                                        onChange={(e) => setBreakStartTime(e.target.value)}
+                                        className="form-input"
+                                        disabled={isUpdating}
+                                    />
+                                </div>
+                                <div className="form-group mb-0">
+                                    <label className="form-label">Break End</label>
+                                    <input
+                                        type='time'
+                                        value={breakEndTime}
+                                        onChange={(e) => setBreakEndTime(e.target.value)}
+                                        className="form-input"
+                                        disabled={isUpdating}
+                                    />
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => addManualBreak(eventToEdit)}
+                                    className="btn btn-secondary"
+                                    disabled={isUpdating || !breakStartTime || !breakEndTime}
+                                >
+                                    Add Break
+                                </button>
+                            </div>
+                        </div>
+
                         <div className="flex gap-4 mt-6 pt-4 border-t">
                             <button
                                 onClick={() => updateDescription(eventToEdit)}
@@ -1450,6 +1728,17 @@ function UserSchedule() {
                             </button>
                         </div>
 
+                        {isShiftDraggable(selectedShift) && (
+                            <div className="flex mt-4">
+                                <button
+                                    onClick={() => offerOpenShift(selectedShift)}
+                                    className="btn btn-success flex-1"
+                                >
+                                     Offer as Open Shift
+                                </button>
+                            </div>
+                        )}
+
                         <div className="flex mt-4">
                             <button
                                 onClick={() => {
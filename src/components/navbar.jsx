@@ -40,6 +40,41 @@ function Navigation() {
           >
             Scheduler
           </Link>
+
+          <Link
+            to="/payroll"
+            className={`nav-link ${location.pathname === '/payroll' ? 'nav-link-active' : ''}`}
+          >
+            Payroll
+          </Link>
+
+          <Link
+            to="/timeoff"
+            className={`nav-link ${location.pathname === '/timeoff' ? 'nav-link-active' : ''}`}
+          >
+            Time Off
+          </Link>
+
+          <Link
+            to="/shiftrequests"
+            className={`nav-link ${location.pathname === '/shiftrequests' ? 'nav-link-active' : ''}`}
+          >
+            Shift Requests
+          </Link>
+
+          <Link
+            to="/coverage"
+            className={`nav-link ${location.pathname === '/coverage' ? 'nav-link-active' : ''}`}
+          >
+            Coverage
+          </Link>
+
+          <Link
+            to="/devices"
+            className={`nav-link ${location.pathname === '/devices' ? 'nav-link-active' : ''}`}
+          >
+            Devices
+          </Link>
         </div>
 
         <button
@@ -1,11 +1,17 @@
-import React from 'react'
+import React, { useMemo } from 'react'
 import { Calendar, momentLocalizer } from 'react-big-calendar'
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop'
 import moment from 'moment'
 import { format } from 'date-fns'
+import { getHolidayCalendarProps, HOLIDAY_COLOR } from '../../utils/holidayCalendarHelpers'
+import { isShiftDraggable } from '../../utils/shiftMoveHelpers'
 
 const localizer = momentLocalizer(moment);
+const DnDCalendar = withDragAndDrop(Calendar);
+
+function CalendarPanel({ calendarEvents, eventStyleGetter, handleSelectSlot, handleEventClick, handleEventMove, scheduleData, holidays }) {
+    const holidayCalendarProps = useMemo(() => getHolidayCalendarProps(holidays), [holidays]);
 
-function CalendarPanel({ calendarEvents, eventStyleGetter, handleSelectSlot, handleEventClick, scheduleData }) {
     return (
         <div className="card animate-slide-in">
             <div className="card-header">
@@ -19,6 +25,7 @@ function CalendarPanel({ calendarEvents, eventStyleGetter, handleSelectSlot, han
                     <div className="legend-item"><div className="legend-color" style={{ backgroundColor: '#f59e0b' }}></div><span>In Progress</span></div>
                     <div className="legend-item"><div className="legend-color" style={{ backgroundColor: '#2563eb' }}></div><span>Scheduled</span></div>
                     <div className="legend-item"><div className="legend-color" style={{ backgroundColor: '#ef4444' }}></div><span>Missed</span></div>
+                    <div className="legend-item"><div className="legend-color" style={{ backgroundColor: HOLIDAY_COLOR }}></div><span>Holiday</span></div>
                 </div>
             </div>
 
@@ -26,17 +33,19 @@ function CalendarPanel({ calendarEvents, eventStyleGetter, handleSelectSlot, han
                 <div className="flex items-center gap-2 text-blue-800">
                     <span className="text-lg">i</span>
                     <span className="font-medium">Quick Shift Creation:</span>
-                    <span className="text-sm">Click and drag on the calendar to create a new shift</span>
+                    <span className="text-sm">Click and drag on the calendar to create a new shift. Drag a shift to move it, or its bottom edge to resize it</span>
                 </div>
             </div>
 
-            <Calendar
+            <DnDCalendar
                 localizer={localizer}
                 events={calendarEvents}
                 startAccessor="start"
                 endAccessor="end"
                 style={{ height: 600 }}
                 eventPropGetter={eventStyleGetter}
+                dayPropGetter={holidayCalendarProps.dayPropGetter}
+                components={holidayCalendarProps.components}
                 views={['month', 'week', 'day', 'agenda']}
                 defaultView="week"
                 step={15}
@@ -45,6 +54,10 @@ function CalendarPanel({ calendarEvents, eventStyleGetter, handleSelectSlot, han
                 max={new Date(0, 0, 0, 23, 59, 0)}
                 selectable={true}
                 onSelectSlot={handleSelectSlot}
+                resizable
+                draggableAccessor={(event) => isShiftDraggable(event.resource)}
+                onEventDrop={handleEventMove}
+                onEventResize={handleEventMove}
                 formats={{
                     timeGutterFormat: 'HH:mm',
                     eventTimeRangeFormat: ({ start, end }) => `${format(start, 'HH:mm')} - ${format(end, 'HH:mm')}`
@@ -3,7 +3,7 @@ import { format, isToday as isTodayFn } from 'date-fns'
 import { parseDate } from '../../utils/scheduleUtils'
 import ShiftItem from './ShiftItem'
 
-function ScheduleList({ groupedSchedules, scheduleData, quickCheckIn, quickCheckOut, editInOutTime, isUpdating }) {
+function ScheduleList({ groupedSchedules, scheduleData, quickCheckIn, quickCheckOut, toggleBreak, editInOutTime, isUpdating }) {
     const keys = Object.keys(groupedSchedules).sort();
 
     if (keys.length === 0) {
@@ -58,6 +58,7 @@ function ScheduleList({ groupedSchedules, scheduleData, quickCheckIn, quickCheck
                                             shifts={shifts}
                                             quickCheckIn={quickCheckIn}
                                             quickCheckOut={quickCheckOut}
+                                            toggleBreak={toggleBreak}
                                             editInOutTime={editInOutTime}
                                             isUpdating={isUpdating}
                                         />
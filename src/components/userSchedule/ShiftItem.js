@@ -3,6 +3,8 @@ import { differenceInMinutes } from 'date-fns'
 import { parseDate, parseDateTime } from '../../utils/scheduleUtils'
 import { getShiftStatus as getShiftStatusUtil } from '../../utils/scheduleUtils'
 import { computeWorkedHoursForShift } from '../../utils/timeHelpers'
+import { summarizeBreaks, findOpenBreakIndex } from '../../utils/breakHelpers'
+import { describePunchPosition } from '../../utils/locationHelpers'
 
 const timeFormatter = new Intl.DateTimeFormat('en-CA', {
     hour: '2-digit',
@@ -24,7 +26,7 @@ function formatDateYYYYMMDD(dateObj) {
     return `${y}-${m}-${d}`;
 }
 
-function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOutTime, isUpdating }) {
+function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, toggleBreak, editInOutTime, isUpdating }) {
     const statusInfo = getShiftStatusUtil(shift);
 
     const canCheckIn = (() => {
@@ -37,6 +39,13 @@ function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOu
 
     const canCheckOut = shift.checkedInTime && !shift.checkedOutTime;
 
+    // Break punches are only possible between check-in and check-out
+    const canPunchBreak = !shift.isContinuation &&
+        Boolean(shift.checkedInTime || shift.checkInTimestamp) &&
+        !(shift.checkedOutTime || shift.checkOutTimestamp);
+    const onBreak = findOpenBreakIndex(shift.breaks) !== -1;
+    const breakMinutes = summarizeBreaks(shift.breaks).unpaidMinutes + (Number(shift.autoBreakMinutes) || 0);
+
     const scheduledDurationText = (() => {
         try {
             const start = parseDateTime(shift.eventDate, shift.startHour);
@@ -59,15 +68,20 @@ function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOu
         } catch { return ''; }
     })();
 
-    const actualWorkedHours = (() => {
+    // Hours from the raw punches; totalHoursDay (synced with the punch rounding rules) wins when present
+    const rawWorkedHours = (() => {
         const worked = computeWorkedHoursForShift(shift);
         if (typeof worked === 'number' && !Number.isNaN(worked)) {
             return Number(worked.toFixed(2));
         }
+        return null;
+    })();
+
+    const actualWorkedHours = (() => {
         if (typeof shift.totalHoursDay === 'number' && !Number.isNaN(shift.totalHoursDay)) {
             return Number(shift.totalHoursDay.toFixed(2));
         }
-        return null;
+        return rawWorkedHours;
     })();
 
     const resolvedCheckInDate = (() => {
@@ -128,6 +142,11 @@ function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOu
         return null;
     })();
 
+    const geofenceReasons = [
+        ['Check-in', describePunchPosition(shift.checkInPosition)],
+        ['Check-out', describePunchPosition(shift.checkOutPosition)]
+    ].filter(([, reason]) => reason).map(([label, reason]) => `${label}: ${reason}`);
+
     const checkInLabel = resolvedCheckInDate
         ? timeFormatter.format(resolvedCheckInDate)
         : (shift.checkedInTime || '');
@@ -161,6 +180,21 @@ function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOu
                         <span className={`px-2 py-1 rounded text-sm font-medium ${statusInfo.bgColor} ${statusInfo.textColor}`}>
                             {statusInfo.label}
                         </span>
+                        {shift.published === false && (
+                            <span className="px-2 py-1 rounded text-sm font-medium bg-gray-100 text-gray-700" title="Not visible to the employee until the week is published">
+                                Draft
+                            </span>
+                        )}
+                        {shift.mealBreakMissed && (
+                            <span className="px-2 py-1 rounded text-sm font-medium bg-red-100 text-red-800" title="No meal break of the required length was recorded">
+                                Meal break missed
+                            </span>
+                        )}
+                        {shift.geofenceFlagged && (
+                            <span className="px-2 py-1 rounded text-sm font-medium bg-yellow-100 text-yellow-800" title={geofenceReasons.join('\n') || 'Punched outside the location geofence'}>
+                                Outside geofence
+                            </span>
+                        )}
                         <span className="text-sm text-gray-500">({scheduledDurationText})</span>
                     </div>
 
@@ -187,7 +221,22 @@ function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOu
                             <span className={actualWorkedHours != null ? 'text-green-600 font-semibold' : 'text-gray-400 font-semibold'}>
                                 {actualWorkedHours != null ? `${actualWorkedHours}h` : '-'}
                             </span>
+                            {rawWorkedHours != null && actualWorkedHours !== rawWorkedHours && (
+                                <span className="text-xs text-gray-500 ml-1" title="Hours before punch rounding and grace windows">
+                                    (raw {rawWorkedHours}h)
+                                </span>
+                            )}
                         </div>
+                        {(breakMinutes > 0 || onBreak) && (
+                            <div className="flex items-center gap-1">
+                                <span style={{ fontWeight: 700, color: '#111827', marginRight: '0.2rem', marginLeft: '0.5rem' }}> Breaks:</span>
+                                <span className="text-orange-600 font-semibold">
+                                    {breakMinutes}m unpaid
+                                    {Number(shift.autoBreakMinutes) > 0 && ` (${shift.autoBreakMinutes}m auto)`}
+                                    {onBreak && ' - on break'}
+                                </span>
+                            </div>
+                        )}
                     </div>
 
                 </div>
@@ -213,6 +262,16 @@ function ShiftItem({ shift, index, shifts, quickCheckIn, quickCheckOut, editInOu
                              Check Out
                         </button>
                     )}
+                    {canPunchBreak && toggleBreak && (
+                        <button
+                            onClick={() => toggleBreak(shift)}
+                            className="btn btn-secondary btn-sm"
+                            disabled={isUpdating}
+                            title={onBreak ? 'End the running break' : 'Start an unpaid break'}
+                        >
+                            {onBreak ? 'End Break' : 'Start Break'}
+                        </button>
+                    )}
                     {!shift.isContinuation && (
                         <button
                             onClick={() => editInOutTime(shift)}
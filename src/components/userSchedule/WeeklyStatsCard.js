@@ -10,7 +10,7 @@ function WeeklyStatsCard({ weeklyStats, overtimeSettings }) {
             <div className="stat-card success">
                 <div className="stat-value">{weeklyStats.workedHours}</div>
                 <div className="stat-label">Worked Hours (Current Week) {weeklyStats.overtimeHours > 0 && (
-                    <span className="block text-xs text-green-700 mt-1">Reg {weeklyStats.regularHours}h  OT {weeklyStats.overtimeHours}h</span>
+                    <span className="block text-xs text-green-700 mt-1">Reg {weeklyStats.regularHours}h  OT {weeklyStats.overtimeHours}h{weeklyStats.ot200Hours > 0 && ` (DT ${weeklyStats.ot200Hours}h)`}</span>
                 )}</div>
             </div>
             <div className="stat-card warning">
@@ -1,32 +1,31 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { dbFirestore } from '../connections/ConnFirebaseServices';
 import { collection, onSnapshot, query, orderBy, doc } from 'firebase/firestore';
-import { 
-    startOfWeek, 
-    endOfWeek,
-    differenceInMinutes
-} from 'date-fns';
 import { computeWorkedHoursForShift, deriveShiftStatus } from '../utils/timeHelpers';
-import { syncWeeklyEarningsForUserWeek } from '../utils/earningsHelpers';
 import { syncShiftDerivedFieldsIfNeeded } from '../utils/shiftSyncHelpers';
 import { groupShiftsByDate, parseDateTime } from '../utils/scheduleUtils';
 import { initializeScheduleNotificationMonitoring } from '../utils/scheduleNotificationHelpers';
+import { filterEventsByLocation, computeWeeklyStats } from '../utils/locationHelpers';
 
 /**
  * Custom hook to load all schedules for all users with real-time synchronization
- * Handles: calendar events, daily schedules grouping, weekly stats calculation, and earnings sync
+ * Handles: calendar events, daily schedules grouping and weekly stats calculation
  * @param {Array} users - Array of user objects
+ * @param {string} [locationId] - Limits weeklyStats to one location (calendarEvents and
+ *   userDailySchedules always hold every shift, so overlap checks span all locations)
  * @returns {Object} - { calendarEvents, userDailySchedules, weeklyStats }
  */
-function useAllSchedules(users) {
+function useAllSchedules(users, locationId = '') {
     const [calendarEvents, setCalendarEvents] = useState([]);
     const [userDailySchedules, setUserDailySchedules] = useState({});
-    const [weeklyStats, setWeeklyStats] = useState({});
+    const weeklyStats = useMemo(
+        () => computeWeeklyStats(filterEventsByLocation(calendarEvents, locationId)),
+        [calendarEvents, locationId]
+    );
 
     useEffect(() => {
         if (!users || users.length === 0) return;
 
-        const stats = {};
         let notificationCleanup = null;
 
         const loadAllSchedules = async () => {
@@ -86,21 +85,6 @@ function useAllSchedules(users) {
                             };
                         }));
 
-                        // --- SYNC WEEKLY EARNINGS ---
-                        // Tomamos la SEMANA de HOY para ese usuario,
-                        // porque este componente se usa como "motor en vivo".
-                        // Usaremos el rango Monday->Sunday de la semana actual del sistema.
-                        const now = new Date();
-                        const weekStart = startOfWeek(now, { weekStartsOn: 1 });
-                        const weekEnd   = endOfWeek(now, { weekStartsOn: 1 });
-
-                        await syncWeeklyEarningsForUserWeek({
-                            userId: user.id,
-                            userHourlyWage: user.hourlyWage,
-                            weekStartDate: weekStart,
-                            weekEndDate: weekEnd
-                        });
-
                         // Group schedules by user and date for validation UI
                         const userDailyGroup = groupShiftsByDate(
                             userEvents.map(event => ({
@@ -108,7 +92,14 @@ function useAllSchedules(users) {
                                 eventDate: event.resource.eventDate,
                                 startHour: event.resource.startHour,
                                 endHour: event.resource.endHour,
+                                endDate: event.resource.endDate,
+                                overnight: event.resource.overnight,
+                                shiftType: event.resource.shiftType,
+                                templateId: event.resource.templateId,
+                                published: event.resource.published,
+                                publishedVersion: event.resource.publishedVersion,
                                 eventDescription: event.resource.eventDescription,
+                                locationId: event.resource.locationId,
                                 checkedInTime: event.resource.checkedInTime,
                                 checkedOutTime: event.resource.checkedOutTime,
                                 totalHoursDay: event.resource.totalHoursDay
@@ -131,28 +122,6 @@ function useAllSchedules(users) {
                             return updated;
                         });
 
-                        // Calculate weekly stats (visual only, current week)
-                        const nowForWeek = new Date();
-                        const currentWeekStart = startOfWeek(nowForWeek, { weekStartsOn: 1 });
-                        const currentWeekEnd = endOfWeek(nowForWeek, { weekStartsOn: 1 });
-
-                        const weeklyEvents = userEvents.filter(event =>
-                            event.start >= currentWeekStart &&
-                            event.start <= currentWeekEnd
-                        );
-
-                        const weeklyHours = weeklyEvents
-                            .reduce((total, event) => {
-                                const minutes = differenceInMinutes(event.end, event.start);
-                                return total + (minutes / 60);
-                            }, 0);
-
-                        stats[user.id] = {
-                            weeklyHours,
-                            totalShifts: weeklyEvents.length,
-                            upcomingShifts: userEvents.filter(event => event.start > new Date()).length
-                        };
-
                         // Update visible calendar state (no UI removal, just merge)
                         setCalendarEvents(prev => {
                             const filtered = prev.filter(event => event.userId !== user.id);
@@ -164,8 +133,6 @@ function useAllSchedules(users) {
                     console.error(`Error loading schedule for user ${user.id}:`, error);
                 }
             }
-            
-            setWeeklyStats(stats);
         };
 
         loadAllSchedules();
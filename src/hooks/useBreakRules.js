@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { normalizeBreakRules } from '../utils/breakHelpers';
+
+/**
+ * Custom hook to manage the global break and meal-period rules
+ * Listens to SystemSettings/BreakRules; thresholds left at 0 disable the matching rule.
+ * @returns {Object} - { autoDeductAfter, setAutoDeductAfter, autoDeductMinutes, setAutoDeductMinutes,
+ *   mealRequiredAfter, setMealRequiredAfter, mealMinutes, setMealMinutes, breakLoading, breakSaving, saveBreakRules }
+ */
+function useBreakRules() {
+    const [autoDeductAfter, setAutoDeductAfter] = useState('0');
+    const [autoDeductMinutes, setAutoDeductMinutes] = useState('30');
+    const [mealRequiredAfter, setMealRequiredAfter] = useState('0');
+    const [mealMinutes, setMealMinutes] = useState('30');
+    const [breakLoading, setBreakLoading] = useState(true);
+    const [breakSaving, setBreakSaving] = useState(false);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'SystemSettings', 'BreakRules');
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            const rules = normalizeBreakRules(snap.exists() ? snap.data() : null);
+            setAutoDeductAfter(String(rules.autoDeductAfterHours));
+            setAutoDeductMinutes(String(rules.autoDeductMinutes));
+            setMealRequiredAfter(String(rules.mealBreakRequiredAfterHours));
+            setMealMinutes(String(rules.mealBreakMinutes));
+            setBreakLoading(false);
+        }, (error) => {
+            console.error('Error loading break rules', error);
+            toast.error('Error loading break rules');
+            setBreakLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const saveBreakRules = async (e) => {
+        e.preventDefault();
+
+        const autoAfterNum = parseFloat(autoDeductAfter) || 0;
+        const autoMinutesNum = parseFloat(autoDeductMinutes);
+        const mealAfterNum = parseFloat(mealRequiredAfter) || 0;
+        const mealMinutesNum = parseFloat(mealMinutes);
+
+        if (autoAfterNum < 0 || autoAfterNum > 24 || mealAfterNum < 0 || mealAfterNum > 24) {
+            toast.error('Shift length thresholds must be between 0 and 24 hours');
+            return;
+        }
+        if (isNaN(autoMinutesNum) || autoMinutesNum < 0 || isNaN(mealMinutesNum) || mealMinutesNum < 0) {
+            toast.error('Break lengths must be 0 or a positive number of minutes');
+            return;
+        }
+
+        setBreakSaving(true);
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'BreakRules');
+            await setDoc(
+                ref,
+                {
+                    autoDeductAfterHours: autoAfterNum,
+                    autoDeductMinutes: autoMinutesNum,
+                    mealBreakRequiredAfterHours: mealAfterNum,
+                    mealBreakMinutes: mealMinutesNum,
+                    updatedAt: serverTimestamp(),
+                },
+                { merge: true }
+            );
+            toast.success('Break rules saved');
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to save break rules');
+        } finally {
+            setBreakSaving(false);
+        }
+    };
+
+    return {
+        autoDeductAfter,
+        setAutoDeductAfter,
+        autoDeductMinutes,
+        setAutoDeductMinutes,
+        mealRequiredAfter,
+        setMealRequiredAfter,
+        mealMinutes,
+        setMealMinutes,
+        breakLoading,
+        breakSaving,
+        saveBreakRules
+    };
+}
+
+export default useBreakRules;
@@ -0,0 +1,229 @@
+import { useEffect, useState, useCallback, useMemo } from 'react';
+import { addDoc, collection, deleteDoc, doc, onSnapshot, orderBy, query, updateDoc, where, Timestamp } from 'firebase/firestore';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { TIME_OFF_STATUS } from '../utils/timeOffHelpers';
+import { SHIFT_REQUEST_TYPE, SHIFT_REQUEST_STATUS, buildShiftSnapshot } from '../utils/shiftRequestHelpers';
+
+/**
+ * Listeners for the employee portal.
+ * Only reads what the owner-scoped Firestore rules allow: the user's own document, its
+ * UserSchedule, RecordEarnings, WageHistory, PrivateNotification, ScheduleNotification and
+ * TimeOffRequests subcollections, the GeneralNotification collection, open shifts, the
+ * employee's own ShiftRequests and the swaps offered to them. Draft shifts are hidden until
+ * their week is published.
+ * The only writes are the employee's own pending time-off and swap requests, claims on open
+ * shifts and answers to swaps offered to them.
+ * @param {string} userId - Signed-in employee uid
+ * @param {string} userEmail - Signed-in employee email (swap requests name their colleague by email)
+ * @returns {Object} Profile, shifts, earnings, wage history, notifications, time-off requests,
+ *   submitTimeOffRequest, cancelTimeOffRequest, open shifts, shift requests, incoming swap requests,
+ *   claimOpenShift, submitSwapRequest, cancelShiftRequest, respondToSwapRequest and loading flag
+ */
+function useEmployeePortalData(userId, userEmail) {
+    const [profile, setProfile] = useState(null);
+    const [shifts, setShifts] = useState([]);
+    const [recordEarnings, setRecordEarnings] = useState([]);
+    const [wageHistory, setWageHistory] = useState([]);
+    const [privateNotifications, setPrivateNotifications] = useState([]);
+    const [scheduleNotifications, setScheduleNotifications] = useState([]);
+    const [generalNotifications, setGeneralNotifications] = useState([]);
+    const [timeOffRequests, setTimeOffRequests] = useState([]);
+    const [openShifts, setOpenShifts] = useState([]);
+    const [ownShiftRequests, setOwnShiftRequests] = useState([]);
+    const [claimedShiftRequests, setClaimedShiftRequests] = useState([]);
+    const [incomingSwapRequests, setIncomingSwapRequests] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!userId) return;
+
+        const toDocs = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        const onError = (label) => (error) => {
+            console.error(`[Portal] Error loading ${label}:`, error);
+        };
+        const userRef = doc(dbFirestore, 'users', userId);
+
+        const unsubscribers = [
+            onSnapshot(userRef, (snap) => {
+                setProfile(snap.exists() ? snap.data() : null);
+                setLoading(false);
+            }, (error) => {
+                onError('profile')(error);
+                setLoading(false);
+            }),
+            // The rules only let employees list published shifts, so the query must say so;
+            // sorted here to avoid a composite index
+            onSnapshot(
+                query(collection(userRef, 'UserSchedule'), where('published', '==', true)),
+                (snap) => setShifts(toDocs(snap).sort((a, b) => (b.eventDate || '').localeCompare(a.eventDate || ''))),
+                onError('schedule')
+            ),
+            onSnapshot(
+                query(collection(userRef, 'RecordEarnings'), orderBy('date', 'desc')),
+                (snap) => setRecordEarnings(toDocs(snap)),
+                onError('earnings')
+            ),
+            onSnapshot(
+                query(collection(userRef, 'WageHistory'), orderBy('effectiveFrom', 'desc')),
+                (snap) => setWageHistory(toDocs(snap)),
+                onError('wage history')
+            ),
+            onSnapshot(
+                collection(userRef, 'PrivateNotification'),
+                (snap) => setPrivateNotifications(toDocs(snap)),
+                onError('private notifications')
+            ),
+            onSnapshot(
+                collection(userRef, 'ScheduleNotification'),
+                (snap) => setScheduleNotifications(toDocs(snap)),
+                onError('schedule notifications')
+            ),
+            onSnapshot(
+                query(collection(userRef, 'TimeOffRequests'), orderBy('startDate', 'desc')),
+                (snap) => setTimeOffRequests(toDocs(snap)),
+                onError('time-off requests')
+            ),
+            onSnapshot(
+                query(
+                    collection(dbFirestore, 'ShiftRequests'),
+                    where('type', '==', SHIFT_REQUEST_TYPE.OPEN),
+                    where('status', '==', SHIFT_REQUEST_STATUS.OPEN)
+                ),
+                (snap) => setOpenShifts(toDocs(snap)),
+                onError('open shifts')
+            ),
+            onSnapshot(
+                query(collection(dbFirestore, 'ShiftRequests'), where('fromUserId', '==', userId)),
+                (snap) => setOwnShiftRequests(toDocs(snap)),
+                onError('shift requests')
+            ),
+            onSnapshot(
+                query(collection(dbFirestore, 'ShiftRequests'), where('claimedBy', '==', userId)),
+                (snap) => setClaimedShiftRequests(toDocs(snap)),
+                onError('claimed shifts')
+            ),
+            onSnapshot(
+                collection(dbFirestore, 'GeneralNotification'),
+                (snap) => setGeneralNotifications(toDocs(snap)),
+                onError('general notifications')
+            )
+        ];
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [userId]);
+
+    // Swaps colleagues asked this employee to take
+    useEffect(() => {
+        if (!userId || !userEmail) return;
+
+        return onSnapshot(
+            query(collection(dbFirestore, 'ShiftRequests'), where('toEmail', '==', userEmail.toLowerCase())),
+            (snap) => setIncomingSwapRequests(
+                snap.docs
+                    .map(d => ({ id: d.id, ...d.data() }))
+                    .sort((a, b) => (a.eventDate || '').localeCompare(b.eventDate || ''))
+            ),
+            (error) => console.error('[Portal] Error loading incoming swaps:', error)
+        );
+    }, [userId, userEmail]);
+
+    /**
+     * Submits a pending request for the given whole-day range (inclusive).
+     * @param {{startDate:string, endDate:string, reason:string}} request
+     */
+    const submitTimeOffRequest = useCallback(({ startDate, endDate, reason }) => (
+        addDoc(collection(dbFirestore, 'users', userId, 'TimeOffRequests'), {
+            startDate,
+            endDate,
+            reason: (reason || '').trim(),
+            status: TIME_OFF_STATUS.PENDING,
+            createdAt: Timestamp.now()
+        })
+    ), [userId]);
+
+    // Withdraws a request that has not been reviewed yet
+    const cancelTimeOffRequest = useCallback((requestId) => (
+        deleteDoc(doc(dbFirestore, 'users', userId, 'TimeOffRequests', requestId))
+    ), [userId]);
+
+    // Requests the employee made, plus open shifts they claimed
+    const shiftRequests = useMemo(
+        () => [...ownShiftRequests, ...claimedShiftRequests]
+            .sort((a, b) => (b.eventDate || '').localeCompare(a.eventDate || '')),
+        [ownShiftRequests, claimedShiftRequests]
+    );
+
+    /**
+     * Claims an open shift; it moves to this employee once an admin approves the claim.
+     * @param {Object} request - Open ShiftRequests document
+     * @param {string} claimedByName - Employee name shown to the admin
+     */
+    const claimOpenShift = useCallback((request, claimedByName) => (
+        updateDoc(doc(dbFirestore, 'ShiftRequests', request.id), {
+            status: SHIFT_REQUEST_STATUS.CLAIMED,
+            claimedBy: userId,
+            claimedByName,
+            claimedAt: Timestamp.now()
+        })
+    ), [userId]);
+
+    /**
+     * Asks an admin to hand one of the employee's shifts to a colleague.
+     * @param {{shift:Object, toEmail:string, note:string, fromUserName:string}} request
+     */
+    const submitSwapRequest = useCallback(({ shift, toEmail, note, fromUserName }) => (
+        addDoc(collection(dbFirestore, 'ShiftRequests'), {
+            type: SHIFT_REQUEST_TYPE.SWAP,
+            ...buildShiftSnapshot(shift),
+            fromUserId: userId,
+            fromUserName,
+            toEmail: toEmail.trim().toLowerCase(),
+            note: (note || '').trim(),
+            status: SHIFT_REQUEST_STATUS.PENDING,
+            createdAt: Timestamp.now()
+        })
+    ), [userId]);
+
+    // Withdraws a swap request that has not been reviewed yet
+    const cancelShiftRequest = useCallback((requestId) => (
+        deleteDoc(doc(dbFirestore, 'ShiftRequests', requestId))
+    ), []);
+
+    /**
+     * Accepts or declines a swap offered to this employee; an admin approves accepted swaps.
+     * @param {Object} request - Pending swap from incomingSwapRequests
+     * @param {boolean} accept
+     * @param {string} toUserName - Employee name shown to the admin
+     */
+    const respondToSwapRequest = useCallback((request, accept, toUserName) => (
+        updateDoc(doc(dbFirestore, 'ShiftRequests', request.id), {
+            status: accept ? SHIFT_REQUEST_STATUS.ACCEPTED : SHIFT_REQUEST_STATUS.DECLINED,
+            toUserId: userId,
+            toUserName,
+            respondedAt: Timestamp.now()
+        })
+    ), [userId]);
+
+    return {
+        profile,
+        shifts,
+        recordEarnings,
+        wageHistory,
+        privateNotifications,
+        scheduleNotifications,
+        generalNotifications,
+        timeOffRequests,
+        submitTimeOffRequest,
+        cancelTimeOffRequest,
+        openShifts,
+        shiftRequests,
+        incomingSwapRequests,
+        claimOpenShift,
+        submitSwapRequest,
+        cancelShiftRequest,
+        respondToSwapRequest,
+        loading
+    };
+}
+
+export default useEmployeePortalData;
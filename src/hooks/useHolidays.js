@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { doc, onSnapshot, setDoc, updateDoc, deleteField, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { expandHolidaysForYear, DEFAULT_HOLIDAY_MULTIPLIER } from '../shared/holidays';
+import provincialHolidays from '../data/provincialHolidays.json';
+
+/**
+ * Custom hook to read and manage statutory holidays
+ * Listens to SystemSettings/Holidays ({ dates: { 'YYYY-MM-DD': { name, multiplier } } })
+ * @returns {Object} - { holidays, holidaysLoading, saveHoliday, removeHoliday, importProvincialHolidays, provinces }
+ */
+function useHolidays() {
+    const [holidays, setHolidays] = useState({});
+    const [holidaysLoading, setHolidaysLoading] = useState(true);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'SystemSettings', 'Holidays');
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            setHolidays(snap.exists() ? (snap.data().dates || {}) : {});
+            setHolidaysLoading(false);
+        }, (error) => {
+            console.error('Error loading holidays', error);
+            setHolidaysLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const saveHoliday = async (dateStr, name, multiplier) => {
+        const multiplierNum = parseFloat(multiplier);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) {
+            toast.error('Please provide a valid holiday date');
+            return false;
+        }
+        if (!name || !name.trim()) {
+            toast.error('Please provide a holiday name');
+            return false;
+        }
+        if (isNaN(multiplierNum) || multiplierNum < 1) {
+            toast.error('Holiday multiplier must be 1 or greater');
+            return false;
+        }
+
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'Holidays');
+            await setDoc(
+                ref,
+                {
+                    dates: { [dateStr]: { name: name.trim(), multiplier: multiplierNum } },
+                    updatedAt: serverTimestamp(),
+                },
+                { merge: true }
+            );
+            toast.success('Holiday saved');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save holiday');
+            return false;
+        }
+    };
+
+    const removeHoliday = async (dateStr) => {
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'Holidays');
+            await updateDoc(ref, {
+                [`dates.${dateStr}`]: deleteField(),
+                updatedAt: serverTimestamp(),
+            });
+            toast.success('Holiday removed');
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to remove holiday');
+        }
+    };
+
+    // Adds the bundled provincial list for a year; existing dates keep their custom values
+    const importProvincialHolidays = async (provinceCode, year, multiplier = DEFAULT_HOLIDAY_MULTIPLIER) => {
+        const province = provincialHolidays[provinceCode];
+        const yearNum = parseInt(year, 10);
+        if (!province || isNaN(yearNum)) {
+            toast.error('Please select a province and a year');
+            return;
+        }
+
+        const imported = expandHolidaysForYear(province.holidays, yearNum, parseFloat(multiplier) || DEFAULT_HOLIDAY_MULTIPLIER);
+        const newDates = {};
+        Object.keys(imported).forEach(dateStr => {
+            if (!holidays[dateStr]) newDates[dateStr] = imported[dateStr];
+        });
+
+        if (Object.keys(newDates).length === 0) {
+            toast.info(`${province.name} ${yearNum} holidays are already imported`);
+            return;
+        }
+
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'Holidays');
+            await setDoc(
+                ref,
+                { dates: newDates, updatedAt: serverTimestamp() },
+                { merge: true }
+            );
+            toast.success(`Imported ${Object.keys(newDates).length} ${province.name} holidays for ${yearNum}`);
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to import holidays');
+        }
+    };
+
+    const provinces = Object.keys(provincialHolidays).map(code => ({
+        code,
+        name: provincialHolidays[code].name
+    }));
+
+    return {
+        holidays,
+        holidaysLoading,
+        saveHoliday,
+        removeHoliday,
+        importProvincialHolidays,
+        provinces
+    };
+}
+
+export default useHolidays;
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, query, orderBy, onSnapshot, updateDoc } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { toast } from 'react-toastify';
+
+/**
+ * Custom hook to list and manage the paired QR displays (kiosks)
+ * Listens to the Kiosks collection ({ name, locationId, active, pairedAt, lastSeenAt, revokedAt });
+ * pairing and revoking go through Cloud Functions, which own the kiosk accounts.
+ * @returns {Object} - { kiosks, kiosksLoading, createPairingCode, setKioskLocation, revokeKiosk }
+ */
+function useKiosks() {
+    const [kiosks, setKiosks] = useState([]);
+    const [kiosksLoading, setKiosksLoading] = useState(true);
+
+    useEffect(() => {
+        const q = query(collection(dbFirestore, 'Kiosks'), orderBy('pairedAt', 'desc'));
+        const unsubscribe = onSnapshot(q, (snap) => {
+            setKiosks(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+            setKiosksLoading(false);
+        }, (error) => {
+            console.error('Error loading kiosks', error);
+            toast.error('Error loading devices');
+            setKiosksLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    /**
+     * Creates a one-time pairing code for a new QR display
+     * @param {string} name - Display name of the kiosk
+     * @param {string} [locationId] - Location whose shifts the kiosk's codes can punch
+     * @returns {Promise<{code:string, expiresAt:Date}|null>}
+     */
+    const createPairingCode = async (name, locationId) => {
+        if (!name || !name.trim()) {
+            toast.error('Please provide a device name');
+            return null;
+        }
+
+        try {
+            const createCode = httpsCallable(getFunctions(), 'createKioskPairingCode');
+            const result = await createCode({ name: name.trim(), locationId: locationId || null });
+            return { code: result.data.code, expiresAt: new Date(result.data.expiresAt) };
+        } catch (e) {
+            console.error(e);
+            toast.error(e.message || 'Failed to create pairing code');
+            return null;
+        }
+    };
+
+    // Moving a display to another store: punches read the kiosk's location, so this applies right away
+    const setKioskLocation = async (kioskId, locationId) => {
+        try {
+            await updateDoc(doc(dbFirestore, 'Kiosks', kioskId), { locationId: locationId || null });
+            toast.success('Device location updated');
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to update device location');
+        }
+    };
+
+    const revokeKiosk = async (kioskId) => {
+        try {
+            const revoke = httpsCallable(getFunctions(), 'revokeKiosk');
+            await revoke({ kioskId });
+            toast.success('Device revoked');
+        } catch (e) {
+            console.error(e);
+            toast.error(e.message || 'Failed to revoke device');
+        }
+    };
+
+    return {
+        kiosks,
+        kiosksLoading,
+        createPairingCode,
+        setKioskLocation,
+        revokeKiosk
+    };
+}
+
+export default useKiosks;
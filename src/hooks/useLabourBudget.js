@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+
+/**
+ * Custom hook to read and manage the weekly labour budget
+ * Listens to SystemSettings/LabourBudget ({ weeklyBudget }); 0 disables the budget warnings
+ * @returns {Object} - { weeklyBudget, budgetLoading, saveWeeklyBudget }
+ */
+function useLabourBudget() {
+    const [weeklyBudget, setWeeklyBudget] = useState(0);
+    const [budgetLoading, setBudgetLoading] = useState(true);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'SystemSettings', 'LabourBudget');
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            const value = snap.exists() ? parseFloat(snap.data().weeklyBudget) : 0;
+            setWeeklyBudget(value > 0 ? value : 0);
+            setBudgetLoading(false);
+        }, (error) => {
+            console.error('Error loading labour budget', error);
+            setBudgetLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const saveWeeklyBudget = async (value) => {
+        const budgetNum = value === '' ? 0 : parseFloat(value);
+        if (isNaN(budgetNum) || budgetNum < 0) {
+            toast.error('Weekly budget must be 0 or a positive amount');
+            return false;
+        }
+
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'LabourBudget');
+            await setDoc(
+                ref,
+                {
+                    weeklyBudget: budgetNum,
+                    updatedAt: serverTimestamp(),
+                },
+                { merge: true }
+            );
+            toast.success(budgetNum > 0 ? 'Weekly budget saved' : 'Weekly budget disabled');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save weekly budget');
+            return false;
+        }
+    };
+
+    return {
+        weeklyBudget,
+        budgetLoading,
+        saveWeeklyBudget
+    };
+}
+
+export default useLabourBudget;
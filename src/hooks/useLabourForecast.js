@@ -0,0 +1,68 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { loadWageHistory } from '../utils/earningsHelpers';
+import { forecastLabourCost } from '../utils/labourForecast';
+import { normalizeOvertimeRules } from '../shared/overtimeEngine';
+
+/**
+ * Custom hook to project the labour cost of scheduled shifts
+ * Loads SystemSettings/OvertimeRules and every user's WageHistory, and takes the shifts
+ * from the calendar events of useAllSchedules.
+ * @param {Array} users - Array of user objects
+ * @param {Array} calendarEvents - Calendar events from useAllSchedules (raw shift in `resource`)
+ * @param {Object} holidays - SystemSettings/Holidays `dates` map
+ * @returns {Object} - { forecastWeek(weekStart, extraShifts), forecastLoading }
+ *   extraShifts (one or an array of { userId, eventDate, duration }) are added to the week, to price
+ *   shifts before they are created
+ */
+function useLabourForecast(users, calendarEvents, holidays) {
+    const [rules, setRules] = useState(() => normalizeOvertimeRules(null));
+    const [historiesByUser, setHistoriesByUser] = useState({});
+    const [forecastLoading, setForecastLoading] = useState(true);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'SystemSettings', 'OvertimeRules');
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            setRules(normalizeOvertimeRules(snap.exists() ? snap.data() : null));
+        }, (error) => {
+            console.error('Error loading overtime rules', error);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        if (!users || users.length === 0) return;
+
+        let cancelled = false;
+        (async () => {
+            const entries = await Promise.all(users.map(async (user) => [user.id, await loadWageHistory(user.id)]));
+            if (cancelled) return;
+            setHistoriesByUser(Object.fromEntries(entries));
+            setForecastLoading(false);
+        })();
+
+        return () => { cancelled = true; };
+    }, [users]);
+
+    const shiftsByUser = useMemo(() => {
+        const grouped = {};
+        (calendarEvents || []).forEach(event => {
+            if (!grouped[event.userId]) grouped[event.userId] = [];
+            grouped[event.userId].push(event.resource);
+        });
+        return grouped;
+    }, [calendarEvents]);
+
+    const forecastWeek = useCallback((weekStart, extraShifts = null) => {
+        const withExtra = { ...shiftsByUser };
+        [].concat(extraShifts || []).forEach(shift => {
+            withExtra[shift.userId] = [...(withExtra[shift.userId] || []), shift];
+        });
+        return forecastLabourCost({ weekStart, users, shiftsByUser: withExtra, rules, historiesByUser, holidays });
+    }, [users, shiftsByUser, rules, historiesByUser, holidays]);
+
+    return { forecastWeek, forecastLoading };
+}
+
+export default useLabourForecast;
@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, query, orderBy, onSnapshot, addDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { GEOFENCE_MODES, normalizePosition } from '../shared/geofence';
+
+/**
+ * Custom hook to read and manage the work locations (stores / sites)
+ * Listens to the Locations collection ({ name, address, latitude, longitude, geofenceRadiusMeters, geofenceMode });
+ * shifts and kiosks reference a location by id
+ * @returns {Object} - { locations, locationsLoading, saveLocation, saveGeofence, deleteLocation }
+ */
+function useLocations() {
+    const [locations, setLocations] = useState([]);
+    const [locationsLoading, setLocationsLoading] = useState(true);
+
+    useEffect(() => {
+        const q = query(collection(dbFirestore, 'Locations'), orderBy('name', 'asc'));
+        const unsubscribe = onSnapshot(q, (snap) => {
+            setLocations(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+            setLocationsLoading(false);
+        }, (error) => {
+            console.error('Error loading locations', error);
+            setLocationsLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const saveLocation = async ({ name, address }) => {
+        if (!name || !name.trim()) {
+            toast.error('Please provide a location name');
+            return false;
+        }
+        if (locations.some(l => l.name.toLowerCase() === name.trim().toLowerCase())) {
+            toast.error('A location with this name already exists');
+            return false;
+        }
+
+        try {
+            await addDoc(collection(dbFirestore, 'Locations'), {
+                name: name.trim(),
+                address: (address || '').trim(),
+                createdAt: serverTimestamp()
+            });
+            toast.success('Location saved');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save location');
+            return false;
+        }
+    };
+
+    /**
+     * Sets the site coordinates and geofence checked by the `punch` Cloud Function
+     * @param {string} locationId
+     * @param {Object} geofence - { latitude, longitude, geofenceRadiusMeters, geofenceMode }
+     * @returns {Promise<boolean>}
+     */
+    const saveGeofence = async (locationId, { latitude, longitude, geofenceRadiusMeters, geofenceMode }) => {
+        const hasCoordinates = latitude !== '' || longitude !== '';
+        const site = normalizePosition({ latitude, longitude });
+        if (hasCoordinates && !site) {
+            toast.error('Please provide a valid latitude and longitude');
+            return false;
+        }
+        if (geofenceMode !== 'off' && !site) {
+            toast.error('A geofence needs the site coordinates');
+            return false;
+        }
+        const radius = Number(geofenceRadiusMeters);
+        if (!Number.isFinite(radius) || radius <= 0) {
+            toast.error('The geofence radius must be a positive number of meters');
+            return false;
+        }
+        if (!GEOFENCE_MODES.some(m => m.value === geofenceMode)) {
+            toast.error('Please select a geofence mode');
+            return false;
+        }
+
+        try {
+            await updateDoc(doc(dbFirestore, 'Locations', locationId), {
+                latitude: site ? site.latitude : null,
+                longitude: site ? site.longitude : null,
+                geofenceRadiusMeters: radius,
+                geofenceMode
+            });
+            toast.success('Geofence saved');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save geofence');
+            return false;
+        }
+    };
+
+    // Shifts and kiosks keep the id of a deleted location; they are then shown without a location
+    const deleteLocation = async (locationId) => {
+        try {
+            await deleteDoc(doc(dbFirestore, 'Locations', locationId));
+            toast.success('Location deleted');
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to delete location');
+        }
+    };
+
+    return {
+        locations,
+        locationsLoading,
+        saveLocation,
+        saveGeofence,
+        deleteLocation
+    };
+}
+
+export default useLocations;
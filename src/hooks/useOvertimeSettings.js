@@ -2,15 +2,23 @@ import { useState, useEffect } from 'react';
 import { dbFirestore } from '../connections/ConnFirebaseServices';
 import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
 import { toast } from 'react-toastify';
+import { DEFAULT_OVERTIME_RULES, normalizeOvertimeRules } from '../shared/overtimeEngine';
 
 /**
  * Custom hook to manage global overtime settings
  * Loads from SystemSettings/OvertimeRules and provides save functionality
- * @returns {Object} - { otThreshold, setOtThreshold, otPercent, setOtPercent, otUpdatedAt, otLoading, otSaving, saveOvertime }
+ * Daily thresholds left at 0 disable the matching rule.
+ * @returns {Object} - { otThreshold, setOtThreshold, otPercent, setOtPercent, otDailyThreshold, setOtDailyThreshold,
+ *   otDoubleTimeThreshold, setOtDoubleTimeThreshold, otDoubleTimePercent, setOtDoubleTimePercent,
+ *   otSeventhDay, setOtSeventhDay, otUpdatedAt, otLoading, otSaving, saveOvertime }
  */
 function useOvertimeSettings() {
     const [otThreshold, setOtThreshold] = useState('40');
     const [otPercent, setOtPercent] = useState('50');
+    const [otDailyThreshold, setOtDailyThreshold] = useState('0');
+    const [otDoubleTimeThreshold, setOtDoubleTimeThreshold] = useState('0');
+    const [otDoubleTimePercent, setOtDoubleTimePercent] = useState('100');
+    const [otSeventhDay, setOtSeventhDay] = useState(false);
     const [otUpdatedAt, setOtUpdatedAt] = useState(null);
     const [otSaving, setOtSaving] = useState(false);
     const [otLoading, setOtLoading] = useState(true);
@@ -24,12 +32,14 @@ function useOvertimeSettings() {
                 if (snap.exists()) {
                     const data = snap.data();
 
-                    // Fallback defaults
-                    const th = parseFloat(data.thresholdHours) || 40;
-                    const pct = parseFloat(data.overtimePercent) || 50;
+                    const rules = normalizeOvertimeRules(data);
 
-                    setOtThreshold(String(th));
-                    setOtPercent(String(pct));
+                    setOtThreshold(String(rules.thresholdHours));
+                    setOtPercent(String(rules.overtimePercent));
+                    setOtDailyThreshold(String(rules.dailyThresholdHours));
+                    setOtDoubleTimeThreshold(String(rules.doubleTimeThresholdHours));
+                    setOtDoubleTimePercent(String(rules.doubleTimePercent));
+                    setOtSeventhDay(rules.seventhDayPremium);
 
                     if (data.updatedAt?.toDate) {
                         setOtUpdatedAt(data.updatedAt.toDate());
@@ -39,8 +49,7 @@ function useOvertimeSettings() {
                     await setDoc(
                         ref,
                         {
-                            thresholdHours: 40,
-                            overtimePercent: 50,
+                            ...DEFAULT_OVERTIME_RULES,
                             createdAt: serverTimestamp(),
                             updatedAt: serverTimestamp(),
                         },
@@ -67,6 +76,9 @@ function useOvertimeSettings() {
         // basic validation
         const thresholdNum = parseFloat(otThreshold);
         const percentNum = parseFloat(otPercent);
+        const dailyNum = parseFloat(otDailyThreshold) || 0;
+        const doubleTimeNum = parseFloat(otDoubleTimeThreshold) || 0;
+        const doubleTimePercentNum = parseFloat(otDoubleTimePercent);
 
         if (isNaN(thresholdNum) || thresholdNum <= 0) {
             toast.error('Please provide a valid Weekly Regular Hours Threshold');
@@ -76,6 +88,22 @@ function useOvertimeSettings() {
             toast.error('Please provide a valid Overtime Increase (%)');
             return;
         }
+        if (dailyNum < 0 || dailyNum > 24) {
+            toast.error('Daily Overtime Threshold must be between 0 and 24 hours');
+            return;
+        }
+        if (doubleTimeNum < 0 || doubleTimeNum > 24) {
+            toast.error('Double Time Threshold must be between 0 and 24 hours');
+            return;
+        }
+        if (dailyNum > 0 && doubleTimeNum > 0 && doubleTimeNum <= dailyNum) {
+            toast.error('Double Time Threshold must be greater than the Daily Overtime Threshold');
+            return;
+        }
+        if (isNaN(doubleTimePercentNum) || doubleTimePercentNum < 0) {
+            toast.error('Please provide a valid Double Time Increase (%)');
+            return;
+        }
 
         setOtSaving(true);
         try {
@@ -85,6 +113,10 @@ function useOvertimeSettings() {
                 {
                     thresholdHours: thresholdNum,
                     overtimePercent: percentNum,
+                    dailyThresholdHours: dailyNum,
+                    doubleTimeThresholdHours: doubleTimeNum,
+                    doubleTimePercent: doubleTimePercentNum,
+                    seventhDayPremium: otSeventhDay,
                     updatedAt: serverTimestamp(),
                 },
                 { merge: true }
@@ -104,6 +136,14 @@ function useOvertimeSettings() {
         setOtThreshold,
         otPercent,
         setOtPercent,
+        otDailyThreshold,
+        setOtDailyThreshold,
+        otDoubleTimeThreshold,
+        setOtDoubleTimeThreshold,
+        otDoubleTimePercent,
+        setOtDoubleTimePercent,
+        otSeventhDay,
+        setOtSeventhDay,
         otUpdatedAt,
         otLoading,
         otSaving,
@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, getDoc, getDocs, query, where, setDoc, addDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import {
+    DEFAULT_PAYROLL_SETTINGS,
+    normalizePayrollSettings,
+    getPayPeriodForDate,
+    getAdjacentPayPeriod,
+    PAY_PERIOD_STATUS
+} from '../shared/payPeriods';
+
+/**
+ * Custom hook for the payroll page
+ * Loads SystemSettings/PayrollSettings, the PayPeriods status and the RecordEarnings and
+ * EarningsAdjustments of every user for the selected pay period
+ * @param {Array} users - User documents (from useUsersData)
+ * @returns {Object} - { payrollSettings, savePayrollSettings, period, goToPreviousPeriod, goToNextPeriod,
+ *   goToCurrentPeriod, recordsByUser, recordsLoading, settingsLoading, periodStatus, setPeriodStatus,
+ *   adjustmentsByUser, addAdjustment }
+ */
+function usePayroll(users) {
+    const [payrollSettings, setPayrollSettings] = useState({ ...DEFAULT_PAYROLL_SETTINGS });
+    const [settingsLoading, setSettingsLoading] = useState(true);
+    const [period, setPeriod] = useState(() => getPayPeriodForDate(format(new Date(), 'yyyy-MM-dd'), DEFAULT_PAYROLL_SETTINGS));
+    const [recordsByUser, setRecordsByUser] = useState({});
+    const [recordsLoading, setRecordsLoading] = useState(false);
+    const [periodStatus, setPeriodStatusState] = useState(PAY_PERIOD_STATUS.OPEN);
+    const [adjustmentsByUser, setAdjustmentsByUser] = useState({});
+    const [adjustmentsVersion, setAdjustmentsVersion] = useState(0);
+
+    useEffect(() => {
+        async function loadSettings() {
+            try {
+                const ref = doc(dbFirestore, 'SystemSettings', 'PayrollSettings');
+                const snap = await getDoc(ref);
+                const settings = normalizePayrollSettings(snap.exists() ? snap.data() : null);
+                setPayrollSettings(settings);
+                setPeriod(getPayPeriodForDate(format(new Date(), 'yyyy-MM-dd'), settings));
+            } catch (e) {
+                console.error('Error loading payroll settings', e);
+                toast.error('Error loading payroll settings');
+            } finally {
+                setSettingsLoading(false);
+            }
+        }
+        loadSettings();
+    }, []);
+
+    useEffect(() => {
+        if (!users || users.length === 0) return;
+        let cancelled = false;
+
+        async function loadRecords() {
+            setRecordsLoading(true);
+            try {
+                const entries = await Promise.all(users.map(async (user) => {
+                    const recCol = collection(dbFirestore, 'users', user.id, 'RecordEarnings');
+                    const q = query(recCol, where('date', '>=', period.start), where('date', '<=', period.end));
+                    const snap = await getDocs(q);
+                    return [user.id, snap.docs.map(d => ({ id: d.id, ...d.data() }))];
+                }));
+                if (!cancelled) setRecordsByUser(Object.fromEntries(entries));
+            } catch (e) {
+                console.error('Error loading earnings records', e);
+                toast.error('Error loading earnings records');
+            } finally {
+                if (!cancelled) setRecordsLoading(false);
+            }
+        }
+        loadRecords();
+
+        return () => { cancelled = true; };
+    }, [users, period]);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'PayPeriods', period.id);
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            setPeriodStatusState(snap.exists() && snap.data().status ? snap.data().status : PAY_PERIOD_STATUS.OPEN);
+        }, (error) => {
+            console.error('Error listening to pay period', error);
+        });
+        return () => unsubscribe();
+    }, [period.id]);
+
+    useEffect(() => {
+        if (!users || users.length === 0) return;
+        let cancelled = false;
+
+        async function loadAdjustments() {
+            try {
+                const entries = await Promise.all(users.map(async (user) => {
+                    const adjCol = collection(dbFirestore, 'users', user.id, 'EarningsAdjustments');
+                    const q = query(adjCol, where('periodStart', '==', period.start));
+                    const snap = await getDocs(q);
+                    return [user.id, snap.docs.map(d => ({ id: d.id, ...d.data() }))];
+                }));
+                if (!cancelled) setAdjustmentsByUser(Object.fromEntries(entries));
+            } catch (e) {
+                console.error('Error loading earnings adjustments', e);
+                toast.error('Error loading earnings adjustments');
+            }
+        }
+        loadAdjustments();
+
+        return () => { cancelled = true; };
+    }, [users, period, adjustmentsVersion]);
+
+    /**
+     * Changes the status of the selected period (open / locked / paid).
+     * The syncPayPeriodLocks Cloud Function maintains the per-date lock markers.
+     */
+    const setPeriodStatus = async (status) => {
+        if (periodStatus === PAY_PERIOD_STATUS.PAID) {
+            toast.error('This pay period is already paid');
+            return;
+        }
+        try {
+            const ref = doc(dbFirestore, 'PayPeriods', period.id);
+            const payload = {
+                start: period.start,
+                end: period.end,
+                frequency: payrollSettings.frequency,
+                status,
+                updatedAt: serverTimestamp()
+            };
+            if (status === PAY_PERIOD_STATUS.LOCKED) payload.lockedAt = serverTimestamp();
+            if (status === PAY_PERIOD_STATUS.PAID) payload.paidAt = serverTimestamp();
+            await setDoc(ref, payload, { merge: true });
+            toast.success(`Pay period ${status}`);
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to update pay period');
+        }
+    };
+
+    /**
+     * Records a correction for a date in a locked period.
+     * Adjustments are paid in the selected (open) period; locked records are never rewritten.
+     * @param {string} userId
+     * @param {Object} adjustment - { date:'YYYY-MM-DD', hours:number, amount:number, reason:string }
+     * @returns {Promise<boolean>}
+     */
+    const addAdjustment = async (userId, { date, hours, amount, reason }) => {
+        if (periodStatus !== PAY_PERIOD_STATUS.OPEN) {
+            toast.error('Adjustments can only be added to an open pay period');
+            return false;
+        }
+        if (!userId || !reason || !reason.trim()) {
+            toast.error('Employee and reason are required');
+            return false;
+        }
+        const parsedHours = Number(hours) || 0;
+        const parsedAmount = Number(amount) || 0;
+        if (parsedHours === 0 && parsedAmount === 0) {
+            toast.error('Enter hours or an amount');
+            return false;
+        }
+        try {
+            const adjCol = collection(dbFirestore, 'users', userId, 'EarningsAdjustments');
+            await addDoc(adjCol, {
+                periodStart: period.start,
+                periodEnd: period.end,
+                date: date || null,
+                hours: parsedHours,
+                amount: parsedAmount,
+                reason: reason.trim(),
+                createdAt: serverTimestamp()
+            });
+            setAdjustmentsVersion(v => v + 1);
+            toast.success('Adjustment recorded');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to record adjustment');
+            return false;
+        }
+    };
+
+    const savePayrollSettings = async (nextSettings) => {
+        const settings = normalizePayrollSettings(nextSettings);
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'PayrollSettings');
+            await setDoc(ref, { ...settings, updatedAt: serverTimestamp() }, { merge: true });
+            setPayrollSettings(settings);
+            setPeriod(getPayPeriodForDate(format(new Date(), 'yyyy-MM-dd'), settings));
+            toast.success('Payroll settings saved');
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save payroll settings');
+        }
+    };
+
+    const goToPreviousPeriod = useCallback(() => {
+        setPeriod(p => getAdjacentPayPeriod(p, payrollSettings, -1));
+    }, [payrollSettings]);
+
+    const goToNextPeriod = useCallback(() => {
+        setPeriod(p => getAdjacentPayPeriod(p, payrollSettings, 1));
+    }, [payrollSettings]);
+
+    const goToCurrentPeriod = useCallback(() => {
+        setPeriod(getPayPeriodForDate(format(new Date(), 'yyyy-MM-dd'), payrollSettings));
+    }, [payrollSettings]);
+
+    return {
+        payrollSettings,
+        savePayrollSettings,
+        settingsLoading,
+        period,
+        goToPreviousPeriod,
+        goToNextPeriod,
+        goToCurrentPeriod,
+        recordsByUser,
+        recordsLoading,
+        periodStatus,
+        setPeriodStatus,
+        adjustmentsByUser,
+        addAdjustment
+    };
+}
+
+export default usePayroll;
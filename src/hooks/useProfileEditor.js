@@ -1,13 +1,12 @@
 import { useState } from 'react';
 import { dbFirestore } from '../connections/ConnFirebaseServices';
-import { doc, setDoc, collection, addDoc, serverTimestamp, getDocs } from 'firebase/firestore';
+import { doc, setDoc, collection, addDoc, serverTimestamp, getDocs, deleteField } from 'firebase/firestore';
 import { toast } from 'react-toastify';
-import { syncWeeklyEarningsForUserWeek } from '../utils/earningsHelpers';
-import { startOfWeek, endOfWeek } from 'date-fns';
+import { isSameAvailability, validateAvailability } from '../utils/availabilityHelpers';
 
 /**
  * Custom hook for profile editing logic
- * Handles save, wage history, and earnings recalculation
+ * Handles save and wage history (earnings are recalculated server-side)
  * @param {string} userId - User ID
  * @param {Object} origUser - Original user data
  * @param {Object} formData - Current form field values
@@ -23,7 +22,7 @@ function useProfileEditor(userId, origUser, formData, navigate, backTo) {
         e?.preventDefault();
         if (!origUser) return;
 
-        const { firstName, lastName, category, hourlyWage, email, isActive } = formData;
+        const { firstName, lastName, category, hourlyWage, email, isActive, availability } = formData;
 
         // Check for changes
         const hasChanges = (() => {
@@ -35,7 +34,8 @@ function useProfileEditor(userId, origUser, formData, navigate, backTo) {
                 category !== (origUser.category || '') ||
                 (hourlyWage !== '' && hw !== Number(origUser.hourlyWage || 0)) ||
                 email !== (origUser.email || '') ||
-                isActive !== Boolean(origUser.isActive)
+                isActive !== Boolean(origUser.isActive) ||
+                !isSameAvailability(availability, origUser.availability)
             );
         })();
 
@@ -81,6 +81,14 @@ function useProfileEditor(userId, origUser, formData, navigate, backTo) {
             return;
         }
 
+        if (availability) {
+            const availabilityError = validateAvailability(availability);
+            if (availabilityError) {
+                toast.error(availabilityError);
+                return;
+            }
+        }
+
         setSaving(true);
         try {
             const ref = doc(dbFirestore, 'users', userId);
@@ -90,13 +98,14 @@ function useProfileEditor(userId, origUser, formData, navigate, backTo) {
                 category,
                 email: email.trim(),
                 isActive,
+                // No availability means available at any time
+                availability: availability || deleteField(),
             };
             if (wageNum !== undefined) patch.hourlyWage = wageNum;
 
             await setDoc(ref, patch, { merge: true });
             toast.success('Profile updated');
 
-            // Recompute current week earnings automatically when wage changed and effectiveFrom provided
             const wageChanged =
                 (typeof origUser.hourlyWage === 'number' ? origUser.hourlyWage : undefined) !== wageNum &&
                 wageNum !== undefined;
@@ -132,41 +141,8 @@ function useProfileEditor(userId, origUser, formData, navigate, backTo) {
                 }
             }
 
-            // Recompute from Effective From week through current week so all derived values use correct wage
-            if (wageChanged && effectiveFrom) {
-                try {
-                    const now = new Date();
-                    // Determine recompute end by scanning existing RecordEarnings for max date >= effectiveFrom
-                    let lastDateStr = effectiveFrom;
-                    try {
-                        const recSnap = await getDocs(collection(dbFirestore, 'users', userId, 'RecordEarnings'));
-                        recSnap.forEach(d => {
-                            const id = d.id; // expected 'YYYY-MM-DD'
-                            if (typeof id === 'string' && id >= effectiveFrom) {
-                                if (id > lastDateStr) lastDateStr = id;
-                            }
-                        });
-                    } catch {}
-
-                    const lastBoundary = endOfWeek(new Date(lastDateStr > formatDateYYYYMMDD(now) ? lastDateStr : formatDateYYYYMMDD(now)), { weekStartsOn: 1 });
-                    let cursor = startOfWeek(new Date(effectiveFrom), { weekStartsOn: 1 });
-                    const lastWeekEnd = lastBoundary;
-                    while (cursor <= lastWeekEnd) {
-                        const wStart = cursor;
-                        const wEnd = endOfWeek(cursor, { weekStartsOn: 1 });
-                        await syncWeeklyEarningsForUserWeek({
-                            userId,
-                            userHourlyWage: wageNum,
-                            weekStartDate: wStart,
-                            weekEndDate: wEnd,
-                        });
-                        cursor = new Date(cursor.getTime());
-                        cursor.setDate(cursor.getDate() + 7);
-                    }
-                } catch (err) {
-                    console.error('Weekly earnings recompute (range) failed:', err);
-                }
-            }
+            // RecordEarnings for the affected weeks is recomputed server-side by the
+            // recomputeEarningsOnWageChange Cloud Function once WageHistory is written.
 
             navigate(backTo);
         } catch (e) {
@@ -185,12 +161,4 @@ function useProfileEditor(userId, origUser, formData, navigate, backTo) {
     };
 }
 
-// Helper to format a Date to 'YYYY-MM-DD'
-function formatDateYYYYMMDD(d) {
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-}
-
 export default useProfileEditor;
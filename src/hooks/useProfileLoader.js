@@ -2,13 +2,14 @@ import { useState, useEffect } from 'react';
 import { dbFirestore } from '../connections/ConnFirebaseServices';
 import { doc, getDoc } from 'firebase/firestore';
 import { toast } from 'react-toastify';
+import { normalizeAvailability } from '../utils/availabilityHelpers';
 
 /**
  * Custom hook to load user profile data from Firestore
  * @param {string} userId - User ID to load
  * @param {function} navigate - Navigation function
  * @param {string} backTo - Path to navigate back on error
- * @returns {Object} - { loading, origUser, firstName, setFirstName, lastName, setLastName, category, setCategory, hourlyWage, setHourlyWage, email, setEmail, isActive, setIsActive }
+ * @returns {Object} - { loading, origUser, firstName, setFirstName, lastName, setLastName, category, setCategory, hourlyWage, setHourlyWage, email, setEmail, isActive, setIsActive, availability, setAvailability }
  */
 function useProfileLoader(userId, navigate, backTo) {
     const [loading, setLoading] = useState(true);
@@ -19,6 +20,7 @@ function useProfileLoader(userId, navigate, backTo) {
     const [hourlyWage, setHourlyWage] = useState('');
     const [email, setEmail] = useState('');
     const [isActive, setIsActive] = useState(true);
+    const [availability, setAvailability] = useState(null);
 
     useEffect(() => {
         let mounted = true;
@@ -49,6 +51,7 @@ function useProfileLoader(userId, navigate, backTo) {
                 );
                 setEmail(data.email || '');
                 setIsActive(Boolean(data.isActive));
+                setAvailability(normalizeAvailability(data.availability));
             } catch (e) {
                 console.error(e);
                 toast.error('Failed to load user');
@@ -77,7 +80,9 @@ function useProfileLoader(userId, navigate, backTo) {
         email,
         setEmail,
         isActive,
-        setIsActive
+        setIsActive,
+        availability,
+        setAvailability
     };
 }
 
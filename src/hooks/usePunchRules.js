@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { normalizePunchRules, ROUNDING_OPTIONS } from '../utils/punchRounding';
+
+/**
+ * Custom hook to manage the global punch rounding and grace-period rules
+ * Listens to SystemSettings/PunchRules; a rounding of 0 and grace windows of 0 keep the raw punches.
+ * @returns {Object} - { roundingMinutes, setRoundingMinutes, earlyInGrace, setEarlyInGrace, lateOutGrace, setLateOutGrace,
+ *   clampToScheduledStart, setClampToScheduledStart, qrGrace, setQrGrace, punchLoading, punchSaving, savePunchRules }
+ */
+function usePunchRules() {
+    const [roundingMinutes, setRoundingMinutes] = useState('0');
+    const [earlyInGrace, setEarlyInGrace] = useState('0');
+    const [lateOutGrace, setLateOutGrace] = useState('0');
+    const [clampToScheduledStart, setClampToScheduledStart] = useState(false);
+    const [qrGrace, setQrGrace] = useState('30');
+    const [punchLoading, setPunchLoading] = useState(true);
+    const [punchSaving, setPunchSaving] = useState(false);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'SystemSettings', 'PunchRules');
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            const rules = normalizePunchRules(snap.exists() ? snap.data() : null);
+            setRoundingMinutes(String(rules.roundingMinutes));
+            setEarlyInGrace(String(rules.earlyInGraceMinutes));
+            setLateOutGrace(String(rules.lateOutGraceMinutes));
+            setClampToScheduledStart(rules.clampToScheduledStart);
+            setQrGrace(String(rules.qrGraceSeconds));
+            setPunchLoading(false);
+        }, (error) => {
+            console.error('Error loading punch rules', error);
+            toast.error('Error loading punch rounding rules');
+            setPunchLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const savePunchRules = async (e) => {
+        e.preventDefault();
+
+        const roundingNum = Number(roundingMinutes);
+        const earlyNum = parseFloat(earlyInGrace) || 0;
+        const lateNum = parseFloat(lateOutGrace) || 0;
+        const qrGraceNum = parseFloat(qrGrace);
+
+        if (!ROUNDING_OPTIONS.includes(roundingNum)) {
+            toast.error('Rounding must be none, 5, 10 or 15 minutes');
+            return;
+        }
+        if (earlyNum < 0 || earlyNum > 120 || lateNum < 0 || lateNum > 120) {
+            toast.error('Grace windows must be between 0 and 120 minutes');
+            return;
+        }
+        if (isNaN(qrGraceNum) || qrGraceNum < 0 || qrGraceNum > 300) {
+            toast.error('QR code grace must be between 0 and 300 seconds');
+            return;
+        }
+
+        setPunchSaving(true);
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'PunchRules');
+            await setDoc(
+                ref,
+                {
+                    roundingMinutes: roundingNum,
+                    earlyInGraceMinutes: earlyNum,
+                    lateOutGraceMinutes: lateNum,
+                    clampToScheduledStart,
+                    qrGraceSeconds: qrGraceNum,
+                    updatedAt: serverTimestamp(),
+                },
+                { merge: true }
+            );
+            toast.success('Punch rounding rules saved');
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to save punch rounding rules');
+        } finally {
+            setPunchSaving(false);
+        }
+    };
+
+    return {
+        roundingMinutes,
+        setRoundingMinutes,
+        earlyInGrace,
+        setEarlyInGrace,
+        lateOutGrace,
+        setLateOutGrace,
+        clampToScheduledStart,
+        setClampToScheduledStart,
+        qrGrace,
+        setQrGrace,
+        punchLoading,
+        punchSaving,
+        savePunchRules
+    };
+}
+
+export default usePunchRules;
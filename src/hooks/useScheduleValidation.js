@@ -1,22 +1,38 @@
 import { useState, useEffect } from 'react';
 import { validateShiftOverlap } from '../utils/scheduleUtils';
+import { findTimeOffConflict, getShiftDates } from '../utils/timeOffHelpers';
 
 /**
  * Custom hook for real-time schedule validation
- * Validates shift overlap when form fields change
+ * Validates shift overlap and approved time off when form fields change
  * @param {string} eventDate - Date of the event
  * @param {string} startHour - Start time
  * @param {string} endHour - End time
  * @param {string} selectedUserId - Selected user ID
  * @param {Object} userDailySchedules - Object with daily schedules by user and date
  * @param {boolean} endsNextDay - Whether shift ends next day (overnight)
+ * @param {Object} [timeOffByUser] - TimeOffRequests by user ID (from useTimeOffRequests)
  * @returns {Object|null} - Validation result object or null
  */
-function useScheduleValidation(eventDate, startHour, endHour, selectedUserId, userDailySchedules, endsNextDay) {
+function useScheduleValidation(eventDate, startHour, endHour, selectedUserId, userDailySchedules, endsNextDay, timeOffByUser) {
     const [validationResult, setValidationResult] = useState(null);
 
     useEffect(() => {
         if (eventDate && startHour && endHour && selectedUserId) {
+            // Approved time off blocks the shift before any overlap check
+            const timeOff = findTimeOffConflict(
+                timeOffByUser && timeOffByUser[selectedUserId],
+                getShiftDates(eventDate, endsNextDay)
+            );
+            if (timeOff) {
+                setValidationResult({
+                    isValid: false,
+                    type: 'time_off_conflict',
+                    message: `The employee has approved time off from ${timeOff.startDate} to ${timeOff.endDate}`
+                });
+                return;
+            }
+
             const userDailyData = userDailySchedules[selectedUserId];
             const existingShiftsForDate = userDailyData && userDailyData[eventDate]
                 ? userDailyData[eventDate].shifts
@@ -35,7 +51,7 @@ function useScheduleValidation(eventDate, startHour, endHour, selectedUserId, us
         } else {
             setValidationResult(null);
         }
-    }, [eventDate, startHour, endHour, selectedUserId, userDailySchedules, endsNextDay]);
+    }, [eventDate, startHour, endHour, selectedUserId, userDailySchedules, endsNextDay, timeOffByUser]);
 
     return validationResult;
 }
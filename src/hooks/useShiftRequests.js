@@ -0,0 +1,154 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, deleteDoc, deleteField, doc, onSnapshot, orderBy, query, writeBatch, Timestamp } from 'firebase/firestore';
+import { reassignShift } from '../utils/shiftMoveHelpers';
+import {
+    SHIFT_REQUEST_TYPE,
+    SHIFT_REQUEST_STATUS,
+    buildReassignmentMessages,
+    describeShift,
+    getApprovalBlocker
+} from '../utils/shiftRequestHelpers';
+
+/**
+ * Custom hook for the ShiftRequests collection (open shifts and swap requests)
+ * Exposes the admin review actions; approving moves the shift with reassignShift
+ * @param {Array} users - User documents (from useUsersData)
+ * @returns {Object} - { openShifts, pendingRequests, reviewedRequests, approveRequest, denyRequest, cancelOpenShift }
+ */
+function useShiftRequests(users) {
+    const [requests, setRequests] = useState([]);
+
+    useEffect(() => {
+        const requestsRef = collection(dbFirestore, 'ShiftRequests');
+        const unsubscribe = onSnapshot(query(requestsRef, orderBy('eventDate')), (snap) => {
+            setRequests(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error('Error listening to shift requests', error);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    // Swap targets are entered by email and record their uid when they accept;
+    // resolve them against the user list
+    const resolved = useMemo(() => {
+        const byEmail = {};
+        const byId = {};
+        (users || []).forEach(user => {
+            if (user.email) byEmail[user.email.toLowerCase()] = user;
+            byId[user.id] = user;
+        });
+        return requests.map(request => ({
+            ...request,
+            toUser: request.type === SHIFT_REQUEST_TYPE.SWAP
+                ? byId[request.toUserId] || byEmail[(request.toEmail || '').toLowerCase()] || null
+                : null
+        }));
+    }, [requests, users]);
+
+    const openShifts = useMemo(
+        () => resolved.filter(request => request.status === SHIFT_REQUEST_STATUS.OPEN),
+        [resolved]
+    );
+
+    // Waiting for an admin decision: claimed open shifts and swaps (pending ones cannot be
+    // approved until the colleague accepts them)
+    const pendingRequests = useMemo(
+        () => resolved.filter(request => [
+            SHIFT_REQUEST_STATUS.CLAIMED,
+            SHIFT_REQUEST_STATUS.PENDING,
+            SHIFT_REQUEST_STATUS.ACCEPTED
+        ].includes(request.status)),
+        [resolved]
+    );
+
+    const reviewedRequests = useMemo(
+        () => resolved
+            .filter(request => [
+                SHIFT_REQUEST_STATUS.APPROVED,
+                SHIFT_REQUEST_STATUS.DENIED,
+                SHIFT_REQUEST_STATUS.DECLINED
+            ].includes(request.status))
+            .sort((a, b) => (b.eventDate || '').localeCompare(a.eventDate || '')),
+        [resolved]
+    );
+
+    /**
+     * Moves the shift to the claimant (open shift) or the colleague who accepted it (swap).
+     * @param {Object} request - Request from pendingRequests
+     * @returns {Promise<{success:boolean, message:string}>}
+     */
+    const approveRequest = useCallback(async (request) => {
+        const blocker = getApprovalBlocker(request);
+        if (blocker) {
+            return { success: false, message: blocker };
+        }
+        const isOpen = request.type === SHIFT_REQUEST_TYPE.OPEN;
+        const toUserId = isOpen ? request.claimedBy : request.toUserId;
+        if (!toUserId) {
+            return { success: false, message: 'No employee found for this request' };
+        }
+        const toName = isOpen
+            ? request.claimedByName
+            : request.toUserName || (request.toUser
+                ? `${request.toUser.firstName} ${request.toUser.lastName}`
+                : request.toEmail);
+
+        return reassignShift({
+            requestId: request.id,
+            shiftId: request.shiftId,
+            fromUserId: request.fromUserId,
+            toUserId,
+            messages: buildReassignmentMessages({ request, fromName: request.fromUserName, toName })
+        });
+    }, []);
+
+    /**
+     * Rejects a claim (the shift goes back to open) or denies a swap, and notifies the employee
+     * who asked, both in one batch.
+     * @param {Object} request - Request from pendingRequests
+     * @param {string} [note] - Reviewer note, shown to the employee
+     */
+    const denyRequest = useCallback(async (request, note = '') => {
+        const isOpen = request.type === SHIFT_REQUEST_TYPE.OPEN;
+        const notifiedUserId = isOpen ? request.claimedBy : request.fromUserId;
+        const trimmed = note.trim();
+        const batch = writeBatch(dbFirestore);
+
+        batch.update(doc(dbFirestore, 'ShiftRequests', request.id), isOpen
+            ? {
+                status: SHIFT_REQUEST_STATUS.OPEN,
+                claimedBy: deleteField(),
+                claimedByName: deleteField(),
+                claimedAt: deleteField()
+            }
+            : {
+                status: SHIFT_REQUEST_STATUS.DENIED,
+                reviewNote: trimmed,
+                reviewedAt: Timestamp.now()
+            });
+        batch.set(doc(collection(dbFirestore, 'users', notifiedUserId, 'PrivateNotification')), {
+            createdAt: Timestamp.now(),
+            privateMessage: `Your ${isOpen ? 'claim for' : 'swap request for'} ${describeShift(request)} was not approved.${trimmed ? ` Note: ${trimmed}` : ''}`
+        });
+
+        await batch.commit();
+    }, []);
+
+    // Withdraws an open shift nobody has claimed yet; the shift stays with its owner
+    const cancelOpenShift = useCallback((request) => (
+        deleteDoc(doc(dbFirestore, 'ShiftRequests', request.id))
+    ), []);
+
+    return {
+        openShifts,
+        pendingRequests,
+        reviewedRequests,
+        approveRequest,
+        denyRequest,
+        cancelOpenShift
+    };
+}
+
+export default useShiftRequests;
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, query, orderBy, onSnapshot, addDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+
+/**
+ * Custom hook to read and manage named shift templates
+ * Listens to the ShiftTemplates collection ({ name, startHour, endHour, endsNextDay, eventDescription })
+ * @returns {Object} - { templates, templatesLoading, saveTemplate, deleteTemplate }
+ */
+function useShiftTemplates() {
+    const [templates, setTemplates] = useState([]);
+    const [templatesLoading, setTemplatesLoading] = useState(true);
+
+    useEffect(() => {
+        const q = query(collection(dbFirestore, 'ShiftTemplates'), orderBy('name', 'asc'));
+        const unsubscribe = onSnapshot(q, (snap) => {
+            setTemplates(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+            setTemplatesLoading(false);
+        }, (error) => {
+            console.error('Error loading shift templates', error);
+            setTemplatesLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const saveTemplate = async ({ name, startHour, endHour, endsNextDay, eventDescription }) => {
+        if (!name || !name.trim()) {
+            toast.error('Please provide a template name');
+            return false;
+        }
+        if (!startHour || !endHour) {
+            toast.error('Please select start and end times');
+            return false;
+        }
+        if (!endsNextDay && endHour <= startHour) {
+            toast.error('End time must be after start time (or select Ends Next Day)');
+            return false;
+        }
+        if (templates.some(t => t.name.toLowerCase() === name.trim().toLowerCase())) {
+            toast.error('A template with this name already exists');
+            return false;
+        }
+
+        try {
+            await addDoc(collection(dbFirestore, 'ShiftTemplates'), {
+                name: name.trim(),
+                startHour,
+                endHour,
+                endsNextDay: Boolean(endsNextDay),
+                eventDescription: (eventDescription || '').trim(),
+                createdAt: serverTimestamp()
+            });
+            toast.success('Shift template saved');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save shift template');
+            return false;
+        }
+    };
+
+    const deleteTemplate = async (templateId) => {
+        try {
+            await deleteDoc(doc(dbFirestore, 'ShiftTemplates', templateId));
+            toast.success('Shift template deleted');
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to delete shift template');
+        }
+    };
+
+    return {
+        templates,
+        templatesLoading,
+        saveTemplate,
+        deleteTemplate
+    };
+}
+
+export default useShiftTemplates;
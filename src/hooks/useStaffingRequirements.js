@@ -0,0 +1,90 @@
+import { useState, useEffect, useMemo } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { doc, onSnapshot, setDoc, updateDoc, deleteField, serverTimestamp } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { normalizeStaffingRequirements, validateStaffingRequirement } from '../utils/coverageHelpers';
+
+/**
+ * Custom hook to read and manage minimum headcount per category and time block
+ * Listens to SystemSettings/StaffingRequirements ({ requirements: { [id]: { category, weekdays, start, end, minHeadcount, maxHeadcount } } })
+ * @returns {Object} - { requirements, requirementsLoading, saveRequirement, removeRequirement }
+ */
+function useStaffingRequirements() {
+    const [requirementsData, setRequirementsData] = useState({});
+    const [requirementsLoading, setRequirementsLoading] = useState(true);
+
+    useEffect(() => {
+        const ref = doc(dbFirestore, 'SystemSettings', 'StaffingRequirements');
+        const unsubscribe = onSnapshot(ref, (snap) => {
+            setRequirementsData(snap.exists() ? (snap.data().requirements || {}) : {});
+            setRequirementsLoading(false);
+        }, (error) => {
+            console.error('Error loading staffing requirements', error);
+            setRequirementsLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const requirements = useMemo(() => normalizeStaffingRequirements(requirementsData), [requirementsData]);
+
+    // Creates a requirement, or replaces it when the id already exists
+    const saveRequirement = async (requirement, id = null) => {
+        const error = validateStaffingRequirement(requirement);
+        if (error) {
+            toast.error(error);
+            return false;
+        }
+
+        const hasMax = requirement.maxHeadcount !== null && requirement.maxHeadcount !== undefined && requirement.maxHeadcount !== '';
+        const requirementId = id || `req_${Date.now()}`;
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'StaffingRequirements');
+            await setDoc(
+                ref,
+                {
+                    requirements: {
+                        [requirementId]: {
+                            category: requirement.category,
+                            weekdays: [...requirement.weekdays].sort(),
+                            start: requirement.start,
+                            end: requirement.end,
+                            minHeadcount: Number(requirement.minHeadcount),
+                            maxHeadcount: hasMax ? Number(requirement.maxHeadcount) : null
+                        }
+                    },
+                    updatedAt: serverTimestamp(),
+                },
+                { merge: true }
+            );
+            toast.success('Staffing requirement saved');
+            return true;
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to save staffing requirement');
+            return false;
+        }
+    };
+
+    const removeRequirement = async (id) => {
+        try {
+            const ref = doc(dbFirestore, 'SystemSettings', 'StaffingRequirements');
+            await updateDoc(ref, {
+                [`requirements.${id}`]: deleteField(),
+                updatedAt: serverTimestamp(),
+            });
+            toast.success('Staffing requirement removed');
+        } catch (e) {
+            console.error(e);
+            toast.error('Failed to remove staffing requirement');
+        }
+    };
+
+    return {
+        requirements,
+        requirementsLoading,
+        saveRequirement,
+        removeRequirement
+    };
+}
+
+export default useStaffingRequirements;
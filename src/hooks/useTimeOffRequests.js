@@ -0,0 +1,86 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { collection, doc, onSnapshot, orderBy, query, writeBatch, Timestamp } from 'firebase/firestore';
+import { TIME_OFF_STATUS, buildTimeOffReviewMessage } from '../utils/timeOffHelpers';
+
+/**
+ * Custom hook for the time-off requests of every user
+ * Listens to users/{id}/TimeOffRequests and exposes the review action used by the admin queue
+ * @param {Array} users - User documents (from useUsersData)
+ * @returns {Object} - { requestsByUser, pendingRequests, reviewedRequests, reviewRequest }
+ */
+function useTimeOffRequests(users) {
+    const [requestsByUser, setRequestsByUser] = useState({});
+
+    useEffect(() => {
+        if (!users || users.length === 0) return;
+
+        const unsubscribers = users.map(user => {
+            const requestsRef = collection(dbFirestore, 'users', user.id, 'TimeOffRequests');
+            return onSnapshot(query(requestsRef, orderBy('startDate')), (snap) => {
+                setRequestsByUser(prev => ({
+                    ...prev,
+                    [user.id]: snap.docs.map(d => ({ id: d.id, ...d.data() }))
+                }));
+            }, (error) => {
+                console.error(`Error listening to time-off requests of ${user.id}`, error);
+            });
+        });
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [users]);
+
+    // Flattened with the employee name for the review queue
+    const allRequests = useMemo(() => (users || []).flatMap(user =>
+        (requestsByUser[user.id] || []).map(request => ({
+            ...request,
+            userId: user.id,
+            userName: `${user.firstName} ${user.lastName}`
+        }))
+    ), [users, requestsByUser]);
+
+    const pendingRequests = useMemo(
+        () => allRequests.filter(request => request.status === TIME_OFF_STATUS.PENDING),
+        [allRequests]
+    );
+
+    const reviewedRequests = useMemo(
+        () => allRequests
+            .filter(request => request.status !== TIME_OFF_STATUS.PENDING)
+            .sort((a, b) => (b.startDate || '').localeCompare(a.startDate || '')),
+        [allRequests]
+    );
+
+    /**
+     * Approves or denies a request and notifies the employee with a PrivateNotification,
+     * both in one batch.
+     * @param {Object} request - Request from pendingRequests (with userId)
+     * @param {string} status - approved | denied
+     * @param {string} [note] - Reviewer note, shown to the employee
+     */
+    const reviewRequest = useCallback(async (request, status, note = '') => {
+        const batch = writeBatch(dbFirestore);
+        const userRef = doc(dbFirestore, 'users', request.userId);
+
+        batch.update(doc(userRef, 'TimeOffRequests', request.id), {
+            status,
+            reviewNote: note.trim(),
+            reviewedAt: Timestamp.now()
+        });
+        batch.set(doc(collection(userRef, 'PrivateNotification')), {
+            createdAt: Timestamp.now(),
+            privateMessage: buildTimeOffReviewMessage(request, status, note)
+        });
+
+        await batch.commit();
+    }, []);
+
+    return {
+        requestsByUser,
+        pendingRequests,
+        reviewedRequests,
+        reviewRequest
+    };
+}
+
+export default useTimeOffRequests;
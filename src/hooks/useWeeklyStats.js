@@ -15,6 +15,8 @@ export function useWeeklyStats(recordEarnings, overtimeSettings) {
         weeklyEarnings: 0,
         regularHours: 0,
         overtimeHours: 0,
+        ot150Hours: 0,
+        ot200Hours: 0,
         regularEarnings: 0,
         overtimeEarnings: 0,
         thresholdCrossed: false
@@ -29,6 +31,8 @@ export function useWeeklyStats(recordEarnings, overtimeSettings) {
                 weeklyEarnings: 0,
                 regularHours: 0,
                 overtimeHours: 0,
+                ot150Hours: 0,
+                ot200Hours: 0,
                 regularEarnings: 0,
                 overtimeEarnings: 0,
                 thresholdCrossed: false
@@ -42,6 +46,7 @@ export function useWeeklyStats(recordEarnings, overtimeSettings) {
 
         let wScheduled = 0, wWorked = 0, wEarnings = 0;
         let wRegHours = 0, wOtHours = 0, wRegEarn = 0, wOtEarn = 0;
+        let wOt150Hours = 0, wOt200Hours = 0;
 
         recordEarnings.forEach(rec => {
             if (!rec?.date) return;
@@ -63,14 +68,30 @@ export function useWeeklyStats(recordEarnings, overtimeSettings) {
                 if (!isNaN(regH)) wRegHours += regH; else wRegHours += worked;
                 if (!isNaN(otH)) wOtHours += otH;
 
+                // Tiered records (daily overtime / double time) carry ot150Hours and ot200Hours
+                const ot150H = parseFloat(rec.ot150Hours);
+                const ot200H = parseFloat(rec.ot200Hours);
+                const hasTiers = !isNaN(ot150H) && !isNaN(ot200H);
+                if (hasTiers) {
+                    wOt150Hours += ot150H;
+                    wOt200Hours += ot200H;
+                } else if (!isNaN(otH)) {
+                    wOt150Hours += otH;
+                }
+
                 if (!isNaN(regH) && !isNaN(otH) && rec.hourlyWageSnapshot != null) {
                     const rate = parseFloat(rec.hourlyWageSnapshot) || 0;
                     const otPercent = parseFloat(rec.overtimePercent) || 0;
                     const otMultiplier = 1 + otPercent / 100;
                     const computedReg = (regH * rate);
-                    const computedOt = (otH * rate * otMultiplier);
-                    wRegEarn += +computedReg.toFixed(2);
-                    wOtEarn += +computedOt.toFixed(2);
+                    let computedOt = (otH * rate * otMultiplier);
+                    if (hasTiers) {
+                        const dtPercent = parseFloat(rec.doubleTimePercent) || 0;
+                        computedOt = (ot150H * rate * otMultiplier) + (ot200H * rate * (1 + dtPercent / 100));
+                    }
+                    const holidayMultiplier = parseFloat(rec.holidayMultiplier) || 1;
+                    wRegEarn += +(computedReg * holidayMultiplier).toFixed(2);
+                    wOtEarn += +(computedOt * holidayMultiplier).toFixed(2);
                 }
             }
         });
@@ -94,6 +115,8 @@ export function useWeeklyStats(recordEarnings, overtimeSettings) {
             weeklyEarnings: wEarnings.toFixed(2),
             regularHours: +wRegHours.toFixed(2),
             overtimeHours: +wOtHours.toFixed(2),
+            ot150Hours: +wOt150Hours.toFixed(2),
+            ot200Hours: +wOt200Hours.toFixed(2),
             regularEarnings: +wRegEarn.toFixed(2),
             overtimeEarnings: +wOtEarn.toFixed(2),
             thresholdCrossed
@@ -4,13 +4,15 @@ import 'normalize.css/normalize.css'; // Import normalize.css first
 import './index.css';
 import App from './App';
 import QrApp from './QrApp';
+import EmployeeApp from './EmployeeApp';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
 const isQrMode = process.env.REACT_APP_MODE === 'qr';
+const isEmployeeMode = process.env.REACT_APP_MODE === 'employee';
 
-root.render(isQrMode ? <QrApp /> : <App />);
+root.render(isQrMode ? <QrApp /> : isEmployeeMode ? <EmployeeApp /> : <App />);
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,161 @@
+import { useState, useMemo } from 'react';
+import { format } from 'date-fns';
+import useUsersData from '../hooks/useUsersData';
+import useAllSchedules from '../hooks/useAllSchedules';
+import useStaffingRequirements from '../hooks/useStaffingRequirements';
+import StaffingRequirementsCard from '../components/StaffingRequirementsCard';
+import { findStaffingGaps, listUserCategories, STAFFING_STATUS } from '../utils/coverageHelpers';
+import { parseDate } from '../utils/scheduleUtils';
+import { addDaysStr, getWeekStartStr } from '../shared/dateStrings';
+
+// Categories offered even before any employee has them
+const DEFAULT_CATEGORIES = [
+  'Full-Time Employee',
+  'Part-Time Employee',
+  'Contractor',
+  'Intern',
+  'Manager / Supervisor',
+];
+
+const STATUS_STYLES = {
+  [STAFFING_STATUS.UNDER]: 'bg-red-100 text-red-800',
+  [STAFFING_STATUS.OVER]: 'bg-yellow-100 text-yellow-800'
+};
+
+function formatDay(dateStr) {
+  return format(parseDate(dateStr), 'EEE, dd/MM/yyyy');
+}
+
+function formatRequired(gap) {
+  return gap.maxHeadcount === null ? `${gap.minHeadcount}+` : `${gap.minHeadcount}-${gap.maxHeadcount}`;
+}
+
+function CoveragePage() {
+  const { colUsersData, loading } = useUsersData();
+  const { userDailySchedules } = useAllSchedules(colUsersData);
+  const staffing = useStaffingRequirements();
+
+  const [weekStart, setWeekStart] = useState(() => getWeekStartStr(format(new Date(), 'yyyy-MM-dd')));
+
+  const activeUsers = useMemo(
+    () => colUsersData.filter(user => user.isActive !== false),
+    [colUsersData]
+  );
+
+  const categories = useMemo(
+    () => [...new Set([...DEFAULT_CATEGORIES, ...listUserCategories(colUsersData)])].sort(),
+    [colUsersData]
+  );
+
+  const weekDates = useMemo(
+    () => Array.from({ length: 7 }, (_, i) => addDaysStr(weekStart, i)),
+    [weekStart]
+  );
+
+  const gaps = useMemo(
+    () => findStaffingGaps({
+      requirements: staffing.requirements,
+      userDailySchedules,
+      users: activeUsers,
+      dates: weekDates
+    }),
+    [staffing.requirements, userDailySchedules, activeUsers, weekDates]
+  );
+
+  const underCount = gaps.filter(gap => gap.status === STAFFING_STATUS.UNDER).length;
+  const overCount = gaps.length - underCount;
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading coverage...
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      <StaffingRequirementsCard {...staffing} categories={categories} />
+
+      {/* Weekly coverage report */}
+      <div className="card">
+        <div className="card-header">
+          <h1 className="card-title">Weekly Coverage Report</h1>
+          <p className="card-subtitle">
+            Every time block where the scheduled headcount of active employees misses a staffing requirement
+          </p>
+        </div>
+
+        <div className="flex justify-between items-center mb-4 gap-3">
+          <div className="flex items-center gap-2">
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setWeekStart(addDaysStr(weekStart, -7))}>
+              Previous
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => setWeekStart(getWeekStartStr(format(new Date(), 'yyyy-MM-dd')))}
+            >
+              Current
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setWeekStart(addDaysStr(weekStart, 7))}>
+              Next
+            </button>
+            <span className="font-semibold ml-2">
+              {weekDates[0]} to {weekDates[6]}
+            </span>
+          </div>
+        </div>
+
+        <div className="stats-grid mb-4">
+          <div className={`stat-card ${underCount > 0 ? 'warning' : ''}`}>
+            <div className="stat-value">{underCount}</div>
+            <div className="stat-label">Under-staffed blocks</div>
+          </div>
+          <div className={`stat-card ${overCount > 0 ? 'warning' : ''}`}>
+            <div className="stat-value">{overCount}</div>
+            <div className="stat-label">Over-staffed blocks</div>
+          </div>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Category</th>
+                <th>Time</th>
+                <th>Scheduled</th>
+                <th>Required</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {staffing.requirements.length === 0 ? (
+                <tr><td colSpan={6} className="text-gray-500">Add a staffing requirement to check coverage</td></tr>
+              ) : gaps.length === 0 ? (
+                <tr><td colSpan={6} className="text-gray-500">Every requirement is covered this week</td></tr>
+              ) : gaps.map(gap => (
+                <tr key={`${gap.requirementId}_${gap.date}_${gap.start}`}>
+                  <td>{formatDay(gap.date)}</td>
+                  <td>{gap.category}</td>
+                  <td>{gap.start} - {gap.end}</td>
+                  <td className="font-semibold">{gap.scheduled}</td>
+                  <td>{formatRequired(gap)}</td>
+                  <td>
+                    <span className={`px-2 py-1 rounded text-sm ${STATUS_STYLES[gap.status]}`}>
+                      {gap.status === STAFFING_STATUS.UNDER ? 'Under-staffed' : 'Over-staffed'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CoveragePage;
@@ -1,4 +1,7 @@
 import OvertimeSettingsCard from '../components/OvertimeSettingsCard';
+import HolidaySettingsCard from '../components/HolidaySettingsCard';
+import BreakSettingsCard from '../components/BreakSettingsCard';
+import PunchRulesSettingsCard from '../components/PunchRulesSettingsCard';
 import CreateEmployeeForm from '../components/CreateEmployeeForm';
 
 function CreateUserPage() {
@@ -19,6 +22,9 @@ function CreateUserPage() {
           <div className="card">
             <div className="card-body">
               <OvertimeSettingsCard />
+              <HolidaySettingsCard />
+              <BreakSettingsCard />
+              <PunchRulesSettingsCard />
             </div>
           </div>
         </div>
@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import useKiosks from '../hooks/useKiosks';
+import useLocations from '../hooks/useLocations';
+import LocationsCard from '../components/LocationsCard';
+import { getLocationName } from '../utils/locationHelpers';
+
+function formatTimestamp(value) {
+  if (!value || typeof value.toDate !== 'function') return '';
+  return value.toDate().toLocaleString();
+}
+
+function DevicesPage() {
+  const { kiosks, kiosksLoading, createPairingCode, setKioskLocation, revokeKiosk } = useKiosks();
+  const locationsData = useLocations();
+  const { locations } = locationsData;
+
+  const [deviceName, setDeviceName] = useState('');
+  const [deviceLocationId, setDeviceLocationId] = useState('');
+  const [pairing, setPairing] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    const result = await createPairingCode(deviceName, deviceLocationId);
+    if (result) {
+      setPairing({ ...result, name: deviceName.trim(), locationName: getLocationName(locations, deviceLocationId) });
+      setDeviceName('');
+    }
+    setCreating(false);
+  };
+
+  const handleRevoke = async (kiosk) => {
+    if (!window.confirm(`Revoke "${kiosk.name}"? The display is signed out and its QR codes stop working.`)) return;
+    setRevokingId(kiosk.id);
+    await revokeKiosk(kiosk.id);
+    setRevokingId(null);
+  };
+
+  if (kiosksLoading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading devices...
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      <LocationsCard {...locationsData} />
+
+      {/* Pair a new QR display */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h1 className="card-title">Devices</h1>
+          <p className="card-subtitle">
+            QR displays run under their own kiosk account, which can only show punch codes.
+            Create a pairing code here and enter it on the display (npm run start:qr)
+          </p>
+        </div>
+
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-2 items-end">
+          <div className="form-group">
+            <label className="form-label">Device Name</label>
+            <input
+              type="text"
+              value={deviceName}
+              onChange={(e) => setDeviceName(e.target.value)}
+              className="form-input"
+              placeholder="e.g. Front entrance"
+              disabled={creating}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Location</label>
+            <select
+              value={deviceLocationId}
+              onChange={(e) => setDeviceLocationId(e.target.value)}
+              className="form-select"
+              disabled={creating}
+            >
+              <option value="">No location</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary" disabled={creating}>
+              {creating ? 'Creating...' : 'Create Pairing Code'}
+            </button>
+          </div>
+        </form>
+
+        {pairing && (
+          <div className="mt-4">
+            <p>
+              Pairing code for <span className="font-semibold">{pairing.name}</span>
+              {pairing.locationName && ` (${pairing.locationName})`}:
+            </p>
+            <p className="text-2xl font-semibold">{pairing.code}</p>
+            <p className="text-xs text-gray-500">
+              Single use, expires at {pairing.expiresAt.toLocaleTimeString()}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Paired displays */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Paired Displays</h2>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Location</th>
+                <th>Status</th>
+                <th>Paired</th>
+                <th>Last Seen</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {kiosks.length === 0 ? (
+                <tr><td colSpan={6} className="text-gray-500">No paired displays</td></tr>
+              ) : kiosks.map(kiosk => (
+                <tr key={kiosk.id}>
+                  <td className="font-semibold">{kiosk.name}</td>
+                  <td>
+                    {kiosk.active ? (
+                      <select
+                        value={kiosk.locationId || ''}
+                        onChange={(e) => setKioskLocation(kiosk.id, e.target.value)}
+                        className="form-select"
+                      >
+                        <option value="">No location</option>
+                        {locations.map(location => (
+                          <option key={location.id} value={location.id}>{location.name}</option>
+                        ))}
+                      </select>
+                    ) : getLocationName(locations, kiosk.locationId)}
+                  </td>
+                  <td>
+                    <span className={`px-2 py-1 rounded text-sm ${kiosk.active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                      {kiosk.active ? 'active' : 'revoked'}
+                    </span>
+                  </td>
+                  <td>{formatTimestamp(kiosk.pairedAt)}</td>
+                  <td>{formatTimestamp(kiosk.lastSeenAt)}</td>
+                  <td>
+                    {kiosk.active && (
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-sm"
+                        onClick={() => handleRevoke(kiosk)}
+                        disabled={revokingId === kiosk.id}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DevicesPage;
@@ -2,6 +2,8 @@ import { useMemo } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import useProfileLoader from '../hooks/useProfileLoader';
 import useProfileEditor from '../hooks/useProfileEditor';
+import AvailabilityGrid from '../components/AvailabilityGrid';
+import { isSameAvailability } from '../utils/availabilityHelpers';
 
 const jobCategories = [
   'Full-Time Employee',
@@ -32,7 +34,9 @@ function EditProfilePage() {
     email,
     setEmail,
     isActive,
-    setIsActive
+    setIsActive,
+    availability,
+    setAvailability
   } = useProfileLoader(userId, navigate, backTo);
 
   const {
@@ -43,7 +47,7 @@ function EditProfilePage() {
   } = useProfileEditor(
     userId,
     origUser,
-    { firstName, lastName, category, hourlyWage, email, isActive },
+    { firstName, lastName, category, hourlyWage, email, isActive, availability },
     navigate,
     backTo
   );
@@ -57,9 +61,10 @@ function EditProfilePage() {
       category !== (origUser.category || '') ||
       (hourlyWage !== '' && hw !== Number(origUser.hourlyWage || 0)) ||
       email !== (origUser.email || '') ||
-      isActive !== Boolean(origUser.isActive)
+      isActive !== Boolean(origUser.isActive) ||
+      !isSameAvailability(availability, origUser.availability)
     );
-  }, [origUser, firstName, lastName, category, hourlyWage, email, isActive]);
+  }, [origUser, firstName, lastName, category, hourlyWage, email, isActive, availability]);
 
   if (loading) {
     return (
@@ -192,6 +197,15 @@ function EditProfilePage() {
             <label htmlFor="isActive" className="form-label !mb-0">Active</label>
           </div>
 
+          {/* Weekly availability */}
+          <div className="form-group md:col-span-2">
+            <label className="form-label">Weekly Availability</label>
+            <AvailabilityGrid value={availability} onChange={setAvailability} disabled={saving} />
+            <p className="text-xs text-gray-500 mt-1">
+              The Scheduler warns when a shift falls outside these windows.
+            </p>
+          </div>
+
           {/* Actions */}
           <div className="md:col-span-2 flex gap-2 mt-2">
             <button type="submit" className="btn btn-primary" disabled={saving || !hasChanges}>
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { signInWithEmailAndPassword } from 'firebase/auth';
+import { doc, getDoc } from 'firebase/firestore';
+import { authFirebase, dbFirestore } from '../connections/ConnFirebaseServices';
+import './LoginPage.css';
+
+/**
+ * EmployeeLoginPage Component
+ *
+ * Login for the employee portal (npm run start:employee).
+ * Accepts any account with an employee profile (users/{uid}) and
+ * redirects to the portal home on success.
+ */
+function EmployeeLoginPage() {
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const userCredential = await signInWithEmailAndPassword(
+        authFirebase,
+        email,
+        password
+      );
+
+      // Verify the account belongs to an employee
+      const userDoc = await getDoc(doc(dbFirestore, 'users', userCredential.user.uid));
+      if (!userDoc.exists()) {
+        await authFirebase.signOut();
+        setError('No employee profile is linked to this account.');
+        setLoading(false);
+        return;
+      }
+
+      navigate('/');
+
+    } catch (err) {
+      console.error('Login error:', err);
+
+      if (err.code === 'auth/invalid-credential') {
+        setError('Invalid email or password');
+      } else if (err.code === 'auth/too-many-requests') {
+        setError('Too many failed attempts. Please try again later.');
+      } else if (err.code === 'auth/user-disabled') {
+        setError('This account has been disabled');
+      } else {
+        setError('Login failed. Please try again.');
+      }
+
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>HoraPro</h1>
+          <p>Employee Portal</p>
+        </div>
+
+        <form onSubmit={handleLogin} className="login-form">
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              id="email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="you@example.com"
+              required
+              autoComplete="email"
+              disabled={loading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Enter your password"
+              required
+              autoComplete="current-password"
+              disabled={loading}
+              minLength={6}
+            />
+          </div>
+
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠</span>
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            className="login-button"
+            disabled={loading}
+          >
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <p className="info-text">
+            Use the account created for you by your manager
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EmployeeLoginPage;
@@ -0,0 +1,828 @@
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { signOut } from 'firebase/auth';
+import { format } from 'date-fns';
+import { authFirebase } from '../connections/ConnFirebaseServices';
+import useEmployeePortalData from '../hooks/useEmployeePortalData';
+import { useWeeklyStats } from '../hooks/useWeeklyStats';
+import { DEFAULT_OVERTIME_RULES } from '../shared/overtimeEngine';
+import { getShiftStatus, parseDate } from '../utils/scheduleUtils';
+import { computeWorkedHoursForShift } from '../utils/timeHelpers';
+import { TIME_OFF_STATUS, validateTimeOffRange } from '../utils/timeOffHelpers';
+import { isShiftDraggable } from '../utils/shiftMoveHelpers';
+import {
+  SHIFT_REQUEST_TYPE,
+  SHIFT_REQUEST_STATUS,
+  checkShiftEligibility,
+  describeShift
+} from '../utils/shiftRequestHelpers';
+import WeeklyStatsCard from '../components/userSchedule/WeeklyStatsCard';
+
+const TABS = [
+  { value: 'schedule', label: 'Schedule' },
+  { value: 'earnings', label: 'Earnings' },
+  { value: 'wages', label: 'Wage History' },
+  { value: 'timeoff', label: 'Time Off' },
+  { value: 'shiftrequests', label: 'Open Shifts & Swaps' },
+  { value: 'notifications', label: 'Notifications' }
+];
+
+const NOTIFICATION_TYPES = {
+  private: { label: 'Private', style: 'bg-blue-100 text-blue-800' },
+  schedule: { label: 'Schedule', style: 'bg-green-100 text-green-800' },
+  general: { label: 'General', style: 'bg-gray-100 text-gray-800' }
+};
+
+const TIME_OFF_STYLES = {
+  [TIME_OFF_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [TIME_OFF_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [TIME_OFF_STATUS.DENIED]: 'bg-red-100 text-red-800'
+};
+
+const SHIFT_REQUEST_STYLES = {
+  [SHIFT_REQUEST_STATUS.OPEN]: 'bg-blue-100 text-blue-800',
+  [SHIFT_REQUEST_STATUS.CLAIMED]: 'bg-yellow-100 text-yellow-800',
+  [SHIFT_REQUEST_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [SHIFT_REQUEST_STATUS.ACCEPTED]: 'bg-blue-100 text-blue-800',
+  [SHIFT_REQUEST_STATUS.DECLINED]: 'bg-red-100 text-red-800',
+  [SHIFT_REQUEST_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [SHIFT_REQUEST_STATUS.DENIED]: 'bg-red-100 text-red-800'
+};
+
+// Requests that still hold the shift (no second request on it until reviewed)
+const ACTIVE_SHIFT_REQUEST = [
+  SHIFT_REQUEST_STATUS.OPEN,
+  SHIFT_REQUEST_STATUS.CLAIMED,
+  SHIFT_REQUEST_STATUS.PENDING,
+  SHIFT_REQUEST_STATUS.ACCEPTED
+];
+
+// Swaps the requester may still withdraw (not reviewed by an admin yet)
+const WITHDRAWABLE_SWAP = [SHIFT_REQUEST_STATUS.PENDING, SHIFT_REQUEST_STATUS.ACCEPTED];
+
+const EMPTY_TIME_OFF = { startDate: '', endDate: '', reason: '' };
+const EMPTY_SWAP = { shiftId: '', toEmail: '', note: '' };
+
+// Past shifts shown in the schedule tab (most recent first)
+const PAST_SHIFTS_LIMIT = 30;
+
+function formatDay(dateStr) {
+  try {
+    return format(parseDate(dateStr), 'EEE, dd/MM/yyyy');
+  } catch {
+    return dateStr;
+  }
+}
+
+function formatTimestamp(value) {
+  if (!value || typeof value.toDate !== 'function') return '';
+  return format(value.toDate(), 'dd/MM/yyyy HH:mm');
+}
+
+function formatShiftTime(shift) {
+  const nextDay = shift.overnight || (shift.endDate && shift.endDate !== shift.eventDate);
+  return `${shift.startHour} - ${shift.endHour}${nextDay ? ' (+1)' : ''}`;
+}
+
+function ShiftTable({ shifts, emptyText }) {
+  return (
+    <div className="table-container">
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Time</th>
+            <th>Shift</th>
+            <th>Check In / Out</th>
+            <th>Worked</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shifts.length === 0 ? (
+            <tr><td colSpan={6} className="text-gray-500">{emptyText}</td></tr>
+          ) : shifts.map(shift => {
+            const status = getShiftStatus(shift);
+            const worked = typeof shift.totalHoursDay === 'number' ? shift.totalHoursDay : computeWorkedHoursForShift(shift);
+            return (
+              <tr key={shift.id}>
+                <td>{formatDay(shift.eventDate)}</td>
+                <td>{formatShiftTime(shift)}</td>
+                <td>{shift.eventDescription}</td>
+                <td>{shift.checkedInTime || '--'} / {shift.checkedOutTime || '--'}</td>
+                <td>{typeof worked === 'number' ? `${worked.toFixed(2)}h` : '--'}</td>
+                <td>
+                  <span className={`px-2 py-1 rounded text-sm ${status.bgColor} ${status.textColor}`}>
+                    {status.label}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * EmployeePortalPage Component
+ *
+ * Self-service view for the signed-in employee: schedule, recorded earnings,
+ * wage history and notifications are read-only; time off and shift swaps can be
+ * requested and open shifts claimed.
+ */
+function EmployeePortalPage() {
+  const navigate = useNavigate();
+  const userId = authFirebase.currentUser?.uid || '';
+  const userEmail = (authFirebase.currentUser?.email || '').toLowerCase();
+  const {
+    profile,
+    shifts,
+    recordEarnings,
+    wageHistory,
+    privateNotifications,
+    scheduleNotifications,
+    generalNotifications,
+    timeOffRequests,
+    submitTimeOffRequest,
+    cancelTimeOffRequest,
+    openShifts,
+    shiftRequests,
+    incomingSwapRequests,
+    claimOpenShift,
+    submitSwapRequest,
+    cancelShiftRequest,
+    respondToSwapRequest,
+    loading
+  } = useEmployeePortalData(userId, userEmail);
+  const weeklyStats = useWeeklyStats(recordEarnings, DEFAULT_OVERTIME_RULES);
+
+  const [activeTab, setActiveTab] = useState('schedule');
+  const [timeOffForm, setTimeOffForm] = useState(EMPTY_TIME_OFF);
+  const [submittingTimeOff, setSubmittingTimeOff] = useState(false);
+  const [swapForm, setSwapForm] = useState(EMPTY_SWAP);
+  const [submittingSwap, setSubmittingSwap] = useState(false);
+  const [claimingId, setClaimingId] = useState(null);
+  const [respondingId, setRespondingId] = useState(null);
+
+  const todayStr = format(new Date(), 'yyyy-MM-dd');
+
+  // Shifts arrive newest first
+  const upcomingShifts = useMemo(
+    () => shifts.filter(shift => shift.eventDate >= todayStr).reverse(),
+    [shifts, todayStr]
+  );
+  const pastShifts = useMemo(
+    () => shifts.filter(shift => shift.eventDate < todayStr).slice(0, PAST_SHIFTS_LIMIT),
+    [shifts, todayStr]
+  );
+
+  // Upcoming shifts that can be handed over: not punched and without an active request
+  const swappableShifts = useMemo(() => {
+    const requested = new Set(shiftRequests
+      .filter(request => request.fromUserId === userId && ACTIVE_SHIFT_REQUEST.includes(request.status))
+      .map(request => request.shiftId));
+    return upcomingShifts.filter(shift => isShiftDraggable(shift) && !requested.has(shift.id));
+  }, [upcomingShifts, shiftRequests, userId]);
+
+  // Open shifts offered by colleagues, with whether this employee can take them
+  const claimableShifts = useMemo(
+    () => openShifts
+      .filter(request => request.fromUserId !== userId && request.eventDate >= todayStr)
+      .sort((a, b) => a.eventDate.localeCompare(b.eventDate))
+      .map(request => ({
+        ...request,
+        eligibility: checkShiftEligibility({ shift: request, existingShifts: shifts, timeOffRequests })
+      })),
+    [openShifts, userId, todayStr, shifts, timeOffRequests]
+  );
+
+  // Swaps offered to this employee; pending ones are checked like open shifts before accepting
+  const offeredSwaps = useMemo(
+    () => incomingSwapRequests
+      .filter(request => request.fromUserId !== userId)
+      .map(request => ({
+        ...request,
+        eligibility: request.status === SHIFT_REQUEST_STATUS.PENDING
+          ? checkShiftEligibility({ shift: request, existingShifts: shifts, timeOffRequests })
+          : null
+      })),
+    [incomingSwapRequests, userId, shifts, timeOffRequests]
+  );
+
+  const workedDays = useMemo(
+    () => recordEarnings.filter(record => !record.noWorkRecorded),
+    [recordEarnings]
+  );
+
+  const notifications = useMemo(() => {
+    const all = [
+      ...privateNotifications.map(n => ({ ...n, type: 'private', message: n.privateMessage })),
+      ...scheduleNotifications.map(n => ({ ...n, type: 'schedule', message: n.scheduleMessage })),
+      ...generalNotifications.map(n => ({ ...n, type: 'general', message: n.generalMessage }))
+    ];
+    const millis = (n) => (n.createdAt && typeof n.createdAt.toMillis === 'function' ? n.createdAt.toMillis() : 0);
+    return all.sort((a, b) => millis(b) - millis(a));
+  }, [privateNotifications, scheduleNotifications, generalNotifications]);
+
+  const handleSubmitTimeOff = async (e) => {
+    e.preventDefault();
+    const error = validateTimeOffRange(timeOffForm);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setSubmittingTimeOff(true);
+    try {
+      await submitTimeOffRequest(timeOffForm);
+      toast.success('Time-off request sent');
+      setTimeOffForm(EMPTY_TIME_OFF);
+    } catch (err) {
+      console.error('Error submitting time-off request', err);
+      toast.error('Failed to send the request');
+    } finally {
+      setSubmittingTimeOff(false);
+    }
+  };
+
+  const handleCancelTimeOff = async (requestId) => {
+    if (!window.confirm('Withdraw this time-off request?')) return;
+    try {
+      await cancelTimeOffRequest(requestId);
+      toast.success('Request withdrawn');
+    } catch (err) {
+      console.error('Error withdrawing time-off request', err);
+      toast.error('Failed to withdraw the request');
+    }
+  };
+
+  const handleClaim = async (request) => {
+    setClaimingId(request.id);
+    try {
+      await claimOpenShift(request, profile ? `${profile.firstName} ${profile.lastName}` : '');
+      toast.success('Shift claimed. Your manager will be asked to approve it');
+    } catch (err) {
+      console.error('Error claiming open shift', err);
+      toast.error('This shift is no longer available');
+    } finally {
+      setClaimingId(null);
+    }
+  };
+
+  const handleSubmitSwap = async (e) => {
+    e.preventDefault();
+    const shift = swappableShifts.find(s => s.id === swapForm.shiftId);
+    const toEmail = swapForm.toEmail.trim().toLowerCase();
+    if (!shift) {
+      toast.error('Select one of your upcoming shifts');
+      return;
+    }
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(toEmail)) {
+      toast.error('Enter your colleague\'s email address');
+      return;
+    }
+    if (toEmail === (authFirebase.currentUser?.email || '').toLowerCase()) {
+      toast.error('Enter a colleague\'s email, not your own');
+      return;
+    }
+    setSubmittingSwap(true);
+    try {
+      await submitSwapRequest({
+        shift,
+        toEmail,
+        note: swapForm.note,
+        fromUserName: profile ? `${profile.firstName} ${profile.lastName}` : ''
+      });
+      toast.success('Swap request sent');
+      setSwapForm(EMPTY_SWAP);
+    } catch (err) {
+      console.error('Error submitting swap request', err);
+      toast.error('Failed to send the request');
+    } finally {
+      setSubmittingSwap(false);
+    }
+  };
+
+  const handleRespondSwap = async (request, accept) => {
+    setRespondingId(request.id);
+    try {
+      await respondToSwapRequest(request, accept, profile ? `${profile.firstName} ${profile.lastName}` : '');
+      toast.success(accept
+        ? 'Swap accepted. Your manager will be asked to approve it'
+        : 'Swap declined');
+    } catch (err) {
+      console.error('Error answering swap request', err);
+      toast.error('This swap request is no longer pending');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  const handleCancelSwap = async (requestId) => {
+    if (!window.confirm('Withdraw this swap request?')) return;
+    try {
+      await cancelShiftRequest(requestId);
+      toast.success('Request withdrawn');
+    } catch (err) {
+      console.error('Error withdrawing swap request', err);
+      toast.error('Failed to withdraw the request');
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await signOut(authFirebase);
+      navigate('/login');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading your portal...
+      </div>
+    );
+  }
+
+  return (
+    <div className="container animate-fade-in">
+      <div className="card mb-4">
+        <div className="flex justify-between items-center">
+          <div className="card-header">
+            <h1 className="card-title">
+              {profile ? `${profile.firstName} ${profile.lastName}` : 'Employee Portal'}
+            </h1>
+            <p className="card-subtitle">
+              {profile?.category ? `${profile.category} · ` : ''}Your schedule, earnings and notifications
+            </p>
+          </div>
+          <button type="button" className="btn btn-danger btn-sm" onClick={handleLogout}>
+            Logout
+          </button>
+        </div>
+
+        <div className="flex gap-2">
+          {TABS.map(tab => (
+            <button
+              key={tab.value}
+              type="button"
+              className={`btn btn-sm ${activeTab === tab.value ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setActiveTab(tab.value)}
+            >
+              {tab.label}
+              {tab.value === 'notifications' && notifications.length > 0 && ` (${notifications.length})`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <WeeklyStatsCard weeklyStats={weeklyStats} overtimeSettings={DEFAULT_OVERTIME_RULES} />
+
+      {activeTab === 'schedule' && (
+        <>
+          <div className="card mb-4">
+            <div className="card-header">
+              <h2 className="card-title">Upcoming Shifts</h2>
+            </div>
+            <ShiftTable shifts={upcomingShifts} emptyText="No upcoming shifts" />
+          </div>
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">Past Shifts</h2>
+              <p className="card-subtitle">Last {PAST_SHIFTS_LIMIT} shifts</p>
+            </div>
+            <ShiftTable shifts={pastShifts} emptyText="No past shifts" />
+          </div>
+        </>
+      )}
+
+      {activeTab === 'earnings' && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="card-title">Recorded Earnings</h2>
+            <p className="card-subtitle">Daily earnings as calculated by payroll, most recent first</p>
+          </div>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Scheduled h</th>
+                  <th>Worked h</th>
+                  <th>Regular h</th>
+                  <th>Overtime h</th>
+                  <th>Rate</th>
+                  <th>Earnings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {workedDays.length === 0 ? (
+                  <tr><td colSpan={7} className="text-gray-500">No recorded earnings yet</td></tr>
+                ) : workedDays.map(record => (
+                  <tr key={record.id}>
+                    <td>
+                      {formatDay(record.date)}
+                      {record.holidayName && (
+                        <div className="text-xs text-gray-500">{record.holidayName} (x{record.holidayMultiplier})</div>
+                      )}
+                    </td>
+                    <td>{Number(record.scheduledHours || 0).toFixed(2)}</td>
+                    <td>{Number(record.totalHours || 0).toFixed(2)}</td>
+                    <td>{Number(record.regularHours || 0).toFixed(2)}</td>
+                    <td>{Number(record.overtimeHours || 0).toFixed(2)}</td>
+                    <td>CAD ${Number(record.hourlyWageSnapshot || 0).toFixed(2)}/hr</td>
+                    <td className="font-semibold text-green-600">${Number(record.dayEarnings || 0).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'wages' && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="card-title">Wage History</h2>
+            <p className="card-subtitle">
+              Current rate: CAD ${Number(profile?.hourlyWage || 0).toFixed(2)}/hr
+            </p>
+          </div>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Effective From</th>
+                  <th>Hourly Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {wageHistory.length === 0 ? (
+                  <tr><td colSpan={2} className="text-gray-500">No wage changes recorded</td></tr>
+                ) : wageHistory.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{formatDay(entry.effectiveFrom)}</td>
+                    <td>CAD ${Number(entry.rate || 0).toFixed(2)}/hr</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'timeoff' && (
+        <>
+          <div className="card mb-4">
+            <div className="card-header">
+              <h2 className="card-title">Request Time Off</h2>
+              <p className="card-subtitle">Whole days, first and last day included. Your manager will be asked to approve it</p>
+            </div>
+            <form onSubmit={handleSubmitTimeOff} className="grid md:grid-cols-3 gap-4">
+              <div className="form-group">
+                <label className="form-label" htmlFor="timeOffStart">First Day</label>
+                <input
+                  id="timeOffStart"
+                  type="date"
+                  value={timeOffForm.startDate}
+                  min={todayStr}
+                  onChange={(e) => setTimeOffForm(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="form-input"
+                  disabled={submittingTimeOff}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="timeOffEnd">Last Day</label>
+                <input
+                  id="timeOffEnd"
+                  type="date"
+                  value={timeOffForm.endDate}
+                  min={timeOffForm.startDate || todayStr}
+                  onChange={(e) => setTimeOffForm(prev => ({ ...prev, endDate: e.target.value }))}
+                  className="form-input"
+                  disabled={submittingTimeOff}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="timeOffReason">Reason</label>
+                <input
+                  id="timeOffReason"
+                  type="text"
+                  value={timeOffForm.reason}
+                  onChange={(e) => setTimeOffForm(prev => ({ ...prev, reason: e.target.value }))}
+                  className="form-input"
+                  placeholder="Optional"
+                  disabled={submittingTimeOff}
+                />
+              </div>
+              <div className="form-group">
+                <button type="submit" className="btn btn-primary" disabled={submittingTimeOff}>
+                  {submittingTimeOff ? 'Sending...' : 'Send Request'}
+                </button>
+              </div>
+            </form>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">My Requests</h2>
+            </div>
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>First Day</th>
+                    <th>Last Day</th>
+                    <th>Reason</th>
+                    <th>Status</th>
+                    <th>Note</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {timeOffRequests.length === 0 ? (
+                    <tr><td colSpan={6} className="text-gray-500">No time-off requests</td></tr>
+                  ) : timeOffRequests.map(request => (
+                    <tr key={request.id}>
+                      <td>{formatDay(request.startDate)}</td>
+                      <td>{formatDay(request.endDate)}</td>
+                      <td>{request.reason}</td>
+                      <td>
+                        <span className={`px-2 py-1 rounded text-sm ${TIME_OFF_STYLES[request.status] || ''}`}>
+                          {request.status}
+                        </span>
+                      </td>
+                      <td>{request.reviewNote || ''}</td>
+                      <td>
+                        {request.status === TIME_OFF_STATUS.PENDING && (
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleCancelTimeOff(request.id)}
+                          >
+                            Withdraw
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {activeTab === 'shiftrequests' && (
+        <>
+          <div className="card mb-4">
+            <div className="card-header">
+              <h2 className="card-title">Open Shifts</h2>
+              <p className="card-subtitle">Shifts your colleagues gave up. A claim moves the shift to you once your manager approves it</p>
+            </div>
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Time</th>
+                    <th>Shift</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {claimableShifts.length === 0 ? (
+                    <tr><td colSpan={4} className="text-gray-500">No open shifts</td></tr>
+                  ) : claimableShifts.map(request => (
+                    <tr key={request.id}>
+                      <td>{formatDay(request.eventDate)}</td>
+                      <td>{formatShiftTime(request)}</td>
+                      <td>{request.eventDescription}</td>
+                      <td>
+                        {request.eligibility.eligible ? (
+                          <button
+                            type="button"
+                            className="btn btn-success btn-sm"
+                            onClick={() => handleClaim(request)}
+                            disabled={claimingId === request.id}
+                          >
+                            Claim
+                          </button>
+                        ) : (
+                          <span className="text-sm text-gray-500">{request.eligibility.reason}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="card mb-4">
+            <div className="card-header">
+              <h2 className="card-title">Request a Swap</h2>
+              <p className="card-subtitle">Hand one of your shifts to a colleague. Once they accept, your manager will be asked to approve it</p>
+            </div>
+            <form onSubmit={handleSubmitSwap} className="grid md:grid-cols-3 gap-4">
+              <div className="form-group">
+                <label className="form-label" htmlFor="swapShift">Shift</label>
+                <select
+                  id="swapShift"
+                  value={swapForm.shiftId}
+                  onChange={(e) => setSwapForm(prev => ({ ...prev, shiftId: e.target.value }))}
+                  className="form-select"
+                  disabled={submittingSwap}
+                >
+                  <option value="">Select a shift</option>
+                  {swappableShifts.map(shift => (
+                    <option key={shift.id} value={shift.id}>{describeShift(shift)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="swapEmail">Colleague Email</label>
+                <input
+                  id="swapEmail"
+                  type="email"
+                  value={swapForm.toEmail}
+                  onChange={(e) => setSwapForm(prev => ({ ...prev, toEmail: e.target.value }))}
+                  className="form-input"
+                  disabled={submittingSwap}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="swapNote">Note</label>
+                <input
+                  id="swapNote"
+                  type="text"
+                  value={swapForm.note}
+                  onChange={(e) => setSwapForm(prev => ({ ...prev, note: e.target.value }))}
+                  className="form-input"
+                  placeholder="Optional"
+                  disabled={submittingSwap}
+                />
+              </div>
+              <div className="form-group">
+                <button type="submit" className="btn btn-primary" disabled={submittingSwap}>
+                  {submittingSwap ? 'Sending...' : 'Send Request'}
+                </button>
+              </div>
+            </form>
+          </div>
+
+          <div className="card mb-4">
+            <div className="card-header">
+              <h2 className="card-title">Swaps Offered to You</h2>
+              <p className="card-subtitle">Colleagues asking you to take one of their shifts. Accepted swaps still need your manager's approval</p>
+            </div>
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Time</th>
+                    <th>Shift</th>
+                    <th>From</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {offeredSwaps.length === 0 ? (
+                    <tr><td colSpan={6} className="text-gray-500">No swaps offered to you</td></tr>
+                  ) : offeredSwaps.map(request => (
+                    <tr key={request.id}>
+                      <td>{formatDay(request.eventDate)}</td>
+                      <td>{formatShiftTime(request)}</td>
+                      <td>
+                        {request.eventDescription}
+                        {request.note && <div className="text-xs text-gray-500">{request.note}</div>}
+                      </td>
+                      <td>{request.fromUserName}</td>
+                      <td>
+                        <span className={`px-2 py-1 rounded text-sm ${SHIFT_REQUEST_STYLES[request.status] || ''}`}>
+                          {request.status}
+                        </span>
+                      </td>
+                      <td>
+                        {request.status === SHIFT_REQUEST_STATUS.PENDING && (
+                          <div className="flex gap-2 items-center">
+                            {request.eligibility.eligible ? (
+                              <button
+                                type="button"
+                                className="btn btn-success btn-sm"
+                                onClick={() => handleRespondSwap(request, true)}
+                                disabled={respondingId === request.id}
+                              >
+                                Accept
+                              </button>
+                            ) : (
+                              <span className="text-sm text-gray-500">{request.eligibility.reason}</span>
+                            )}
+                            <button
+                              type="button"
+                              className="btn btn-secondary btn-sm"
+                              onClick={() => handleRespondSwap(request, false)}
+                              disabled={respondingId === request.id}
+                            >
+                              Decline
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">My Shift Requests</h2>
+            </div>
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Date</th>
+                    <th>Shift</th>
+                    <th>With</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shiftRequests.length === 0 ? (
+                    <tr><td colSpan={6} className="text-gray-500">No shift requests</td></tr>
+                  ) : shiftRequests.map(request => (
+                    <tr key={request.id}>
+                      <td>
+                        {request.type === SHIFT_REQUEST_TYPE.SWAP
+                          ? 'Swap'
+                          : request.fromUserId === userId ? 'Offered' : 'Claim'}
+                      </td>
+                      <td>{formatDay(request.eventDate)}</td>
+                      <td>{request.eventDescription} ({formatShiftTime(request)})</td>
+                      <td>{request.fromUserId === userId ? (request.toEmail || request.claimedByName || '') : request.fromUserName}</td>
+                      <td>
+                        <span className={`px-2 py-1 rounded text-sm ${SHIFT_REQUEST_STYLES[request.status] || ''}`}>
+                          {request.status}
+                        </span>
+                      </td>
+                      <td>
+                        {request.type === SHIFT_REQUEST_TYPE.SWAP && WITHDRAWABLE_SWAP.includes(request.status) && (
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleCancelSwap(request.id)}
+                          >
+                            Withdraw
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {activeTab === 'notifications' && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="card-title">Notifications</h2>
+          </div>
+          {notifications.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No notifications</p>
+          ) : (
+            <div className="space-y-4">
+              {notifications.map(notification => (
+                <div key={`${notification.type}_${notification.id}`} className="border rounded-lg px-4 py-3">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className={`px-2 py-1 rounded text-sm ${NOTIFICATION_TYPES[notification.type].style}`}>
+                      {NOTIFICATION_TYPES[notification.type].label}
+                    </span>
+                    <span className="text-xs text-gray-500">{formatTimestamp(notification.createdAt)}</span>
+                  </div>
+                  <p>{notification.message}</p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EmployeePortalPage;
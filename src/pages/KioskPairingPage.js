@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { signInWithCustomToken, signOut } from 'firebase/auth';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { authFirebase } from '../connections/ConnFirebaseServices';
+import './LoginPage.css';
+
+/**
+ * KioskPairingPage Component
+ *
+ * Pairs a QR display with the code created on the admin Devices page.
+ * The pairKiosk Cloud Function creates the kiosk account and returns a
+ * custom token; the display then stays signed in as that kiosk.
+ */
+function KioskPairingPage() {
+  const navigate = useNavigate();
+
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handlePair = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      // Drop any previous session (e.g. an admin signed in on this browser)
+      if (authFirebase.currentUser) {
+        await signOut(authFirebase);
+      }
+
+      const pairKiosk = httpsCallable(getFunctions(), 'pairKiosk');
+      const result = await pairKiosk({ code: code.trim().toUpperCase() });
+      await signInWithCustomToken(authFirebase, result.data.customToken);
+
+      console.log('Kiosk paired:', result.data.name);
+      navigate('/');
+
+    } catch (err) {
+      console.error('Pairing error:', err);
+
+      if (err.code === 'functions/not-found') {
+        setError('Invalid pairing code');
+      } else if (err.code === 'functions/deadline-exceeded') {
+        setError('This pairing code has expired. Create a new one on the Devices page.');
+      } else {
+        setError('Pairing failed. Please try again.');
+      }
+
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>HoraPro</h1>
+          <p>QR Display Pairing</p>
+        </div>
+
+        <form onSubmit={handlePair} className="login-form">
+          <div className="form-group">
+            <label htmlFor="pairingCode">Pairing Code</label>
+            <input
+              id="pairingCode"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="e.g. K7MX4QPA"
+              required
+              autoComplete="off"
+              autoCapitalize="characters"
+              disabled={loading}
+              maxLength={8}
+            />
+          </div>
+
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠</span>
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            className="login-button"
+            disabled={loading}
+          >
+            {loading ? 'Pairing...' : 'Pair Display'}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <p className="info-text">
+            An administrator creates the code from the Devices page
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KioskPairingPage;
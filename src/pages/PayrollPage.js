@@ -0,0 +1,456 @@
+import { useState, useEffect, useMemo } from 'react';
+import { toast } from 'react-toastify';
+import writeXlsxFile from 'write-excel-file/browser';
+import useUsersData from '../hooks/useUsersData';
+import usePayroll from '../hooks/usePayroll';
+import useLocations from '../hooks/useLocations';
+import { PAY_PERIOD_FREQUENCIES, PAY_PERIOD_STATUS } from '../shared/payPeriods';
+import {
+  PAYROLL_EXPORT_COLUMNS,
+  aggregatePayrollRows,
+  sumPayrollRows,
+  buildPayrollCsv,
+  getPayrollFileName
+} from '../utils/payrollHelpers';
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const STATUS_STYLES = {
+  [PAY_PERIOD_STATUS.OPEN]: 'bg-green-100 text-green-800',
+  [PAY_PERIOD_STATUS.LOCKED]: 'bg-yellow-100 text-yellow-800',
+  [PAY_PERIOD_STATUS.PAID]: 'bg-gray-100 text-gray-800'
+};
+
+const EMPTY_ADJUSTMENT = { userId: '', date: '', hours: '', amount: '', reason: '' };
+
+function PayrollPage() {
+  const { colUsersData, loading } = useUsersData();
+  const {
+    payrollSettings,
+    savePayrollSettings,
+    settingsLoading,
+    period,
+    goToPreviousPeriod,
+    goToNextPeriod,
+    goToCurrentPeriod,
+    recordsByUser,
+    recordsLoading,
+    periodStatus,
+    setPeriodStatus,
+    adjustmentsByUser,
+    addAdjustment
+  } = usePayroll(colUsersData);
+
+  // Pay frequency form (SystemSettings/PayrollSettings)
+  const [frequency, setFrequency] = useState(payrollSettings.frequency);
+  const [anchorDate, setAnchorDate] = useState(payrollSettings.anchorDate);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+
+  // Adjustment form (corrections to locked periods, paid in this period)
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [savingAdjustment, setSavingAdjustment] = useState(false);
+  const { locations } = useLocations();
+  const [locationFilter, setLocationFilter] = useState('');
+
+  useEffect(() => {
+    setFrequency(payrollSettings.frequency);
+    setAnchorDate(payrollSettings.anchorDate);
+  }, [payrollSettings]);
+
+  const rows = useMemo(
+    () => aggregatePayrollRows({ users: colUsersData, recordsByUser, adjustmentsByUser, period, locationId: locationFilter }),
+    [colUsersData, recordsByUser, adjustmentsByUser, period, locationFilter]
+  );
+  const totals = useMemo(() => sumPayrollRows(rows), [rows]);
+
+  const adjustments = useMemo(() => (colUsersData || []).flatMap(user =>
+    (adjustmentsByUser[user.id] || []).map(adj => ({ ...adj, user }))
+  ), [colUsersData, adjustmentsByUser]);
+
+  const handleStatusChange = async (status) => {
+    const confirmations = {
+      [PAY_PERIOD_STATUS.LOCKED]: 'Lock this pay period? Shifts and earnings in it can no longer be edited.',
+      [PAY_PERIOD_STATUS.OPEN]: 'Reopen this pay period? Shifts in it become editable again.',
+      [PAY_PERIOD_STATUS.PAID]: 'Mark this pay period as paid? This cannot be undone.'
+    };
+    if (!window.confirm(confirmations[status])) return;
+    setUpdatingStatus(true);
+    await setPeriodStatus(status);
+    setUpdatingStatus(false);
+  };
+
+  const handleAddAdjustment = async (e) => {
+    e.preventDefault();
+    setSavingAdjustment(true);
+    const saved = await addAdjustment(adjustment.userId, adjustment);
+    if (saved) setAdjustment(EMPTY_ADJUSTMENT);
+    setSavingAdjustment(false);
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setSavingSettings(true);
+    await savePayrollSettings({ frequency, anchorDate });
+    setSavingSettings(false);
+  };
+
+  const exportCsv = () => {
+    const blob = new Blob([buildPayrollCsv(rows)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, getPayrollFileName(period, 'csv'));
+  };
+
+  const exportXlsx = async () => {
+    setExporting(true);
+    try {
+      const header = PAYROLL_EXPORT_COLUMNS.map(col => ({ value: col.header, fontWeight: 'bold' }));
+      const data = rows.map(row => PAYROLL_EXPORT_COLUMNS.map(col => ({
+        type: col.type,
+        value: row[col.key],
+        format: col.type === Number ? '0.00' : undefined
+      })));
+      await writeXlsxFile([header, ...data], {
+        sheet: 'Payroll',
+        columns: PAYROLL_EXPORT_COLUMNS.map(col => ({ width: Math.max(col.header.length + 2, 12) }))
+      }).toFile(getPayrollFileName(period, 'xlsx'));
+    } catch (e) {
+      console.error('Error exporting payroll', e);
+      toast.error('Failed to export the Excel file');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (loading || settingsLoading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading payroll...
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Pay period settings */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h1 className="card-title">Payroll</h1>
+          <p className="card-subtitle">
+            Hours and gross pay per employee, from the recorded earnings of the pay period
+          </p>
+        </div>
+
+        <form onSubmit={handleSaveSettings} className="grid md:grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label" htmlFor="payFrequency">Pay Frequency</label>
+            <select
+              id="payFrequency"
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value)}
+              className="form-select"
+              disabled={savingSettings}
+            >
+              {PAY_PERIOD_FREQUENCIES.map(f => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {frequency === 'biweekly' && (
+            <div className="form-group">
+              <label className="form-label" htmlFor="payAnchor">First Period Start (Monday)</label>
+              <input
+                id="payAnchor"
+                type="date"
+                value={anchorDate}
+                onChange={(e) => setAnchorDate(e.target.value)}
+                className="form-input"
+                disabled={savingSettings}
+              />
+            </div>
+          )}
+
+          <div className="form-group flex items-end">
+            <button type="submit" className="btn btn-primary" disabled={savingSettings}>
+              {savingSettings ? 'Saving...' : 'Save Pay Frequency'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Period summary */}
+      <div className="card">
+        <div className="flex justify-between items-center mb-4 gap-3">
+          <div className="flex items-center gap-2">
+            <button type="button" className="btn btn-secondary btn-sm" onClick={goToPreviousPeriod}>
+              Previous
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={goToCurrentPeriod}>
+              Current
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={goToNextPeriod}>
+              Next
+            </button>
+            <span className="font-semibold ml-2">
+              {period.start} to {period.end}
+            </span>
+            <span className={`px-2 py-1 rounded text-sm ${STATUS_STYLES[periodStatus] || ''}`}>
+              {periodStatus}
+            </span>
+            {locations.length > 0 && (
+              <select
+                value={locationFilter}
+                onChange={(e) => setLocationFilter(e.target.value)}
+                className="form-select"
+                aria-label="Location"
+              >
+                <option value="">All locations</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="flex gap-2">
+            {periodStatus === PAY_PERIOD_STATUS.OPEN && (
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => handleStatusChange(PAY_PERIOD_STATUS.LOCKED)}
+                disabled={updatingStatus}
+              >
+                Lock Period
+              </button>
+            )}
+            {periodStatus === PAY_PERIOD_STATUS.LOCKED && (
+              <>
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => handleStatusChange(PAY_PERIOD_STATUS.OPEN)}
+                  disabled={updatingStatus}
+                >
+                  Reopen
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-primary btn-sm"
+                  onClick={() => handleStatusChange(PAY_PERIOD_STATUS.PAID)}
+                  disabled={updatingStatus}
+                >
+                  Mark Paid
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              className="btn btn-success btn-sm"
+              onClick={exportCsv}
+              disabled={recordsLoading || rows.length === 0}
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              className="btn btn-success btn-sm"
+              onClick={exportXlsx}
+              disabled={recordsLoading || exporting || rows.length === 0}
+            >
+              {exporting ? 'Exporting...' : 'Export XLSX'}
+            </button>
+          </div>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Rate</th>
+                <th>Regular h</th>
+                <th>Overtime h</th>
+                <th>Double Time h</th>
+                <th>Total h</th>
+                <th>Regular Pay</th>
+                <th>Premium Pay</th>
+                <th>Adjustments</th>
+                <th>Gross Pay</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recordsLoading ? (
+                <tr><td colSpan={10}>Loading earnings...</td></tr>
+              ) : rows.length === 0 ? (
+                <tr><td colSpan={10} className="text-gray-500">No recorded hours in this pay period</td></tr>
+              ) : rows.map(row => (
+                <tr key={`${row.userId}_${row.hourlyRate}`}>
+                  <td>
+                    <div className="font-semibold">{row.lastName}, {row.firstName}</div>
+                    <div className="text-xs text-gray-500">{row.daysWorked} day{row.daysWorked !== 1 ? 's' : ''} worked</div>
+                  </td>
+                  <td>CAD ${row.hourlyRate.toFixed(2)}/hr</td>
+                  <td>{row.regularHours.toFixed(2)}</td>
+                  <td>{row.overtimeHours.toFixed(2)}</td>
+                  <td>{row.doubleTimeHours.toFixed(2)}</td>
+                  <td>{row.totalHours.toFixed(2)}</td>
+                  <td>${row.regularPay.toFixed(2)}</td>
+                  <td>${row.overtimePay.toFixed(2)}</td>
+                  <td>${row.adjustmentPay.toFixed(2)}</td>
+                  <td className="font-semibold text-green-600">${row.grossPay.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+            {!recordsLoading && rows.length > 0 && (
+              <tfoot>
+                <tr className="font-semibold">
+                  <td>Total</td>
+                  <td></td>
+                  <td>{totals.regularHours.toFixed(2)}</td>
+                  <td>{totals.overtimeHours.toFixed(2)}</td>
+                  <td>{totals.doubleTimeHours.toFixed(2)}</td>
+                  <td>{totals.totalHours.toFixed(2)}</td>
+                  <td>${totals.regularPay.toFixed(2)}</td>
+                  <td>${totals.overtimePay.toFixed(2)}</td>
+                  <td>${totals.adjustmentPay.toFixed(2)}</td>
+                  <td className="text-green-600">${totals.grossPay.toFixed(2)}</td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+        {locationFilter && (
+          <p className="text-xs text-gray-500 mt-2">
+            Hours and pay of days split between locations are shared pro rata; adjustments are not tied to a location and are left out
+          </p>
+        )}
+      </div>
+
+      {/* Adjustments */}
+      <div className="card mt-4">
+        <div className="card-header">
+          <h2 className="card-title">Adjustments</h2>
+          <p className="card-subtitle">
+            Corrections for locked periods are paid in this period; locked earnings are never rewritten
+          </p>
+        </div>
+
+        {periodStatus === PAY_PERIOD_STATUS.OPEN ? (
+          <form onSubmit={handleAddAdjustment} className="grid md:grid-cols-3 gap-4 mb-4">
+            <div className="form-group">
+              <label className="form-label" htmlFor="adjUser">Employee</label>
+              <select
+                id="adjUser"
+                value={adjustment.userId}
+                onChange={(e) => setAdjustment(a => ({ ...a, userId: e.target.value }))}
+                className="form-select"
+                disabled={savingAdjustment}
+                required
+              >
+                <option value="">Select an employee</option>
+                {(colUsersData || []).map(user => (
+                  <option key={user.id} value={user.id}>{user.lastName}, {user.firstName}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="adjDate">Date Corrected</label>
+              <input
+                id="adjDate"
+                type="date"
+                value={adjustment.date}
+                onChange={(e) => setAdjustment(a => ({ ...a, date: e.target.value }))}
+                className="form-input"
+                disabled={savingAdjustment}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="adjHours">Hours</label>
+              <input
+                id="adjHours"
+                type="number"
+                step="0.25"
+                value={adjustment.hours}
+                onChange={(e) => setAdjustment(a => ({ ...a, hours: e.target.value }))}
+                className="form-input"
+                disabled={savingAdjustment}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="adjAmount">Amount (CAD)</label>
+              <input
+                id="adjAmount"
+                type="number"
+                step="0.01"
+                value={adjustment.amount}
+                onChange={(e) => setAdjustment(a => ({ ...a, amount: e.target.value }))}
+                className="form-input"
+                disabled={savingAdjustment}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="adjReason">Reason</label>
+              <input
+                id="adjReason"
+                type="text"
+                value={adjustment.reason}
+                onChange={(e) => setAdjustment(a => ({ ...a, reason: e.target.value }))}
+                className="form-input"
+                disabled={savingAdjustment}
+                required
+              />
+            </div>
+            <div className="form-group flex items-end">
+              <button type="submit" className="btn btn-primary" disabled={savingAdjustment}>
+                {savingAdjustment ? 'Saving...' : 'Add Adjustment'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">
+            This period is {periodStatus}. Add corrections to the current open period instead.
+          </p>
+        )}
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Date Corrected</th>
+                <th>Hours</th>
+                <th>Amount</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {adjustments.length === 0 ? (
+                <tr><td colSpan={5} className="text-gray-500">No adjustments in this pay period</td></tr>
+              ) : adjustments.map(adj => (
+                <tr key={`${adj.user.id}_${adj.id}`}>
+                  <td>{adj.user.lastName}, {adj.user.firstName}</td>
+                  <td>{adj.date || '-'}</td>
+                  <td>{(adj.hours || 0).toFixed(2)}</td>
+                  <td>${(adj.amount || 0).toFixed(2)}</td>
+                  <td>{adj.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PayrollPage;
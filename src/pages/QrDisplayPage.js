@@ -6,38 +6,25 @@ import React, {
   useState,
 } from 'react';
 import { useNavigate } from 'react-router-dom';
-import {
-  collection,
-  doc,
-  onSnapshot,
-  query,
-  orderBy,
-  limit,
-  setDoc,
-  Timestamp,
-} from 'firebase/firestore';
 import { signOut } from 'firebase/auth';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { doc, getDoc } from 'firebase/firestore';
 import QRCode from 'react-qr-code';
 
-import { dbFirestore, authFirebase } from '../connections/ConnFirebaseServices';
+import { authFirebase, dbFirestore } from '../connections/ConnFirebaseServices';
 import HoraProLogo from '../components/logo/HoraProLogo.png';
 import './QrDisplayPage.css';
 
-const TOKEN_COLLECTION = 'qrTokens';
-
 const statusMessageMap = {
   loading: 'Waiting for the QR code…',
-  missing: 'No QR token is configured yet.',
   error: 'Unable to load the QR token. Please contact support.',
 };
 
-function createTokenValue() {
-  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
-    return crypto.randomUUID();
-  }
-
-  const randomSegment = () => Math.random().toString(36).slice(2, 10);
-  return `${randomSegment()}-${Date.now().toString(36)}-${randomSegment()}`;
+// Tokens are signed by the issueQrToken Cloud Function; the display only shows them
+async function requestSignedToken() {
+  const issueQrToken = httpsCallable(getFunctions(), 'issueQrToken');
+  const result = await issueQrToken();
+  return result.data;
 }
 
 function getNextRotationDelay(expires) {
@@ -73,97 +60,82 @@ const QrDisplayPage = () => {
   const [issuedAt, setIssuedAt] = useState(null);
   const [expiresAt, setExpiresAt] = useState(null);
   const [writerError, setWriterError] = useState('');
+  const [nextRotationAt, setNextRotationAt] = useState(null);
+  const [kioskName, setKioskName] = useState('');
   const rotationTimerRef = useRef(null);
   const isMountedRef = useRef(true);
-  const tokenCollectionRef = useMemo(
-    () => collection(dbFirestore, TOKEN_COLLECTION),
-    [],
-  );
 
-  const handleLogout = useCallback(async () => {
+  const unpair = useCallback(async () => {
     try {
       await signOut(authFirebase);
-      navigate('/login');
+      navigate('/pair');
     } catch (error) {
-      console.error('Logout error:', error);
+      console.error('Unpair error:', error);
     }
   }, [navigate]);
 
-  useEffect(() => {
-    setStatus('loading');
-    const q = query(
-      tokenCollectionRef,
-      orderBy('issuedAt', 'desc'),
-      limit(1)
-    );
-
-    const unsubscribe = onSnapshot(
-      q,
-      (snapshot) => {
-        if (snapshot.empty) {
-          setTokenValue('');
-          setIssuedAt(null);
-          setExpiresAt(null);
-          setStatus('missing');
-          return;
-        }
-
-        const data = snapshot.docs[0].data();
-        const nextValue = typeof data.value === 'string' ? data.value : '';
-        const issued = data.issuedAt && typeof data.issuedAt.toDate === 'function'
-          ? data.issuedAt.toDate()
-          : null;
-        const expires = data.expiresAt && typeof data.expiresAt.toDate === 'function'
-          ? data.expiresAt.toDate()
-          : null;
-
-        setTokenValue(nextValue);
-        setIssuedAt(issued);
-        setExpiresAt(expires);
-        setStatus(nextValue ? 'ready' : 'missing');
-      },
-      () => {
-        setTokenValue('');
-        setIssuedAt(null);
-        setExpiresAt(null);
-        setStatus('error');
-      },
-    );
-    return unsubscribe;
-  }, [tokenCollectionRef]);
+  const handleUnpair = () => {
+    if (!window.confirm('Unpair this display? A new pairing code will be needed to show the QR code again.')) return;
+    unpair();
+  };
 
   useEffect(() => () => {
     isMountedRef.current = false;
   }, []);
 
-  const rotateToken = useCallback(async () => {
-    const issued = new Date();
-    const expires = new Date(issued.getTime() + 60_000);
-    const docId = issued.getTime().toString();
+  // Kiosk config (Kiosks/{uid} and its location), the only documents a kiosk can read
+  useEffect(() => {
+    const uid = authFirebase.currentUser && authFirebase.currentUser.uid;
+    if (!uid) return;
+    getDoc(doc(dbFirestore, 'Kiosks', uid))
+      .then(async snap => {
+        if (!snap.exists()) return;
+        const { name, locationId } = snap.data();
+        let locationName = '';
+        if (locationId) {
+          const locationSnap = await getDoc(doc(dbFirestore, 'Locations', locationId));
+          locationName = locationSnap.exists() ? locationSnap.data().name : '';
+        }
+        if (isMountedRef.current) {
+          setKioskName([name, locationName].filter(Boolean).join(' · '));
+        }
+      })
+      .catch(err => console.error('Kiosk config error:', err));
+  }, []);
 
+  const rotateToken = useCallback(async () => {
     try {
-      const newTokenDocRef = doc(tokenCollectionRef, docId);
-      await setDoc(newTokenDocRef, {
-        value: createTokenValue(),
-        issuedAt: Timestamp.fromDate(issued),
-        expiresAt: Timestamp.fromDate(expires),
-      });
+      const { value, issuedAt: issued, expiresAt: expires } = await requestSignedToken();
       if (isMountedRef.current) {
+        setTokenValue(value);
+        setIssuedAt(new Date(issued));
+        setExpiresAt(new Date(expires));
+        setNextRotationAt(new Date(expires));
+        setStatus('ready');
         setWriterError('');
       }
     } catch (err) {
+      console.error('QR token error:', err);
+      if (err.code === 'functions/permission-denied') {
+        // Kiosk revoked from the Devices page
+        unpair();
+        return;
+      }
       if (isMountedRef.current) {
+        // Keep showing the previous code (still inside its grace window) while retrying
+        setStatus(prev => (prev === 'ready' ? prev : 'error'));
         setWriterError('Failed to refresh the QR code. Retrying…');
+        setNextRotationAt(new Date(Date.now() + 10_000));
       }
     }
-  }, [tokenCollectionRef]);
+  }, [unpair]);
 
   useEffect(() => {
     rotateToken();
   }, [rotateToken]);
 
   useEffect(() => {
-    const delay = getNextRotationDelay(expiresAt);
+    const delay = getNextRotationDelay(nextRotationAt);
 
     clearTimeout(rotationTimerRef.current);
     rotationTimerRef.current = setTimeout(() => {
@@ -173,7 +145,7 @@ const QrDisplayPage = () => {
     return () => {
       clearTimeout(rotationTimerRef.current);
     };
-  }, [expiresAt, rotateToken]);
+  }, [nextRotationAt, rotateToken]);
 
   const activeMessage = useMemo(() => statusMessageMap[status], [status]);
 
@@ -196,6 +168,7 @@ const QrDisplayPage = () => {
         <p className="qr-display-subtitle">
           Present this code to validate clock-in and clock-out events.
         </p>
+        {kioskName && <p className="qr-display-subtitle">{kioskName}</p>}
       </div>
 
       <section className="qr-display-content">
@@ -225,13 +198,13 @@ const QrDisplayPage = () => {
           </dl>
         )}
 
-        {/* Logout button - positioned below the meta card */}
+        {/* Unpair button - positioned below the meta card */}
         <button
-          onClick={handleLogout}
+          onClick={handleUnpair}
           className="qr-display-logout-btn"
-          aria-label="Logout"
+          aria-label="Unpair display"
         >
-          Logout
+          Unpair
         </button>
 
         {!isReady && (
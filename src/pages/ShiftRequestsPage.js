@@ -0,0 +1,274 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import useUsersData from '../hooks/useUsersData';
+import useShiftRequests from '../hooks/useShiftRequests';
+import { SHIFT_REQUEST_TYPE, SHIFT_REQUEST_STATUS, isShiftOvernight, getApprovalBlocker } from '../utils/shiftRequestHelpers';
+
+const STATUS_STYLES = {
+  [SHIFT_REQUEST_STATUS.OPEN]: 'bg-blue-100 text-blue-800',
+  [SHIFT_REQUEST_STATUS.CLAIMED]: 'bg-yellow-100 text-yellow-800',
+  [SHIFT_REQUEST_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [SHIFT_REQUEST_STATUS.ACCEPTED]: 'bg-blue-100 text-blue-800',
+  [SHIFT_REQUEST_STATUS.DECLINED]: 'bg-red-100 text-red-800',
+  [SHIFT_REQUEST_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [SHIFT_REQUEST_STATUS.DENIED]: 'bg-red-100 text-red-800'
+};
+
+// Reviewed requests listed under the queue
+const REVIEWED_LIMIT = 25;
+
+function formatShiftTime(request) {
+  return `${request.startHour} - ${request.endHour}${isShiftOvernight(request) ? ' (+1)' : ''}`;
+}
+
+function formatReceiver(request) {
+  if (request.type === SHIFT_REQUEST_TYPE.OPEN) {
+    return request.claimedByName || '';
+  }
+  if (request.toUserName) {
+    return request.toUserName;
+  }
+  return request.toUser
+    ? `${request.toUser.firstName} ${request.toUser.lastName}`
+    : request.toEmail;
+}
+
+function ShiftRequestsPage() {
+  const { colUsersData, loading } = useUsersData();
+  const {
+    openShifts,
+    pendingRequests,
+    reviewedRequests,
+    approveRequest,
+    denyRequest,
+    cancelOpenShift
+  } = useShiftRequests(colUsersData);
+
+  const [notes, setNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const handleApprove = async (request) => {
+    setReviewingId(request.id);
+    try {
+      const result = await approveRequest(request);
+      if (result.success) {
+        toast.success(`Shift moved to ${formatReceiver(request)} and both employees notified`);
+      } else {
+        toast.error(result.message);
+      }
+    } catch (e) {
+      console.error('Error approving shift request', e);
+      toast.error(e.message || 'Failed to reassign the shift');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleDeny = async (request) => {
+    setReviewingId(request.id);
+    try {
+      await denyRequest(request, notes[request.id] || '');
+      toast.success(request.type === SHIFT_REQUEST_TYPE.OPEN
+        ? 'Claim rejected; the shift is open again'
+        : 'Swap denied and employee notified');
+      setNotes(prev => ({ ...prev, [request.id]: '' }));
+    } catch (e) {
+      console.error('Error denying shift request', e);
+      toast.error('Failed to update the request');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm('Withdraw this open shift? It stays on the employee\'s schedule.')) return;
+    try {
+      await cancelOpenShift(request);
+      toast.success('Open shift withdrawn');
+    } catch (e) {
+      console.error('Error withdrawing open shift', e);
+      toast.error('Failed to withdraw the open shift');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading shift requests...
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Review queue */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h1 className="card-title">Shift Requests</h1>
+          <p className="card-subtitle">
+            Claimed open shifts and swap requests. Swaps can be approved once the colleague accepts them;
+            approving moves the shift after re-checking overlaps and time off
+          </p>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Date</th>
+                <th>Time</th>
+                <th>Shift</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Note to employee</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingRequests.length === 0 ? (
+                <tr><td colSpan={8} className="text-gray-500">No requests waiting for review</td></tr>
+              ) : pendingRequests.map(request => (
+                <tr key={request.id}>
+                  <td>{request.type === SHIFT_REQUEST_TYPE.OPEN ? 'Open shift' : 'Swap'}</td>
+                  <td>{request.eventDate}</td>
+                  <td>{formatShiftTime(request)}</td>
+                  <td>{request.eventDescription}</td>
+                  <td className="font-semibold">{request.fromUserName}</td>
+                  <td>
+                    {formatReceiver(request)}
+                    {request.type === SHIFT_REQUEST_TYPE.SWAP && !request.toUser && (
+                      <div className="text-xs text-red-600">No employee with this email</div>
+                    )}
+                    {request.status === SHIFT_REQUEST_STATUS.PENDING && (
+                      <div className="text-xs text-gray-500">{getApprovalBlocker(request)}</div>
+                    )}
+                    {request.note && <div className="text-xs text-gray-500">{request.note}</div>}
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={notes[request.id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [request.id]: e.target.value }))}
+                      className="form-input"
+                      placeholder="Optional"
+                      disabled={reviewingId === request.id}
+                    />
+                  </td>
+                  <td>
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        className="btn btn-success btn-sm"
+                        onClick={() => handleApprove(request)}
+                        disabled={reviewingId === request.id || Boolean(getApprovalBlocker(request))}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-sm"
+                        onClick={() => handleDeny(request)}
+                        disabled={reviewingId === request.id}
+                      >
+                        {request.type === SHIFT_REQUEST_TYPE.OPEN ? 'Reject Claim' : 'Deny'}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Unclaimed open shifts */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h2 className="card-title">Open Shifts</h2>
+          <p className="card-subtitle">Offered from an employee's schedule and visible to every employee in the portal</p>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Time</th>
+                <th>Shift</th>
+                <th>Current Employee</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {openShifts.length === 0 ? (
+                <tr><td colSpan={5} className="text-gray-500">No open shifts</td></tr>
+              ) : openShifts.map(request => (
+                <tr key={request.id}>
+                  <td>{request.eventDate}</td>
+                  <td>{formatShiftTime(request)}</td>
+                  <td>{request.eventDescription}</td>
+                  <td>{request.fromUserName}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => handleCancel(request)}
+                    >
+                      Withdraw
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Reviewed requests */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Reviewed Requests</h2>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Date</th>
+                <th>Shift</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Status</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reviewedRequests.length === 0 ? (
+                <tr><td colSpan={7} className="text-gray-500">No reviewed requests</td></tr>
+              ) : reviewedRequests.slice(0, REVIEWED_LIMIT).map(request => (
+                <tr key={request.id}>
+                  <td>{request.type === SHIFT_REQUEST_TYPE.OPEN ? 'Open shift' : 'Swap'}</td>
+                  <td>{request.eventDate}</td>
+                  <td>{request.eventDescription}</td>
+                  <td>{request.fromUserName}</td>
+                  <td>{formatReceiver(request)}</td>
+                  <td>
+                    <span className={`px-2 py-1 rounded text-sm ${STATUS_STYLES[request.status] || ''}`}>
+                      {request.status}
+                    </span>
+                  </td>
+                  <td>{request.reviewNote || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShiftRequestsPage;
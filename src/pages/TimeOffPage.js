@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import useUsersData from '../hooks/useUsersData';
+import useTimeOffRequests from '../hooks/useTimeOffRequests';
+import { TIME_OFF_STATUS } from '../utils/timeOffHelpers';
+import { diffDaysStr } from '../shared/dateStrings';
+
+const STATUS_STYLES = {
+  [TIME_OFF_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [TIME_OFF_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [TIME_OFF_STATUS.DENIED]: 'bg-red-100 text-red-800'
+};
+
+// Reviewed requests listed under the queue
+const REVIEWED_LIMIT = 25;
+
+function formatRange(request) {
+  return request.startDate === request.endDate
+    ? request.startDate
+    : `${request.startDate} to ${request.endDate}`;
+}
+
+function formatSubmitted(request) {
+  if (!request.createdAt || typeof request.createdAt.toDate !== 'function') return '';
+  return request.createdAt.toDate().toLocaleDateString();
+}
+
+function TimeOffPage() {
+  const { colUsersData, loading } = useUsersData();
+  const { pendingRequests, reviewedRequests, reviewRequest } = useTimeOffRequests(colUsersData);
+
+  const [notes, setNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const handleReview = async (request, status) => {
+    setReviewingId(request.id);
+    try {
+      await reviewRequest(request, status, notes[request.id] || '');
+      toast.success(`Request ${status} and ${request.userName} notified`);
+      setNotes(prev => ({ ...prev, [request.id]: '' }));
+    } catch (e) {
+      console.error('Error reviewing time-off request', e);
+      toast.error('Failed to update the request');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <span className="spinner"></span>
+        Loading time-off requests...
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Review queue */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h1 className="card-title">Time Off</h1>
+          <p className="card-subtitle">
+            Pending requests from employees. Approved days block new shifts and are shaded in the Scheduler
+          </p>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Dates</th>
+                <th>Days</th>
+                <th>Reason</th>
+                <th>Submitted</th>
+                <th>Note to employee</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingRequests.length === 0 ? (
+                <tr><td colSpan={7} className="text-gray-500">No pending requests</td></tr>
+              ) : pendingRequests.map(request => (
+                <tr key={`${request.userId}_${request.id}`}>
+                  <td className="font-semibold">{request.userName}</td>
+                  <td>{formatRange(request)}</td>
+                  <td>{diffDaysStr(request.startDate, request.endDate) + 1}</td>
+                  <td>{request.reason || <span className="text-gray-500">--</span>}</td>
+                  <td>{formatSubmitted(request)}</td>
+                  <td>
+                    <input
+                      type="text"
+                      value={notes[request.id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [request.id]: e.target.value }))}
+                      className="form-input"
+                      placeholder="Optional"
+                      disabled={reviewingId === request.id}
+                    />
+                  </td>
+                  <td>
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        className="btn btn-success btn-sm"
+                        onClick={() => handleReview(request, TIME_OFF_STATUS.APPROVED)}
+                        disabled={reviewingId === request.id}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-sm"
+                        onClick={() => handleReview(request, TIME_OFF_STATUS.DENIED)}
+                        disabled={reviewingId === request.id}
+                      >
+                        Deny
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Reviewed requests */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Reviewed Requests</h2>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Dates</th>
+                <th>Reason</th>
+                <th>Status</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reviewedRequests.length === 0 ? (
+                <tr><td colSpan={5} className="text-gray-500">No reviewed requests</td></tr>
+              ) : reviewedRequests.slice(0, REVIEWED_LIMIT).map(request => (
+                <tr key={`${request.userId}_${request.id}`}>
+                  <td>{request.userName}</td>
+                  <td>{formatRange(request)}</td>
+                  <td>{request.reason || ''}</td>
+                  <td>
+                    <span className={`px-2 py-1 rounded text-sm ${STATUS_STYLES[request.status] || ''}`}>
+                      {request.status}
+                    </span>
+                  </td>
+                  <td>{request.reviewNote || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TimeOffPage;
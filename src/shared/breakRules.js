@@ -0,0 +1,100 @@
+/**
+ * Break and meal-period rules shared by the web app and Cloud Functions.
+ *
+ * Breaks are stored on the UserSchedule document as `breaks: [{ start, end, paid }]`
+ * (Firestore Timestamps, `end` null while the break is running, `paid` false unless set).
+ * The rules live in SystemSettings/BreakRules; a threshold of 0 disables the matching rule.
+ */
+
+export const DEFAULT_BREAK_RULES = {
+    autoDeductAfterHours: 0,
+    autoDeductMinutes: 30,
+    mealBreakRequiredAfterHours: 0,
+    mealBreakMinutes: 30
+};
+
+function toNonNegative(value, fallback) {
+    const num = parseFloat(value);
+    return isNaN(num) || num < 0 ? fallback : num;
+}
+
+/**
+ * Date of a Firestore Timestamp (web or admin SDK) or Date.
+ * @param {*} value
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return value instanceof Date ? value : null;
+}
+
+/**
+ * Fills the missing or invalid fields of SystemSettings/BreakRules with the defaults.
+ * @param {Object} [data] - SystemSettings/BreakRules document
+ * @returns {Object}
+ */
+export function normalizeBreakRules(data) {
+    const source = data || {};
+    return {
+        autoDeductAfterHours: toNonNegative(source.autoDeductAfterHours, DEFAULT_BREAK_RULES.autoDeductAfterHours),
+        autoDeductMinutes: toNonNegative(source.autoDeductMinutes, DEFAULT_BREAK_RULES.autoDeductMinutes),
+        mealBreakRequiredAfterHours: toNonNegative(
+            source.mealBreakRequiredAfterHours,
+            DEFAULT_BREAK_RULES.mealBreakRequiredAfterHours
+        ),
+        mealBreakMinutes: toNonNegative(source.mealBreakMinutes, DEFAULT_BREAK_RULES.mealBreakMinutes)
+    };
+}
+
+/**
+ * Totals of the completed breaks of a shift. Paid breaks count towards longestMinutes
+ * (they still are a break) but not towards unpaidMinutes.
+ * @param {Array<Object>} [breaks]
+ * @returns {{unpaidMinutes:number, longestMinutes:number}}
+ */
+export function summarizeBreaks(breaks) {
+    let unpaidMinutes = 0;
+    let longestMinutes = 0;
+    (breaks || []).forEach(b => {
+        const start = toDate(b.start);
+        const end = toDate(b.end);
+        if (!start || !end || end <= start) return;
+        const minutes = Math.round((end.getTime() - start.getTime()) / 60000);
+        if (!b.paid) unpaidMinutes += minutes;
+        longestMinutes = Math.max(longestMinutes, minutes);
+    });
+    return { unpaidMinutes, longestMinutes };
+}
+
+/**
+ * Applies the break rules to a worked shift.
+ * - Auto deduction: above autoDeductAfterHours, the unpaid break time is topped up to
+ *   autoDeductMinutes (nothing is added when the recorded breaks already cover it).
+ * - Missed meal break: above mealBreakRequiredAfterHours, no single break of at least
+ *   mealBreakMinutes was recorded and no time was auto-deducted (an auto-deducted meal
+ *   counts as taken).
+ * @param {Object} params
+ * @param {number|null} params.grossHours - Hours between check-in and check-out
+ * @param {Array<Object>} [params.breaks] - shift.breaks
+ * @param {Object} params.rules - normalizeBreakRules output
+ * @returns {{breakMinutes:number, autoBreakMinutes:number, mealBreakMissed:boolean}}
+ */
+export function evaluateShiftBreaks({ grossHours, breaks, rules }) {
+    const { unpaidMinutes, longestMinutes } = summarizeBreaks(breaks);
+    if (grossHours == null) {
+        return { breakMinutes: unpaidMinutes, autoBreakMinutes: 0, mealBreakMissed: false };
+    }
+
+    let autoBreakMinutes = 0;
+    if (rules.autoDeductAfterHours > 0 && grossHours > rules.autoDeductAfterHours) {
+        autoBreakMinutes = Math.max(0, rules.autoDeductMinutes - unpaidMinutes);
+    }
+
+    const mealBreakMissed = rules.mealBreakRequiredAfterHours > 0 &&
+        grossHours > rules.mealBreakRequiredAfterHours &&
+        longestMinutes < rules.mealBreakMinutes &&
+        autoBreakMinutes === 0;
+
+    return { breakMinutes: unpaidMinutes + autoBreakMinutes, autoBreakMinutes, mealBreakMissed };
+}
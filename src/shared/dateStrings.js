@@ -0,0 +1,52 @@
+/**
+ * Date-string helpers (YYYY-MM-DD) shared by the web app and Cloud Functions.
+ *
+ * All arithmetic is done in UTC so neither the browser nor the server timezone
+ * can shift a day. Weeks run Monday to Sunday, like the rest of the app.
+ */
+
+/**
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {Date} Midnight UTC of that day
+ */
+export function parseDateStrUTC(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD of the UTC day
+ */
+export function formatDateStrUTC(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export function addDaysStr(dateStr, days) {
+    const date = parseDateStrUTC(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateStrUTC(date);
+}
+
+/**
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string} Monday of the week containing dateStr
+ */
+export function getWeekStartStr(dateStr) {
+    const day = (parseDateStrUTC(dateStr).getUTCDay() + 6) % 7; // Monday=0 ... Sunday=6
+    return addDaysStr(dateStr, -day);
+}
+
+/**
+ * @param {string} fromStr - Date in YYYY-MM-DD format
+ * @param {string} toStr - Date in YYYY-MM-DD format
+ * @returns {number} Whole days from fromStr to toStr (negative if toStr is earlier)
+ */
+export function diffDaysStr(fromStr, toStr) {
+    return Math.round((parseDateStrUTC(toStr) - parseDateStrUTC(fromStr)) / 86400000);
+}
@@ -0,0 +1,127 @@
+/**
+ * Geofence helpers shared by the web app and Cloud Functions.
+ *
+ * A Locations document may carry the site coordinates and a geofence:
+ *   { latitude, longitude, geofenceRadiusMeters, geofenceMode: 'off' | 'flag' | 'reject' }
+ * Check-in and check-out punches send the device position ({ latitude, longitude, accuracy }).
+ * The reported accuracy counts in the punch's favour, up to the radius itself, so a
+ * poor fix cannot widen the fence more than twice.
+ * A punch without a position cannot be verified: it is flagged or rejected like an outside punch.
+ */
+
+export const GEOFENCE_MODES = Object.freeze([
+    { value: 'off', label: 'Off' },
+    { value: 'flag', label: 'Flag punches outside' },
+    { value: 'reject', label: 'Reject punches outside' },
+]);
+
+export const DEFAULT_GEOFENCE_RADIUS_METERS = 150;
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+function toFiniteNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function isValidCoordinate(latitude, longitude) {
+    return latitude !== null && longitude !== null &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+/**
+ * Cleans a device position sent by a client.
+ * @param {Object} position - { latitude, longitude, accuracy } (accuracy in meters, optional)
+ * @returns {{latitude:number, longitude:number, accuracy:number|null}|null} null when missing or invalid
+ */
+export function normalizePosition(position) {
+    if (!position || typeof position !== 'object') return null;
+    const latitude = toFiniteNumber(position.latitude);
+    const longitude = toFiniteNumber(position.longitude);
+    if (!isValidCoordinate(latitude, longitude)) return null;
+    const accuracy = toFiniteNumber(position.accuracy);
+    return { latitude, longitude, accuracy: accuracy !== null && accuracy >= 0 ? accuracy : null };
+}
+
+/**
+ * Geofence settings of a location, with defaults.
+ * @param {Object} location - Locations document
+ * @returns {{mode:string, latitude:number|null, longitude:number|null, radiusMeters:number}}
+ *   mode is 'off' when the location has no valid coordinates
+ */
+export function normalizeGeofence(location) {
+    const latitude = toFiniteNumber(location && location.latitude);
+    const longitude = toFiniteNumber(location && location.longitude);
+    const radius = toFiniteNumber(location && location.geofenceRadiusMeters);
+    const mode = GEOFENCE_MODES.some(m => m.value === (location && location.geofenceMode))
+        ? location.geofenceMode
+        : 'off';
+
+    return {
+        mode: isValidCoordinate(latitude, longitude) ? mode : 'off',
+        latitude,
+        longitude,
+        radiusMeters: radius !== null && radius > 0 ? radius : DEFAULT_GEOFENCE_RADIUS_METERS
+    };
+}
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ * @param {{latitude:number, longitude:number}} a
+ * @param {{latitude:number, longitude:number}} b
+ * @returns {number} Meters
+ */
+export function distanceMeters(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Checks a punch position against the geofence of its location.
+ * @param {Object|null} position - Device position ({ latitude, longitude, accuracy })
+ * @param {Object|null} location - Locations document
+ * @returns {{status:'disabled'|'unknown'|'inside'|'outside', distanceMeters:number|null,
+ *   radiusMeters:number, flagged:boolean, rejected:boolean}}
+ *   distanceMeters is rounded to the meter; flagged/rejected follow the location's geofenceMode
+ */
+export function evaluateGeofence(position, location) {
+    const fence = normalizeGeofence(location);
+    const point = normalizePosition(position);
+    const result = { status: 'disabled', distanceMeters: null, radiusMeters: fence.radiusMeters, flagged: false, rejected: false };
+
+    if (fence.mode === 'off') return result;
+
+    if (!point) {
+        result.status = 'unknown';
+    } else {
+        const distance = distanceMeters(point, fence);
+        const allowance = Math.min(point.accuracy || 0, fence.radiusMeters);
+        result.distanceMeters = Math.round(distance);
+        result.status = distance - allowance <= fence.radiusMeters ? 'inside' : 'outside';
+    }
+
+    if (result.status !== 'inside') {
+        result.flagged = fence.mode === 'flag';
+        result.rejected = fence.mode === 'reject';
+    }
+    return result;
+}
+
+/**
+ * User-facing description of a geofence result that is not inside the fence.
+ * @param {{status:string, distanceMeters:number|null, radiusMeters:number}} result
+ * @returns {string} Empty for 'inside' and 'disabled'
+ */
+export function describeGeofenceResult(result) {
+    if (!result) return '';
+    if (result.status === 'unknown') return 'Device location not available';
+    if (result.status === 'outside') {
+        return `Outside the site (${result.distanceMeters} m away, ${result.radiusMeters} m allowed)`;
+    }
+    return '';
+}
@@ -0,0 +1,53 @@
+import {
+  DEFAULT_GEOFENCE_RADIUS_METERS,
+  normalizePosition,
+  normalizeGeofence,
+  distanceMeters,
+  evaluateGeofence,
+  describeGeofenceResult,
+} from './geofence';
+
+// Montreal city hall; 0.001 degree of latitude is about 111 m
+const site = { latitude: 45.5088, longitude: -73.5542, geofenceRadiusMeters: 100, geofenceMode: 'flag' };
+const north = (meters, accuracy) => ({ latitude: site.latitude + meters / 111195, longitude: site.longitude, accuracy });
+
+test('distanceMeters uses the great-circle distance', () => {
+  expect(distanceMeters(site, site)).toBe(0);
+  expect(distanceMeters(site, north(250))).toBeCloseTo(250, 0);
+  // Montreal to Toronto
+  expect(Math.round(distanceMeters(site, { latitude: 43.6532, longitude: -79.3832 }) / 1000)).toBe(506);
+});
+
+test('normalizePosition and normalizeGeofence reject invalid input', () => {
+  expect(normalizePosition(null)).toBeNull();
+  expect(normalizePosition({ latitude: 95, longitude: 0 })).toBeNull();
+  expect(normalizePosition({ latitude: '45.5', longitude: -73.5, accuracy: -3 }))
+    .toEqual({ latitude: 45.5, longitude: -73.5, accuracy: null });
+  expect(normalizeGeofence({ geofenceMode: 'reject' })).toMatchObject({ mode: 'off', radiusMeters: DEFAULT_GEOFENCE_RADIUS_METERS });
+  expect(normalizeGeofence({ ...site, geofenceMode: 'strict' }).mode).toBe('off');
+});
+
+test('evaluateGeofence is disabled without a mode or coordinates', () => {
+  expect(evaluateGeofence(north(5000), { ...site, geofenceMode: 'off' }))
+    .toEqual({ status: 'disabled', distanceMeters: null, radiusMeters: 100, flagged: false, rejected: false });
+  expect(evaluateGeofence(null, null).status).toBe('disabled');
+});
+
+test('evaluateGeofence flags or rejects punches outside the radius', () => {
+  expect(evaluateGeofence(north(80), site)).toMatchObject({ status: 'inside', distanceMeters: 80, flagged: false });
+  expect(evaluateGeofence(north(180), site)).toMatchObject({ status: 'outside', distanceMeters: 180, flagged: true, rejected: false });
+  expect(evaluateGeofence(north(180), { ...site, geofenceMode: 'reject' })).toMatchObject({ flagged: false, rejected: true });
+});
+
+test('evaluateGeofence gives the accuracy up to the radius and treats a missing position as unverified', () => {
+  expect(evaluateGeofence(north(180, 90), site).status).toBe('inside');
+  expect(evaluateGeofence(north(250, 5000), site).status).toBe('outside');
+  expect(evaluateGeofence(undefined, site)).toMatchObject({ status: 'unknown', distanceMeters: null, flagged: true });
+  expect(evaluateGeofence(null, { ...site, geofenceMode: 'reject' })).toMatchObject({ status: 'unknown', flagged: false, rejected: true });
+});
+
+test('describeGeofenceResult explains flagged punches only', () => {
+  expect(describeGeofenceResult(evaluateGeofence(north(180), site))).toBe('Outside the site (180 m away, 100 m allowed)');
+  expect(describeGeofenceResult({ status: 'unknown' })).toBe('Device location not available');
+  expect(describeGeofenceResult({ status: 'inside', distanceMeters: 3 })).toBe('');
+});
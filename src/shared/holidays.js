@@ -0,0 +1,108 @@
+/**
+ * Statutory holiday helpers shared by the web app and Cloud Functions.
+ *
+ * Holidays are stored in SystemSettings/Holidays as a `dates` map:
+ *   { 'YYYY-MM-DD': { name: string, multiplier: number } }
+ * The multiplier scales the dayEarnings of shifts worked on that date.
+ * Provincial lists are described by rules (src/data/provincialHolidays.json)
+ * and expanded into concrete dates for a given year.
+ */
+import { formatDateStrUTC } from './dateStrings.js';
+
+export const DEFAULT_HOLIDAY_MULTIPLIER = 1.5;
+
+/**
+ * Easter Sunday for a Gregorian year (anonymous Gregorian algorithm).
+ * @param {number} year
+ * @returns {string} YYYY-MM-DD
+ */
+export function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return formatDateStrUTC(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * Resolves one holiday rule to a date in the given year.
+ * Supported rules (months 1-12, weekdays 0=Sunday ... 6=Saturday):
+ *  - { type: 'fixed', month, day }
+ *  - { type: 'nthWeekday', month, weekday, n }         e.g. 2nd Monday of October
+ *  - { type: 'weekdayBefore', month, day, weekday }    last weekday strictly before month/day
+ *  - { type: 'easterOffset', offset }                  days relative to Easter Sunday
+ * @param {Object} rule
+ * @param {number} year
+ * @returns {string|null} YYYY-MM-DD, or null for an unknown rule
+ */
+export function resolveHolidayRule(rule, year) {
+    if (!rule) return null;
+    switch (rule.type) {
+        case 'fixed':
+            return formatDateStrUTC(new Date(Date.UTC(year, rule.month - 1, rule.day)));
+        case 'nthWeekday': {
+            const first = new Date(Date.UTC(year, rule.month - 1, 1));
+            const shift = (rule.weekday - first.getUTCDay() + 7) % 7;
+            first.setUTCDate(1 + shift + (rule.n - 1) * 7);
+            return formatDateStrUTC(first);
+        }
+        case 'weekdayBefore': {
+            const date = new Date(Date.UTC(year, rule.month - 1, rule.day - 1));
+            const back = (date.getUTCDay() - rule.weekday + 7) % 7;
+            date.setUTCDate(date.getUTCDate() - back);
+            return formatDateStrUTC(date);
+        }
+        case 'easterOffset': {
+            const [y, m, d] = getEasterSunday(year).split('-').map(Number);
+            return formatDateStrUTC(new Date(Date.UTC(y, m - 1, d + rule.offset)));
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Expands a provincial holiday list into the `dates` map for one year.
+ * @param {Array<{name:string, rule:Object, multiplier?:number}>} definitions
+ * @param {number} year
+ * @param {number} [multiplier] - Applied to entries without their own multiplier
+ * @returns {Object<string, {name:string, multiplier:number}>}
+ */
+export function expandHolidaysForYear(definitions, year, multiplier = DEFAULT_HOLIDAY_MULTIPLIER) {
+    const dates = {};
+    (definitions || []).forEach(def => {
+        const dateStr = resolveHolidayRule(def.rule, year);
+        if (!dateStr) return;
+        dates[dateStr] = {
+            name: def.name,
+            multiplier: typeof def.multiplier === 'number' ? def.multiplier : multiplier,
+        };
+    });
+    return dates;
+}
+
+/**
+ * Looks up the holiday for a date, ignoring malformed entries.
+ * @param {Object|null|undefined} holidays - The `dates` map
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {{name:string, multiplier:number}|null}
+ */
+export function getHolidayForDate(holidays, dateStr) {
+    const entry = holidays ? holidays[dateStr] : null;
+    if (!entry) return null;
+    const multiplier = parseFloat(entry.multiplier);
+    return {
+        name: entry.name || 'Holiday',
+        multiplier: multiplier > 0 ? multiplier : 1,
+    };
+}
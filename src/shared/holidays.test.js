@@ -0,0 +1,47 @@
+import {
+  DEFAULT_HOLIDAY_MULTIPLIER,
+  getEasterSunday,
+  resolveHolidayRule,
+  expandHolidaysForYear,
+  getHolidayForDate,
+} from './holidays';
+import provincialHolidays from '../data/provincialHolidays.json';
+
+test('getEasterSunday matches known dates', () => {
+  expect(getEasterSunday(2024)).toBe('2024-03-31');
+  expect(getEasterSunday(2025)).toBe('2025-04-20');
+  expect(getEasterSunday(2026)).toBe('2026-04-05');
+});
+
+test('resolveHolidayRule handles every rule type', () => {
+  expect(resolveHolidayRule({ type: 'fixed', month: 7, day: 1 }, 2025)).toBe('2025-07-01');
+  // Thanksgiving: 2nd Monday of October
+  expect(resolveHolidayRule({ type: 'nthWeekday', month: 10, weekday: 1, n: 2 }, 2025)).toBe('2025-10-13');
+  // Victoria Day: Monday before May 25 (May 24 itself when it is a Monday)
+  expect(resolveHolidayRule({ type: 'weekdayBefore', month: 5, day: 25, weekday: 1 }, 2025)).toBe('2025-05-19');
+  expect(resolveHolidayRule({ type: 'weekdayBefore', month: 5, day: 25, weekday: 1 }, 2027)).toBe('2027-05-24');
+  // Good Friday
+  expect(resolveHolidayRule({ type: 'easterOffset', offset: -2 }, 2025)).toBe('2025-04-18');
+  expect(resolveHolidayRule({ type: 'unknown' }, 2025)).toBeNull();
+});
+
+test('expandHolidaysForYear builds the dates map for a province', () => {
+  const dates = expandHolidaysForYear(provincialHolidays.QC.holidays, 2025);
+  expect(Object.keys(dates)).toHaveLength(provincialHolidays.QC.holidays.length);
+  expect(dates['2025-06-24']).toEqual({ name: 'Fête nationale du Québec', multiplier: DEFAULT_HOLIDAY_MULTIPLIER });
+  expect(dates['2025-09-01'].name).toBe('Labour Day');
+
+  const doubled = expandHolidaysForYear(provincialHolidays.ON.holidays, 2025, 2);
+  expect(doubled['2025-12-26'].multiplier).toBe(2);
+});
+
+test('getHolidayForDate ignores missing and malformed entries', () => {
+  const holidays = {
+    '2025-07-01': { name: 'Canada Day', multiplier: 2 },
+    '2025-12-25': { name: 'Christmas Day', multiplier: 'x' },
+  };
+  expect(getHolidayForDate(holidays, '2025-07-01')).toEqual({ name: 'Canada Day', multiplier: 2 });
+  expect(getHolidayForDate(holidays, '2025-12-25').multiplier).toBe(1);
+  expect(getHolidayForDate(holidays, '2025-07-02')).toBeNull();
+  expect(getHolidayForDate(null, '2025-07-01')).toBeNull();
+});
@@ -0,0 +1,260 @@
+/**
+ * Overtime engine shared by the web app and Cloud Functions.
+ *
+ * Builds the RecordEarnings documents (one per day) from raw UserSchedule docs.
+ * The earnings Cloud Functions write its output (recomputeEarningsWeeks) and the
+ * labour forecast projects it in the UI, so both always agree.
+ *
+ * Rules come from SystemSettings/OvertimeRules (edited in OvertimeSettingsCard)
+ * and stack as follows, evaluated day by day over the Monday-Sunday week:
+ *  - hours past dailyThresholdHours in a day are paid at the overtime tier (ot150);
+ *  - hours past doubleTimeThresholdHours in a day are paid at the double-time tier (ot200);
+ *  - regular hours past the weekly thresholdHours move to the overtime tier.
+ *    Daily overtime does not count toward the weekly threshold, so no hour is paid twice;
+ *  - on the 7th consecutive day worked, the first 8 hours (or dailyThresholdHours)
+ *    are overtime and the rest double time.
+ * A daily threshold of 0 disables that rule.
+ * On a statutory holiday (SystemSettings/Holidays) the day's pay is then scaled
+ * by the holiday multiplier.
+ */
+import { getRateForDate } from './wageRates.js';
+import { addDaysStr, getWeekStartStr } from './dateStrings.js';
+import { getHolidayForDate } from './holidays.js';
+
+export const DEFAULT_OVERTIME_RULES = Object.freeze({
+    thresholdHours: 40,
+    overtimePercent: 50,
+    dailyThresholdHours: 0,
+    doubleTimeThresholdHours: 0,
+    doubleTimePercent: 100,
+    seventhDayPremium: false,
+});
+
+// Hours of the 7th consecutive day paid at the overtime tier before double time,
+// when no daily threshold is configured
+export const SEVENTH_DAY_OVERTIME_HOURS = 8;
+
+/**
+ * Normalizes a SystemSettings/OvertimeRules document, applying defaults to
+ * missing or invalid values.
+ * @param {Object|null|undefined} data - Raw document data
+ * @returns {{thresholdHours:number, overtimePercent:number, dailyThresholdHours:number,
+ *   doubleTimeThresholdHours:number, doubleTimePercent:number, seventhDayPremium:boolean}}
+ */
+export function normalizeOvertimeRules(data) {
+    const threshold = parseFloat(data?.thresholdHours);
+    const percent = parseFloat(data?.overtimePercent);
+    const daily = parseFloat(data?.dailyThresholdHours);
+    const doubleTime = parseFloat(data?.doubleTimeThresholdHours);
+    const doublePercent = parseFloat(data?.doubleTimePercent);
+    return {
+        thresholdHours: threshold > 0 ? threshold : DEFAULT_OVERTIME_RULES.thresholdHours,
+        overtimePercent: percent >= 0 ? percent : DEFAULT_OVERTIME_RULES.overtimePercent,
+        dailyThresholdHours: daily > 0 ? daily : 0,
+        doubleTimeThresholdHours: doubleTime > 0 ? doubleTime : 0,
+        doubleTimePercent: doublePercent >= 0 ? doublePercent : DEFAULT_OVERTIME_RULES.doubleTimePercent,
+        seventhDayPremium: data?.seventhDayPremium === true,
+    };
+}
+
+/**
+ * Splits one day's worked hours into pay tiers.
+ * @param {Object} params
+ * @param {number} params.hours - Worked hours for the day
+ * @param {number} params.weeklyRegularHours - Regular hours already counted this week
+ * @param {boolean} params.isSeventhDay - Whether this is the 7th consecutive day worked
+ * @param {Object} params.rules - Normalized overtime rules
+ * @returns {{regularHours:number, ot150Hours:number, ot200Hours:number}}
+ */
+export function splitDayHours({ hours, weeklyRegularHours, isSeventhDay, rules }) {
+    if (!(hours > 0)) return { regularHours: 0, ot150Hours: 0, ot200Hours: 0 };
+
+    if (isSeventhDay && rules.seventhDayPremium) {
+        const overtimeCap = rules.dailyThresholdHours || SEVENTH_DAY_OVERTIME_HOURS;
+        const ot150Hours = Math.min(hours, overtimeCap);
+        return { regularHours: 0, ot150Hours, ot200Hours: hours - ot150Hours };
+    }
+
+    const ot200Hours = rules.doubleTimeThresholdHours > 0
+        ? Math.max(hours - rules.doubleTimeThresholdHours, 0)
+        : 0;
+    let regularHours = hours - ot200Hours;
+    if (rules.dailyThresholdHours > 0) {
+        regularHours = Math.min(regularHours, rules.dailyThresholdHours);
+    }
+    let ot150Hours = hours - ot200Hours - regularHours;
+
+    const remainingWeekly = Math.max(rules.thresholdHours - weeklyRegularHours, 0);
+    if (regularHours > remainingWeekly) {
+        ot150Hours += regularHours - remainingWeekly;
+        regularHours = remainingWeekly;
+    }
+
+    return { regularHours, ot150Hours, ot200Hours };
+}
+
+/**
+ * Sums planned (duration) and worked (totalHoursDay) hours per eventDate.
+ * Worked hours are also split by shift locationId (shifts without a location are left out
+ * of locationHours), so payroll can be reported per location.
+ * @param {Array<Object>} shifts - UserSchedule documents
+ * @returns {Object<string, {scheduledHours:number, totalHours:number, locationHours:Object<string, number>}>}
+ */
+export function summarizeShiftsByDay(shifts) {
+    const dayMap = {};
+    (shifts || []).forEach(shift => {
+        if (!shift || typeof shift.eventDate !== 'string') return;
+        if (!dayMap[shift.eventDate]) {
+            dayMap[shift.eventDate] = { scheduledHours: 0, totalHours: 0, locationHours: {} };
+        }
+        const day = dayMap[shift.eventDate];
+        const worked = typeof shift.totalHoursDay === 'number' ? shift.totalHoursDay : 0;
+        day.scheduledHours += typeof shift.duration === 'number' ? shift.duration : 0;
+        day.totalHours += worked;
+        if (shift.locationId && worked > 0) {
+            day.locationHours[shift.locationId] = (day.locationHours[shift.locationId] || 0) + worked;
+        }
+    });
+    return dayMap;
+}
+
+/**
+ * Builds the seven RecordEarnings documents of one week.
+ * Shifts outside the week are ignored.
+ * @param {Object} params
+ * @param {string} params.weekStartStr - Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} params.shifts - UserSchedule documents
+ * @param {Object} params.rules - Overtime rules (see normalizeOvertimeRules)
+ * @param {Array<{rate:number, effectiveFrom:string}>} params.history - Wage history sorted by effectiveFrom asc
+ * @param {number} params.fallbackRate - User hourlyWage, used when no history entry applies
+ * @param {Object} [params.holidays] - SystemSettings/Holidays `dates` map
+ * @returns {Array<Object>} Records ordered Monday to Sunday (without updatedAt)
+ */
+export function buildWeeklyEarningsRecords({ weekStartStr, shifts, rules, history, fallbackRate, holidays }) {
+    const normalized = normalizeOvertimeRules(rules);
+    const overtimeMultiplier = 1 + normalized.overtimePercent / 100;
+    const doubleTimeMultiplier = 1 + normalized.doubleTimePercent / 100;
+    const fallback = typeof fallbackRate === 'number' && !isNaN(fallbackRate) ? fallbackRate : 0;
+    const dayMap = summarizeShiftsByDay(shifts);
+
+    const records = [];
+    let weeklyRegularHours = 0;
+    let consecutiveDays = 0;
+
+    for (let i = 0; i < 7; i++) {
+        const dateStr = addDaysStr(weekStartStr, i);
+        const dayInfo = dayMap[dateStr] || { scheduledHours: 0, totalHours: 0, locationHours: {} };
+        const dayHours = dayInfo.totalHours;
+
+        consecutiveDays = dayHours > 0 ? consecutiveDays + 1 : 0;
+        const isSeventhDay = consecutiveDays === 7;
+
+        const { regularHours, ot150Hours, ot200Hours } = splitDayHours({
+            hours: dayHours,
+            weeklyRegularHours,
+            isSeventhDay,
+            rules: normalized,
+        });
+        weeklyRegularHours += regularHours;
+
+        const wage = getRateForDate({ dateStr, history, fallback });
+        const holiday = getHolidayForDate(holidays, dateStr);
+        const holidayMultiplier = holiday ? holiday.multiplier : 1;
+        const dayPay = (regularHours * wage
+            + ot150Hours * wage * overtimeMultiplier
+            + ot200Hours * wage * doubleTimeMultiplier) * holidayMultiplier;
+        const overtimeHours = ot150Hours + ot200Hours;
+
+        records.push({
+            date: dateStr,
+            scheduledHours: Number(dayInfo.scheduledHours.toFixed(2)),
+            totalHours: Number(dayHours.toFixed(2)),
+            locationHours: Object.fromEntries(Object.entries(dayInfo.locationHours)
+                .map(([locationId, hours]) => [locationId, Number(hours.toFixed(2))])),
+            regularHours: Number(regularHours.toFixed(2)),
+            ot150Hours: Number(ot150Hours.toFixed(2)),
+            ot200Hours: Number(ot200Hours.toFixed(2)),
+            overtimeHours: Number(overtimeHours.toFixed(2)),
+            overtimeApplied: overtimeHours > 0,
+            seventhDayApplied: isSeventhDay && normalized.seventhDayPremium,
+            hourlyWageSnapshot: wage,
+            overtimePercent: normalized.overtimePercent,
+            doubleTimePercent: normalized.doubleTimePercent,
+            overtimeThreshold: normalized.thresholdHours,
+            dailyOvertimeThreshold: normalized.dailyThresholdHours,
+            doubleTimeThreshold: normalized.doubleTimeThresholdHours,
+            holidayName: holiday ? holiday.name : null,
+            holidayMultiplier,
+            dayEarnings: Number(dayPay.toFixed(2)),
+            noWorkRecorded: dayHours === 0,
+        });
+    }
+
+    return records;
+}
+
+/**
+ * Builds RecordEarnings documents for every week touched by the given shifts.
+ * @param {Object} params - Same as buildWeeklyEarningsRecords, without weekStartStr
+ * @returns {Object<string, Object>} Records keyed by date (YYYY-MM-DD)
+ */
+export function buildEarningsRecords({ shifts, rules, history, fallbackRate, holidays }) {
+    const weeks = {};
+    (shifts || []).forEach(shift => {
+        if (!shift || typeof shift.eventDate !== 'string') return;
+        const weekStartStr = getWeekStartStr(shift.eventDate);
+        if (!weeks[weekStartStr]) weeks[weekStartStr] = [];
+        weeks[weekStartStr].push(shift);
+    });
+
+    const byDate = {};
+    Object.keys(weeks).sort().forEach(weekStartStr => {
+        buildWeeklyEarningsRecords({
+            weekStartStr,
+            shifts: weeks[weekStartStr],
+            rules,
+            history,
+            fallbackRate,
+            holidays,
+        }).forEach(record => {
+            byDate[record.date] = record;
+        });
+    });
+    return byDate;
+}
+
+/**
+ * Monday week starts of a list of dates, sorted and without duplicates.
+ * @param {Array<string>} dates - YYYY-MM-DD (other values are ignored)
+ * @returns {Array<string>}
+ */
+export function collectWeekStarts(dates) {
+    const weekStarts = new Set();
+    (dates || []).forEach(date => {
+        if (typeof date === 'string') weekStarts.add(getWeekStartStr(date));
+    });
+    return [...weekStarts].sort();
+}
+
+/**
+ * Recomputes the RecordEarnings of one employee, week by week.
+ * This is the loop run by the earnings Cloud Functions: each week's shifts are loaded
+ * on their own (one range query per week) and days in a locked pay period are left out.
+ * @param {Object} params - rules, history, fallbackRate, holidays as in buildWeeklyEarningsRecords
+ * @param {Array<string>} params.weekStarts - Mondays (YYYY-MM-DD) to recompute
+ * @param {function(string): Promise<{shifts:Array<Object>, lockedDates:Array<string>}>} params.loadWeek
+ * @param {function(string, Array<Object>): Promise<void>} params.saveWeek - Receives the records to write
+ * @returns {Promise<number>} Number of locked days skipped
+ */
+export async function recomputeEarningsWeeks({ weekStarts, loadWeek, saveWeek, rules, history, fallbackRate, holidays }) {
+    let lockedCount = 0;
+    for (const weekStartStr of [...new Set(weekStarts || [])].sort()) {
+        const { shifts, lockedDates } = await loadWeek(weekStartStr);
+        const locked = new Set(lockedDates || []);
+        const records = buildWeeklyEarningsRecords({ weekStartStr, shifts, rules, history, fallbackRate, holidays })
+            .filter(record => !locked.has(record.date));
+        lockedCount += locked.size;
+        await saveWeek(weekStartStr, records);
+    }
+    return lockedCount;
+}
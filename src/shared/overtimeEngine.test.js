@@ -0,0 +1,227 @@
+import {
+  DEFAULT_OVERTIME_RULES,
+  normalizeOvertimeRules,
+  buildWeeklyEarningsRecords,
+  buildEarningsRecords,
+  splitDayHours,
+  collectWeekStarts,
+  recomputeEarningsWeeks,
+} from './overtimeEngine';
+import { addDaysStr } from './dateStrings';
+
+const shift = (eventDate, totalHoursDay, duration = totalHoursDay) => ({
+  eventDate,
+  duration,
+  totalHoursDay,
+});
+
+// Mon 2025-03-03 .. Sun 2025-03-09, then the following Monday
+const shifts = [
+  shift('2025-03-03', 10),
+  shift('2025-03-04', 10),
+  shift('2025-03-05', 8),
+  shift('2025-03-05', 4),
+  shift('2025-03-06', 9),
+  shift('2025-03-08', 6, 8),
+  shift('2025-03-10', 7.5),
+];
+
+const history = [
+  { rate: 20, effectiveFrom: '2025-01-01' },
+  { rate: 22, effectiveFrom: '2025-03-06' },
+];
+
+// Runs the loop of the earnings Cloud Functions against an in-memory UserSchedule
+async function serverPath(allShifts, params, lockedDates = []) {
+  const byDate = {};
+  await recomputeEarningsWeeks({
+    ...params,
+    weekStarts: collectWeekStarts(allShifts.map(s => s.eventDate)),
+    loadWeek: async (weekStartStr) => {
+      const weekEndStr = addDaysStr(weekStartStr, 6);
+      return {
+        shifts: allShifts.filter(s => s.eventDate >= weekStartStr && s.eventDate <= weekEndStr),
+        lockedDates: lockedDates.filter(date => date >= weekStartStr && date <= weekEndStr),
+      };
+    },
+    saveWeek: async (weekStartStr, records) => {
+      records.forEach(record => { byDate[record.date] = record; });
+    },
+  });
+  return byDate;
+}
+
+test('normalizeOvertimeRules applies defaults and keeps valid values', () => {
+  expect(normalizeOvertimeRules(null)).toEqual(DEFAULT_OVERTIME_RULES);
+  expect(normalizeOvertimeRules({ thresholdHours: '0', overtimePercent: 'x' })).toEqual(DEFAULT_OVERTIME_RULES);
+  expect(normalizeOvertimeRules({ thresholdHours: 44, overtimePercent: 0 })).toEqual({
+    ...DEFAULT_OVERTIME_RULES,
+    thresholdHours: 44,
+    overtimePercent: 0,
+  });
+});
+
+test('builds seven records and splits overtime cumulatively over the week', () => {
+  const records = buildWeeklyEarningsRecords({
+    weekStartStr: '2025-03-03',
+    shifts,
+    rules: { thresholdHours: 40, overtimePercent: 50 },
+    history,
+    fallbackRate: 15,
+  });
+
+  expect(records.map(r => r.date)).toEqual([
+    '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06',
+    '2025-03-07', '2025-03-08', '2025-03-09',
+  ]);
+
+  const thursday = records[3];
+  expect(thursday.totalHours).toBe(9);
+  expect(thursday.regularHours).toBe(8);
+  expect(thursday.overtimeHours).toBe(1);
+  expect(thursday.hourlyWageSnapshot).toBe(22);
+  expect(thursday.dayEarnings).toBe(8 * 22 + 1 * 22 * 1.5);
+
+  const saturday = records[5];
+  expect(saturday.regularHours).toBe(0);
+  expect(saturday.overtimeHours).toBe(6);
+  expect(saturday.scheduledHours).toBe(8);
+
+  expect(records[6].noWorkRecorded).toBe(true);
+  expect(records[6].dayEarnings).toBe(0);
+});
+
+test('honors the configured threshold and percentage', () => {
+  const records = buildWeeklyEarningsRecords({
+    weekStartStr: '2025-03-03',
+    shifts,
+    rules: { thresholdHours: 20, overtimePercent: 100 },
+    history: [],
+    fallbackRate: 10,
+  });
+
+  const wednesday = records[2];
+  expect(wednesday.regularHours).toBe(0);
+  expect(wednesday.overtimeHours).toBe(12);
+  expect(wednesday.dayEarnings).toBe(240);
+  expect(wednesday.overtimeThreshold).toBe(20);
+  expect(wednesday.overtimePercent).toBe(100);
+});
+
+test('splits the worked hours of each day by location', () => {
+  const records = buildWeeklyEarningsRecords({
+    weekStartStr: '2025-03-03',
+    shifts: [
+      { eventDate: '2025-03-03', duration: 4, totalHoursDay: 4, locationId: 'A' },
+      { eventDate: '2025-03-03', duration: 4, totalHoursDay: 3.5, locationId: 'B' },
+      { eventDate: '2025-03-03', duration: 1, totalHoursDay: 1 },
+    ],
+    rules: {},
+    history: [],
+    fallbackRate: 20,
+  });
+
+  expect(records[0].totalHours).toBe(8.5);
+  expect(records[0].locationHours).toEqual({ A: 4, B: 3.5 });
+  expect(records[1].locationHours).toEqual({});
+});
+
+const provincialRules = normalizeOvertimeRules({
+  thresholdHours: 40,
+  overtimePercent: 50,
+  dailyThresholdHours: 8,
+  doubleTimeThresholdHours: 12,
+  doubleTimePercent: 100,
+  seventhDayPremium: true,
+});
+
+test('splitDayHours applies daily overtime and double time', () => {
+  expect(splitDayHours({ hours: 7, weeklyRegularHours: 0, isSeventhDay: false, rules: provincialRules }))
+    .toEqual({ regularHours: 7, ot150Hours: 0, ot200Hours: 0 });
+  expect(splitDayHours({ hours: 10, weeklyRegularHours: 0, isSeventhDay: false, rules: provincialRules }))
+    .toEqual({ regularHours: 8, ot150Hours: 2, ot200Hours: 0 });
+  expect(splitDayHours({ hours: 14, weeklyRegularHours: 0, isSeventhDay: false, rules: provincialRules }))
+    .toEqual({ regularHours: 8, ot150Hours: 4, ot200Hours: 2 });
+});
+
+test('splitDayHours moves regular hours past the weekly threshold to overtime', () => {
+  expect(splitDayHours({ hours: 10, weeklyRegularHours: 36, isSeventhDay: false, rules: provincialRules }))
+    .toEqual({ regularHours: 4, ot150Hours: 6, ot200Hours: 0 });
+});
+
+test('splitDayHours pays the 7th consecutive day as overtime then double time', () => {
+  expect(splitDayHours({ hours: 10, weeklyRegularHours: 30, isSeventhDay: true, rules: provincialRules }))
+    .toEqual({ regularHours: 0, ot150Hours: 8, ot200Hours: 2 });
+  const withoutPremium = { ...provincialRules, seventhDayPremium: false };
+  expect(splitDayHours({ hours: 6, weeklyRegularHours: 30, isSeventhDay: true, rules: withoutPremium }))
+    .toEqual({ regularHours: 6, ot150Hours: 0, ot200Hours: 0 });
+});
+
+test('stacks daily, weekly and 7th-day rules over a full week', () => {
+  const week = ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-08', '2025-03-09'];
+  const hours = [13, 8, 8, 8, 8, 6, 9];
+  const records = buildWeeklyEarningsRecords({
+    weekStartStr: '2025-03-03',
+    shifts: week.map((date, i) => shift(date, hours[i])),
+    rules: provincialRules,
+    history: [],
+    fallbackRate: 10,
+  });
+
+  // Monday: 8 regular, 4 at 1.5x, 1 at 2x
+  expect(records[0]).toMatchObject({ regularHours: 8, ot150Hours: 4, ot200Hours: 1, overtimeHours: 5 });
+  expect(records[0].dayEarnings).toBe(80 + 60 + 20);
+  // Weekly threshold reached on Friday (8 * 5 = 40 regular hours)
+  expect(records[4]).toMatchObject({ regularHours: 8, ot150Hours: 0 });
+  expect(records[5]).toMatchObject({ regularHours: 0, ot150Hours: 6, ot200Hours: 0 });
+  // Sunday is the 7th consecutive day
+  expect(records[6]).toMatchObject({ regularHours: 0, ot150Hours: 8, ot200Hours: 1, seventhDayApplied: true });
+  expect(records[6].dayEarnings).toBe(120 + 20);
+});
+
+test('client projection and server recompute produce identical records', async () => {
+  const params = {
+    rules: { thresholdHours: 38, overtimePercent: 25 },
+    history,
+    fallbackRate: 18,
+  };
+
+  const client = buildEarningsRecords({ shifts, ...params });
+  const server = await serverPath(shifts, params);
+
+  expect(Object.keys(client).sort()).toEqual(Object.keys(server).sort());
+  expect(client).toEqual(server);
+});
+
+test('scales dayEarnings on holidays by the holiday multiplier', () => {
+  const records = buildWeeklyEarningsRecords({
+    weekStartStr: '2025-06-30',
+    shifts: [shift('2025-06-30', 8), shift('2025-07-01', 8)],
+    rules: null,
+    history: [],
+    fallbackRate: 20,
+    holidays: { '2025-07-01': { name: 'Canada Day', multiplier: 2 } },
+  });
+
+  expect(records[0]).toMatchObject({ dayEarnings: 160, holidayName: null, holidayMultiplier: 1 });
+  expect(records[1]).toMatchObject({ dayEarnings: 320, holidayName: 'Canada Day', holidayMultiplier: 2 });
+});
+
+test('client projection and server recompute agree with tiered rules', async () => {
+  const params = {
+    rules: provincialRules,
+    history,
+    fallbackRate: 18,
+    holidays: { '2025-03-05': { name: 'Test Holiday', multiplier: 1.5 } },
+  };
+  expect(buildEarningsRecords({ shifts, ...params })).toEqual(await serverPath(shifts, params));
+});
+
+test('server recompute leaves days of locked pay periods out', async () => {
+  expect(collectWeekStarts(['2025-03-09', '2025-03-03', null, '2025-03-10'])).toEqual(['2025-03-03', '2025-03-10']);
+
+  const server = await serverPath(shifts, { rules: null, history, fallbackRate: 18 }, ['2025-03-03', '2025-03-04']);
+  expect(server['2025-03-03']).toBeUndefined();
+  expect(server['2025-03-05'].totalHours).toBe(12);
+  expect(Object.keys(server)).toHaveLength(12);
+});
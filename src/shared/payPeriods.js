@@ -0,0 +1,111 @@
+/**
+ * Pay period helpers shared by the web app and Cloud Functions.
+ *
+ * The pay frequency lives in SystemSettings/PayrollSettings:
+ *  - weekly:      Monday to Sunday
+ *  - biweekly:    14-day periods aligned on anchorDate (a Monday)
+ *  - semimonthly: 1st-15th and 16th-end of month
+ * Periods are identified by their start date (YYYY-MM-DD).
+ *
+ * PayPeriods/{periodId} stores the status of a period (open -> locked -> paid).
+ * While a period is locked or paid, one PayPeriodLocks/{date} marker exists per
+ * day so Firestore rules and the earnings writers can refuse changes to it.
+ */
+import { addDaysStr, diffDaysStr, getWeekStartStr, parseDateStrUTC, formatDateStrUTC } from './dateStrings.js';
+
+export const PAY_PERIOD_FREQUENCIES = Object.freeze([
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'biweekly', label: 'Bi-weekly' },
+    { value: 'semimonthly', label: 'Semi-monthly' },
+]);
+
+export const PAY_PERIOD_STATUS = Object.freeze({
+    OPEN: 'open',
+    LOCKED: 'locked',
+    PAID: 'paid',
+});
+
+/**
+ * @param {string|undefined} status - PayPeriods status
+ * @returns {boolean} Whether shifts and earnings of the period are frozen
+ */
+export function isLockedStatus(status) {
+    return status === PAY_PERIOD_STATUS.LOCKED || status === PAY_PERIOD_STATUS.PAID;
+}
+
+/**
+ * Lists every date of a period (inclusive).
+ * @param {{start:string, end:string}} period
+ * @returns {string[]}
+ */
+export function listPeriodDates(period) {
+    const dates = [];
+    for (let d = period.start; d <= period.end; d = addDaysStr(d, 1)) {
+        dates.push(d);
+    }
+    return dates;
+}
+
+export const DEFAULT_PAYROLL_SETTINGS = Object.freeze({
+    frequency: 'weekly',
+    anchorDate: '2025-01-06',
+});
+
+/**
+ * Normalizes a SystemSettings/PayrollSettings document.
+ * @param {Object|null|undefined} data - Raw document data
+ * @returns {{frequency:string, anchorDate:string}}
+ */
+export function normalizePayrollSettings(data) {
+    const frequency = PAY_PERIOD_FREQUENCIES.some(f => f.value === data?.frequency)
+        ? data.frequency
+        : DEFAULT_PAYROLL_SETTINGS.frequency;
+    const anchorDate = /^\d{4}-\d{2}-\d{2}$/.test(data?.anchorDate || '')
+        ? getWeekStartStr(data.anchorDate)
+        : DEFAULT_PAYROLL_SETTINGS.anchorDate;
+    return { frequency, anchorDate };
+}
+
+/**
+ * Returns the pay period containing a date.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} settings - PayrollSettings (normalized or raw)
+ * @returns {{id:string, start:string, end:string}}
+ */
+export function getPayPeriodForDate(dateStr, settings) {
+    const { frequency, anchorDate } = normalizePayrollSettings(settings);
+
+    if (frequency === 'semimonthly') {
+        const date = parseDateStrUTC(dateStr);
+        const y = date.getUTCFullYear();
+        const m = date.getUTCMonth();
+        const firstHalf = date.getUTCDate() <= 15;
+        const start = formatDateStrUTC(new Date(Date.UTC(y, m, firstHalf ? 1 : 16)));
+        const end = formatDateStrUTC(firstHalf
+            ? new Date(Date.UTC(y, m, 15))
+            : new Date(Date.UTC(y, m + 1, 0)));
+        return { id: start, start, end };
+    }
+
+    if (frequency === 'biweekly') {
+        const offset = diffDaysStr(anchorDate, dateStr);
+        const periodIndex = Math.floor(offset / 14);
+        const start = addDaysStr(anchorDate, periodIndex * 14);
+        return { id: start, start, end: addDaysStr(start, 13) };
+    }
+
+    const start = getWeekStartStr(dateStr);
+    return { id: start, start, end: addDaysStr(start, 6) };
+}
+
+/**
+ * Returns the period before (direction -1) or after (direction 1) the given one.
+ * @param {{start:string, end:string}} period
+ * @param {Object} settings - PayrollSettings
+ * @param {number} direction - -1 or 1
+ * @returns {{id:string, start:string, end:string}}
+ */
+export function getAdjacentPayPeriod(period, settings, direction) {
+    const pivot = direction < 0 ? addDaysStr(period.start, -1) : addDaysStr(period.end, 1);
+    return getPayPeriodForDate(pivot, settings);
+}
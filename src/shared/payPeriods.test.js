@@ -0,0 +1,53 @@
+import {
+  DEFAULT_PAYROLL_SETTINGS,
+  normalizePayrollSettings,
+  getPayPeriodForDate,
+  getAdjacentPayPeriod,
+  isLockedStatus,
+  listPeriodDates,
+} from './payPeriods';
+
+test('normalizePayrollSettings falls back to defaults', () => {
+  expect(normalizePayrollSettings(null)).toEqual(DEFAULT_PAYROLL_SETTINGS);
+  expect(normalizePayrollSettings({ frequency: 'daily' }).frequency).toBe('weekly');
+  // Anchors are aligned on their Monday
+  expect(normalizePayrollSettings({ frequency: 'biweekly', anchorDate: '2025-01-08' }).anchorDate).toBe('2025-01-06');
+});
+
+test('weekly periods run Monday to Sunday', () => {
+  expect(getPayPeriodForDate('2025-03-09', { frequency: 'weekly' }))
+    .toEqual({ id: '2025-03-03', start: '2025-03-03', end: '2025-03-09' });
+});
+
+test('bi-weekly periods are aligned on the anchor date, before and after it', () => {
+  const settings = { frequency: 'biweekly', anchorDate: '2025-01-06' };
+  expect(getPayPeriodForDate('2025-01-19', settings)).toMatchObject({ start: '2025-01-06', end: '2025-01-19' });
+  expect(getPayPeriodForDate('2025-01-20', settings)).toMatchObject({ start: '2025-01-20', end: '2025-02-02' });
+  expect(getPayPeriodForDate('2025-01-05', settings)).toMatchObject({ start: '2024-12-23', end: '2025-01-05' });
+});
+
+test('semi-monthly periods split the month on the 15th', () => {
+  const settings = { frequency: 'semimonthly' };
+  expect(getPayPeriodForDate('2025-02-15', settings)).toMatchObject({ start: '2025-02-01', end: '2025-02-15' });
+  expect(getPayPeriodForDate('2025-02-16', settings)).toMatchObject({ start: '2025-02-16', end: '2025-02-28' });
+  expect(getPayPeriodForDate('2024-02-20', settings)).toMatchObject({ end: '2024-02-29' });
+});
+
+test('getAdjacentPayPeriod moves one period back and forth', () => {
+  const settings = { frequency: 'semimonthly' };
+  const period = getPayPeriodForDate('2025-03-01', settings);
+  expect(getAdjacentPayPeriod(period, settings, -1)).toMatchObject({ start: '2025-02-16', end: '2025-02-28' });
+  expect(getAdjacentPayPeriod(period, settings, 1)).toMatchObject({ start: '2025-03-16', end: '2025-03-31' });
+});
+
+test('locked and paid periods are frozen', () => {
+  expect(isLockedStatus('open')).toBe(false);
+  expect(isLockedStatus(undefined)).toBe(false);
+  expect(isLockedStatus('locked')).toBe(true);
+  expect(isLockedStatus('paid')).toBe(true);
+});
+
+test('listPeriodDates lists every day of the period', () => {
+  expect(listPeriodDates({ start: '2025-02-27', end: '2025-03-02' }))
+    .toEqual(['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02']);
+});
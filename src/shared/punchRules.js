@@ -0,0 +1,192 @@
+/**
+ * Punch rounding and grace windows shared by the web app and Cloud Functions.
+ *
+ * The rules live in SystemSettings/PunchRules. Raw punches (checkInTimestamp, checkedInTime, ...)
+ * are never rewritten; only the hours derived from them (totalHoursDay, then earnings) use
+ * the effective times returned by applyPunchRules.
+ * Scheduled times and rounding follow the wall clock of `timeZone` (IANA name); without it,
+ * the runtime's zone is used, which is the employee's zone in the browser but UTC on the server.
+ */
+import { addDaysStr } from './dateStrings.js';
+import { evaluateShiftBreaks, summarizeBreaks } from './breakRules.js';
+
+export const ROUNDING_OPTIONS = [0, 5, 10, 15];
+
+export const DEFAULT_PUNCH_RULES = {
+    roundingMinutes: 0,
+    earlyInGraceMinutes: 0,
+    lateOutGraceMinutes: 0,
+    clampToScheduledStart: false,
+    // Seconds a QR code stays valid after the display rotated (read by the punch Cloud Function)
+    qrGraceSeconds: 30
+};
+
+function toNonNegative(value, fallback) {
+    const num = parseFloat(value);
+    return isNaN(num) || num < 0 ? fallback : num;
+}
+
+/**
+ * Fills the missing or invalid fields of SystemSettings/PunchRules with the defaults.
+ * @param {Object} [data] - SystemSettings/PunchRules document
+ * @returns {Object}
+ */
+export function normalizePunchRules(data) {
+    const source = data || {};
+    const rounding = Number(source.roundingMinutes);
+    return {
+        roundingMinutes: ROUNDING_OPTIONS.includes(rounding) ? rounding : DEFAULT_PUNCH_RULES.roundingMinutes,
+        earlyInGraceMinutes: toNonNegative(source.earlyInGraceMinutes, DEFAULT_PUNCH_RULES.earlyInGraceMinutes),
+        lateOutGraceMinutes: toNonNegative(source.lateOutGraceMinutes, DEFAULT_PUNCH_RULES.lateOutGraceMinutes),
+        clampToScheduledStart: source.clampToScheduledStart === true,
+        qrGraceSeconds: toNonNegative(source.qrGraceSeconds, DEFAULT_PUNCH_RULES.qrGraceSeconds)
+    };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant.
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA name; the runtime's zone when missing
+ * @returns {number} Minutes east of UTC
+ */
+export function getZoneOffsetMinutes(date, timeZone) {
+    if (!timeZone) return -date.getTimezoneOffset();
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant of a wall-clock date and time in a time zone.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ * @param {string} [timeZone] - IANA name; the runtime's zone when missing
+ * @returns {Date}
+ */
+export function zonedDateTime(dateStr, time, timeZone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    if (!timeZone) return new Date(year, month - 1, day, hours, minutes, 0, 0);
+
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const offset = getZoneOffsetMinutes(new Date(wallClock), timeZone);
+    const instant = wallClock - offset * 60000;
+    // The offset can differ at the instant itself around a DST change
+    const actualOffset = getZoneOffsetMinutes(new Date(instant), timeZone);
+    return new Date(actualOffset === offset ? instant : wallClock - actualOffset * 60000);
+}
+
+/**
+ * Rounds a time to the nearest step of wall-clock minutes (07:52 -> 07:50 with 5 or 10, 07:45 with 15).
+ * @param {Date} date
+ * @param {number} step - Minutes, 0 leaves the time untouched
+ * @param {string} [timeZone] - IANA name; the runtime's zone when missing
+ * @returns {Date}
+ */
+export function roundToNearestMinutes(date, step, timeZone) {
+    if (!step) return date;
+    const offset = getZoneOffsetMinutes(date, timeZone);
+    const wallClockMinutes = date.getTime() / 60000 + offset;
+    return new Date((Math.round(wallClockMinutes / step) * step - offset) * 60000);
+}
+
+/**
+ * Scheduled start and end of a shift as dates, or nulls when its times are missing.
+ * @param {Object} shift - UserSchedule document
+ * @param {string} [timeZone] - IANA name; the runtime's zone when missing
+ * @returns {{scheduledStart:Date|null, scheduledEnd:Date|null}}
+ */
+export function resolveScheduledWindow(shift, timeZone) {
+    if (!shift || !shift.eventDate || !shift.startHour) return { scheduledStart: null, scheduledEnd: null };
+    const scheduledStart = zonedDateTime(shift.eventDate, shift.startHour, timeZone);
+    if (!shift.endHour) return { scheduledStart, scheduledEnd: null };
+    const endsNextDay = Boolean(shift.overnight || (shift.endDate && shift.endDate !== shift.eventDate)) ||
+        shift.endHour <= shift.startHour;
+    const endDate = endsNextDay ? addDaysStr(shift.eventDate, 1) : shift.eventDate;
+    return { scheduledStart, scheduledEnd: zonedDateTime(endDate, shift.endHour, timeZone) };
+}
+
+/**
+ * Effective check-in and check-out used for the worked hours.
+ * - Check-in before the scheduled start counts from the start when it is within the early-in
+ *   grace window, or always with clampToScheduledStart.
+ * - Check-out after the scheduled end counts until the end when it is within the late-out grace window.
+ * - Punches not moved by a window are rounded to the nearest roundingMinutes.
+ * @param {Object} params
+ * @param {Date} params.checkIn - Raw check-in
+ * @param {Date} params.checkOut - Raw check-out
+ * @param {Date|null} [params.scheduledStart]
+ * @param {Date|null} [params.scheduledEnd]
+ * @param {Object} params.rules - normalizePunchRules output
+ * @param {string} [params.timeZone] - Zone of the rounding; the runtime's zone when missing
+ * @returns {{checkIn:Date, checkOut:Date}}
+ */
+export function applyPunchRules({ checkIn, checkOut, scheduledStart, scheduledEnd, rules, timeZone }) {
+    let effectiveIn = roundToNearestMinutes(checkIn, rules.roundingMinutes, timeZone);
+    if (scheduledStart && checkIn < scheduledStart) {
+        const earlyMinutes = (scheduledStart.getTime() - checkIn.getTime()) / 60000;
+        if (rules.clampToScheduledStart || earlyMinutes <= rules.earlyInGraceMinutes) {
+            effectiveIn = scheduledStart;
+        }
+    }
+
+    let effectiveOut = roundToNearestMinutes(checkOut, rules.roundingMinutes, timeZone);
+    if (scheduledEnd && checkOut > scheduledEnd) {
+        const lateMinutes = (checkOut.getTime() - scheduledEnd.getTime()) / 60000;
+        if (lateMinutes <= rules.lateOutGraceMinutes) {
+            effectiveOut = scheduledEnd;
+        }
+    }
+
+    if (effectiveOut < effectiveIn) effectiveOut = effectiveIn;
+    return { checkIn: effectiveIn, checkOut: effectiveOut };
+}
+
+/**
+ * Worked hours of a shift from its check-in and check-out: the hours between the effective
+ * punches (applyPunchRules) minus the completed unpaid breaks and the auto-deducted meal break.
+ * Used by the punch Cloud Function when it records a check-out.
+ * @param {Object} params
+ * @param {Object} params.shift - UserSchedule document (scheduled times and breaks)
+ * @param {Date} params.checkIn
+ * @param {Date} params.checkOut
+ * @param {Object} params.punchRules - normalizePunchRules output
+ * @param {Object} params.breakRules - normalizeBreakRules output
+ * @param {string} [params.timeZone] - Zone of the scheduled times
+ * @returns {{totalHoursDay:number, autoBreakMinutes:number, mealBreakMissed:boolean}}
+ */
+export function computePunchedShiftHours({ shift, checkIn, checkOut, punchRules, breakRules, timeZone }) {
+    const effective = applyPunchRules({
+        checkIn,
+        checkOut,
+        ...resolveScheduledWindow(shift, timeZone),
+        rules: punchRules,
+        timeZone
+    });
+    const grossHours = Number(((effective.checkOut - effective.checkIn) / 3600000).toFixed(2));
+    const { autoBreakMinutes, mealBreakMissed } = evaluateShiftBreaks({
+        grossHours,
+        breaks: shift.breaks,
+        rules: breakRules
+    });
+    const breakMinutes = summarizeBreaks(shift.breaks).unpaidMinutes + autoBreakMinutes;
+    return {
+        totalHoursDay: breakMinutes > 0
+            ? Number(Math.max(0, grossHours - breakMinutes / 60).toFixed(2))
+            : grossHours,
+        autoBreakMinutes,
+        mealBreakMissed
+    };
+}
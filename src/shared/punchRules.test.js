@@ -0,0 +1,50 @@
+import {
+  getZoneOffsetMinutes,
+  zonedDateTime,
+  roundToNearestMinutes,
+  resolveScheduledWindow,
+  normalizePunchRules,
+  computePunchedShiftHours,
+} from './punchRules';
+import { normalizeBreakRules } from './breakRules';
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+test('zonedDateTime reads wall-clock times in the given zone, across DST changes', () => {
+  expect(getZoneOffsetMinutes(utc('2025-01-15T12:00:00'), 'America/Toronto')).toBe(-300);
+  expect(getZoneOffsetMinutes(utc('2025-07-15T12:00:00'), 'America/Toronto')).toBe(-240);
+  expect(zonedDateTime('2025-03-10', '09:00', 'America/Toronto')).toEqual(utc('2025-03-10T13:00:00'));
+  expect(zonedDateTime('2025-03-08', '22:00', 'America/Toronto')).toEqual(utc('2025-03-09T03:00:00'));
+  expect(zonedDateTime('2025-03-10', '09:00', 'Asia/Kathmandu')).toEqual(utc('2025-03-10T03:15:00'));
+});
+
+test('roundToNearestMinutes and resolveScheduledWindow follow the zone of the shift', () => {
+  // 02:07 UTC is 07:52 in Kathmandu (+05:45): 07:50 there, not 02:10 UTC
+  expect(roundToNearestMinutes(utc('2025-03-10T02:07:00'), 10, 'Asia/Kathmandu')).toEqual(utc('2025-03-10T02:05:00'));
+  expect(roundToNearestMinutes(utc('2025-03-10T02:07:00'), 10, 'UTC')).toEqual(utc('2025-03-10T02:10:00'));
+
+  // Overnight shift over the spring-forward night lasts 7 hours
+  expect(resolveScheduledWindow({ eventDate: '2025-03-08', startHour: '22:00', endHour: '06:00' }, 'America/Toronto'))
+    .toEqual({ scheduledStart: utc('2025-03-09T03:00:00'), scheduledEnd: utc('2025-03-09T10:00:00') });
+});
+
+test('computePunchedShiftHours applies the punch rules, then the breaks', () => {
+  const shift = {
+    eventDate: '2025-03-10',
+    startHour: '09:00',
+    endHour: '17:00',
+    breaks: [{ start: utc('2025-03-10T16:00:00'), end: utc('2025-03-10T16:20:00'), paid: false }],
+  };
+  const punchRules = normalizePunchRules({ roundingMinutes: 15, earlyInGraceMinutes: 10 });
+  const breakRules = normalizeBreakRules({ autoDeductAfterHours: 6, autoDeductMinutes: 30 });
+
+  // 08:55 -> 09:00 (grace), 17:08 -> 17:15 (rounded): 8.25 h minus 20 min taken and 10 min auto-deducted
+  expect(computePunchedShiftHours({
+    shift,
+    checkIn: utc('2025-03-10T12:55:00'),
+    checkOut: utc('2025-03-10T21:08:00'),
+    punchRules,
+    breakRules,
+    timeZone: 'America/Toronto',
+  })).toEqual({ totalHoursDay: 7.75, autoBreakMinutes: 10, mealBreakMissed: false });
+});
@@ -0,0 +1,29 @@
+/**
+ * Wage rate helpers shared by the web app and Cloud Functions.
+ *
+ * Modules in src/shared must stay free of Firebase/npm imports: they are copied
+ * as-is into functions/shared by scripts/sync-shared-modules.js before deploy.
+ */
+
+/**
+ * Given a date string YYYY-MM-DD, select the latest rate whose effectiveFrom <= date.
+ * If not found, use fallback.
+ * @param {Object} params
+ * @param {string} params.dateStr - Date in YYYY-MM-DD format
+ * @param {Array<{rate:number, effectiveFrom:string}>} params.history - Wage history sorted by effectiveFrom asc
+ * @param {number} params.fallback - Rate used when no history entry applies
+ * @returns {number}
+ */
+export function getRateForDate({ dateStr, history, fallback }) {
+    if (!Array.isArray(history) || history.length === 0) return fallback;
+    let chosen = null;
+    for (const h of history) {
+        if (!h || !h.effectiveFrom || typeof h.rate !== 'number') continue;
+        if (h.effectiveFrom <= dateStr) {
+            chosen = h.rate;
+        } else {
+            break;
+        }
+    }
+    return (chosen != null) ? chosen : fallback;
+}
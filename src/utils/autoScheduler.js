@@ -0,0 +1,198 @@
+// Draft schedule generator for the "Generate Draft" action in AddSchedule
+// Fills the under-staffed blocks of a Monday-Sunday week (SystemSettings/StaffingRequirements)
+// with the cheapest eligible employees. Pure and deterministic: the same inputs always give
+// the same draft, and nothing is written until the admin publishes it.
+import { validateShiftPlacement, resolveShiftEnd } from './scheduleUtils';
+import { findStaffingGaps, STAFFING_STATUS } from './coverageHelpers';
+import { checkShiftAvailability } from './availabilityHelpers';
+import { findTimeOffConflict } from './timeOffHelpers';
+import { addDaysStr } from '../shared/dateStrings';
+
+function hoursBetween(startHour, endHour) {
+    const [sh, sm] = startHour.split(':').map(Number);
+    const [eh, em] = endHour.split(':').map(Number);
+    return ((eh * 60 + em) - (sh * 60 + sm)) / 60;
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Shortest same-day template that covers the whole interval, so drafts use the shifts people
+ * already work; ties go to the template name.
+ * @param {Array<Object>} templates - ShiftTemplates documents
+ * @param {string} start - HH:mm
+ * @param {string} end - HH:mm
+ * @returns {Object|null}
+ */
+export function findCoveringTemplate(templates, start, end) {
+    return (templates || [])
+        .filter(template => !template.endsNextDay && template.startHour && template.endHour)
+        .filter(template => template.startHour <= start && template.endHour >= end && template.endHour > template.startHour)
+        .sort((a, b) =>
+            hoursBetween(a.startHour, a.endHour) - hoursBetween(b.startHour, b.endHour) ||
+            (a.name || '').localeCompare(b.name || '')
+        )[0] || null;
+}
+
+/**
+ * Proposes shift assignments for one week.
+ * For every under-staffed block, candidates of the required category are kept when they have no
+ * approved time off, are available, pass validateShiftPlacement (no overlaps, 16h per day) against
+ * their existing and drafted shifts, and stay within the weekly and daily overtime thresholds.
+ * The cheapest candidate (hours x hourlyWage) wins; ties go to fewer hours this week, then user id.
+ * @param {Object} params
+ * @param {string} params.weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} params.requirements - From normalizeStaffingRequirements
+ * @param {Array<Object>} params.users - Active users (id, firstName, lastName, category, hourlyWage, availability)
+ * @param {Object} params.userDailySchedules - Existing shifts by user and date (from useAllSchedules)
+ * @param {Array<Object>} [params.templates] - ShiftTemplates documents
+ * @param {Object} [params.timeOffByUser] - TimeOffRequests keyed by user id
+ * @param {Object} params.overtimeRules - Normalized SystemSettings/OvertimeRules
+ * @param {Array<string>} [params.lockedDates] - Dates in locked pay periods (never drafted)
+ * @returns {{shifts:Array<Object>, unfilled:Array<Object>, totalHours:number, totalCost:number}}
+ */
+export function generateDraftSchedule({
+    weekStart,
+    requirements,
+    users,
+    userDailySchedules,
+    templates = [],
+    timeOffByUser = {},
+    overtimeRules,
+    lockedDates = []
+}) {
+    const dates = Array.from({ length: 7 }, (_, i) => addDaysStr(weekStart, i));
+    const locked = new Set(lockedDates);
+    const sortedUsers = [...(users || [])].sort((a, b) => a.id.localeCompare(b.id));
+
+    const drafted = {}; // userId -> date -> shifts
+    const shiftsOn = (userId, date) => [
+        ...((userDailySchedules && userDailySchedules[userId] && userDailySchedules[userId][date])
+            ? userDailySchedules[userId][date].shifts
+            : []),
+        ...((drafted[userId] && drafted[userId][date]) || [])
+    ];
+
+    // Hours already scheduled per user: this week and per day
+    const weekHours = {};
+    const dayHours = {};
+    sortedUsers.forEach(user => {
+        weekHours[user.id] = 0;
+        dayHours[user.id] = {};
+        dates.forEach(date => {
+            const day = userDailySchedules && userDailySchedules[user.id] && userDailySchedules[user.id][date];
+            const hours = (day && day.totals && day.totals.scheduledHours) || 0;
+            dayHours[user.id][date] = hours;
+            weekHours[user.id] += hours;
+        });
+    });
+
+    const shifts = [];
+    const unfilled = [];
+
+    const pickCandidate = (requirement, date, startHour, endHour) => {
+        const hours = hoursBetween(startHour, endHour);
+        return sortedUsers
+            .filter(user => user.category === requirement.category)
+            .filter(user => !findTimeOffConflict(timeOffByUser[user.id], [date]))
+            .filter(user => checkShiftAvailability(user.availability, { eventDate: date, startHour, endHour, endsNextDay: false }).isAvailable)
+            .filter(user => validateShiftPlacement(
+                { eventDate: date, startHour, endHour, endsNextDay: false },
+                (d) => shiftsOn(user.id, d)
+            ).isValid)
+            .filter(user => weekHours[user.id] + hours <= overtimeRules.thresholdHours)
+            .filter(user => !(overtimeRules.dailyThresholdHours > 0) ||
+                dayHours[user.id][date] + hours <= overtimeRules.dailyThresholdHours)
+            .map(user => ({ user, hours, cost: roundMoney(hours * (Number(user.hourlyWage) || 0)) }))
+            .sort((a, b) =>
+                a.cost - b.cost ||
+                weekHours[a.user.id] - weekHours[b.user.id] ||
+                a.user.id.localeCompare(b.user.id)
+            )[0] || null;
+    };
+
+    dates.forEach(date => {
+        if (locked.has(date)) return;
+
+        (requirements || []).forEach(requirement => {
+            // Under-staffed pieces of this block with the drafted shifts included
+            const underGaps = () => findStaffingGaps({
+                requirements: [requirement],
+                userDailySchedules: Object.fromEntries(sortedUsers.map(user => [
+                    user.id,
+                    { [date]: { shifts: shiftsOn(user.id, date) } }
+                ])),
+                users: sortedUsers,
+                dates: [date]
+            }).filter(g => g.status === STAFFING_STATUS.UNDER);
+
+            // A gap nobody can take is skipped until drafting changes its headcount or bounds
+            const skipped = new Set();
+            for (;;) {
+                const gap = underGaps().find(g => !skipped.has(`${g.start}-${g.end}-${g.scheduled}`));
+                if (!gap) break;
+
+                const template = findCoveringTemplate(templates, gap.start, gap.end);
+                const startHour = template ? template.startHour : gap.start;
+                const endHour = template ? template.endHour : gap.end;
+
+                const candidate = pickCandidate(requirement, date, startHour, endHour);
+                if (!candidate) {
+                    skipped.add(`${gap.start}-${gap.end}-${gap.scheduled}`);
+                    continue;
+                }
+
+                const { user, hours, cost } = candidate;
+                const { endDate, overnight, duration } = resolveShiftEnd(date, startHour, endHour, false);
+                const shift = {
+                    id: `draft_${user.id}_${date}_${startHour}`,
+                    userId: user.id,
+                    userName: `${user.firstName} ${user.lastName}`,
+                    category: requirement.category,
+                    eventDate: date,
+                    startHour,
+                    endHour,
+                    endDate,
+                    overnight,
+                    duration,
+                    endsNextDay: false,
+                    eventDescription: template ? (template.eventDescription || template.name) : requirement.category,
+                    templateId: template ? template.id : null,
+                    hourlyWage: Number(user.hourlyWage) || 0,
+                    hours,
+                    cost
+                };
+
+                if (!drafted[user.id]) drafted[user.id] = {};
+                if (!drafted[user.id][date]) drafted[user.id][date] = [];
+                drafted[user.id][date].push(shift);
+                weekHours[user.id] += hours;
+                dayHours[user.id][date] += hours;
+                shifts.push(shift);
+            }
+
+            underGaps().forEach(gap => unfilled.push({
+                date,
+                category: requirement.category,
+                start: gap.start,
+                end: gap.end,
+                missing: gap.minHeadcount - gap.scheduled
+            }));
+        });
+    });
+
+    shifts.sort((a, b) =>
+        a.eventDate.localeCompare(b.eventDate) ||
+        a.startHour.localeCompare(b.startHour) ||
+        a.userName.localeCompare(b.userName)
+    );
+
+    return {
+        shifts,
+        unfilled,
+        totalHours: Math.round(shifts.reduce((sum, shift) => sum + shift.hours, 0) * 100) / 100,
+        totalCost: roundMoney(shifts.reduce((sum, shift) => sum + shift.cost, 0))
+    };
+}
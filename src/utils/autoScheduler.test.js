@@ -0,0 +1,95 @@
+import { generateDraftSchedule, findCoveringTemplate } from './autoScheduler';
+import { normalizeStaffingRequirements } from './coverageHelpers';
+import { groupShiftsByDate } from './scheduleUtils';
+import { DEFAULT_OVERTIME_RULES } from '../shared/overtimeEngine';
+
+const MANAGER = 'Manager / Supervisor';
+const WEEK = '2025-03-10'; // Monday
+
+// Two managers 07:00-15:00 on Mondays
+const requirements = normalizeStaffingRequirements({
+  open: { category: MANAGER, weekdays: [1], start: '07:00', end: '15:00', minHeadcount: 2 },
+});
+
+const templates = [
+  { id: 't-long', name: 'Long', startHour: '06:00', endHour: '18:00' },
+  { id: 't-open', name: 'Opening', startHour: '07:00', endHour: '15:00', eventDescription: 'Opening' },
+];
+
+const users = [
+  { id: 'm1', firstName: 'Ana', lastName: 'Diaz', category: MANAGER, hourlyWage: 30 },
+  { id: 'm2', firstName: 'Ben', lastName: 'Lee', category: MANAGER, hourlyWage: 20 },
+  { id: 'm3', firstName: 'Cy', lastName: 'Roy', category: MANAGER, hourlyWage: 18 },
+  { id: 'm4', firstName: 'Di', lastName: 'Kim', category: MANAGER, hourlyWage: 15, availability: { 1: { available: false } } },
+  { id: 'k1', firstName: 'Ed', lastName: 'Poe', category: 'Kitchen', hourlyWage: 10 },
+];
+
+const timeOffByUser = {
+  m3: [{ status: 'approved', startDate: '2025-03-10', endDate: '2025-03-10' }],
+};
+
+test('findCoveringTemplate picks the shortest template covering the block', () => {
+  expect(findCoveringTemplate(templates, '07:00', '15:00').id).toBe('t-open');
+  expect(findCoveringTemplate(templates, '06:30', '15:00').id).toBe('t-long');
+  expect(findCoveringTemplate(templates, '05:00', '15:00')).toBeNull();
+});
+
+test('generateDraftSchedule fills the block with the cheapest eligible employees', () => {
+  const params = {
+    weekStart: WEEK,
+    requirements,
+    users,
+    userDailySchedules: {},
+    templates,
+    timeOffByUser,
+    overtimeRules: DEFAULT_OVERTIME_RULES,
+  };
+  const draft = generateDraftSchedule(params);
+
+  // m4 is unavailable on Mondays, m3 is on time off, k1 is in another category
+  expect(draft.shifts.map(({ userId, eventDate, startHour, endHour, templateId }) => ({ userId, eventDate, startHour, endHour, templateId })))
+    .toEqual([
+      { userId: 'm1', eventDate: WEEK, startHour: '07:00', endHour: '15:00', templateId: 't-open' },
+      { userId: 'm2', eventDate: WEEK, startHour: '07:00', endHour: '15:00', templateId: 't-open' },
+    ]);
+  expect(draft.totalHours).toBe(16);
+  expect(draft.totalCost).toBe(400);
+  expect(draft.unfilled).toEqual([]);
+
+  // Deterministic
+  expect(generateDraftSchedule(params)).toEqual(draft);
+});
+
+test('generateDraftSchedule respects existing shifts, overlaps and the weekly overtime threshold', () => {
+  const userDailySchedules = {
+    // m2 already has 37.5h this week, so 4 more would pass the 40h threshold
+    m2: groupShiftsByDate([
+      { id: 'a', eventDate: '2025-03-11', startHour: '06:00', endHour: '18:30' },
+      { id: 'b', eventDate: '2025-03-12', startHour: '06:00', endHour: '18:30' },
+      { id: 'c', eventDate: '2025-03-13', startHour: '06:00', endHour: '18:30' },
+    ]),
+    // m1 already works the first half of the block
+    m1: groupShiftsByDate([
+      { id: 'd', eventDate: WEEK, startHour: '07:00', endHour: '11:00' },
+    ]),
+  };
+
+  const draft = generateDraftSchedule({
+    weekStart: WEEK,
+    requirements,
+    users: users.filter(user => user.id !== 'm4'),
+    userDailySchedules,
+    templates: [],
+    timeOffByUser,
+    overtimeRules: DEFAULT_OVERTIME_RULES,
+  });
+
+  // Only m1 is eligible: they take the afternoon next to their morning shift,
+  // and the second manager stays missing for the whole block
+  expect(draft.shifts.map(({ userId, startHour, endHour }) => ({ userId, startHour, endHour }))).toEqual([
+    { userId: 'm1', startHour: '11:00', endHour: '15:00' },
+  ]);
+  expect(draft.unfilled).toEqual([
+    { date: WEEK, category: MANAGER, start: '07:00', end: '15:00', missing: 1 },
+  ]);
+});
@@ -0,0 +1,126 @@
+// Helpers for the standing weekly availability stored on users/{id}.availability
+// Shape: { [weekday]: { available: boolean, start: 'HH:mm', end: 'HH:mm' } } with weekday = Date.getDay()
+// A user without availability is treated as available at any time.
+import { addDaysStr, parseDateStrUTC } from '../shared/dateStrings';
+import { WEEKDAY_OPTIONS } from './shiftRecurrence';
+
+export const FULL_DAY_START = '00:00';
+export const FULL_DAY_END = '23:59';
+
+/**
+ * Availability grid with every day open all day, used as the editing default.
+ * @returns {Object}
+ */
+export function createDefaultAvailability() {
+    const availability = {};
+    WEEKDAY_OPTIONS.forEach(({ value }) => {
+        availability[value] = { available: true, start: FULL_DAY_START, end: FULL_DAY_END };
+    });
+    return availability;
+}
+
+/**
+ * Fills missing days and fields of a stored availability map.
+ * @param {Object|null} data - users/{id}.availability
+ * @returns {Object|null} Complete seven-day map, or null when the user has none
+ */
+export function normalizeAvailability(data) {
+    if (!data || typeof data !== 'object') return null;
+    const availability = createDefaultAvailability();
+    Object.keys(availability).forEach(day => {
+        const entry = data[day];
+        if (!entry) return;
+        availability[day] = {
+            available: entry.available !== false,
+            start: typeof entry.start === 'string' && entry.start ? entry.start : FULL_DAY_START,
+            end: typeof entry.end === 'string' && entry.end ? entry.end : FULL_DAY_END
+        };
+    });
+    return availability;
+}
+
+/**
+ * Validates an edited availability grid.
+ * @param {Object} availability
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAvailability(availability) {
+    const invalid = WEEKDAY_OPTIONS.find(({ value }) => {
+        const entry = availability && availability[value];
+        return entry && entry.available && !(entry.start < entry.end);
+    });
+    return invalid ? `${invalid.label}: the available window must end after it starts` : null;
+}
+
+function weekdayOf(dateStr) {
+    return parseDateStrUTC(dateStr).getUTCDay();
+}
+
+function isWindowCovered(availability, dateStr, start, end) {
+    const entry = availability[weekdayOf(dateStr)];
+    if (!entry || !entry.available) return false;
+    return start >= entry.start && end <= entry.end;
+}
+
+/**
+ * Checks a shift against the employee's weekly availability.
+ * Overnight shifts are checked on both days (start to midnight, midnight to end).
+ * @param {Object|null} availability - users/{id}.availability
+ * @param {Object} shift - { eventDate, startHour, endHour, endsNextDay }
+ * @returns {{isAvailable:boolean, message:string|null}}
+ */
+export function checkShiftAvailability(availability, { eventDate, startHour, endHour, endsNextDay }) {
+    const normalized = normalizeAvailability(availability);
+    if (!normalized || !eventDate || !startHour || !endHour) {
+        return { isAvailable: true, message: null };
+    }
+
+    const segments = endsNextDay
+        ? [[eventDate, startHour, FULL_DAY_END], [addDaysStr(eventDate, 1), FULL_DAY_START, endHour]]
+        : [[eventDate, startHour, endHour]];
+
+    const outside = segments.find(([date, start, end]) => !isWindowCovered(normalized, date, start, end));
+    if (!outside) {
+        return { isAvailable: true, message: null };
+    }
+
+    const [date] = outside;
+    const entry = normalized[weekdayOf(date)];
+    const dayLabel = WEEKDAY_OPTIONS.find(option => option.value === weekdayOf(date)).label;
+    return {
+        isAvailable: false,
+        message: entry.available
+            ? `Outside availability: ${dayLabel} ${entry.start} - ${entry.end}`
+            : `Outside availability: not available on ${dayLabel}`
+    };
+}
+
+/**
+ * One-line summary for lists, e.g. "Mon 12:00-23:59, Sat off".
+ * Days available all day are omitted.
+ * @param {Object|null} availability
+ * @returns {string} Empty when there are no restrictions
+ */
+export function summarizeAvailability(availability) {
+    const normalized = normalizeAvailability(availability);
+    if (!normalized) return '';
+    return WEEKDAY_OPTIONS
+        .map(({ value, label }) => {
+            const entry = normalized[value];
+            if (!entry.available) return `${label} off`;
+            if (entry.start === FULL_DAY_START && entry.end === FULL_DAY_END) return null;
+            return `${label} ${entry.start}-${entry.end}`;
+        })
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Whether two availability maps describe the same weekly windows.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function isSameAvailability(a, b) {
+    return JSON.stringify(normalizeAvailability(a)) === JSON.stringify(normalizeAvailability(b));
+}
@@ -0,0 +1,46 @@
+import {
+  createDefaultAvailability,
+  normalizeAvailability,
+  validateAvailability,
+  checkShiftAvailability,
+  summarizeAvailability,
+} from './availabilityHelpers';
+
+// Student: no weekday mornings, Sundays off
+const student = {
+  ...createDefaultAvailability(),
+  1: { available: true, start: '12:00', end: '23:59' },
+  2: { available: true, start: '12:00', end: '23:59' },
+  3: { available: true, start: '12:00', end: '23:59' },
+  4: { available: true, start: '12:00', end: '23:59' },
+  5: { available: true, start: '12:00', end: '23:59' },
+  0: { available: false, start: '00:00', end: '23:59' },
+};
+
+test('users without availability are always available', () => {
+  expect(normalizeAvailability(undefined)).toBeNull();
+  expect(checkShiftAvailability(null, { eventDate: '2025-03-10', startHour: '06:00', endHour: '10:00' }))
+    .toEqual({ isAvailable: true, message: null });
+});
+
+test('checkShiftAvailability flags shifts outside the weekday window', () => {
+  // 2025-03-10 is a Monday
+  expect(checkShiftAvailability(student, { eventDate: '2025-03-10', startHour: '13:00', endHour: '21:00' }).isAvailable).toBe(true);
+  expect(checkShiftAvailability(student, { eventDate: '2025-03-10', startHour: '08:00', endHour: '14:00' }))
+    .toEqual({ isAvailable: false, message: 'Outside availability: Mon 12:00 - 23:59' });
+  // Saturday keeps the default full day
+  expect(checkShiftAvailability(student, { eventDate: '2025-03-15', startHour: '06:00', endHour: '12:00' }).isAvailable).toBe(true);
+});
+
+test('overnight shifts are checked on the next day too', () => {
+  // Saturday night into Sunday, which is off
+  expect(checkShiftAvailability(student, { eventDate: '2025-03-15', startHour: '22:00', endHour: '02:00', endsNextDay: true }))
+    .toEqual({ isAvailable: false, message: 'Outside availability: not available on Sun' });
+});
+
+test('validateAvailability and summarizeAvailability', () => {
+  expect(validateAvailability(student)).toBeNull();
+  expect(validateAvailability({ ...student, 3: { available: true, start: '18:00', end: '09:00' } })).toMatch(/^Wed:/);
+  expect(summarizeAvailability(student)).toBe('Mon 12:00-23:59, Tue 12:00-23:59, Wed 12:00-23:59, Thu 12:00-23:59, Fri 12:00-23:59, Sun off');
+  expect(summarizeAvailability(createDefaultAvailability())).toBe('');
+});
@@ -0,0 +1,45 @@
+// Break and meal-period helpers for worked shifts
+// Breaks are stored on the UserSchedule document as `breaks: [{ start, end, paid }]`
+// (Firestore Timestamps, `end` null while the break is running, `paid` false unless set).
+// The rules live in SystemSettings/BreakRules; a threshold of 0 disables the matching rule.
+// Evaluating them is shared with the punch Cloud Function (src/shared/breakRules).
+import { parseDateTime, parseDate } from './scheduleUtils';
+import { addDaysStr } from '../shared/dateStrings';
+import { toDate } from '../shared/breakRules';
+
+export {
+    DEFAULT_BREAK_RULES,
+    normalizeBreakRules,
+    summarizeBreaks,
+    evaluateShiftBreaks
+} from '../shared/breakRules';
+
+/**
+ * Index of the break still running (started, not ended), or -1.
+ * @param {Array<Object>} [breaks]
+ * @returns {number}
+ */
+export function findOpenBreakIndex(breaks) {
+    return (breaks || []).findIndex(b => toDate(b.start) && !toDate(b.end));
+}
+
+/**
+ * Date of a HH:mm break time entered for a shift. Times before the shift start
+ * (check-in, else scheduled start) fall on the next day for overnight shifts.
+ * @param {Object} shift - UserSchedule document
+ * @param {string} time - HH:mm
+ * @returns {Date|null}
+ */
+export function resolveBreakTime(shift, time) {
+    if (!shift || !shift.eventDate || !time) return null;
+    const date = parseDateTime(shift.eventDate, time);
+    if (isNaN(date.getTime())) return null;
+
+    const shiftStart = toDate(shift.checkInTimestamp) ||
+        (shift.startHour ? parseDateTime(shift.eventDate, shift.startHour) : parseDate(shift.eventDate));
+    const endsNextDay = Boolean(shift.overnight || (shift.endDate && shift.endDate !== shift.eventDate));
+    if (endsNextDay && date < shiftStart) {
+        return parseDateTime(addDaysStr(shift.eventDate, 1), time);
+    }
+    return date;
+}
@@ -0,0 +1,60 @@
+import {
+  normalizeBreakRules,
+  evaluateShiftBreaks,
+  findOpenBreakIndex,
+  resolveBreakTime,
+} from './breakHelpers';
+import { computeWorkedHoursForShift } from './timeHelpers';
+
+const at = (time, day = '2025-03-10') => new Date(`${day}T${time}:00`);
+
+const rules = normalizeBreakRules({
+  autoDeductAfterHours: 6,
+  autoDeductMinutes: 30,
+  mealBreakRequiredAfterHours: 5,
+  mealBreakMinutes: 30,
+});
+
+test('computeWorkedHoursForShift subtracts unpaid breaks and the auto-deducted meal', () => {
+  const shift = {
+    checkInTimestamp: at('09:00'),
+    checkOutTimestamp: at('17:00'),
+    breaks: [
+      { start: at('12:00'), end: at('12:30') },
+      { start: at('15:00'), end: at('15:15'), paid: true },
+      { start: at('16:00'), end: null },
+    ],
+  };
+  expect(computeWorkedHoursForShift(shift)).toBe(7.5);
+  expect(computeWorkedHoursForShift({ ...shift, breaks: [], autoBreakMinutes: 30 })).toBe(7.5);
+  expect(findOpenBreakIndex(shift.breaks)).toBe(2);
+});
+
+test('evaluateShiftBreaks tops up the auto deduction and flags missed meal breaks', () => {
+  const shortBreaks = [
+    { start: at('11:00'), end: at('11:15') },
+    { start: at('14:00'), end: at('14:15') },
+  ];
+
+  // Over 6h with no break: 30 min auto-deducted, counted as the meal
+  expect(evaluateShiftBreaks({ grossHours: 8, breaks: [], rules })).toEqual({
+    breakMinutes: 30, autoBreakMinutes: 30, mealBreakMissed: false,
+  });
+  // Two 15 min breaks cover the deduction but not the 30 min meal
+  expect(evaluateShiftBreaks({ grossHours: 8, breaks: shortBreaks, rules })).toEqual({
+    breakMinutes: 30, autoBreakMinutes: 0, mealBreakMissed: true,
+  });
+  // Between the meal and auto-deduct thresholds, no break
+  expect(evaluateShiftBreaks({ grossHours: 5.5, breaks: [], rules }).mealBreakMissed).toBe(true);
+  // Rules disabled by default
+  expect(evaluateShiftBreaks({ grossHours: 12, breaks: [], rules: normalizeBreakRules() })).toEqual({
+    breakMinutes: 0, autoBreakMinutes: 0, mealBreakMissed: false,
+  });
+});
+
+test('resolveBreakTime moves times past midnight to the next day on overnight shifts', () => {
+  const shift = { eventDate: '2025-03-10', startHour: '22:00', endHour: '06:00', overnight: true };
+  expect(resolveBreakTime(shift, '23:30')).toEqual(at('23:30'));
+  expect(resolveBreakTime(shift, '02:00')).toEqual(at('02:00', '2025-03-11'));
+  expect(resolveBreakTime({ ...shift, overnight: false }, '02:00')).toEqual(at('02:00'));
+});
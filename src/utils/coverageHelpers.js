@@ -0,0 +1,239 @@
+// Helpers for staffing coverage in the scheduler views
+// Works on the userDailySchedules shape from useAllSchedules: { userId: { 'YYYY-MM-DD': { shifts, totals } } }
+// Staffing requirements live in SystemSettings/StaffingRequirements:
+// { requirements: { [id]: { category, weekdays: [Date.getDay()], start: 'HH:mm', end: 'HH:mm', minHeadcount, maxHeadcount } } }
+// maxHeadcount is optional; without it a block is never over-staffed.
+import { addDaysStr, parseDateStrUTC } from '../shared/dateStrings';
+import { parseDateTime } from './scheduleUtils';
+import { WEEKDAY_OPTIONS } from './shiftRecurrence';
+
+export const STAFFING_STATUS = Object.freeze({
+    UNDER: 'under',
+    OVER: 'over'
+});
+
+export const STAFFING_COLORS = Object.freeze({
+    under: '#ef4444',
+    over: '#f59e0b'
+});
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Counts scheduled employees, shifts and hours per day.
+ * Continuation fragments of overnight shifts count as presence and hours, not as new shifts.
+ * @param {Object} params
+ * @param {Object} params.userDailySchedules - Shifts by user and date
+ * @param {Array<string>} params.userIds - Employees to include (e.g. the filtered category)
+ * @param {Array<string>} params.dates - Dates to report (YYYY-MM-DD)
+ * @returns {Object<string, {employees:number, shifts:number, hours:number}>}
+ */
+export function computeDailyCoverage({ userDailySchedules, userIds, dates }) {
+    const coverage = {};
+    (dates || []).forEach(date => {
+        coverage[date] = { employees: 0, shifts: 0, hours: 0 };
+    });
+
+    (userIds || []).forEach(userId => {
+        const userDaily = (userDailySchedules && userDailySchedules[userId]) || {};
+        (dates || []).forEach(date => {
+            const day = userDaily[date];
+            if (!day || !day.shifts || day.shifts.length === 0) return;
+            coverage[date].employees += 1;
+            coverage[date].shifts += day.shifts.filter(shift => !shift.isContinuation).length;
+            coverage[date].hours += (day.totals && day.totals.scheduledHours) || 0;
+        });
+    });
+
+    Object.values(coverage).forEach(day => {
+        day.hours = Math.round(day.hours * 100) / 100;
+    });
+    return coverage;
+}
+
+/**
+ * Distinct employee categories, sorted, for the category filters.
+ * @param {Array<Object>} users
+ * @returns {Array<string>}
+ */
+export function listUserCategories(users) {
+    return [...new Set((users || []).map(user => user.category).filter(Boolean))].sort();
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = String(hhmm || '').split(':').map(Number);
+    return (h || 0) * 60 + (m || 0);
+}
+
+function fromMinutes(minutes) {
+    if (minutes >= MINUTES_PER_DAY) return '24:00';
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Minutes of the day a grouped shift covers; overnight shifts stop at midnight,
+// their continuation fragment covers the next morning
+function shiftIntervalOnDay(shift) {
+    const start = shift.isContinuation ? 0 : toMinutes(shift.startHour);
+    const end = toMinutes(shift.endHour);
+    const crossesMidnight = !shift.isContinuation &&
+        ((shift.endDate && shift.endDate !== shift.eventDate) || end <= start);
+    return [start, crossesMidnight ? MINUTES_PER_DAY : end];
+}
+
+/**
+ * Stored requirements as a sorted list (by category, then start time).
+ * @param {Object|null} data - SystemSettings/StaffingRequirements.requirements
+ * @returns {Array<Object>} Requirements with their id
+ */
+export function normalizeStaffingRequirements(data) {
+    return Object.entries(data || {})
+        .map(([id, requirement]) => ({
+            id,
+            category: requirement.category || '',
+            weekdays: Array.isArray(requirement.weekdays) ? requirement.weekdays : [],
+            start: requirement.start || '00:00',
+            end: requirement.end || '23:59',
+            minHeadcount: Number(requirement.minHeadcount) || 0,
+            maxHeadcount: requirement.maxHeadcount === null || requirement.maxHeadcount === undefined || requirement.maxHeadcount === ''
+                ? null
+                : Number(requirement.maxHeadcount)
+        }))
+        .sort((a, b) => a.category.localeCompare(b.category) || a.start.localeCompare(b.start));
+}
+
+/**
+ * Validates a requirement before saving.
+ * @param {Object} requirement
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateStaffingRequirement({ category, weekdays, start, end, minHeadcount, maxHeadcount }) {
+    if (!category) {
+        return 'Please select a category';
+    }
+    if (!weekdays || weekdays.length === 0) {
+        return 'Select at least one day';
+    }
+    if (!start || !end || !(start < end)) {
+        return 'The time block must end after it starts (same day)';
+    }
+    const min = Number(minHeadcount);
+    if (!Number.isInteger(min) || min < 1) {
+        return 'Minimum headcount must be a whole number of 1 or more';
+    }
+    if (maxHeadcount !== null && maxHeadcount !== undefined && maxHeadcount !== '') {
+        const max = Number(maxHeadcount);
+        if (!Number.isInteger(max) || max < min) {
+            return 'Maximum headcount must be a whole number not below the minimum';
+        }
+    }
+    return null;
+}
+
+/**
+ * Short label, e.g. "2 Manager / Supervisor 07:00-15:00 Mon-Fri".
+ * @param {Object} requirement
+ * @returns {string}
+ */
+export function describeStaffingRequirement(requirement) {
+    const days = WEEKDAY_OPTIONS.filter(({ value }) => requirement.weekdays.includes(value)).map(({ label }) => label);
+    const isWeekdays = days.length === 5 && !requirement.weekdays.includes(0) && !requirement.weekdays.includes(6);
+    const dayText = days.length === 7 ? 'every day' : isWeekdays ? 'Mon-Fri' : days.join(', ');
+    const headcount = requirement.maxHeadcount !== null && requirement.maxHeadcount !== undefined
+        ? `${requirement.minHeadcount}-${requirement.maxHeadcount}`
+        : `${requirement.minHeadcount}`;
+    return `${headcount} ${requirement.category} ${requirement.start}-${requirement.end} ${dayText}`;
+}
+
+/**
+ * Compares requirements with the scheduled shifts and lists every under- or over-staffed interval.
+ * Each requirement block is split wherever a shift of that category starts or ends; adjacent
+ * pieces with the same headcount are merged.
+ * @param {Object} params
+ * @param {Array<Object>} params.requirements - From normalizeStaffingRequirements
+ * @param {Object} params.userDailySchedules - Shifts by user and date
+ * @param {Array<Object>} params.users - Users counted (id, category)
+ * @param {Array<string>} params.dates - Dates to check (YYYY-MM-DD)
+ * @returns {Array<{date:string, requirementId:string, category:string, start:string, end:string,
+ *   scheduled:number, minHeadcount:number, maxHeadcount:number|null, status:string}>}
+ */
+export function findStaffingGaps({ requirements, userDailySchedules, users, dates }) {
+    const gaps = [];
+
+    (dates || []).forEach(date => {
+        const weekday = parseDateStrUTC(date).getUTCDay();
+
+        (requirements || []).forEach(requirement => {
+            if (!requirement.weekdays.includes(weekday)) return;
+            const blockStart = toMinutes(requirement.start);
+            const blockEnd = toMinutes(requirement.end);
+
+            // One merged interval list per employee of the category, so double-booked people count once
+            const employeeIntervals = (users || [])
+                .filter(user => user.category === requirement.category)
+                .map(user => {
+                    const day = userDailySchedules && userDailySchedules[user.id] && userDailySchedules[user.id][date];
+                    return ((day && day.shifts) || []).map(shiftIntervalOnDay);
+                })
+                .filter(intervals => intervals.length > 0);
+
+            const cuts = new Set([blockStart, blockEnd]);
+            employeeIntervals.flat().forEach(([start, end]) => {
+                if (start > blockStart && start < blockEnd) cuts.add(start);
+                if (end > blockStart && end < blockEnd) cuts.add(end);
+            });
+            const points = [...cuts].sort((a, b) => a - b);
+
+            let current = null;
+            for (let i = 0; i < points.length - 1; i++) {
+                const [start, end] = [points[i], points[i + 1]];
+                const scheduled = employeeIntervals
+                    .filter(intervals => intervals.some(([s, e]) => s <= start && e >= end))
+                    .length;
+                let status = null;
+                if (scheduled < requirement.minHeadcount) {
+                    status = STAFFING_STATUS.UNDER;
+                } else if (requirement.maxHeadcount !== null && scheduled > requirement.maxHeadcount) {
+                    status = STAFFING_STATUS.OVER;
+                }
+
+                if (current && current.status === status && current.scheduled === scheduled && current.endMinutes === start) {
+                    current.endMinutes = end;
+                    continue;
+                }
+                if (current && current.status) gaps.push(current);
+                current = { date, requirement, start, endMinutes: end, scheduled, status };
+            }
+            if (current && current.status) gaps.push(current);
+        });
+    });
+
+    return gaps
+        .map(({ date, requirement, start, endMinutes, scheduled, status }) => ({
+            date,
+            requirementId: requirement.id,
+            category: requirement.category,
+            start: fromMinutes(start),
+            end: fromMinutes(endMinutes),
+            scheduled,
+            minHeadcount: requirement.minHeadcount,
+            maxHeadcount: requirement.maxHeadcount,
+            status
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start) || a.category.localeCompare(b.category));
+}
+
+/**
+ * Shaded background blocks for the scheduler calendar, one per staffing gap.
+ * @param {Array<Object>} gaps - From findStaffingGaps
+ * @returns {Array<Object>} react-big-calendar background events
+ */
+export function buildStaffingGapEvents(gaps) {
+    return (gaps || []).map(gap => ({
+        id: `staffing_${gap.requirementId}_${gap.date}_${gap.start}`,
+        title: `${gap.status === STAFFING_STATUS.UNDER ? 'Under' : 'Over'}-staffed: ${gap.category} ${gap.scheduled}/${gap.minHeadcount}`,
+        start: parseDateTime(gap.date, gap.start),
+        end: gap.end === '24:00' ? parseDateTime(addDaysStr(gap.date, 1), '00:00') : parseDateTime(gap.date, gap.end),
+        isStaffingGap: true,
+        staffingStatus: gap.status
+    }));
+}
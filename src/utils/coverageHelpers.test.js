@@ -0,0 +1,108 @@
+import {
+  computeDailyCoverage,
+  listUserCategories,
+  normalizeStaffingRequirements,
+  validateStaffingRequirement,
+  describeStaffingRequirement,
+  findStaffingGaps,
+} from './coverageHelpers';
+import { groupShiftsByDate } from './scheduleUtils';
+
+test('computeDailyCoverage counts employees, shifts and hours per day', () => {
+  const userDailySchedules = {
+    u1: groupShiftsByDate([
+      { id: 'a', eventDate: '2025-03-10', startHour: '09:00', endHour: '17:00', eventDescription: 'Day' },
+      { id: 'b', eventDate: '2025-03-11', startHour: '22:00', endHour: '06:00', endDate: '2025-03-12', overnight: true, eventDescription: 'Night' },
+    ]),
+    u2: groupShiftsByDate([
+      { id: 'c', eventDate: '2025-03-10', startHour: '07:00', endHour: '11:00', eventDescription: 'Open' },
+      { id: 'd', eventDate: '2025-03-10', startHour: '15:00', endHour: '19:00', eventDescription: 'Close' },
+    ]),
+    u3: groupShiftsByDate([
+      { id: 'e', eventDate: '2025-03-10', startHour: '09:00', endHour: '17:00', eventDescription: 'Other category' },
+    ]),
+  };
+
+  const coverage = computeDailyCoverage({
+    userDailySchedules,
+    userIds: ['u1', 'u2'],
+    dates: ['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13'],
+  });
+
+  expect(coverage['2025-03-10']).toEqual({ employees: 2, shifts: 3, hours: 16 });
+  expect(coverage['2025-03-11'].shifts).toBe(1);
+  // The continuation of the night shift counts as presence, not as a new shift
+  expect(coverage['2025-03-12']).toEqual({ employees: 1, shifts: 0, hours: 6 });
+  expect(coverage['2025-03-13']).toEqual({ employees: 0, shifts: 0, hours: 0 });
+});
+
+test('listUserCategories returns distinct sorted categories', () => {
+  expect(listUserCategories([
+    { category: 'Kitchen' },
+    { category: 'Bar' },
+    { category: 'Kitchen' },
+    {},
+  ])).toEqual(['Bar', 'Kitchen']);
+});
+
+const MANAGER = 'Manager / Supervisor';
+
+const managerRequirements = normalizeStaffingRequirements({
+  weekdays: { category: MANAGER, weekdays: [1, 2, 3, 4, 5], start: '07:00', end: '15:00', minHeadcount: 2, maxHeadcount: 3 },
+});
+
+test('describeStaffingRequirement and validateStaffingRequirement', () => {
+  expect(describeStaffingRequirement(managerRequirements[0])).toBe('2-3 Manager / Supervisor 07:00-15:00 Mon-Fri');
+  expect(validateStaffingRequirement(managerRequirements[0])).toBeNull();
+  expect(validateStaffingRequirement({ ...managerRequirements[0], end: '06:00' })).toMatch(/end after/);
+  expect(validateStaffingRequirement({ ...managerRequirements[0], maxHeadcount: 1 })).toMatch(/Maximum/);
+});
+
+test('findStaffingGaps lists under- and over-staffed intervals', () => {
+  const users = [
+    { id: 'm1', category: MANAGER },
+    { id: 'm2', category: MANAGER },
+    { id: 'm3', category: MANAGER },
+    { id: 'm4', category: MANAGER },
+    { id: 'k1', category: 'Kitchen' },
+  ];
+  const userDailySchedules = {
+    // 2025-03-10 is a Monday
+    m1: groupShiftsByDate([{ id: 'a', eventDate: '2025-03-10', startHour: '07:00', endHour: '15:00' }]),
+    m2: groupShiftsByDate([
+      { id: 'b', eventDate: '2025-03-10', startHour: '09:00', endHour: '12:00' },
+      { id: 'c', eventDate: '2025-03-10', startHour: '12:00', endHour: '15:00' },
+    ]),
+    m3: groupShiftsByDate([{ id: 'd', eventDate: '2025-03-10', startHour: '10:00', endHour: '11:00' }]),
+    m4: groupShiftsByDate([{ id: 'e', eventDate: '2025-03-09', startHour: '22:00', endHour: '10:30', endDate: '2025-03-10', overnight: true }]),
+    k1: groupShiftsByDate([{ id: 'f', eventDate: '2025-03-10', startHour: '07:00', endHour: '15:00' }]),
+  };
+
+  const gaps = findStaffingGaps({
+    requirements: managerRequirements,
+    userDailySchedules,
+    users,
+    dates: ['2025-03-09', '2025-03-10'],
+  });
+
+  // Sunday has no requirement; m4's night shift covers Monday until 10:30
+  expect(gaps.map(({ start, end, scheduled, status }) => ({ start, end, scheduled, status }))).toEqual([
+    { start: '10:00', end: '10:30', scheduled: 4, status: 'over' },
+  ]);
+
+  const tuesday = findStaffingGaps({
+    requirements: managerRequirements,
+    userDailySchedules: {
+      m1: groupShiftsByDate([{ id: 'g', eventDate: '2025-03-11', startHour: '07:00', endHour: '15:00' }]),
+      m2: groupShiftsByDate([{ id: 'h', eventDate: '2025-03-11', startHour: '11:00', endHour: '19:00' }]),
+    },
+    users,
+    dates: ['2025-03-11'],
+  });
+  expect(tuesday).toEqual([
+    {
+      date: '2025-03-11', requirementId: 'weekdays', category: MANAGER, start: '07:00', end: '11:00',
+      scheduled: 1, minHeadcount: 2, maxHeadcount: 3, status: 'under',
+    },
+  ]);
+});
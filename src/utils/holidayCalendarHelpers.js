@@ -0,0 +1,54 @@
+// Helpers to mark statutory holidays on react-big-calendar views
+import { format } from 'date-fns';
+import { getHolidayForDate } from '../shared/holidays';
+
+export const HOLIDAY_COLOR = '#fde68a';
+
+/**
+ * Builds the dayPropGetter and header components that highlight holidays.
+ * @param {Object} holidays - SystemSettings/Holidays `dates` map
+ * @returns {{dayPropGetter:Function, components:Object}} Props to spread on <Calendar />
+ */
+export function getHolidayCalendarProps(holidays) {
+    const holidayFor = (date) => getHolidayForDate(holidays, format(date, 'yyyy-MM-dd'));
+
+    const dayPropGetter = (date) => {
+        const holiday = holidayFor(date);
+        if (!holiday) return {};
+        return {
+            className: 'rbc-holiday',
+            style: { backgroundColor: HOLIDAY_COLOR }
+        };
+    };
+
+    // Month view cell header: day number + holiday name
+    const MonthDateHeader = ({ label, date }) => {
+        const holiday = holidayFor(date);
+        return (
+            <span title={holiday ? `${holiday.name} (${holiday.multiplier}x)` : undefined}>
+                {label}
+                {holiday && <span className="rbc-holiday-label"> {holiday.name}</span>}
+            </span>
+        );
+    };
+
+    // Week/day view column header
+    const WeekHeader = ({ label, date }) => {
+        const holiday = holidayFor(date);
+        return (
+            <span title={holiday ? `${holiday.name} (${holiday.multiplier}x)` : undefined}>
+                {label}
+                {holiday && <span className="rbc-holiday-label" style={{ display: 'block' }}>{holiday.name}</span>}
+            </span>
+        );
+    };
+
+    return {
+        dayPropGetter,
+        components: {
+            month: { dateHeader: MonthDateHeader },
+            week: { header: WeekHeader },
+            day: { header: WeekHeader }
+        }
+    };
+}
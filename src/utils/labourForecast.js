@@ -0,0 +1,145 @@
+// Projected labour cost of scheduled (not yet worked) shifts, for the Scheduler
+// Runs the scheduled duration of each shift through the shared overtime engine, so the forecast
+// follows the same wage history, overtime tiers and holiday rules as RecordEarnings.
+// The weekly budget lives in SystemSettings/LabourBudget ({ weeklyBudget }).
+import { buildWeeklyEarningsRecords } from '../shared/overtimeEngine';
+import { resolveShiftEnd } from './scheduleUtils';
+import { addDaysStr, getWeekStartStr } from '../shared/dateStrings';
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Planned hours of a shift: its stored duration, or the hours between start and end.
+ * @param {Object} shift - UserSchedule document
+ * @returns {number}
+ */
+export function scheduledHoursOf(shift) {
+    if (typeof shift.duration === 'number' && !isNaN(shift.duration)) return shift.duration;
+    if (!shift.eventDate || !shift.startHour || !shift.endHour) return 0;
+    const endsNextDay = Boolean(shift.overnight || (shift.endDate && shift.endDate !== shift.eventDate));
+    return resolveShiftEnd(shift.eventDate, shift.startHour, shift.endHour, endsNextDay).duration;
+}
+
+/**
+ * Projected labour cost of one Monday-Sunday week, per day and per employee.
+ * Each shift counts on its eventDate, like RecordEarnings.
+ * @param {Object} params
+ * @param {string} params.weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} params.users - Users (id, firstName, lastName, hourlyWage)
+ * @param {Object} params.shiftsByUser - UserSchedule documents keyed by user id
+ * @param {Object} params.rules - SystemSettings/OvertimeRules
+ * @param {Object} [params.historiesByUser] - Wage history (effectiveFrom asc) keyed by user id
+ * @param {Object} [params.holidays] - SystemSettings/Holidays `dates` map
+ * @returns {{weekStart:string, days:Array<{date:string, hours:number, cost:number}>,
+ *   employees:Array<{userId:string, userName:string, hours:number, overtimeHours:number, cost:number}>,
+ *   totalHours:number, totalOvertimeHours:number, totalCost:number}}
+ */
+export function forecastLabourCost({ weekStart, users, shiftsByUser, rules, historiesByUser = {}, holidays }) {
+    const weekEnd = addDaysStr(weekStart, 6);
+    const days = Array.from({ length: 7 }, (_, i) => ({ date: addDaysStr(weekStart, i), hours: 0, cost: 0 }));
+    const employees = [];
+
+    (users || []).forEach(user => {
+        const shifts = ((shiftsByUser && shiftsByUser[user.id]) || [])
+            .filter(shift => !shift.isContinuation && shift.eventDate >= weekStart && shift.eventDate <= weekEnd)
+            .map(shift => {
+                const hours = scheduledHoursOf(shift);
+                return { eventDate: shift.eventDate, duration: hours, totalHoursDay: hours };
+            });
+        if (shifts.length === 0) return;
+
+        const records = buildWeeklyEarningsRecords({
+            weekStartStr: weekStart,
+            shifts,
+            rules,
+            history: historiesByUser[user.id] || [],
+            fallbackRate: parseFloat(user.hourlyWage) || 0,
+            holidays
+        });
+
+        let hours = 0;
+        let overtimeHours = 0;
+        let cost = 0;
+        records.forEach((record, i) => {
+            days[i].hours += record.totalHours;
+            days[i].cost += record.dayEarnings;
+            hours += record.totalHours;
+            overtimeHours += record.overtimeHours;
+            cost += record.dayEarnings;
+        });
+        employees.push({
+            userId: user.id,
+            userName: `${user.firstName} ${user.lastName}`,
+            hours: roundMoney(hours),
+            overtimeHours: roundMoney(overtimeHours),
+            cost: roundMoney(cost)
+        });
+    });
+
+    days.forEach(day => {
+        day.hours = roundMoney(day.hours);
+        day.cost = roundMoney(day.cost);
+    });
+    employees.sort((a, b) => b.cost - a.cost || a.userName.localeCompare(b.userName));
+
+    return {
+        weekStart,
+        days,
+        employees,
+        totalHours: roundMoney(days.reduce((sum, day) => sum + day.hours, 0)),
+        totalOvertimeHours: roundMoney(employees.reduce((sum, employee) => sum + employee.overtimeHours, 0)),
+        totalCost: roundMoney(days.reduce((sum, day) => sum + day.cost, 0))
+    };
+}
+
+/**
+ * Warning shown before adding shifts that would push their week over the weekly budget.
+ * @param {Object} params
+ * @param {Object} params.before - forecastLabourCost of the week without the new shifts
+ * @param {Object} params.after - forecastLabourCost of the week with the new shifts
+ * @param {number} params.weeklyBudget - 0 or missing disables the check
+ * @param {number} [params.shiftCount] - Number of new shifts, for the message
+ * @returns {{shiftCost:number, projectedCost:number, overBy:number, message:string}|null}
+ */
+export function checkLabourBudget({ before, after, weeklyBudget, shiftCount = 1 }) {
+    if (!(weeklyBudget > 0) || after.totalCost <= weeklyBudget) return null;
+    const shiftCost = roundMoney(after.totalCost - before.totalCost);
+    const overBy = roundMoney(after.totalCost - weeklyBudget);
+    const subject = shiftCount > 1 ? `These ${shiftCount} shifts add` : 'This shift adds';
+    return {
+        shiftCost,
+        projectedCost: after.totalCost,
+        overBy,
+        message: `${subject} $${shiftCost.toFixed(2)} and brings the week of ${after.weekStart} to ` +
+            `$${after.totalCost.toFixed(2)}, $${overBy.toFixed(2)} over the $${weeklyBudget.toFixed(2)} budget`
+    };
+}
+
+/**
+ * Budget warnings for a batch of planned shifts (recurring schedule, week copy, auto-schedule):
+ * one per week that the batch would push over the weekly budget.
+ * @param {Object} params
+ * @param {Array<{userId:string, eventDate:string, duration:number}>} params.plannedShifts
+ * @param {function(string, Array<Object>=): Object} params.forecastWeek - From useLabourForecast
+ * @param {number} params.weeklyBudget - 0 or missing disables the check
+ * @returns {Array<Object>} checkLabourBudget results, by week
+ */
+export function checkPlanBudget({ plannedShifts, forecastWeek, weeklyBudget }) {
+    if (!(weeklyBudget > 0) || !forecastWeek) return [];
+    const byWeek = {};
+    (plannedShifts || []).forEach(shift => {
+        const weekStart = getWeekStartStr(shift.eventDate);
+        if (!byWeek[weekStart]) byWeek[weekStart] = [];
+        byWeek[weekStart].push(shift);
+    });
+    return Object.keys(byWeek).sort()
+        .map(weekStart => checkLabourBudget({
+            before: forecastWeek(weekStart),
+            after: forecastWeek(weekStart, byWeek[weekStart]),
+            weeklyBudget,
+            shiftCount: byWeek[weekStart].length
+        }))
+        .filter(Boolean);
+}
@@ -0,0 +1,81 @@
+import { forecastLabourCost, checkLabourBudget, checkPlanBudget, scheduledHoursOf } from './labourForecast';
+import { DEFAULT_OVERTIME_RULES } from '../shared/overtimeEngine';
+
+const WEEK = '2025-03-10'; // Monday
+
+const users = [
+  { id: 'u1', firstName: 'Ana', lastName: 'Diaz', hourlyWage: 20 },
+  { id: 'u2', firstName: 'Ben', lastName: 'Lee', hourlyWage: 15 },
+];
+
+// u1 works 9h Monday to Friday: 45h, 5 of them past the 40h weekly threshold
+const shiftsByUser = {
+  u1: ['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14'].map((eventDate, i) => ({
+    id: `a${i}`, eventDate, startHour: '08:00', endHour: '17:00', duration: 9,
+  })),
+  u2: [
+    { id: 'b1', eventDate: '2025-03-15', startHour: '22:00', endHour: '02:00', endDate: '2025-03-16', overnight: true },
+    { id: 'b2', eventDate: '2025-03-17', startHour: '09:00', endHour: '17:00', duration: 8 }, // next week
+  ],
+};
+
+test('scheduledHoursOf falls back to the shift times', () => {
+  expect(scheduledHoursOf({ duration: 7.5 })).toBe(7.5);
+  expect(scheduledHoursOf(shiftsByUser.u2[0])).toBe(4);
+});
+
+test('forecastLabourCost projects cost per day and employee with weekly overtime and wage history', () => {
+  const forecast = forecastLabourCost({
+    weekStart: WEEK,
+    users,
+    shiftsByUser,
+    rules: DEFAULT_OVERTIME_RULES,
+    historiesByUser: { u2: [{ rate: 18, effectiveFrom: '2025-03-01' }] },
+  });
+
+  // u1: 40h x 20 + 5h x 30; u2: 4h x 18 from the wage history
+  expect(forecast.employees).toEqual([
+    { userId: 'u1', userName: 'Ana Diaz', hours: 45, overtimeHours: 5, cost: 950 },
+    { userId: 'u2', userName: 'Ben Lee', hours: 4, overtimeHours: 0, cost: 72 },
+  ]);
+  expect(forecast.days.map(day => day.cost)).toEqual([180, 180, 180, 180, 230, 72, 0]);
+  expect(forecast.totalHours).toBe(49);
+  expect(forecast.totalCost).toBe(1022);
+});
+
+test('checkLabourBudget warns only when the week ends over budget', () => {
+  const params = { weekStart: WEEK, users, rules: DEFAULT_OVERTIME_RULES };
+  const before = forecastLabourCost({ ...params, shiftsByUser: { u2: shiftsByUser.u2 } });
+  const after = forecastLabourCost({
+    ...params,
+    shiftsByUser: { u2: [...shiftsByUser.u2, { eventDate: '2025-03-12', startHour: '09:00', endHour: '17:00' }] },
+  });
+
+  expect(checkLabourBudget({ before, after, weeklyBudget: 0 })).toBeNull();
+  expect(checkLabourBudget({ before, after, weeklyBudget: 200 })).toBeNull();
+  expect(checkLabourBudget({ before, after, weeklyBudget: 150 })).toMatchObject({
+    shiftCost: 120,
+    projectedCost: 180,
+    overBy: 30,
+  });
+});
+
+test('checkPlanBudget checks every week a batch of planned shifts touches', () => {
+  const params = { users, rules: DEFAULT_OVERTIME_RULES };
+  const forecastWeek = (weekStart, extra = []) => forecastLabourCost({
+    ...params,
+    weekStart,
+    shiftsByUser: { u2: [...shiftsByUser.u2, ...extra] },
+  });
+  const plannedShifts = [
+    { userId: 'u2', eventDate: '2025-03-11', duration: 8 },
+    { userId: 'u2', eventDate: '2025-03-12', duration: 8 },
+    { userId: 'u2', eventDate: '2025-03-18', duration: 8 },
+  ];
+
+  expect(checkPlanBudget({ plannedShifts, forecastWeek, weeklyBudget: 0 })).toEqual([]);
+  const warnings = checkPlanBudget({ plannedShifts, forecastWeek, weeklyBudget: 250 });
+  expect(warnings).toHaveLength(1);
+  expect(warnings[0]).toMatchObject({ shiftCost: 240, projectedCost: 300, overBy: 50 });
+  expect(warnings[0].message).toMatch(/^These 2 shifts add \$240\.00 and brings the week of 2025-03-10/);
+});
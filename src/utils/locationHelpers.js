@@ -0,0 +1,72 @@
+// Helpers for multi-location scheduling
+// Locations live in the Locations collection ({ name, address }); shifts reference one
+// with locationId. Shifts without a locationId (created before locations) only show with no filter,
+// like in payroll, where their hours cannot be attributed to a site.
+import { startOfWeek, endOfWeek, differenceInMinutes } from 'date-fns';
+import { describeGeofenceResult } from '../shared/geofence';
+
+/**
+ * Keeps the calendar events of one location.
+ * @param {Array<Object>} events - Calendar events from useAllSchedules ({ resource: UserSchedule data })
+ * @param {string} locationId - Locations document id, empty for every location
+ * @returns {Array<Object>}
+ */
+export function filterEventsByLocation(events, locationId) {
+    if (!locationId) return events || [];
+    return (events || []).filter(event => event.resource && event.resource.locationId === locationId);
+}
+
+/**
+ * Scheduled hours and shift counts per employee for the current Monday-Sunday week.
+ * @param {Array<Object>} events - Calendar events from useAllSchedules
+ * @param {Date} [now]
+ * @returns {Object<string, {weeklyHours:number, totalShifts:number, upcomingShifts:number}>} Keyed by user id
+ */
+export function computeWeeklyStats(events, now = new Date()) {
+    const weekStart = startOfWeek(now, { weekStartsOn: 1 });
+    const weekEnd = endOfWeek(now, { weekStartsOn: 1 });
+    const stats = {};
+
+    (events || []).forEach(event => {
+        if (!stats[event.userId]) {
+            stats[event.userId] = { weeklyHours: 0, totalShifts: 0, upcomingShifts: 0 };
+        }
+        const userStats = stats[event.userId];
+        if (event.start >= weekStart && event.start <= weekEnd) {
+            userStats.weeklyHours += differenceInMinutes(event.end, event.start) / 60;
+            userStats.totalShifts += 1;
+        }
+        if (event.start > now) {
+            userStats.upcomingShifts += 1;
+        }
+    });
+
+    return stats;
+}
+
+/**
+ * Display name of a location.
+ * @param {Array<Object>} locations - Locations documents ({ id, name })
+ * @param {string} locationId
+ * @returns {string} Empty when the shift has no location or the location was deleted
+ */
+export function getLocationName(locations, locationId) {
+    if (!locationId) return '';
+    const location = (locations || []).find(l => l.id === locationId);
+    return location ? location.name : '';
+}
+
+/**
+ * Explains why a recorded check-in / check-out position was flagged by the geofence.
+ * @param {Object} position - checkInPosition / checkOutPosition of a shift
+ *   ({ latitude, longitude, accuracy, distanceMeters, radiusMeters, geofenceStatus })
+ * @returns {string} Empty when the punch was inside the geofence or not checked
+ */
+export function describePunchPosition(position) {
+    if (!position) return '';
+    return describeGeofenceResult({
+        status: position.geofenceStatus,
+        distanceMeters: position.distanceMeters,
+        radiusMeters: position.radiusMeters
+    });
+}
@@ -0,0 +1,46 @@
+import { filterEventsByLocation, computeWeeklyStats, getLocationName, describePunchPosition } from './locationHelpers';
+
+const at = (day, time) => new Date(`${day}T${time}`);
+const event = (userId, day, start, end, locationId) => ({
+  userId,
+  start: at(day, start),
+  end: at(day, end),
+  resource: locationId ? { locationId } : {},
+});
+
+const events = [
+  event('u1', '2025-03-10', '09:00', '17:00', 'A'),
+  event('u1', '2025-03-12', '09:00', '13:00', 'B'),
+  event('u2', '2025-03-11', '10:00', '16:00'),
+  event('u2', '2025-03-18', '10:00', '16:00', 'A'),
+];
+
+test('filterEventsByLocation keeps the shifts of one location', () => {
+  expect(filterEventsByLocation(events, '')).toBe(events);
+  expect(filterEventsByLocation(events, 'B').map(e => e.userId)).toEqual(['u1']);
+  expect(filterEventsByLocation(events, 'A').map(e => e.start.getDate())).toEqual([10, 18]);
+});
+
+test('computeWeeklyStats counts the current week per employee', () => {
+  const now = at('2025-03-11', '12:00'); // Tuesday
+  expect(computeWeeklyStats(events, now)).toEqual({
+    u1: { weeklyHours: 12, totalShifts: 2, upcomingShifts: 1 },
+    u2: { weeklyHours: 6, totalShifts: 1, upcomingShifts: 1 },
+  });
+  expect(computeWeeklyStats(filterEventsByLocation(events, 'A'), now).u1)
+    .toEqual({ weeklyHours: 8, totalShifts: 1, upcomingShifts: 0 });
+});
+
+test('getLocationName tolerates missing and deleted locations', () => {
+  const locations = [{ id: 'A', name: 'Downtown' }];
+  expect(getLocationName(locations, 'A')).toBe('Downtown');
+  expect(getLocationName(locations, 'Z')).toBe('');
+  expect(getLocationName(locations, undefined)).toBe('');
+});
+
+test('describePunchPosition explains flagged punches', () => {
+  const position = { latitude: 45.5, longitude: -73.5, accuracy: 12, distanceMeters: 420, radiusMeters: 150 };
+  expect(describePunchPosition({ ...position, geofenceStatus: 'outside' })).toBe('Outside the site (420 m away, 150 m allowed)');
+  expect(describePunchPosition({ ...position, geofenceStatus: 'inside' })).toBe('');
+  expect(describePunchPosition(null)).toBe('');
+});
@@ -0,0 +1,43 @@
+// Client-side checks for locked pay periods
+// The Firestore rules enforce the same lock; these checks only give a clear message first.
+import { doc, getDoc } from 'firebase/firestore';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+
+export const LOCKED_PERIOD_MESSAGE = 'This date is in a locked pay period. Record an adjustment on the Payroll page instead.';
+
+/**
+ * Whether a date belongs to a locked or paid pay period.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Promise<boolean>}
+ */
+export async function isDateLocked(dateStr) {
+    if (!dateStr) return false;
+    try {
+        const snap = await getDoc(doc(dbFirestore, 'PayPeriodLocks', dateStr));
+        return snap.exists();
+    } catch (error) {
+        console.error('[PayPeriods] Error checking lock for', dateStr, error);
+        return false;
+    }
+}
+
+/**
+ * Returns every locked date among the given ones.
+ * @param {Array<string>} dates - YYYY-MM-DD values (falsy entries are ignored)
+ * @returns {Promise<Array<string>>}
+ */
+export async function listLockedDates(dates) {
+    const unique = [...new Set((dates || []).filter(Boolean))];
+    const results = await Promise.all(unique.map(isDateLocked));
+    return unique.filter((_, index) => results[index]);
+}
+
+/**
+ * Returns the first locked date among the given ones, or null.
+ * @param {Array<string>} dates - YYYY-MM-DD values (falsy entries are ignored)
+ * @returns {Promise<string|null>}
+ */
+export async function findLockedDate(dates) {
+    const locked = await listLockedDates(dates);
+    return locked.length > 0 ? locked[0] : null;
+}
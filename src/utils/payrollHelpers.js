@@ -0,0 +1,186 @@
+// Helpers to aggregate RecordEarnings into payroll lines and export them
+
+/**
+ * Column layout of the payroll export (CSV and XLSX share it).
+ * Headers are kept stable so the payroll provider import mapping does not break.
+ */
+export const PAYROLL_EXPORT_COLUMNS = [
+    { key: 'userId', header: 'Employee ID', type: String },
+    { key: 'lastName', header: 'Last Name', type: String },
+    { key: 'firstName', header: 'First Name', type: String },
+    { key: 'periodStart', header: 'Period Start', type: String },
+    { key: 'periodEnd', header: 'Period End', type: String },
+    { key: 'hourlyRate', header: 'Hourly Rate', type: Number },
+    { key: 'regularHours', header: 'Regular Hours', type: Number },
+    { key: 'overtimeHours', header: 'Overtime Hours', type: Number },
+    { key: 'doubleTimeHours', header: 'Double Time Hours', type: Number },
+    { key: 'totalHours', header: 'Total Hours', type: Number },
+    { key: 'regularPay', header: 'Regular Pay', type: Number },
+    { key: 'overtimePay', header: 'Premium Pay', type: Number },
+    { key: 'adjustmentHours', header: 'Adjustment Hours', type: Number },
+    { key: 'adjustmentPay', header: 'Adjustment Pay', type: Number },
+    { key: 'grossPay', header: 'Gross Pay', type: Number },
+];
+
+const round2 = (n) => Number((n || 0).toFixed(2));
+
+function createLine(user, period, rate) {
+    return {
+        userId: user.id,
+        firstName: user.firstName || '',
+        lastName: user.lastName || '',
+        category: user.category || '',
+        periodStart: period.start,
+        periodEnd: period.end,
+        hourlyRate: rate,
+        regularHours: 0,
+        overtimeHours: 0,
+        doubleTimeHours: 0,
+        totalHours: 0,
+        regularPay: 0,
+        grossPay: 0,
+        adjustmentHours: 0,
+        adjustmentPay: 0,
+        daysWorked: 0,
+    };
+}
+
+/**
+ * Aggregates RecordEarnings documents into payroll lines.
+ * One line per employee and hourly rate, so a mid-period raise stays exact.
+ * Premium pay covers overtime, double time and holiday multipliers (gross - regular - adjustments).
+ * EarningsAdjustments paid in the period (corrections to locked periods) are added to the
+ * employee's first line, or to a line of their own when nothing was worked.
+ * With a locationId, each day only counts the share of its hours worked at that location
+ * (RecordEarnings.locationHours), premiums included pro rata; adjustments are not tied to a
+ * location and are left out.
+ * @param {Object} params
+ * @param {Array<Object>} params.users - User documents ({ id, firstName, lastName, ... })
+ * @param {Object<string, Array<Object>>} params.recordsByUser - RecordEarnings docs keyed by user id
+ * @param {Object<string, Array<Object>>} [params.adjustmentsByUser] - EarningsAdjustments docs keyed by user id
+ * @param {{start:string, end:string}} params.period - Pay period (inclusive)
+ * @param {string} [params.locationId] - Locations document id, empty for every location
+ * @returns {Array<Object>} Lines sorted by last name, first name, rate
+ */
+export function aggregatePayrollRows({ users, recordsByUser, adjustmentsByUser = {}, period, locationId = '' }) {
+    const rows = [];
+
+    (users || []).forEach(user => {
+        const byRate = {};
+        (recordsByUser[user.id] || []).forEach(rec => {
+            if (!rec?.date || rec.date < period.start || rec.date > period.end) return;
+            const dayHours = parseFloat(rec.totalHours) || 0;
+            if (dayHours <= 0) return;
+            const share = locationId
+                ? Math.min(1, (parseFloat(rec.locationHours?.[locationId]) || 0) / dayHours)
+                : 1;
+            if (share <= 0) return;
+            const totalHours = dayHours * share;
+
+            const rate = parseFloat(rec.hourlyWageSnapshot) || 0;
+            const regularHours = (parseFloat(rec.regularHours) || 0) * share;
+            const hasTiers = rec.ot150Hours != null && rec.ot200Hours != null;
+            const overtimeHours = (hasTiers ? (parseFloat(rec.ot150Hours) || 0) : (parseFloat(rec.overtimeHours) || 0)) * share;
+            const doubleTimeHours = (hasTiers ? (parseFloat(rec.ot200Hours) || 0) : 0) * share;
+            const holidayMultiplier = parseFloat(rec.holidayMultiplier) || 1;
+
+            const key = String(rate);
+            if (!byRate[key]) byRate[key] = createLine(user, period, rate);
+            const line = byRate[key];
+            line.regularHours += regularHours;
+            line.overtimeHours += overtimeHours;
+            line.doubleTimeHours += doubleTimeHours;
+            line.totalHours += totalHours;
+            line.regularPay += regularHours * rate * holidayMultiplier;
+            line.grossPay += (parseFloat(rec.dayEarnings) || 0) * share;
+            line.daysWorked += 1;
+        });
+
+        const adjustments = locationId
+            ? []
+            : (adjustmentsByUser[user.id] || []).filter(adj => adj?.periodStart === period.start);
+        if (adjustments.length > 0) {
+            const lines = Object.values(byRate);
+            const line = lines.length > 0 ? lines[0] : (byRate['0'] = createLine(user, period, 0));
+            adjustments.forEach(adj => {
+                line.adjustmentHours += parseFloat(adj.hours) || 0;
+                line.adjustmentPay += parseFloat(adj.amount) || 0;
+            });
+        }
+
+        Object.values(byRate).forEach(line => {
+            const regularPay = round2(line.regularPay);
+            const adjustmentPay = round2(line.adjustmentPay);
+            const earnedPay = round2(line.grossPay);
+            rows.push({
+                ...line,
+                regularHours: round2(line.regularHours),
+                overtimeHours: round2(line.overtimeHours),
+                doubleTimeHours: round2(line.doubleTimeHours),
+                totalHours: round2(line.totalHours),
+                regularPay,
+                overtimePay: round2(earnedPay - regularPay),
+                adjustmentHours: round2(line.adjustmentHours),
+                adjustmentPay,
+                grossPay: round2(earnedPay + adjustmentPay),
+            });
+        });
+    });
+
+    return rows.sort((a, b) =>
+        a.lastName.localeCompare(b.lastName) ||
+        a.firstName.localeCompare(b.firstName) ||
+        a.hourlyRate - b.hourlyRate
+    );
+}
+
+/**
+ * Sums payroll lines for the totals row.
+ * @param {Array<Object>} rows
+ * @returns {{regularHours:number, overtimeHours:number, doubleTimeHours:number, totalHours:number, regularPay:number, overtimePay:number, adjustmentHours:number, adjustmentPay:number, grossPay:number}}
+ */
+export function sumPayrollRows(rows) {
+    const keys = ['regularHours', 'overtimeHours', 'doubleTimeHours', 'totalHours', 'regularPay', 'overtimePay', 'adjustmentHours', 'adjustmentPay', 'grossPay'];
+    const totals = {};
+    keys.forEach(key => {
+        totals[key] = round2((rows || []).reduce((sum, row) => sum + (row[key] || 0), 0));
+    });
+    return totals;
+}
+
+function escapeCsvValue(value) {
+    const str = value == null ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Spreadsheets run text cells starting with = + - @ (or a tab / CR) as formulas;
+// a leading quote keeps names and categories as plain text. Amounts are formatted numbers.
+function neutralizeFormula(value) {
+    const str = value == null ? '' : String(value);
+    return /^[=+\-@\t\r]/.test(str) ? `'${str}` : str;
+}
+
+/**
+ * Builds the CSV export (RFC 4180, CRLF line endings, header row first).
+ * @param {Array<Object>} rows - Lines from aggregatePayrollRows
+ * @returns {string}
+ */
+export function buildPayrollCsv(rows) {
+    const lines = [PAYROLL_EXPORT_COLUMNS.map(col => escapeCsvValue(col.header)).join(',')];
+    (rows || []).forEach(row => {
+        lines.push(PAYROLL_EXPORT_COLUMNS.map(col => {
+            const value = row[col.key];
+            return escapeCsvValue(col.type === Number ? round2(value).toFixed(2) : neutralizeFormula(value));
+        }).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {{start:string, end:string}} period
+ * @param {string} extension - 'csv' or 'xlsx'
+ * @returns {string}
+ */
+export function getPayrollFileName(period, extension) {
+    return `payroll_${period.start}_${period.end}.${extension}`;
+}
@@ -0,0 +1,120 @@
+import {
+  aggregatePayrollRows,
+  sumPayrollRows,
+  buildPayrollCsv,
+  getPayrollFileName,
+  PAYROLL_EXPORT_COLUMNS,
+} from './payrollHelpers';
+
+const period = { start: '2025-03-03', end: '2025-03-16' };
+
+const users = [
+  { id: 'u2', firstName: 'Zoé', lastName: 'Roy' },
+  { id: 'u1', firstName: 'Ana', lastName: 'Lopez, Jr' },
+];
+
+const recordsByUser = {
+  u1: [
+    { date: '2025-03-02', totalHours: 8, regularHours: 8, hourlyWageSnapshot: 20, dayEarnings: 160 },
+    { date: '2025-03-03', totalHours: 10, regularHours: 8, ot150Hours: 2, ot200Hours: 0, hourlyWageSnapshot: 20, dayEarnings: 220 },
+    { date: '2025-03-04', totalHours: 13, regularHours: 8, ot150Hours: 4, ot200Hours: 1, hourlyWageSnapshot: 20, dayEarnings: 320 },
+    { date: '2025-03-05', totalHours: 0, regularHours: 0, hourlyWageSnapshot: 20, dayEarnings: 0 },
+    { date: '2025-03-10', totalHours: 8, regularHours: 8, ot150Hours: 0, ot200Hours: 0, hourlyWageSnapshot: 22, dayEarnings: 352, holidayMultiplier: 2 },
+  ],
+  u2: [
+    // Legacy record without tier breakdown
+    { date: '2025-03-12', totalHours: 9, regularHours: 7, overtimeHours: 2, hourlyWageSnapshot: 18, dayEarnings: 180 },
+  ],
+};
+
+test('aggregatePayrollRows sums the period per employee and rate', () => {
+  const rows = aggregatePayrollRows({ users, recordsByUser, period });
+
+  expect(rows.map(r => [r.userId, r.hourlyRate])).toEqual([['u1', 20], ['u1', 22], ['u2', 18]]);
+  expect(rows[0]).toMatchObject({
+    regularHours: 16,
+    overtimeHours: 6,
+    doubleTimeHours: 1,
+    totalHours: 23,
+    regularPay: 320,
+    overtimePay: 220,
+    grossPay: 540,
+    daysWorked: 2,
+  });
+  // Holiday multiplier counts in regular pay
+  expect(rows[1]).toMatchObject({ regularPay: 352, overtimePay: 0, grossPay: 352 });
+  expect(rows[2]).toMatchObject({ regularHours: 7, overtimeHours: 2, doubleTimeHours: 0, overtimePay: 54 });
+});
+
+test('sumPayrollRows totals every numeric column', () => {
+  const totals = sumPayrollRows(aggregatePayrollRows({ users, recordsByUser, period }));
+  expect(totals).toMatchObject({ totalHours: 40, grossPay: 1072 });
+});
+
+test('buildPayrollCsv writes the header row and escapes values', () => {
+  const csv = buildPayrollCsv(aggregatePayrollRows({ users, recordsByUser, period }));
+  const lines = csv.trim().split('\r\n');
+
+  expect(lines).toHaveLength(4);
+  expect(lines[0]).toBe(PAYROLL_EXPORT_COLUMNS.map(c => c.header).join(','));
+  expect(lines[1]).toBe('u1,"Lopez, Jr",Ana,2025-03-03,2025-03-16,20.00,16.00,6.00,1.00,23.00,320.00,220.00,0.00,0.00,540.00');
+});
+
+test('buildPayrollCsv keeps text cells from running as spreadsheet formulas', () => {
+  const csv = buildPayrollCsv(aggregatePayrollRows({
+    users: [{ id: 'u1', firstName: '@SUM(A1)', lastName: '=HYPERLINK("http://x","y")' }],
+    recordsByUser: { u1: recordsByUser.u1 },
+    adjustmentsByUser: { u1: [{ periodStart: '2025-03-03', date: '2025-02-25', hours: 0, amount: -10, reason: 'Overpaid' }] },
+    period,
+  }));
+  const line = csv.trim().split('\r\n')[1];
+
+  expect(line.startsWith(`u1,"'=HYPERLINK(""http://x"",""y"")",'@SUM(A1),`)).toBe(true);
+  // Negative amounts stay numbers
+  expect(line).toContain(',-10.00,');
+});
+
+test('aggregatePayrollRows adds adjustments paid in the period to gross pay', () => {
+  const adjustmentsByUser = {
+    u2: [
+      { periodStart: '2025-03-03', date: '2025-02-25', hours: 2, amount: 36, reason: 'Missed punch' },
+      { periodStart: '2025-02-17', date: '2025-02-10', hours: 1, amount: 18, reason: 'Other period' },
+    ],
+    u3: [{ periodStart: '2025-03-03', date: '2025-02-26', hours: 0, amount: -10, reason: 'Overpaid' }],
+  };
+  const rows = aggregatePayrollRows({
+    users: [...users, { id: 'u3', firstName: 'Li', lastName: 'Chen' }],
+    recordsByUser,
+    adjustmentsByUser,
+    period,
+  });
+
+  const roy = rows.find(r => r.userId === 'u2');
+  expect(roy).toMatchObject({ adjustmentHours: 2, adjustmentPay: 36, overtimePay: 54, grossPay: 216 });
+  // Employee with only an adjustment gets a line of their own
+  const chen = rows.find(r => r.userId === 'u3');
+  expect(chen).toMatchObject({ hourlyRate: 0, totalHours: 0, adjustmentPay: -10, grossPay: -10 });
+});
+
+test('getPayrollFileName includes the period bounds', () => {
+  expect(getPayrollFileName(period, 'csv')).toBe('payroll_2025-03-03_2025-03-16.csv');
+});
+
+test('aggregatePayrollRows keeps the share of each day worked at a location', () => {
+  const byLocation = {
+    u1: [
+      // 6 of 10 hours at store A, overtime and pay split pro rata
+      { date: '2025-03-03', totalHours: 10, regularHours: 8, ot150Hours: 2, ot200Hours: 0, hourlyWageSnapshot: 20, dayEarnings: 220, locationHours: { A: 6, B: 4 } },
+      { date: '2025-03-04', totalHours: 8, regularHours: 8, ot150Hours: 0, ot200Hours: 0, hourlyWageSnapshot: 20, dayEarnings: 160, locationHours: { B: 8 } },
+    ],
+  };
+  const adjustmentsByUser = { u1: [{ periodStart: '2025-03-03', hours: 1, amount: 20, reason: 'Missed punch' }] };
+
+  const rows = aggregatePayrollRows({ users, recordsByUser: byLocation, adjustmentsByUser, period, locationId: 'A' });
+  expect(rows).toHaveLength(1);
+  expect(rows[0]).toMatchObject({
+    regularHours: 4.8, overtimeHours: 1.2, totalHours: 6, regularPay: 96, overtimePay: 36,
+    adjustmentPay: 0, grossPay: 132, daysWorked: 1,
+  });
+  expect(sumPayrollRows(aggregatePayrollRows({ users, recordsByUser: byLocation, period, locationId: 'B' })).totalHours).toBe(12);
+});
@@ -0,0 +1,10 @@
+// Punch rounding and grace windows for worked hours
+// The rules are shared with the punch Cloud Function, which applies them when it records a check-out.
+export {
+    ROUNDING_OPTIONS,
+    DEFAULT_PUNCH_RULES,
+    normalizePunchRules,
+    roundToNearestMinutes,
+    resolveScheduledWindow,
+    applyPunchRules
+} from '../shared/punchRules';
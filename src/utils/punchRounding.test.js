@@ -0,0 +1,47 @@
+import { normalizePunchRules, roundToNearestMinutes, applyPunchRules } from './punchRounding';
+import { computeWorkedHoursForShift } from './timeHelpers';
+
+const at = (time, day = '2025-03-10') => new Date(`${day}T${time}`);
+
+test('roundToNearestMinutes rounds on the local clock', () => {
+  expect(roundToNearestMinutes(at('07:52:00'), 5)).toEqual(at('07:50:00'));
+  expect(roundToNearestMinutes(at('07:52:30'), 5)).toEqual(at('07:55:00'));
+  expect(roundToNearestMinutes(at('07:52:00'), 15)).toEqual(at('07:45:00'));
+  expect(roundToNearestMinutes(at('23:55:00'), 10)).toEqual(at('00:00:00', '2025-03-11'));
+  expect(roundToNearestMinutes(at('07:52:10'), 0)).toEqual(at('07:52:10'));
+});
+
+test('applyPunchRules snaps punches inside the grace windows to the schedule', () => {
+  const rules = normalizePunchRules({ roundingMinutes: 15, earlyInGraceMinutes: 10, lateOutGraceMinutes: 5 });
+  const schedule = { scheduledStart: at('09:00:00'), scheduledEnd: at('17:00:00') };
+
+  expect(applyPunchRules({ ...schedule, checkIn: at('08:52:00'), checkOut: at('17:04:00'), rules })).toEqual({
+    checkIn: at('09:00:00'), checkOut: at('17:00:00'),
+  });
+  // Outside the windows: rounded to the nearest 15 minutes
+  expect(applyPunchRules({ ...schedule, checkIn: at('08:40:00'), checkOut: at('17:20:00'), rules })).toEqual({
+    checkIn: at('08:45:00'), checkOut: at('17:15:00'),
+  });
+  // Clamp: no time counted before the scheduled start
+  const clamp = normalizePunchRules({ clampToScheduledStart: true });
+  expect(applyPunchRules({ ...schedule, checkIn: at('08:10:00'), checkOut: at('17:20:00'), rules: clamp })).toEqual({
+    checkIn: at('09:00:00'), checkOut: at('17:20:00'),
+  });
+});
+
+test('computeWorkedHoursForShift uses the rounded punches only when given the rules', () => {
+  const shift = {
+    eventDate: '2025-03-10',
+    startHour: '22:00',
+    endHour: '06:00',
+    overnight: true,
+    checkInTimestamp: at('21:53:00'),
+    checkOutTimestamp: at('06:08:00', '2025-03-11'),
+  };
+  const rules = normalizePunchRules({ roundingMinutes: 15, earlyInGraceMinutes: 10 });
+
+  expect(computeWorkedHoursForShift(shift)).toBe(8.25);
+  expect(computeWorkedHoursForShift(shift, rules)).toBe(8.25); // 22:00 -> 06:15
+  expect(computeWorkedHoursForShift({ ...shift, checkOutTimestamp: at('06:05:00', '2025-03-11') }, rules)).toBe(8);
+  expect(normalizePunchRules({ roundingMinutes: 7 }).roundingMinutes).toBe(0);
+});
@@ -0,0 +1,61 @@
+// Client side of the `punch` Cloud Function (functions/index.js)
+// Check-in, check-out and break punches are stamped with the server time after the QR token
+// is validated; the Firestore rules reject client writes of checkInTimestamp / checkOutTimestamp.
+// Check-in and check-out also send the device position for the location's geofence (src/shared/geofence.js).
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { authFirebase } from '../connections/ConnFirebaseServices';
+
+export const PUNCH_ACTIONS = {
+    CHECK_IN: 'check_in',
+    CHECK_OUT: 'check_out',
+    BREAK_START: 'break_start',
+    BREAK_END: 'break_end'
+};
+
+const POSITION_TIMEOUT_MS = 10000;
+
+/**
+ * Current position of the device, if the browser can and may provide it.
+ * @returns {Promise<{latitude:number, longitude:number, accuracy:number}|null>} null when denied, unavailable or too slow
+ */
+export function getDevicePosition() {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+        return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy }),
+            () => resolve(null),
+            { enableHighAccuracy: true, timeout: POSITION_TIMEOUT_MS, maximumAge: 30000 }
+        );
+    });
+}
+
+/**
+ * Records a punch on a shift.
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the shift (admins may punch for any employee)
+ * @param {string} params.scheduleId - UserSchedule document id
+ * @param {string} params.action - One of PUNCH_ACTIONS
+ * @param {string} params.token - QR token value
+ * @returns {Promise<{success:boolean, action:string, timestamp:number, geofence:Object|null}>} timestamp in ms (server time);
+ *   geofence is { status, distanceMeters, flagged } when the shift's location has a geofence
+ * @throws {Error} The callable error (message is user-facing) when the punch is rejected
+ */
+export async function submitPunch({ userId, scheduleId, action, token }) {
+    const punch = httpsCallable(getFunctions(), 'punch');
+    // Only the employee's own device says where the punch happened
+    const ownShift = authFirebase.currentUser && authFirebase.currentUser.uid === userId;
+    const position = ownShift && (action === PUNCH_ACTIONS.CHECK_IN || action === PUNCH_ACTIONS.CHECK_OUT)
+        ? await getDevicePosition()
+        : null;
+    const result = await punch({
+        userId,
+        scheduleId,
+        action,
+        token,
+        position,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    return result.data;
+}
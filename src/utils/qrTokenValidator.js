@@ -1,26 +1,30 @@
 /**
- * QR Token Validator
+ * QR Token access
  * 
- * Validates that check-in/check-out operations are performed with a valid QR token
- * that matches the current time (hour and minutes).
- * 
- * This prevents external applications from writing to checkInTimestamp and 
- * checkOutTimestamp fields without proper validation.
+ * Tokens are HMAC-signed by the issueQrToken Cloud Function and checked by the
+ * punch Cloud Function (signature, validity window, single use per employee and punch).
+ * Admins can read the code currently shown by a QR display to punch on behalf of an employee.
+ * Each document is the current code of one kiosk (qrTokens/{kioskId}, with its locationId).
  */
 
-import { collection, query, orderBy, limit, getDocs } from 'firebase/firestore';
+import { collection, query, where, orderBy, limit, getDocs } from 'firebase/firestore';
 import { dbFirestore } from '../connections/ConnFirebaseServices';
 
 const TOKEN_COLLECTION = 'qrTokens';
 
 /**
  * Fetches the most recent QR token from Firestore
+ * @param {string} [locationId] - Only the kiosks of this location (shifts with a location
+ *   can only be punched with a code of that location)
  * @returns {Promise<Object|null>} Token data or null if not found
  */
-export async function fetchLatestQRToken() {
+export async function fetchLatestQRToken(locationId) {
     try {
         const tokenCollectionRef = collection(dbFirestore, TOKEN_COLLECTION);
-        const q = query(tokenCollectionRef, orderBy('issuedAt', 'desc'), limit(1));
+        // Equality filter only (no composite index); a location has few kiosks, sorted here
+        const q = locationId
+            ? query(tokenCollectionRef, where('locationId', '==', locationId))
+            : query(tokenCollectionRef, orderBy('issuedAt', 'desc'), limit(1));
         const snapshot = await getDocs(q);
 
         if (snapshot.empty) {
@@ -28,7 +32,9 @@ export async function fetchLatestQRToken() {
             return null;
         }
 
-        const tokenDoc = snapshot.docs[0];
+        const tokenDoc = [...snapshot.docs].sort((a, b) =>
+            (b.data().issuedAt?.toMillis() || 0) - (a.data().issuedAt?.toMillis() || 0)
+        )[0];
         const data = tokenDoc.data();
 
         return {
@@ -46,121 +52,3 @@ export async function fetchLatestQRToken() {
         return null;
     }
 }
-
-/**
- * Validates that the provided token matches the current active token
- * and that the current time (hour:minute) corresponds to the token's validity window
- * 
- * @param {string} providedToken - The token from the QR code
- * @returns {Promise<Object>} Validation result with isValid flag and message
- */
-export async function validateQRToken(providedToken) {
-    if (!providedToken || typeof providedToken !== 'string') {
-        return {
-            isValid: false,
-            message: 'No token provided',
-            code: 'MISSING_TOKEN'
-        };
-    }
-
-    const tokenData = await fetchLatestQRToken();
-
-    if (!tokenData) {
-        return {
-            isValid: false,
-            message: 'No active QR token found in system',
-            code: 'NO_ACTIVE_TOKEN'
-        };
-    }
-
-    if (tokenData.value !== providedToken) {
-        return {
-            isValid: false,
-            message: 'Invalid or expired token',
-            code: 'TOKEN_MISMATCH'
-        };
-    }
-
-    const now = new Date();
-
-    if (tokenData.expiresAt && now > tokenData.expiresAt) {
-        return {
-            isValid: false,
-            message: 'Token has expired',
-            code: 'TOKEN_EXPIRED'
-        };
-    }
-
-    if (tokenData.issuedAt && now < tokenData.issuedAt) {
-        return {
-            isValid: false,
-            message: 'Token not yet valid',
-            code: 'TOKEN_NOT_VALID_YET'
-        };
-    }
-
-    return {
-        isValid: true,
-        message: 'Token validation successful',
-        code: 'VALID',
-        tokenData
-    };
-}
-
-/**
- * Validates token and returns a result suitable for user feedback
- * @param {string} token - QR token to validate
- * @returns {Promise<Object>} Result with success flag and user-friendly message
- */
-export async function validateTokenForCheckInOut(token) {
-    const result = await validateQRToken(token);
-
-    if (!result.isValid) {
-        return {
-            success: false,
-            message: `QR validation failed: ${result.message}`,
-            errorCode: result.code
-        };
-    }
-
-    return {
-        success: true,
-        message: 'QR code validated successfully',
-        tokenData: result.tokenData
-    };
-}
-
-/**
- * Extracts hour and minute from a Date object for comparison
- * @param {Date} date - Date object
- * @returns {string} Time in HH:MM format
- */
-export function extractTimeHHMM(date) {
-    if (!(date instanceof Date) || isNaN(date.getTime())) {
-        return null;
-    }
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${hours}:${minutes}`;
-}
-
-/**
- * Checks if the current time matches the token's time window (within same minute)
- * @param {Date} tokenIssuedAt - Token issued timestamp
- * @param {Date} currentTime - Current timestamp to check
- * @returns {boolean} True if within valid time window
- */
-export function isTimeWithinTokenWindow(tokenIssuedAt, currentTime = new Date()) {
-    if (!tokenIssuedAt || !currentTime) {
-        return false;
-    }
-
-    const tokenTime = extractTimeHHMM(tokenIssuedAt);
-    const currentTimeStr = extractTimeHHMM(currentTime);
-
-    if (!tokenTime || !currentTimeStr) {
-        return false;
-    }
-
-    return tokenTime === currentTimeStr;
-}
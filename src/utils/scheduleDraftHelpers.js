@@ -0,0 +1,134 @@
+// Helpers for draft and published shifts
+// New shifts are written with published: false and stay private to admins until their week is
+// published. Publishing stamps each shift with the version the employee was shown
+// (publishedVersion), so later edits can be reported as changes; deleting a published shift
+// leaves a tombstone in users/{userId}/RemovedShifts until the next publication of its week.
+import { addDaysStr } from '../shared/dateStrings';
+
+export const SCHEDULE_PUBLISHED_NOTIFICATION = 'schedule_published';
+
+/**
+ * Whether employees can see the shift. Shifts written before drafts existed have no flag
+ * and count as published.
+ * @param {Object} shift
+ * @returns {boolean}
+ */
+export function isShiftPublished(shift) {
+    return Boolean(shift) && shift.published !== false;
+}
+
+/**
+ * Time fields of the shift as the employee sees them, stored on publication.
+ * @param {Object} shift
+ * @returns {{eventDate:string, startHour:string, endHour:string, endDate:string|null}}
+ */
+export function buildPublishedVersion(shift) {
+    return {
+        eventDate: shift.eventDate,
+        startHour: shift.startHour,
+        endHour: shift.endHour,
+        endDate: shift.endDate && shift.endDate !== shift.eventDate ? shift.endDate : null
+    };
+}
+
+/**
+ * Whether a published shift was moved or resized since its last publication.
+ * @param {Object} shift
+ * @returns {boolean}
+ */
+export function hasUnpublishedChanges(shift) {
+    if (!isShiftPublished(shift) || !shift.publishedVersion) return false;
+    const current = buildPublishedVersion(shift);
+    return Object.keys(current).some(key => current[key] !== (shift.publishedVersion[key] ?? null));
+}
+
+/**
+ * Tombstone written when a published shift is deleted or moved to another employee.
+ * Keeps the version the employee last saw.
+ * @param {Object} shift - UserSchedule document (with id)
+ * @returns {Object}
+ */
+export function buildRemovedShiftRecord(shift) {
+    return {
+        shiftId: shift.id,
+        ...(shift.publishedVersion || buildPublishedVersion(shift)),
+        eventDescription: shift.eventDescription || ''
+    };
+}
+
+/**
+ * What publishing a Monday-Sunday week does for each employee.
+ * - newShifts: drafts of the week
+ * - changedShifts: published shifts whose times differ from publishedVersion (with `previous`)
+ * - removedShifts: RemovedShifts tombstones of the week
+ * - baselineShifts: published shifts without publishedVersion (stamped silently)
+ * Shifts in locked pay periods are left alone. Only employees with something to do are returned.
+ * @param {Object} params
+ * @param {string} params.weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} params.users - Users (id, firstName, lastName)
+ * @param {Object} params.userDailySchedules - Shifts by user and date (from useAllSchedules)
+ * @param {Object} [params.removedShiftsByUser] - RemovedShifts documents keyed by user id
+ * @param {Array<string>} [params.lockedDates] - Dates in locked pay periods
+ * @returns {Array<{userId:string, userName:string, newShifts:Array, changedShifts:Array,
+ *   removedShifts:Array, baselineShifts:Array}>}
+ */
+export function planWeekPublication({ weekStart, users, userDailySchedules, removedShiftsByUser = {}, lockedDates = [] }) {
+    const weekEnd = addDaysStr(weekStart, 6);
+    const locked = new Set(lockedDates);
+    const inWeek = (date) => date >= weekStart && date <= weekEnd;
+    const byStart = (a, b) => a.eventDate.localeCompare(b.eventDate) || a.startHour.localeCompare(b.startHour);
+
+    return (users || []).map(user => {
+        const days = (userDailySchedules && userDailySchedules[user.id]) || {};
+        const shifts = Object.keys(days)
+            .filter(inWeek)
+            .flatMap(date => days[date].shifts || [])
+            .filter(shift => !shift.isContinuation && !locked.has(shift.eventDate))
+            .sort(byStart);
+
+        return {
+            userId: user.id,
+            userName: `${user.firstName} ${user.lastName}`,
+            newShifts: shifts.filter(shift => !isShiftPublished(shift)),
+            changedShifts: shifts
+                .filter(hasUnpublishedChanges)
+                .map(shift => ({ ...shift, previous: shift.publishedVersion })),
+            removedShifts: (removedShiftsByUser[user.id] || [])
+                .filter(removed => inWeek(removed.eventDate))
+                .sort(byStart),
+            baselineShifts: shifts.filter(shift => isShiftPublished(shift) && !shift.publishedVersion)
+        };
+    }).filter(entry =>
+        entry.newShifts.length + entry.changedShifts.length + entry.removedShifts.length + entry.baselineShifts.length > 0
+    );
+}
+
+/**
+ * Whether the employee gets a notification for this publication.
+ * @param {Object} entry - One entry of planWeekPublication
+ * @returns {boolean}
+ */
+export function isEmployeeAffected(entry) {
+    return entry.newShifts.length + entry.changedShifts.length + entry.removedShifts.length > 0;
+}
+
+function describeShift(shift) {
+    const description = shift.eventDescription ? ` ${shift.eventDescription}` : '';
+    return `${shift.eventDate} ${shift.startHour}-${shift.endHour}${description}`;
+}
+
+/**
+ * Single ScheduleNotification message listing every new, changed and removed shift of the week.
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {Object} entry - One entry of planWeekPublication
+ * @returns {string}
+ */
+export function buildPublicationMessage(weekStart, { newShifts, changedShifts, removedShifts }) {
+    const lines = [`Your schedule for the week of ${weekStart} has been published.`];
+    newShifts.forEach(shift => lines.push(`New: ${describeShift(shift)}`));
+    changedShifts.forEach(shift => lines.push(
+        `Changed: ${describeShift(shift)} (was ${shift.previous.eventDate} ${shift.previous.startHour}-${shift.previous.endHour})`
+    ));
+    removedShifts.forEach(shift => lines.push(`Removed: ${describeShift(shift)}`));
+    return lines.join('\n');
+}
@@ -0,0 +1,77 @@
+import {
+  isShiftPublished,
+  hasUnpublishedChanges,
+  buildRemovedShiftRecord,
+  planWeekPublication,
+  isEmployeeAffected,
+  buildPublicationMessage,
+} from './scheduleDraftHelpers';
+import { groupShiftsByDate } from './scheduleUtils';
+
+const WEEK = '2025-03-10'; // Monday
+const opening = { eventDate: '2025-03-11', startHour: '07:00', endHour: '15:00', endDate: null };
+
+test('shifts without the flag count as published and changes compare against publishedVersion', () => {
+  expect(isShiftPublished({ id: 'legacy' })).toBe(true);
+  expect(isShiftPublished({ id: 'draft', published: false })).toBe(false);
+
+  const published = { id: 'a', ...opening, published: true, publishedVersion: opening };
+  expect(hasUnpublishedChanges(published)).toBe(false);
+  expect(hasUnpublishedChanges({ ...published, endHour: '16:00' })).toBe(true);
+  expect(hasUnpublishedChanges({ ...published, endHour: '16:00', published: false })).toBe(false);
+
+  // The tombstone keeps what the employee last saw
+  expect(buildRemovedShiftRecord({ ...published, startHour: '08:00', eventDescription: 'Opening' })).toEqual({
+    shiftId: 'a',
+    ...opening,
+    eventDescription: 'Opening',
+  });
+});
+
+test('planWeekPublication lists new, changed, removed and baseline shifts per employee', () => {
+  const users = [
+    { id: 'u1', firstName: 'Ana', lastName: 'Diaz' },
+    { id: 'u2', firstName: 'Ben', lastName: 'Lee' },
+    { id: 'u3', firstName: 'Cy', lastName: 'Roy' },
+  ];
+  const userDailySchedules = {
+    u1: groupShiftsByDate([
+      { id: 'new', eventDate: '2025-03-12', startHour: '22:00', endHour: '06:00', endDate: '2025-03-13', overnight: true, published: false },
+      { id: 'moved', eventDate: '2025-03-11', startHour: '09:00', endHour: '17:00', published: true, publishedVersion: opening },
+      { id: 'same', eventDate: '2025-03-14', startHour: '07:00', endHour: '15:00', published: true,
+        publishedVersion: { eventDate: '2025-03-14', startHour: '07:00', endHour: '15:00', endDate: null } },
+      { id: 'nextWeek', eventDate: '2025-03-17', startHour: '07:00', endHour: '15:00', published: false },
+      { id: 'locked', eventDate: '2025-03-10', startHour: '07:00', endHour: '15:00', published: false },
+    ]),
+    u2: groupShiftsByDate([
+      { id: 'legacy', eventDate: '2025-03-13', startHour: '07:00', endHour: '15:00' },
+    ]),
+    u3: groupShiftsByDate([
+      { id: 'old', eventDate: '2025-03-03', startHour: '07:00', endHour: '15:00', published: false },
+    ]),
+  };
+  const removedShiftsByUser = {
+    u1: [{ id: 'r1', shiftId: 'gone', eventDate: '2025-03-15', startHour: '10:00', endHour: '14:00', eventDescription: 'Brunch' }],
+  };
+
+  const plan = planWeekPublication({ weekStart: WEEK, users, userDailySchedules, removedShiftsByUser, lockedDates: ['2025-03-10'] });
+
+  expect(plan.map(entry => entry.userId)).toEqual(['u1', 'u2']);
+  const [u1, u2] = plan;
+  expect(u1.newShifts.map(shift => shift.id)).toEqual(['new']);
+  expect(u1.changedShifts.map(shift => [shift.id, shift.previous])).toEqual([['moved', opening]]);
+  expect(u1.removedShifts.map(shift => shift.shiftId)).toEqual(['gone']);
+  expect(u1.baselineShifts).toEqual([]);
+  expect(isEmployeeAffected(u1)).toBe(true);
+
+  // Legacy shifts only get their publishedVersion, without a notification
+  expect(u2.baselineShifts.map(shift => shift.id)).toEqual(['legacy']);
+  expect(isEmployeeAffected(u2)).toBe(false);
+
+  expect(buildPublicationMessage(WEEK, u1)).toBe([
+    'Your schedule for the week of 2025-03-10 has been published.',
+    'New: 2025-03-12 22:00-06:00',
+    'Changed: 2025-03-11 09:00-17:00 (was 2025-03-11 07:00-15:00)',
+    'Removed: 2025-03-15 10:00-14:00 Brunch',
+  ].join('\n'));
+});
@@ -10,6 +10,7 @@ import {
 import { dbFirestore } from '../connections/ConnFirebaseServices';
 import { differenceInMinutes, parseISO, addHours } from 'date-fns';
 import { parseDateTime } from './scheduleUtils';
+import { isShiftPublished } from './scheduleDraftHelpers';
 
 /**
  * Check if a schedule notification should be created
@@ -28,6 +29,11 @@ export async function checkAndCreateScheduleNotification(shift, userId) {
         return false;
     }
 
+    // Drafts are not visible to the employee yet
+    if (!isShiftPublished(shift)) {
+        return false;
+    }
+
     try {
         // Parse shift start time
         const shiftStartTime = parseDateTime(shift.eventDate, shift.startHour);
@@ -0,0 +1,119 @@
+// Firestore side of draft and published shifts (see scheduleDraftHelpers)
+// Used by AddSchdule.js (Publish Week, undo copy), UserSchedule.js (delete) and shiftMoveHelpers
+import { collection, doc, getDocs, query, where, writeBatch, Timestamp } from 'firebase/firestore';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import {
+    isShiftPublished,
+    isEmployeeAffected,
+    buildPublishedVersion,
+    buildRemovedShiftRecord,
+    buildPublicationMessage,
+    SCHEDULE_PUBLISHED_NOTIFICATION
+} from './scheduleDraftHelpers';
+import { addDaysStr } from '../shared/dateStrings';
+
+// Firestore accepts up to 500 writes per batch
+const BATCH_SIZE = 450;
+
+/**
+ * Adds a RemovedShifts tombstone to a batch or transaction when the shift leaving the
+ * employee's schedule was published, so the next publication of its week reports it.
+ * @param {Object} writer - Firestore WriteBatch or Transaction
+ * @param {string} userId
+ * @param {Object} shift - UserSchedule document (with id)
+ */
+export function writeRemovedShiftRecord(writer, userId, shift) {
+    if (!isShiftPublished(shift)) return;
+    writer.set(doc(collection(dbFirestore, 'users', userId, 'RemovedShifts')), {
+        ...buildRemovedShiftRecord(shift),
+        removedAt: Timestamp.now()
+    });
+}
+
+/**
+ * Adds the deletion of a shift (and its tombstone when published) to a batch or transaction.
+ * @param {Object} writer - Firestore WriteBatch or Transaction
+ * @param {string} userId
+ * @param {Object} shift - UserSchedule document (with id)
+ */
+export function writeShiftRemoval(writer, userId, shift) {
+    writer.delete(doc(dbFirestore, 'users', userId, 'UserSchedule', shift.id));
+    writeRemovedShiftRecord(writer, userId, shift);
+}
+
+/**
+ * Deletes one shift, leaving a tombstone when it was published.
+ * @param {string} userId
+ * @param {Object} shift - UserSchedule document (with id)
+ * @returns {Promise<void>}
+ */
+export async function removeShift(userId, shift) {
+    const batch = writeBatch(dbFirestore);
+    writeShiftRemoval(batch, userId, shift);
+    await batch.commit();
+}
+
+/**
+ * RemovedShifts tombstones of a Monday-Sunday week, keyed by user id.
+ * @param {Array<string>} userIds
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Promise<Object>}
+ */
+export async function loadRemovedShifts(userIds, weekStart) {
+    const entries = await Promise.all(userIds.map(async (userId) => {
+        const snap = await getDocs(query(
+            collection(dbFirestore, 'users', userId, 'RemovedShifts'),
+            where('eventDate', '>=', weekStart),
+            where('eventDate', '<=', addDaysStr(weekStart, 6))
+        ));
+        return [userId, snap.docs.map(d => ({ id: d.id, ...d.data() }))];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Publishes a week planned by planWeekPublication: marks the shifts as published with their
+ * publishedVersion, clears the tombstones and writes one ScheduleNotification per affected employee.
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} plan - From planWeekPublication
+ * @returns {Promise<{shifts:number, notified:number}>}
+ */
+export async function publishWeek(weekStart, plan) {
+    const publishedAt = Timestamp.now();
+    const writes = [];
+    let shifts = 0;
+    let notified = 0;
+
+    plan.forEach(entry => {
+        [...entry.newShifts, ...entry.changedShifts, ...entry.baselineShifts].forEach(shift => {
+            writes.push(batch => batch.update(doc(dbFirestore, 'users', entry.userId, 'UserSchedule', shift.id), {
+                published: true,
+                publishedVersion: buildPublishedVersion(shift),
+                publishedAt
+            }));
+        });
+        entry.removedShifts.forEach(removed => {
+            writes.push(batch => batch.delete(doc(dbFirestore, 'users', entry.userId, 'RemovedShifts', removed.id)));
+        });
+        shifts += entry.newShifts.length + entry.changedShifts.length;
+
+        if (isEmployeeAffected(entry)) {
+            writes.push(batch => batch.set(doc(collection(dbFirestore, 'users', entry.userId, 'ScheduleNotification')), {
+                createdAt: publishedAt,
+                scheduleMessage: buildPublicationMessage(weekStart, entry),
+                shiftId: '',
+                eventDate: weekStart,
+                startHour: '',
+                notificationType: SCHEDULE_PUBLISHED_NOTIFICATION
+            }));
+            notified++;
+        }
+    });
+
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+        const batch = writeBatch(dbFirestore);
+        writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return { shifts, notified };
+}
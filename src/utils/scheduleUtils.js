@@ -1,4 +1,8 @@
-import { differenceInMinutes, isAfter, isBefore, addDays } from 'date-fns';
+import { differenceInMinutes, isAfter, isBefore, addDays, format, isWeekend } from 'date-fns';
+import { getHolidayForDate } from '../shared/holidays';
+
+// Shift types chosen by the scheduler; regular/overtime follow the date instead
+const DATE_DERIVED_SHIFT_TYPES = ['regular', 'overtime'];
 
 /**
  * Creates a Date object from a date string without timezone issues
@@ -22,6 +26,90 @@ export function parseDateTime(dateString, timeString) {
     return new Date(year, month - 1, day, hours, minutes, 0, 0);
 }
 
+/**
+ * Resolves the end date and duration of a shift (overnight when flagged or when end <= start)
+ * @param {string} eventDate - Date in YYYY-MM-DD format
+ * @param {string} startHour - Start time (HH:MM)
+ * @param {string} endHour - End time (HH:MM)
+ * @param {boolean} endsNextDay - Overnight flag from the form
+ * @returns {{endDate:string, overnight:boolean, duration:number}} - duration in hours (2 decimals)
+ */
+export function resolveShiftEnd(eventDate, startHour, endHour, endsNextDay) {
+    const start = parseDateTime(eventDate, startHour);
+    let end = parseDateTime(eventDate, endHour);
+    let endDate = eventDate;
+    if (endsNextDay || end <= start) {
+        endDate = format(addDays(parseDate(eventDate), 1), 'yyyy-MM-dd');
+        end = parseDateTime(endDate, endHour);
+    }
+    return {
+        endDate,
+        overnight: endDate !== eventDate,
+        duration: Number((differenceInMinutes(end, start) / 60).toFixed(2))
+    };
+}
+
+/**
+ * Fields that follow the date of a shift: weekend and holiday flags, and the shift type
+ * (weekend and holiday shifts are shown as overtime). New, copied and moved shifts all use it.
+ * @param {string} eventDate - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {Object} [options.holidays] - SystemSettings/Holidays `dates` map
+ * @param {string} [options.currentType] - Type of an existing shift; break and meeting shifts keep theirs
+ * @returns {{isWeekend:boolean, isHoliday:boolean, shiftType:string}}
+ */
+export function deriveShiftDateFields(eventDate, { holidays, currentType } = {}) {
+    const isWeekendShift = isWeekend(parseDate(eventDate));
+    const isHoliday = Boolean(getHolidayForDate(holidays, eventDate));
+    const keepType = currentType && !DATE_DERIVED_SHIFT_TYPES.includes(currentType);
+    return {
+        isWeekend: isWeekendShift,
+        isHoliday,
+        shiftType: keepType ? currentType : (isWeekendShift || isHoliday ? 'overtime' : 'regular')
+    };
+}
+
+/**
+ * Builds a new UserSchedule document (same shape for single, template and recurring shifts)
+ * createdAt is left to the caller so this stays free of Firestore imports.
+ * New shifts start as drafts (published: false) until their week is published.
+ * @param {Object} params
+ * @param {string} params.eventDate - Date in YYYY-MM-DD format
+ * @param {string} params.startHour - Start time (HH:MM)
+ * @param {string} params.endHour - End time (HH:MM)
+ * @param {boolean} params.endsNextDay - Overnight flag
+ * @param {string} params.eventDescription - Shift description
+ * @param {string} [params.locationId] - Locations document id (omitted when empty)
+ * @param {Object} [params.holidays] - SystemSettings/Holidays `dates` map (see deriveShiftDateFields)
+ * @param {string} [params.shiftType] - Type of a copied shift
+ * @returns {Object} - Document data without createdAt
+ */
+export function buildShiftDocument({ eventDate, startHour, endHour, endsNextDay, eventDescription, locationId, holidays, shiftType }) {
+    const { endDate, overnight, duration } = resolveShiftEnd(eventDate, startHour, endHour, endsNextDay);
+
+    const documentData = {
+        eventDate,
+        eventDescription: eventDescription.trim(),
+        startHour,
+        endHour,
+        duration,
+        ...deriveShiftDateFields(eventDate, { holidays, currentType: shiftType }),
+        overnight,
+        checkedInTime: '',
+        checkedOutTime: '',
+        totalHoursDay: null,
+        status: 'scheduled',
+        published: false
+    };
+    if (overnight) {
+        documentData.endDate = endDate;
+    }
+    if (locationId) {
+        documentData.locationId = locationId;
+    }
+    return documentData;
+}
+
 /**
  * Calculates worked hours for a shift using timestamps if available, otherwise falls back to string times.
  * Supports overnight shifts (checkout next day).
@@ -248,6 +336,109 @@ export const validateShiftOverlap = (newStartTime, newEndTime, date, existingShi
     }
 };
 
+/**
+ * Validates a shift placement against the day it starts on and, for overnight shifts,
+ * against the next day as well. The shift being moved (and its continuation fragment) is ignored.
+ * @param {Object} shift - { eventDate, startHour, endHour, endsNextDay }
+ * @param {function(string): Array} getShiftsForDate - Existing shifts for a YYYY-MM-DD date
+ * @param {string} excludeShiftId - ID of the shift being moved (null for new shifts)
+ * @returns {Object} - Same result shape as validateShiftOverlap
+ */
+export const validateShiftPlacement = ({ eventDate, startHour, endHour, endsNextDay }, getShiftsForDate, excludeShiftId = null) => {
+    const shiftsOn = (date) => (getShiftsForDate(date) || []).filter(shift =>
+        !excludeShiftId || (shift.id !== excludeShiftId && shift.baseShiftId !== excludeShiftId)
+    );
+
+    const result = validateShiftOverlap(startHour, endHour, eventDate, shiftsOn(eventDate), null, {
+        allowOvernight: endsNextDay,
+        maxHours: 16
+    });
+
+    // The overnight part must not collide with the next day's shifts either
+    if (result.isValid && result.overnight && endHour !== '00:00') {
+        const nextDate = format(addDays(parseDate(eventDate), 1), 'yyyy-MM-dd');
+        const nextValidation = validateShiftOverlap('00:00', endHour, nextDate, shiftsOn(nextDate), null, { maxHours: 16 });
+        if (!nextValidation.isValid) return nextValidation;
+    }
+
+    return result;
+};
+
+/**
+ * Whether a calendar event may be dragged: punched shifts keep their times.
+ * Punches are the `punch` callable's timestamps or the HH:mm strings of older shifts.
+ * @param {Object} shift - Stored shift data
+ * @returns {boolean}
+ */
+export function isShiftDraggable(shift) {
+    return Boolean(shift) && !shift.isContinuation &&
+        !shift.checkInTimestamp && !shift.checkOutTimestamp &&
+        !shift.checkedInTime && !shift.checkedOutTime;
+}
+
+/**
+ * Real start/end of a stored shift (overnight shifts end on endDate or the next day)
+ * @param {Object} shift - { eventDate, startHour, endHour, endDate }
+ * @returns {{start:Date, end:Date}}
+ */
+export function getShiftInterval(shift) {
+    const start = parseDateTime(shift.eventDate, shift.startHour);
+    let end;
+    if (shift.endDate && shift.endDate !== shift.eventDate) {
+        end = parseDateTime(shift.endDate, shift.endHour);
+    } else {
+        end = parseDateTime(shift.eventDate, shift.endHour);
+        if (end <= start) {
+            end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+        }
+    }
+    return { start, end };
+}
+
+/**
+ * Maps a drag or resize of a calendar event back onto the stored shift.
+ * Calendars may draw an overnight shift as two pieces, so the moved amount is applied
+ * to the real start/end instead of using the piece bounds directly.
+ * @param {Object} params
+ * @param {Object} params.shift - Stored shift
+ * @param {{start:Date, end:Date}} params.event - Event as drawn before the drag
+ * @param {Date} params.start - New start of the drawn event
+ * @param {Date} params.end - New end of the drawn event
+ * @returns {{start:Date, end:Date}}
+ */
+export function resolveDraggedInterval({ shift, event, start, end }) {
+    const real = getShiftInterval(shift);
+    const startDelta = new Date(start).getTime() - new Date(event.start).getTime();
+    const endDelta = new Date(end).getTime() - new Date(event.end).getTime();
+    return {
+        start: new Date(real.start.getTime() + startDelta),
+        end: new Date(real.end.getTime() + endDelta)
+    };
+}
+
+/**
+ * Time fields of a shift placed between two instants, as updateScheduleTimes stores them
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {{eventDate:string, startHour:string, endHour:string, endDate:(string|null), overnight:boolean,
+ *   duration:number, isWeekend:boolean, endsNextDay:boolean}} - endDate is null for same-day shifts
+ */
+export function buildShiftTimeFields(start, end) {
+    const eventDate = format(start, 'yyyy-MM-dd');
+    const endDateStr = format(end, 'yyyy-MM-dd');
+    const overnight = endDateStr !== eventDate;
+    return {
+        eventDate,
+        startHour: format(start, 'HH:mm'),
+        endHour: format(end, 'HH:mm'),
+        endDate: overnight ? endDateStr : null,
+        overnight,
+        endsNextDay: overnight,
+        duration: Number((differenceInMinutes(end, start) / 60).toFixed(2)),
+        isWeekend: isWeekend(start)
+    };
+}
+
 /**
  * Calculates total hours for all shifts on a specific day
  * @param {Array} shifts - Array of shifts for the day
@@ -0,0 +1,96 @@
+import {
+  getShiftInterval,
+  resolveDraggedInterval,
+  buildShiftTimeFields,
+  validateShiftPlacement,
+  deriveShiftDateFields,
+  isShiftDraggable,
+} from './scheduleUtils';
+
+const at = (dateStr, time) => new Date(`${dateStr}T${time}:00`);
+
+test('resolveDraggedInterval moves the real shift when one overnight piece is dragged', () => {
+  const shift = { id: 's1', eventDate: '2025-03-07', startHour: '22:00', endHour: '06:00', endDate: '2025-03-08', overnight: true };
+  // First piece as drawn by CalendarPanel: 22:00 -> end of day
+  const event = { start: at('2025-03-07', '22:00'), end: new Date(2025, 2, 7, 23, 59, 59, 999) };
+  const moved = resolveDraggedInterval({
+    shift,
+    event,
+    start: at('2025-03-08', '21:00'),
+    end: new Date(2025, 2, 8, 22, 59, 59, 999),
+  });
+
+  expect(moved.start).toEqual(at('2025-03-08', '21:00'));
+  expect(moved.end).toEqual(at('2025-03-09', '05:00'));
+});
+
+test('buildShiftTimeFields returns the fields updateScheduleTimes stores', () => {
+  expect(buildShiftTimeFields(at('2025-03-08', '21:00'), at('2025-03-09', '05:00'))).toEqual({
+    eventDate: '2025-03-08',
+    startHour: '21:00',
+    endHour: '05:00',
+    endDate: '2025-03-09',
+    overnight: true,
+    endsNextDay: true,
+    duration: 8,
+    isWeekend: true,
+  });
+  expect(buildShiftTimeFields(at('2025-03-10', '09:00'), at('2025-03-10', '13:30'))).toMatchObject({
+    endDate: null,
+    overnight: false,
+    duration: 4.5,
+  });
+});
+
+test('validateShiftPlacement ignores the moved shift and checks the next day of overnight shifts', () => {
+  const daily = {
+    '2025-03-10': { shifts: [
+      { id: 's1', eventDate: '2025-03-10', startHour: '09:00', endHour: '17:00', eventDescription: 'Day' },
+    ] },
+    '2025-03-11': { shifts: [
+      { id: 's2', eventDate: '2025-03-11', startHour: '05:00', endHour: '08:00', eventDescription: 'Delivery' },
+    ] },
+  };
+  const getShifts = (date) => (daily[date] ? daily[date].shifts : []);
+
+  // Moving s1 two hours later only conflicts with itself, which is ignored
+  expect(validateShiftPlacement(
+    { eventDate: '2025-03-10', startHour: '11:00', endHour: '19:00', endsNextDay: false },
+    getShifts,
+    's1'
+  ).isValid).toBe(true);
+
+  const overnight = validateShiftPlacement(
+    { eventDate: '2025-03-10', startHour: '22:00', endHour: '06:00', endsNextDay: true },
+    getShifts,
+    null
+  );
+  expect(overnight).toMatchObject({ isValid: false, type: 'overlap_conflict' });
+  expect(overnight.conflictingShift.id).toBe('s2');
+});
+
+test('getShiftInterval handles legacy overnight shifts without endDate', () => {
+  const { start, end } = getShiftInterval({ eventDate: '2025-03-10', startHour: '20:00', endHour: '02:00' });
+  expect(start).toEqual(at('2025-03-10', '20:00'));
+  expect(end).toEqual(at('2025-03-11', '02:00'));
+});
+
+test('deriveShiftDateFields follows the weekend and holidays, keeping chosen types', () => {
+  const holidays = { '2025-07-01': { name: 'Canada Day', multiplier: 2 } };
+  expect(deriveShiftDateFields('2025-06-30', { holidays, currentType: 'overtime' }))
+    .toEqual({ isWeekend: false, isHoliday: false, shiftType: 'regular' });
+  expect(deriveShiftDateFields('2025-07-01', { holidays, currentType: 'regular' }))
+    .toEqual({ isWeekend: false, isHoliday: true, shiftType: 'overtime' });
+  expect(deriveShiftDateFields('2025-07-05')).toMatchObject({ isWeekend: true, shiftType: 'overtime' });
+  expect(deriveShiftDateFields('2025-07-05', { currentType: 'meeting' }).shiftType).toBe('meeting');
+});
+
+test('isShiftDraggable keeps punched shifts in place, whichever way they were punched', () => {
+  const shift = { id: 's1', eventDate: '2025-03-07', startHour: '09:00', endHour: '17:00' };
+  expect(isShiftDraggable(shift)).toBe(true);
+  expect(isShiftDraggable({ ...shift, checkInTimestamp: at('2025-03-07', '08:58') })).toBe(false);
+  expect(isShiftDraggable({ ...shift, checkOutTimestamp: at('2025-03-07', '17:02') })).toBe(false);
+  expect(isShiftDraggable({ ...shift, checkedInTime: '08:58' })).toBe(false);
+  expect(isShiftDraggable({ ...shift, isContinuation: true })).toBe(false);
+  expect(isShiftDraggable(null)).toBe(false);
+});
@@ -0,0 +1,244 @@
+// Helpers to move or resize a shift from the drag-and-drop calendars, and to hand a shift
+// to another employee (open shift claims and swaps)
+// Used by AddSchdule.js (all employees, employee lanes), CalendarPanel (single employee)
+// and the ShiftRequests review page
+import { doc, collection, getDocs, query, where, updateDoc, deleteField, runTransaction, Timestamp } from 'firebase/firestore';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { buildShiftTimeFields, resolveDraggedInterval, validateShiftPlacement, deriveShiftDateFields, isShiftDraggable } from './scheduleUtils';
+import { findLockedDate, LOCKED_PERIOD_MESSAGE } from './payPeriodLocks';
+import {
+    SHIFT_REQUEST_TYPE,
+    SHIFT_REQUEST_STATUS,
+    checkShiftEligibility,
+    getApprovalBlocker,
+    isShiftOvernight
+} from './shiftRequestHelpers';
+import { writeRemovedShiftRecord } from './schedulePublishing';
+import { findTimeOffConflict, getShiftDates } from './timeOffHelpers';
+import { checkShiftAvailability } from './availabilityHelpers';
+import { addDaysStr } from '../shared/dateStrings';
+
+export { isShiftDraggable };
+
+/**
+ * Validates and persists a shift dropped or resized on a calendar.
+ * Writes the same time fields as updateScheduleTimes (duration, endDate, overnight) plus the new
+ * eventDate and the fields that follow it (deriveShiftDateFields). A drop on another employee's lane moves the document to that employee in one transaction;
+ * it becomes a draft for the new employee and, when it was published, a RemovedShifts tombstone
+ * tells the previous one at the next publication.
+ * @param {Object} params
+ * @param {Object} params.shift - Stored shift data ({ id, eventDate, startHour, endHour, endDate, ... })
+ * @param {{start:Date, end:Date}} params.event - Calendar event as drawn before the drag
+ * @param {Date} params.start - New start from the calendar
+ * @param {Date} params.end - New end from the calendar
+ * @param {string} params.fromUserId - Current owner of the shift
+ * @param {string} [params.toUserId] - Target employee (defaults to the current owner)
+ * @param {Object} params.targetDailySchedules - Target employee's shifts by date (groupShiftsByDate shape)
+ * @param {Object} [params.holidays] - SystemSettings/Holidays `dates` map
+ * @param {Array<Object>} [params.timeOffRequests] - Target employee's TimeOffRequests (approved ones block the move)
+ * @param {Object} [params.availability] - Target employee's weekly availability (users/{id}.availability)
+ * @returns {Promise<{success:boolean, message:string, warning?:string}>} warning is set when the
+ *   moved shift falls outside the weekly availability (the move is not blocked)
+ */
+export async function moveShiftFromCalendar({ shift, event, start, end, fromUserId, toUserId, targetDailySchedules, holidays, timeOffRequests, availability }) {
+    if (!isShiftDraggable(shift)) {
+        return { success: false, message: 'Shifts with check-in/out times cannot be moved' };
+    }
+
+    const targetUserId = toUserId || fromUserId;
+    const interval = resolveDraggedInterval({ shift, event, start, end });
+    const fields = buildShiftTimeFields(interval.start, interval.end);
+
+    if (fields.duration < 0.25) {
+        return { success: false, message: 'The shift must last at least 15 minutes' };
+    }
+
+    const validation = validateShiftPlacement(
+        fields,
+        (date) => (targetDailySchedules && targetDailySchedules[date] ? targetDailySchedules[date].shifts : []),
+        targetUserId === fromUserId ? shift.id : null
+    );
+    if (!validation.isValid) {
+        return { success: false, message: validation.message };
+    }
+
+    const timeOff = findTimeOffConflict(timeOffRequests, getShiftDates(fields.eventDate, fields.overnight));
+    if (timeOff) {
+        return { success: false, message: `The employee has approved time off from ${timeOff.startDate} to ${timeOff.endDate}` };
+    }
+
+    const lockedDate = await findLockedDate([shift.eventDate, shift.endDate, fields.eventDate, fields.endDate]);
+    if (lockedDate) {
+        return { success: false, message: LOCKED_PERIOD_MESSAGE };
+    }
+
+    const payload = {
+        eventDate: fields.eventDate,
+        startHour: fields.startHour,
+        endHour: fields.endHour,
+        overnight: fields.overnight,
+        duration: fields.duration,
+        ...deriveShiftDateFields(fields.eventDate, { holidays, currentType: shift.shiftType })
+    };
+
+    const availabilityCheck = checkShiftAvailability(availability, {
+        eventDate: fields.eventDate,
+        startHour: fields.startHour,
+        endHour: fields.endHour,
+        endsNextDay: fields.overnight
+    });
+    const warning = availabilityCheck.isAvailable ? undefined : availabilityCheck.message;
+
+    const sourceRef = doc(dbFirestore, 'users', fromUserId, 'UserSchedule', shift.id);
+
+    if (targetUserId === fromUserId) {
+        await updateDoc(sourceRef, {
+            ...payload,
+            endDate: fields.overnight ? fields.endDate : deleteField()
+        });
+        return { success: true, message: 'Shift moved successfully', warning };
+    }
+
+    // Move to another employee: same document id under the target user
+    await runTransaction(dbFirestore, async (transaction) => {
+        await transferShift(transaction, {
+            shiftId: shift.id,
+            fromUserId,
+            toUserId: targetUserId,
+            buildData: (data) => {
+                const moved = { ...data, ...payload };
+                if (fields.overnight) {
+                    moved.endDate = fields.endDate;
+                } else {
+                    delete moved.endDate;
+                }
+                return moved;
+            }
+        });
+    });
+    return { success: true, message: 'Shift moved to the new employee', warning };
+}
+
+/**
+ * Moves a UserSchedule document to another user inside a transaction (same document id).
+ * The shift becomes a draft for the new employee and, when it was published, a RemovedShifts
+ * tombstone tells the previous one, so the next publication of its week reports the change to both.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} params
+ * @param {string} params.shiftId
+ * @param {string} params.fromUserId
+ * @param {string} params.toUserId
+ * @param {function(Object): Object} params.buildData - Maps the current shift data to the moved document
+ * @returns {Promise<Object>} The current shift data
+ */
+async function transferShift(transaction, { shiftId, fromUserId, toUserId, buildData }) {
+    const sourceRef = doc(dbFirestore, 'users', fromUserId, 'UserSchedule', shiftId);
+    const targetRef = doc(dbFirestore, 'users', toUserId, 'UserSchedule', shiftId);
+
+    const sourceSnap = await transaction.get(sourceRef);
+    if (!sourceSnap.exists()) {
+        throw new Error('The shift no longer exists');
+    }
+    const targetSnap = await transaction.get(targetRef);
+    if (targetSnap.exists()) {
+        throw new Error('The employee already has this shift');
+    }
+
+    const moved = { ...buildData(sourceSnap.data()), movedFromUserId: fromUserId, published: false };
+    delete moved.publishedVersion;
+    transaction.set(targetRef, moved);
+    transaction.delete(sourceRef);
+    writeRemovedShiftRecord(transaction, fromUserId, { id: shiftId, ...sourceSnap.data() });
+    return sourceSnap.data();
+}
+
+/**
+ * Hands a shift to another employee after an open shift claim or a swap is approved.
+ * Inside one transaction: re-reads the request (it must be claimed or accepted by the receiving
+ * employee, see getApprovalBlocker), the shift and the PayPeriodLocks markers of its dates,
+ * re-runs the overlap rules and the time-off check for the receiving employee, then moves the
+ * document (as a draft, like a calendar move, see transferShift), closes the request and
+ * notifies both employees (PrivateNotification).
+ * The web SDK cannot read queries in a transaction, so the receiving employee's shifts and
+ * time off are re-queried on every attempt, right before the writes.
+ * @param {Object} params
+ * @param {string} params.requestId - ShiftRequests document id
+ * @param {string} params.shiftId
+ * @param {string} params.fromUserId - Current owner
+ * @param {string} params.toUserId - Receiving employee
+ * @param {{from:string, to:string}} params.messages - Notification text for each employee
+ * @returns {Promise<{success:boolean, message:string}>}
+ */
+export async function reassignShift({ requestId, shiftId, fromUserId, toUserId, messages }) {
+    const requestRef = doc(dbFirestore, 'ShiftRequests', requestId);
+    const shiftRef = doc(dbFirestore, 'users', fromUserId, 'UserSchedule', shiftId);
+
+    return runTransaction(dbFirestore, async (transaction) => {
+        const requestSnap = await transaction.get(requestRef);
+        const request = requestSnap.exists() ? requestSnap.data() : null;
+        const blocker = getApprovalBlocker(request);
+        if (blocker) {
+            return { success: false, message: blocker };
+        }
+        const receiverId = request.type === SHIFT_REQUEST_TYPE.OPEN ? request.claimedBy : request.toUserId;
+        if (receiverId !== toUserId) {
+            return { success: false, message: 'The request was answered by another employee' };
+        }
+
+        const shiftSnap = await transaction.get(shiftRef);
+        if (!shiftSnap.exists()) {
+            return { success: false, message: 'The shift no longer exists' };
+        }
+        const shift = { id: shiftSnap.id, ...shiftSnap.data() };
+        if (!isShiftDraggable(shift)) {
+            return { success: false, message: 'Shifts with check-in/out times cannot be reassigned' };
+        }
+
+        const lockDates = [shift.eventDate, isShiftOvernight(shift) ? shift.endDate : null].filter(Boolean);
+        const lockSnaps = await Promise.all(
+            lockDates.map(date => transaction.get(doc(dbFirestore, 'PayPeriodLocks', date)))
+        );
+        if (lockSnaps.some(snap => snap.exists())) {
+            return { success: false, message: LOCKED_PERIOD_MESSAGE };
+        }
+
+        // Receiving employee's shifts around the date (covers overnight shifts on either side)
+        const [receivingSnap, timeOffSnap] = await Promise.all([
+            getDocs(query(
+                collection(dbFirestore, 'users', toUserId, 'UserSchedule'),
+                where('eventDate', '>=', addDaysStr(shift.eventDate, -1)),
+                where('eventDate', '<=', addDaysStr(shift.eventDate, 1))
+            )),
+            getDocs(collection(dbFirestore, 'users', toUserId, 'TimeOffRequests'))
+        ]);
+        const eligibility = checkShiftEligibility({
+            shift,
+            existingShifts: receivingSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+            timeOffRequests: timeOffSnap.docs.map(d => d.data())
+        });
+        if (!eligibility.eligible) {
+            return { success: false, message: eligibility.reason };
+        }
+
+        await transferShift(transaction, {
+            shiftId,
+            fromUserId,
+            toUserId,
+            buildData: (data) => ({ ...data, shiftRequestId: requestId })
+        });
+        transaction.update(requestRef, {
+            status: SHIFT_REQUEST_STATUS.APPROVED,
+            toUserId,
+            reviewedAt: Timestamp.now()
+        });
+        transaction.set(doc(collection(dbFirestore, 'users', fromUserId, 'PrivateNotification')), {
+            createdAt: Timestamp.now(),
+            privateMessage: messages.from
+        });
+        transaction.set(doc(collection(dbFirestore, 'users', toUserId, 'PrivateNotification')), {
+            createdAt: Timestamp.now(),
+            privateMessage: messages.to
+        });
+        return { success: true, message: 'Shift reassigned' };
+    });
+}
@@ -0,0 +1,193 @@
+// Helpers for the recurring schedule builder and the copy week action in AddSchedule
+// Expands a weekly recurrence (or a source week) into shifts and validates every
+// generated shift (locked periods, approved time off, overlap + 16h limits) before anything
+// is written to Firestore.
+import { validateShiftPlacement, resolveShiftEnd } from './scheduleUtils';
+import { findTimeOffConflict, getShiftDates } from './timeOffHelpers';
+import { addDaysStr, diffDaysStr, parseDateStrUTC } from '../shared/dateStrings';
+
+// Monday first, like the rest of the scheduler (value = Date.getDay())
+export const WEEKDAY_OPTIONS = [
+    { value: 1, label: 'Mon' },
+    { value: 2, label: 'Tue' },
+    { value: 3, label: 'Wed' },
+    { value: 4, label: 'Thu' },
+    { value: 5, label: 'Fri' },
+    { value: 6, label: 'Sat' },
+    { value: 0, label: 'Sun' }
+];
+
+// Longest range the builder accepts in one run
+export const MAX_RECURRENCE_DAYS = 92;
+
+/**
+ * Lists the dates of a weekly recurrence.
+ * @param {Object} params
+ * @param {string} params.startDate - First date (YYYY-MM-DD, inclusive)
+ * @param {string} params.endDate - Last date (YYYY-MM-DD, inclusive)
+ * @param {Array<number>} params.daysOfWeek - Weekdays to include (0 = Sunday ... 6 = Saturday)
+ * @param {Array<string>} [params.exceptions] - Dates to skip (YYYY-MM-DD)
+ * @returns {Array<string>} Dates in ascending order
+ */
+export function expandRecurrenceDates({ startDate, endDate, daysOfWeek, exceptions = [] }) {
+    if (!startDate || !endDate || endDate < startDate) return [];
+    const span = diffDaysStr(startDate, endDate);
+    if (span >= MAX_RECURRENCE_DAYS) {
+        throw new Error(`The date range cannot exceed ${MAX_RECURRENCE_DAYS} days`);
+    }
+
+    const days = new Set(daysOfWeek || []);
+    const skipped = new Set(exceptions || []);
+    const dates = [];
+    for (let i = 0; i <= span; i++) {
+        const dateStr = addDaysStr(startDate, i);
+        if (days.has(parseDateStrUTC(dateStr).getUTCDay()) && !skipped.has(dateStr)) {
+            dates.push(dateStr);
+        }
+    }
+    return dates;
+}
+
+/**
+ * Creates a validator for the shifts planned for one employee.
+ * Each accepted shift is remembered, so later shifts of the same plan are checked against it.
+ * @param {Object} userDaily - Existing shifts of the employee by date (from useAllSchedules)
+ * @param {Set<string>} locked - Dates in locked pay periods
+ * @param {Array<Object>} [timeOffRequests] - TimeOffRequests of the employee (approved ones block the dates)
+ * @returns {function({eventDate:string, startHour:string, endHour:string, endsNextDay:boolean}): Object}
+ */
+function createPlanValidator(userDaily, locked, timeOffRequests) {
+    const planned = {};
+    const addPlanned = (date, shift) => {
+        if (!planned[date]) planned[date] = [];
+        planned[date].push(shift);
+    };
+    const shiftsOn = (date) => [
+        ...(userDaily[date] ? userDaily[date].shifts : []),
+        ...(planned[date] || [])
+    ];
+
+    return ({ eventDate, startHour, endHour, endsNextDay }) => {
+        const { endDate, overnight, duration } = resolveShiftEnd(eventDate, startHour, endHour, endsNextDay);
+        const item = { eventDate, endDate, overnight, duration };
+
+        if (locked.has(eventDate) || (overnight && locked.has(endDate))) {
+            return { ...item, isValid: false, message: 'Date is in a locked pay period', type: 'period_locked' };
+        }
+
+        const timeOff = findTimeOffConflict(timeOffRequests, getShiftDates(eventDate, overnight));
+        if (timeOff) {
+            return {
+                ...item,
+                isValid: false,
+                message: `Approved time off from ${timeOff.startDate} to ${timeOff.endDate}`,
+                type: 'time_off_conflict'
+            };
+        }
+
+        const result = validateShiftPlacement({ eventDate, startHour, endHour, endsNextDay }, shiftsOn);
+
+        if (result.isValid) {
+            addPlanned(eventDate, { id: `planned_${eventDate}_${startHour}`, eventDate, startHour, endHour, endDate, eventDescription: 'Planned shift' });
+            if (overnight) {
+                addPlanned(endDate, {
+                    id: `planned_${eventDate}_${startHour}__cont`,
+                    eventDate: endDate,
+                    startHour: '00:00',
+                    endHour,
+                    eventDescription: 'Planned shift (cont.)',
+                    isContinuation: true
+                });
+            }
+        }
+
+        return {
+            ...item,
+            isValid: result.isValid,
+            message: result.message,
+            type: result.type,
+            conflictingShift: result.conflictingShift
+        };
+    };
+}
+
+/**
+ * Validates every shift of a recurrence for every selected employee.
+ * Generated shifts are checked against existing shifts and against each other,
+ * so a plan never contains two overlapping shifts for the same employee.
+ * @param {Object} params
+ * @param {Array<string>} params.userIds - Employees to schedule
+ * @param {Array<string>} params.dates - Dates from expandRecurrenceDates
+ * @param {string} params.startHour - HH:MM
+ * @param {string} params.endHour - HH:MM
+ * @param {boolean} params.endsNextDay - Overnight shift
+ * @param {Object} params.userDailySchedules - Existing shifts by user and date (from useAllSchedules)
+ * @param {Array<string>} [params.lockedDates] - Dates in locked pay periods
+ * @param {Object} [params.timeOffByUser] - TimeOffRequests by user ID (from useTimeOffRequests)
+ * @returns {Array<{userId:string, eventDate:string, endDate:string, overnight:boolean, duration:number,
+ *   isValid:boolean, message:string, type?:string}>}
+ */
+export function planRecurringShifts({ userIds, dates, startHour, endHour, endsNextDay, userDailySchedules, lockedDates = [], timeOffByUser }) {
+    const locked = new Set(lockedDates);
+    const plan = [];
+
+    (userIds || []).forEach(userId => {
+        const validate = createPlanValidator(
+            (userDailySchedules && userDailySchedules[userId]) || {},
+            locked,
+            timeOffByUser && timeOffByUser[userId]
+        );
+        (dates || []).forEach(eventDate => {
+            plan.push({ userId, ...validate({ eventDate, startHour, endHour, endsNextDay }) });
+        });
+    });
+
+    return plan;
+}
+
+/**
+ * Plans a copy of every shift of a source week (Monday-Sunday) into target weeks.
+ * Continuation fragments are ignored; the original overnight shift is copied instead.
+ * @param {Object} params
+ * @param {string} params.sourceWeekStart - Monday of the source week (YYYY-MM-DD)
+ * @param {Array<string>} params.targetWeekStarts - Mondays of the target weeks
+ * @param {Array<string>} params.userIds - Employees to copy
+ * @param {Object} params.userDailySchedules - Existing shifts by user and date (from useAllSchedules)
+ * @param {Array<string>} [params.lockedDates] - Dates in locked pay periods
+ * @param {Object} [params.timeOffByUser] - TimeOffRequests by user ID (from useTimeOffRequests)
+ * @returns {Array<Object>} One item per copied shift: { userId, sourceShift, eventDate, startHour, endHour,
+ *   endsNextDay, endDate, overnight, duration, isValid, message, type?, conflictingShift? }
+ */
+export function planWeekCopy({ sourceWeekStart, targetWeekStarts, userIds, userDailySchedules, lockedDates = [], timeOffByUser }) {
+    const locked = new Set(lockedDates);
+    const plan = [];
+
+    (userIds || []).forEach(userId => {
+        const userDaily = (userDailySchedules && userDailySchedules[userId]) || {};
+        const sourceShifts = [];
+        for (let i = 0; i < 7; i++) {
+            const date = addDaysStr(sourceWeekStart, i);
+            (userDaily[date] ? userDaily[date].shifts : [])
+                .filter(shift => !shift.isContinuation && shift.startHour && shift.endHour)
+                .forEach(shift => sourceShifts.push(shift));
+        }
+        sourceShifts.sort((a, b) => (a.eventDate + a.startHour).localeCompare(b.eventDate + b.startHour));
+
+        const validate = createPlanValidator(userDaily, locked, timeOffByUser && timeOffByUser[userId]);
+        (targetWeekStarts || []).forEach(targetWeekStart => {
+            const offset = diffDaysStr(sourceWeekStart, targetWeekStart);
+            sourceShifts.forEach(shift => {
+                const endsNextDay = Boolean(shift.overnight || (shift.endDate && shift.endDate !== shift.eventDate) || shift.endHour <= shift.startHour);
+                const copy = {
+                    eventDate: addDaysStr(shift.eventDate, offset),
+                    startHour: shift.startHour,
+                    endHour: shift.endHour,
+                    endsNextDay
+                };
+                plan.push({ userId, sourceShift: shift, ...copy, ...validate(copy) });
+            });
+        });
+    });
+
+    return plan;
+}
@@ -0,0 +1,157 @@
+import { expandRecurrenceDates, planRecurringShifts, planWeekCopy, MAX_RECURRENCE_DAYS } from './shiftRecurrence';
+import { buildShiftDocument } from './scheduleUtils';
+
+test('expandRecurrenceDates keeps the selected weekdays and skips exceptions', () => {
+  const dates = expandRecurrenceDates({
+    startDate: '2025-03-03', // Monday
+    endDate: '2025-03-16',
+    daysOfWeek: [1, 3, 5],
+    exceptions: ['2025-03-12'],
+  });
+  expect(dates).toEqual(['2025-03-03', '2025-03-05', '2025-03-07', '2025-03-10', '2025-03-14']);
+});
+
+test('expandRecurrenceDates rejects ranges that are too long', () => {
+  expect(expandRecurrenceDates({ startDate: '2025-03-10', endDate: '2025-03-01', daysOfWeek: [1] })).toEqual([]);
+  expect(() => expandRecurrenceDates({
+    startDate: '2025-01-01',
+    endDate: '2025-12-31',
+    daysOfWeek: [1],
+  })).toThrow(`${MAX_RECURRENCE_DAYS} days`);
+});
+
+test('planRecurringShifts reports overlaps, daily limit and locked dates', () => {
+  const userDailySchedules = {
+    u1: {
+      '2025-03-04': { shifts: [{ id: 's1', eventDate: '2025-03-04', startHour: '12:00', endHour: '18:00', eventDescription: 'Inventory' }] },
+      '2025-03-05': { shifts: [{ id: 's2', eventDate: '2025-03-05', startHour: '15:00', endHour: '23:59', eventDescription: 'Closing' }] },
+    },
+  };
+  const plan = planRecurringShifts({
+    userIds: ['u1', 'u2'],
+    dates: ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06'],
+    startHour: '07:00',
+    endHour: '15:00',
+    endsNextDay: false,
+    userDailySchedules,
+    lockedDates: ['2025-03-06'],
+  });
+
+  const byKey = Object.fromEntries(plan.map(item => [`${item.userId}_${item.eventDate}`, item]));
+  expect(plan).toHaveLength(8);
+  expect(byKey['u1_2025-03-03']).toMatchObject({ isValid: true, duration: 8, overnight: false });
+  expect(byKey['u1_2025-03-04']).toMatchObject({ isValid: false, type: 'overlap_conflict' });
+  expect(byKey['u1_2025-03-05']).toMatchObject({ isValid: false, type: 'daily_limit_exceeded' });
+  expect(byKey['u1_2025-03-06']).toMatchObject({ isValid: false, type: 'period_locked' });
+  expect(byKey['u2_2025-03-04']).toMatchObject({ isValid: true });
+});
+
+test('planRecurringShifts checks overnight shifts against the next day, including planned ones', () => {
+  const userDailySchedules = {
+    u1: {
+      '2025-03-05': { shifts: [{ id: 's1', eventDate: '2025-03-05', startHour: '05:00', endHour: '09:00', eventDescription: 'Delivery' }] },
+    },
+  };
+  const plan = planRecurringShifts({
+    userIds: ['u1'],
+    dates: ['2025-03-03', '2025-03-04'],
+    startHour: '22:00',
+    endHour: '06:00',
+    endsNextDay: true,
+    userDailySchedules,
+  });
+
+  expect(plan[0]).toMatchObject({ isValid: true, overnight: true, endDate: '2025-03-04', duration: 8 });
+  expect(plan[1]).toMatchObject({ isValid: false, type: 'overlap_conflict' });
+});
+
+test('planRecurringShifts and planWeekCopy skip dates with approved time off', () => {
+  const timeOffByUser = {
+    u1: [
+      { id: 't1', status: 'approved', startDate: '2025-03-11', endDate: '2025-03-12' },
+      { id: 't2', status: 'pending', startDate: '2025-03-03', endDate: '2025-03-03' },
+    ],
+  };
+  const plan = planRecurringShifts({
+    userIds: ['u1', 'u2'],
+    dates: ['2025-03-03', '2025-03-10', '2025-03-11'],
+    startHour: '22:00',
+    endHour: '06:00',
+    endsNextDay: true,
+    userDailySchedules: {},
+    timeOffByUser,
+  });
+  const byKey = Object.fromEntries(plan.map(item => [`${item.userId}_${item.eventDate}`, item]));
+  expect(byKey['u1_2025-03-03'].isValid).toBe(true);
+  expect(byKey['u1_2025-03-10']).toMatchObject({
+    isValid: false,
+    type: 'time_off_conflict',
+    message: 'Approved time off from 2025-03-11 to 2025-03-12',
+  });
+  expect(byKey['u1_2025-03-11']).toMatchObject({ isValid: false, type: 'time_off_conflict' });
+  expect(byKey['u2_2025-03-11'].isValid).toBe(true);
+
+  const copy = planWeekCopy({
+    sourceWeekStart: '2025-03-03',
+    targetWeekStarts: ['2025-03-10'],
+    userIds: ['u1'],
+    userDailySchedules: {
+      u1: { '2025-03-05': { shifts: [{ id: 'a', eventDate: '2025-03-05', startHour: '09:00', endHour: '17:00' }] } },
+    },
+    timeOffByUser,
+  });
+  expect(copy).toHaveLength(1);
+  expect(copy[0]).toMatchObject({ eventDate: '2025-03-12', isValid: false, type: 'time_off_conflict' });
+});
+
+test('planWeekCopy shifts every source shift into the target weeks and flags overlaps', () => {
+  const userDailySchedules = {
+    u1: {
+      '2025-03-03': { shifts: [{ id: 'a', eventDate: '2025-03-03', startHour: '09:00', endHour: '17:00', eventDescription: 'Day' }] },
+      '2025-03-07': { shifts: [{ id: 'b', eventDate: '2025-03-07', startHour: '22:00', endHour: '06:00', endDate: '2025-03-08', overnight: true, eventDescription: 'Night' }] },
+      '2025-03-08': { shifts: [{ id: 'b__cont', eventDate: '2025-03-08', startHour: '00:00', endHour: '06:00', isContinuation: true, eventDescription: 'Night (cont.)' }] },
+      '2025-03-10': { shifts: [{ id: 'c', eventDate: '2025-03-10', startHour: '12:00', endHour: '14:00', eventDescription: 'Training' }] },
+    },
+  };
+  const plan = planWeekCopy({
+    sourceWeekStart: '2025-03-03',
+    targetWeekStarts: ['2025-03-10', '2025-03-17'],
+    userIds: ['u1', 'u2'],
+    userDailySchedules,
+  });
+
+  expect(plan.map(item => [item.sourceShift.id, item.eventDate, item.isValid])).toEqual([
+    ['a', '2025-03-10', false],
+    ['b', '2025-03-14', true],
+    ['a', '2025-03-17', true],
+    ['b', '2025-03-21', true],
+  ]);
+  expect(plan[0].conflictingShift.id).toBe('c');
+  expect(plan[1]).toMatchObject({ endsNextDay: true, endDate: '2025-03-15', duration: 8 });
+});
+
+test('buildShiftDocument matches the single-shift document shape', () => {
+  expect(buildShiftDocument({
+    eventDate: '2025-03-08', // Saturday
+    startHour: '22:00',
+    endHour: '06:00',
+    endsNextDay: true,
+    eventDescription: '  Night shift ',
+  })).toEqual({
+    eventDate: '2025-03-08',
+    eventDescription: 'Night shift',
+    startHour: '22:00',
+    endHour: '06:00',
+    duration: 8,
+    isWeekend: true,
+    isHoliday: false,
+    shiftType: 'overtime',
+    overnight: true,
+    endDate: '2025-03-09',
+    checkedInTime: '',
+    checkedOutTime: '',
+    totalHoursDay: null,
+    status: 'scheduled',
+    published: false,
+  });
+});
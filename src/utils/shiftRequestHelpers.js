@@ -0,0 +1,128 @@
+// Helpers for open shifts and swap requests (top-level ShiftRequests collection)
+// An open shift stays on its owner's schedule until an admin approves a claim;
+// a swap hands one employee's shift to a named colleague once the colleague accepts it
+// and an admin approves it.
+import { groupShiftsByDate, validateShiftPlacement } from './scheduleUtils';
+import { findTimeOffConflict, getShiftDates } from './timeOffHelpers';
+
+export const SHIFT_REQUEST_TYPE = Object.freeze({
+    OPEN: 'open',
+    SWAP: 'swap'
+});
+
+export const SHIFT_REQUEST_STATUS = Object.freeze({
+    OPEN: 'open',         // open shift waiting for a claim
+    CLAIMED: 'claimed',   // open shift claimed, waiting for admin approval
+    PENDING: 'pending',   // swap waiting for the colleague to accept
+    ACCEPTED: 'accepted', // swap accepted by the colleague, waiting for admin approval
+    DECLINED: 'declined', // swap declined by the colleague
+    APPROVED: 'approved',
+    DENIED: 'denied'
+});
+
+/**
+ * Whether the stored shift ends on the day after it starts.
+ * @param {Object} shift
+ * @returns {boolean}
+ */
+export function isShiftOvernight(shift) {
+    return Boolean(shift.overnight || (shift.endDate && shift.endDate !== shift.eventDate));
+}
+
+/**
+ * Shift fields copied onto the request so employees can see it without reading the owner's schedule.
+ * @param {Object} shift - UserSchedule document (with id)
+ * @returns {Object}
+ */
+export function buildShiftSnapshot(shift) {
+    return {
+        shiftId: shift.id,
+        eventDate: shift.eventDate,
+        startHour: shift.startHour,
+        endHour: shift.endHour,
+        endDate: isShiftOvernight(shift) ? (shift.endDate || null) : null,
+        overnight: isShiftOvernight(shift),
+        eventDescription: shift.eventDescription || ''
+    };
+}
+
+/**
+ * Short human description, e.g. "Close on 2025-03-10 (17:00 - 23:00)".
+ * @param {Object} shift - Shift or request snapshot
+ * @returns {string}
+ */
+export function describeShift(shift) {
+    return `${shift.eventDescription || 'Shift'} on ${shift.eventDate} (${shift.startHour} - ${shift.endHour}${isShiftOvernight(shift) ? ' +1' : ''})`;
+}
+
+/**
+ * Checks whether an employee can take a shift: no approved time off and no overlap
+ * (validateShiftOverlap rules, including the next day of overnight shifts).
+ * @param {Object} params
+ * @param {Object} params.shift - Shift or request snapshot
+ * @param {Array<Object>} params.existingShifts - Receiving employee's UserSchedule documents
+ * @param {Array<Object>} [params.timeOffRequests] - Receiving employee's TimeOffRequests
+ * @returns {{eligible:boolean, reason:string|null}}
+ */
+export function checkShiftEligibility({ shift, existingShifts, timeOffRequests }) {
+    const endsNextDay = isShiftOvernight(shift);
+
+    const timeOff = findTimeOffConflict(timeOffRequests, getShiftDates(shift.eventDate, endsNextDay));
+    if (timeOff) {
+        return { eligible: false, reason: `Approved time off from ${timeOff.startDate} to ${timeOff.endDate}` };
+    }
+
+    // groupShiftsByDate annotates the shifts it receives, so work on copies
+    const daily = groupShiftsByDate((existingShifts || []).map(existing => ({ ...existing })));
+    const validation = validateShiftPlacement(
+        { eventDate: shift.eventDate, startHour: shift.startHour, endHour: shift.endHour, endsNextDay },
+        (date) => (daily[date] ? daily[date].shifts : []),
+        null
+    );
+    if (!validation.isValid) {
+        return { eligible: false, reason: validation.message };
+    }
+
+    return { eligible: true, reason: null };
+}
+
+/**
+ * Why an admin cannot approve a request yet, if anything.
+ * Open shifts need a claim; swaps need the named colleague to accept them first.
+ * @param {Object|null} request - ShiftRequests document
+ * @returns {string|null} null when the request can be approved
+ */
+export function getApprovalBlocker(request) {
+    if (!request) {
+        return 'The request no longer exists';
+    }
+    if (request.status === SHIFT_REQUEST_STATUS.OPEN) {
+        return 'Nobody has claimed this open shift';
+    }
+    if (request.status === SHIFT_REQUEST_STATUS.PENDING) {
+        return 'Waiting for the colleague to accept the swap';
+    }
+    const approvable = request.type === SHIFT_REQUEST_TYPE.OPEN
+        ? SHIFT_REQUEST_STATUS.CLAIMED
+        : SHIFT_REQUEST_STATUS.ACCEPTED;
+    return request.status === approvable ? null : `This request is already ${request.status}`;
+}
+
+/**
+ * PrivateNotification messages for both parties once a shift changes hands.
+ * The moved shift is a draft until its week is published again, hence the wording for the new owner.
+ * @param {Object} params
+ * @param {Object} params.request - ShiftRequests document
+ * @param {string} params.fromName - Previous owner
+ * @param {string} params.toName - New owner
+ * @returns {{from:string, to:string}}
+ */
+export function buildReassignmentMessages({ request, fromName, toName }) {
+    const shiftText = describeShift(request);
+    return {
+        from: `Your shift ${shiftText} was reassigned to ${toName}.`,
+        to: request.type === SHIFT_REQUEST_TYPE.OPEN
+            ? `Your claim was approved: ${shiftText} will be on your schedule once its week is published.`
+            : `${fromName}'s shift ${shiftText} will be on your schedule once its week is published.`
+    };
+}
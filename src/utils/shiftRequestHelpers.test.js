@@ -0,0 +1,61 @@
+import {
+  SHIFT_REQUEST_TYPE,
+  SHIFT_REQUEST_STATUS,
+  buildShiftSnapshot,
+  checkShiftEligibility,
+  buildReassignmentMessages,
+  getApprovalBlocker,
+} from './shiftRequestHelpers';
+
+const night = { id: 's1', eventDate: '2025-03-10', startHour: '22:00', endHour: '06:00', endDate: '2025-03-11', overnight: true, eventDescription: 'Night', checkedInTime: '' };
+
+test('buildShiftSnapshot keeps the fields employees need to see the shift', () => {
+  expect(buildShiftSnapshot(night)).toEqual({
+    shiftId: 's1',
+    eventDate: '2025-03-10',
+    startHour: '22:00',
+    endHour: '06:00',
+    endDate: '2025-03-11',
+    overnight: true,
+    eventDescription: 'Night',
+  });
+  expect(buildShiftSnapshot({ id: 's2', eventDate: '2025-03-10', startHour: '09:00', endHour: '17:00' }))
+    .toMatchObject({ endDate: null, overnight: false, eventDescription: '' });
+});
+
+test('checkShiftEligibility re-runs the overlap rules for the receiving employee', () => {
+  const request = buildShiftSnapshot(night);
+
+  expect(checkShiftEligibility({ shift: request, existingShifts: [] })).toEqual({ eligible: true, reason: null });
+
+  // Early shift the next morning collides with the overnight part
+  const early = { id: 'e1', eventDate: '2025-03-11', startHour: '05:00', endHour: '09:00', eventDescription: 'Early' };
+  expect(checkShiftEligibility({ shift: request, existingShifts: [early] }).eligible).toBe(false);
+  // The caller's documents are not annotated by the grouping
+  expect(early.firstDayWorkedMinutes).toBeUndefined();
+
+  const timeOff = [{ id: 't1', startDate: '2025-03-11', endDate: '2025-03-12', status: 'approved' }];
+  expect(checkShiftEligibility({ shift: request, existingShifts: [], timeOffRequests: timeOff }))
+    .toEqual({ eligible: false, reason: 'Approved time off from 2025-03-11 to 2025-03-12' });
+});
+
+test('buildReassignmentMessages notifies both parties', () => {
+  const request = { ...buildShiftSnapshot(night), type: SHIFT_REQUEST_TYPE.SWAP };
+  expect(buildReassignmentMessages({ request, fromName: 'Ana Diaz', toName: 'Leo Park' })).toEqual({
+    from: 'Your shift Night on 2025-03-10 (22:00 - 06:00 +1) was reassigned to Leo Park.',
+    to: "Ana Diaz's shift Night on 2025-03-10 (22:00 - 06:00 +1) will be on your schedule once its week is published.",
+  });
+});
+
+test('getApprovalBlocker requires a claim or the colleague\'s acceptance', () => {
+  const swap = (status) => ({ type: SHIFT_REQUEST_TYPE.SWAP, status });
+  const open = (status) => ({ type: SHIFT_REQUEST_TYPE.OPEN, status });
+
+  expect(getApprovalBlocker(swap(SHIFT_REQUEST_STATUS.PENDING))).toBe('Waiting for the colleague to accept the swap');
+  expect(getApprovalBlocker(swap(SHIFT_REQUEST_STATUS.ACCEPTED))).toBeNull();
+  expect(getApprovalBlocker(swap(SHIFT_REQUEST_STATUS.DECLINED))).toBe('This request is already declined');
+  expect(getApprovalBlocker(open(SHIFT_REQUEST_STATUS.OPEN))).toBe('Nobody has claimed this open shift');
+  expect(getApprovalBlocker(open(SHIFT_REQUEST_STATUS.CLAIMED))).toBeNull();
+  expect(getApprovalBlocker(open(SHIFT_REQUEST_STATUS.APPROVED))).toBe('This request is already approved');
+  expect(getApprovalBlocker(null)).toBe('The request no longer exists');
+});
@@ -1,19 +1,84 @@
-// Helpers for shift sync (status + totalHoursDay)
+// Helpers for shift sync (status + totalHoursDay + break fields)
 // Extracted from AddSchdule.js
-import { updateDoc } from 'firebase/firestore';
-import { computeWorkedHoursForShift, deriveShiftStatus } from './timeHelpers';
+import { doc, onSnapshot, updateDoc } from 'firebase/firestore';
+import { dbFirestore } from '../connections/ConnFirebaseServices';
+import { resolvePunchDates, deriveShiftStatus } from './timeHelpers';
+import { normalizeBreakRules } from './breakHelpers';
+import { normalizePunchRules } from './punchRounding';
+import { computePunchedShiftHours } from '../shared/punchRules';
+
+// SystemSettings documents used by the sync, each kept current by a listener started on first use
+const settingsCache = {};
+
+function watchSettings(docId, normalize) {
+    if (!settingsCache[docId]) {
+        const entry = { value: normalize(null) };
+        entry.ready = new Promise((resolve) => {
+            onSnapshot(doc(dbFirestore, 'SystemSettings', docId), (snap) => {
+                entry.value = normalize(snap.exists() ? snap.data() : null);
+                resolve();
+            }, (error) => {
+                console.error(`Error loading ${docId}, using defaults`, error);
+                resolve();
+            });
+        });
+        settingsCache[docId] = entry;
+    }
+    return settingsCache[docId].ready.then(() => settingsCache[docId].value);
+}
+
+/**
+ * Derived fields of a shift under the current break and punch rounding rules.
+ * totalHoursDay is null while the shift has no complete check-in/check-out pair.
+ * Same computation as the punch Cloud Function, in the zone of the device that punched
+ * (punchTimeZone) so a sync from another zone does not change the recorded hours.
+ * @param {Object} shiftData - UserSchedule document
+ * @returns {Promise<{totalHoursDay:number|null, status:string, autoBreakMinutes:number, mealBreakMissed:boolean}>}
+ */
+export async function computeShiftDerivedFields(shiftData) {
+    const [breakRules, punchRules] = await Promise.all([
+        watchSettings('BreakRules', normalizeBreakRules),
+        watchSettings('PunchRules', normalizePunchRules)
+    ]);
+    const punches = resolvePunchDates(shiftData);
+    const worked = punches
+        ? computePunchedShiftHours({
+            shift: shiftData,
+            ...punches,
+            punchRules,
+            breakRules,
+            timeZone: shiftData.punchTimeZone
+        })
+        : { totalHoursDay: null, autoBreakMinutes: 0, mealBreakMissed: false };
+    return { ...worked, status: deriveShiftStatus(shiftData) };
+}
 
 /**
- * Ensure totalHoursDay AND status are up to date for a given shift.
+ * Ensure totalHoursDay, status, autoBreakMinutes and mealBreakMissed are up to date for a given shift.
+ * totalHoursDay uses the rounded punches; the raw punches are never rewritten.
  * Only writes if there's an actual difference from Firestore data.
  */
 export async function syncShiftDerivedFieldsIfNeeded(shiftRef, shiftData) {
-    const newHours = computeWorkedHoursForShift(shiftData);
-    const newStatus = deriveShiftStatus(shiftData);
+    const {
+        totalHoursDay: newHours,
+        status: newStatus,
+        autoBreakMinutes,
+        mealBreakMissed
+    } = await computeShiftDerivedFields(shiftData);
 
     const patch = {};
     let needsUpdate = false;
 
+    if ((Number(shiftData.autoBreakMinutes) || 0) !== autoBreakMinutes) {
+        patch.autoBreakMinutes = autoBreakMinutes;
+        needsUpdate = true;
+    }
+
+    if (Boolean(shiftData.mealBreakMissed) !== mealBreakMissed) {
+        patch.mealBreakMissed = mealBreakMissed;
+        needsUpdate = true;
+    }
+
     if (newHours != null) {
         const currentHours = shiftData.totalHoursDay;
         if (
@@ -3,6 +3,8 @@
 
 import { differenceInMinutes, addDays, format } from 'date-fns';
 import { parseDate, parseDateTime } from './scheduleUtils';
+import { summarizeBreaks } from './breakHelpers';
+import { applyPunchRules, resolveScheduledWindow } from './punchRounding';
 
 /**
  * Parse multiple possible time formats into { h, m }.
@@ -66,14 +68,15 @@ export function diffHours(dateStart, dateEnd) {
 }
 
 /**
- * Compute worked hours for a shift using the best available data.
+ * Resolve the raw check-in and check-out of a shift as dates, using the best available data.
  * Priority:
  * 1. checkInTimestamp / checkOutTimestamp
- * 2. checkedInTime / checkedOutTime (+ overnight)
+ * 2. checkedInTime / checkedOutTime with eventDate (+ endDate / overnight)
+ * 3. checkedInTime / checkedOutTime alone (legacy, placed on an arbitrary day)
  *
- * Returns number (2 decimals) or null.
+ * Returns { checkIn, checkOut } or null.
  */
-export function computeWorkedHoursForShift(shiftData) {
+export function resolvePunchDates(shiftData) {
     if (!shiftData) return null;
 
     const {
@@ -97,11 +100,8 @@ export function computeWorkedHoursForShift(shiftData) {
                 ? checkOutTimestamp.toDate()
                 : (checkOutTimestamp instanceof Date ? checkOutTimestamp : null);
 
-        if (startDate && endDateObj) {
-            const hours = diffHours(startDate, endDateObj);
-            if (hours >= 0) {
-                return Number(hours.toFixed(2));
-            }
+        if (startDate && endDateObj && endDateObj >= startDate) {
+            return { checkIn: startDate, checkOut: endDateObj };
         }
     }
 
@@ -119,9 +119,8 @@ export function computeWorkedHoursForShift(shiftData) {
                 }
             }
 
-            const minutes = differenceInMinutes(end, start);
-            if (minutes >= 0) {
-                return Number((minutes / 60).toFixed(2));
+            if (differenceInMinutes(end, start) >= 0) {
+                return { checkIn: start, checkOut: end };
             }
         } catch {
             // fall through to legacy HH:mm parsing
@@ -133,23 +132,56 @@ export function computeWorkedHoursForShift(shiftData) {
     const endParsed = parseHHMM(checkedOutTime);
 
     if (startParsed && endParsed) {
-        let startTotalMin = startParsed.h * 60 + startParsed.m;
-        let endTotalMin = endParsed.h * 60 + endParsed.m;
+        const start = new Date(2000, 0, 1, startParsed.h, startParsed.m);
+        const end = new Date(2000, 0, 1, endParsed.h, endParsed.m);
 
-        if (overnight === true && endTotalMin < startTotalMin) {
-            endTotalMin += 24 * 60;
+        if (overnight === true && end < start) {
+            end.setDate(end.getDate() + 1);
         }
 
-        const diffMin = endTotalMin - startTotalMin;
-        if (diffMin >= 0) {
-            const hours = diffMin / 60;
-            return Number(hours.toFixed(2));
+        if (end >= start) {
+            return { checkIn: start, checkOut: end };
         }
     }
 
     return null;
 }
 
+/**
+ * Compute the hours between check-in and check-out (breaks included).
+ * With punchRules (SystemSettings/PunchRules), the punches are first rounded and moved
+ * by the grace windows, on the clock of the device that punched (punchTimeZone);
+ * the raw punches on the shift are left as they are.
+ *
+ * Returns number (2 decimals) or null.
+ */
+export function computePunchedHours(shiftData, punchRules) {
+    const punches = resolvePunchDates(shiftData);
+    if (!punches) return null;
+
+    const timeZone = shiftData.punchTimeZone;
+    const { checkIn, checkOut } = punchRules
+        ? applyPunchRules({ ...punches, ...resolveScheduledWindow(shiftData, timeZone), rules: punchRules, timeZone })
+        : punches;
+    return Number(diffHours(checkIn, checkOut).toFixed(2));
+}
+
+/**
+ * Compute worked hours for a shift: punched hours minus the completed unpaid
+ * breaks and the auto-deducted meal break (autoBreakMinutes, set by shiftSyncHelpers).
+ * Without punchRules the raw punches are used.
+ *
+ * Returns number (2 decimals) or null.
+ */
+export function computeWorkedHoursForShift(shiftData, punchRules) {
+    const punchedHours = computePunchedHours(shiftData, punchRules);
+    if (punchedHours == null) return null;
+
+    const breakMinutes = summarizeBreaks(shiftData.breaks).unpaidMinutes + (Number(shiftData.autoBreakMinutes) || 0);
+    if (breakMinutes <= 0) return punchedHours;
+    return Number(Math.max(0, punchedHours - breakMinutes / 60).toFixed(2));
+}
+
 /**
  * Derive the appropriate status for a shift based on its data.
  * Rules:
@@ -0,0 +1,89 @@
+// Helpers for the time-off request workflow (users/{id}/TimeOffRequests)
+// Requests cover whole days: startDate and endDate are inclusive YYYY-MM-DD strings
+import { endOfDay } from 'date-fns';
+import { addDaysStr } from '../shared/dateStrings';
+import { parseDate } from './scheduleUtils';
+
+export const TIME_OFF_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DENIED: 'denied'
+});
+
+export const TIME_OFF_COLOR = '#9ca3af';
+
+/**
+ * Validates the date range of a new request.
+ * @param {{startDate:string, endDate:string}} range
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateTimeOffRange({ startDate, endDate }) {
+    if (!startDate || !endDate) {
+        return 'Start and end dates are required';
+    }
+    if (endDate < startDate) {
+        return 'The end date must be on or after the start date';
+    }
+    return null;
+}
+
+/**
+ * Finds the approved request covering any of the given dates.
+ * @param {Array<Object>} requests - TimeOffRequests of one employee
+ * @param {Array<string>} dates - Dates the shift touches (YYYY-MM-DD)
+ * @returns {Object|null} The first matching request
+ */
+export function findTimeOffConflict(requests, dates) {
+    const wanted = (dates || []).filter(Boolean);
+    return (requests || []).find(request =>
+        request.status === TIME_OFF_STATUS.APPROVED &&
+        wanted.some(date => date >= request.startDate && date <= request.endDate)
+    ) || null;
+}
+
+/**
+ * Dates a new shift touches: its start date, plus the next day when it ends after midnight.
+ * @param {string} eventDate - YYYY-MM-DD
+ * @param {boolean} endsNextDay
+ * @returns {Array<string>}
+ */
+export function getShiftDates(eventDate, endsNextDay) {
+    return endsNextDay ? [eventDate, addDaysStr(eventDate, 1)] : [eventDate];
+}
+
+/**
+ * Shaded background blocks for the scheduler calendars, one per approved request.
+ * @param {Object<string, Array<Object>>} requestsByUser - TimeOffRequests keyed by user id
+ * @param {Array<Object>} users - Users to include (id, firstName, lastName)
+ * @returns {Array<Object>} react-big-calendar background events (resourceId = user id)
+ */
+export function buildTimeOffBackgroundEvents(requestsByUser, users) {
+    return (users || []).flatMap(user =>
+        ((requestsByUser && requestsByUser[user.id]) || [])
+            .filter(request => request.status === TIME_OFF_STATUS.APPROVED)
+            .map(request => ({
+                id: `timeoff_${request.id}`,
+                title: `Time off: ${user.firstName} ${user.lastName}`,
+                start: parseDate(request.startDate),
+                end: endOfDay(parseDate(request.endDate)),
+                resourceId: user.id,
+                isTimeOff: true
+            }))
+    );
+}
+
+/**
+ * Message sent to the employee as a PrivateNotification when a request is reviewed.
+ * @param {Object} request - { startDate, endDate }
+ * @param {string} status - approved | denied
+ * @param {string} [note] - Reviewer note
+ * @returns {string}
+ */
+export function buildTimeOffReviewMessage(request, status, note) {
+    const range = request.startDate === request.endDate
+        ? request.startDate
+        : `${request.startDate} to ${request.endDate}`;
+    const verb = status === TIME_OFF_STATUS.APPROVED ? 'approved' : 'denied';
+    const trimmedNote = (note || '').trim();
+    return `Your time-off request for ${range} was ${verb}.${trimmedNote ? ` Note: ${trimmedNote}` : ''}`;
+}
@@ -0,0 +1,48 @@
+import {
+  TIME_OFF_STATUS,
+  validateTimeOffRange,
+  findTimeOffConflict,
+  getShiftDates,
+  buildTimeOffBackgroundEvents,
+  buildTimeOffReviewMessage,
+} from './timeOffHelpers';
+
+const requests = [
+  { id: 'r1', startDate: '2025-03-10', endDate: '2025-03-12', status: TIME_OFF_STATUS.APPROVED },
+  { id: 'r2', startDate: '2025-03-20', endDate: '2025-03-20', status: TIME_OFF_STATUS.PENDING },
+  { id: 'r3', startDate: '2025-03-25', endDate: '2025-03-25', status: TIME_OFF_STATUS.DENIED },
+];
+
+test('validateTimeOffRange requires an ordered range', () => {
+  expect(validateTimeOffRange({ startDate: '', endDate: '2025-03-10' })).toMatch(/required/);
+  expect(validateTimeOffRange({ startDate: '2025-03-11', endDate: '2025-03-10' })).toMatch(/on or after/);
+  expect(validateTimeOffRange({ startDate: '2025-03-10', endDate: '2025-03-10' })).toBeNull();
+});
+
+test('findTimeOffConflict only matches approved requests covering a shift date', () => {
+  expect(findTimeOffConflict(requests, ['2025-03-12']).id).toBe('r1');
+  expect(findTimeOffConflict(requests, ['2025-03-20'])).toBeNull();
+  expect(findTimeOffConflict(requests, ['2025-03-25'])).toBeNull();
+  // An overnight shift starting the day before the request ends inside it
+  expect(findTimeOffConflict(requests, getShiftDates('2025-03-09', true)).id).toBe('r1');
+  expect(findTimeOffConflict(requests, getShiftDates('2025-03-09', false))).toBeNull();
+});
+
+test('buildTimeOffBackgroundEvents shades whole days of approved requests per employee', () => {
+  const events = buildTimeOffBackgroundEvents(
+    { u1: requests },
+    [{ id: 'u1', firstName: 'Ana', lastName: 'Diaz' }, { id: 'u2', firstName: 'Leo', lastName: 'Park' }]
+  );
+
+  expect(events).toHaveLength(1);
+  expect(events[0]).toMatchObject({ id: 'timeoff_r1', resourceId: 'u1', title: 'Time off: Ana Diaz', isTimeOff: true });
+  expect(events[0].start).toEqual(new Date(2025, 2, 10));
+  expect(events[0].end).toEqual(new Date(2025, 2, 12, 23, 59, 59, 999));
+});
+
+test('buildTimeOffReviewMessage includes the range and the reviewer note', () => {
+  expect(buildTimeOffReviewMessage(requests[0], TIME_OFF_STATUS.APPROVED, ''))
+    .toBe('Your time-off request for 2025-03-10 to 2025-03-12 was approved.');
+  expect(buildTimeOffReviewMessage(requests[1], TIME_OFF_STATUS.DENIED, ' Short staffed '))
+    .toBe('Your time-off request for 2025-03-20 was denied. Note: Short staffed');
+});